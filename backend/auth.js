@@ -0,0 +1,199 @@
+import fs from 'node:fs/promises';
+import { createHash, createHmac, randomBytes, scryptSync, timingSafeEqual } from 'node:crypto';
+import { dirname } from 'node:path';
+
+const USER_NAME_PATTERN = /^[\w.-]{1,64}$/;
+const SESSION_PREFIX = 's1';
+const USER_LIMIT_FIELDS = ['ratePerMinute', 'dailyGenerations'];
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+// `scrypt:<salt>:<hash>`, both hex. Only the hash is ever written to disk.
+export function hashPassword(password, salt = randomBytes(16)) {
+  const hash = scryptSync(String(password), salt, 32);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const hash = scryptSync(String(password), Buffer.from(saltHex, 'hex'), 32);
+  return safeEqual(hash.toString('hex'), hashHex);
+}
+
+export function hashToken(token) {
+  return `sha256:${createHash('sha256').update(String(token)).digest('hex')}`;
+}
+
+export function generateToken() {
+  return `mvr_${randomBytes(24).toString('base64url')}`;
+}
+
+// VEO_API_TOKENS entries are `user:token`; the user does not need an account.
+export function parseApiTokens(raw) {
+  return raw.split(',').map(item => item.trim()).filter(Boolean).map((entry, position) => {
+    const index = entry.indexOf(':');
+    if (index < 1 || !USER_NAME_PATTERN.test(entry.slice(0, index)) || entry.length - index - 1 < 16) {
+      throw new Error(`entry ${position + 1} should be user:token with a token of at least 16 characters`);
+    }
+    return entry;
+  });
+}
+
+// Problems with a parsed users file, one message per user and field.
+export function validateUsers(data) {
+  const problems = [];
+  const users = data?.users;
+  if (!users || typeof users !== 'object' || Array.isArray(users)) {
+    return ['expected an object with a "users" map'];
+  }
+  for (const [name, user] of Object.entries(users)) {
+    if (!USER_NAME_PATTERN.test(name)) problems.push(`${name}: names may only use letters, digits, "_", "." and "-"`);
+    if (!user || typeof user !== 'object') {
+      problems.push(`${name}: expected an object`);
+      continue;
+    }
+    if (user.password !== undefined && !String(user.password).startsWith('scrypt:')) {
+      problems.push(`${name}: password must be a scrypt hash (use npm run veo:users)`);
+    }
+    if (user.tokens !== undefined && (!Array.isArray(user.tokens) || user.tokens.some(token => !String(token).startsWith('sha256:')))) {
+      problems.push(`${name}: tokens must be a list of sha256 hashes (use npm run veo:users)`);
+    }
+    for (const field of USER_LIMIT_FIELDS) {
+      if (user[field] !== undefined && !(Number.isInteger(user[field]) && user[field] >= 0)) {
+        problems.push(`${name}: ${field} must be a whole number (0 = unlimited)`);
+      }
+    }
+    if (!user.password && !user.tokens?.length) problems.push(`${name}: needs a password or a token`);
+  }
+  return problems;
+}
+
+// A missing file means no local accounts. A broken one throws with every problem.
+export async function loadUsersFile(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { users: {} };
+    throw error;
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${file}: invalid JSON (${error.message})`);
+  }
+  const problems = validateUsers(data);
+  if (problems.length) {
+    throw new Error(`${file}: ${problems.join('; ')}`);
+  }
+  return data;
+}
+
+export async function saveUsersFile(file, data) {
+  await fs.mkdir(dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+  await fs.rename(tempFile, file);
+}
+
+// Requests per rolling minute, per key.
+export function createRateLimiter({ now = Date.now } = {}) {
+  const windows = new Map();
+
+  // Records a request and returns 0, or returns how long to wait when `limit`
+  // is already used up (`limit` < 1 = unlimited).
+  function take(key, limit) {
+    if (!(limit >= 1)) return 0;
+    const at = now();
+    const recent = (windows.get(key) || []).filter(time => time > at - 60000);
+    if (recent.length >= limit) {
+      windows.set(key, recent);
+      return recent[0] + 60000 - at;
+    }
+    recent.push(at);
+    windows.set(key, recent);
+    return 0;
+  }
+
+  return { take };
+}
+
+// Local accounts (`users`, the parsed users file) plus VEO_API_TOKENS. Auth is
+// enabled as soon as either names someone. Sessions are stateless HMAC-signed
+// tokens, so they survive restarts as long as `secret` stays the same.
+export function createAuth({
+  users = {},
+  apiTokens = [],
+  secret = randomBytes(32),
+  sessionTtlMs = 7 * 24 * 60 * 60 * 1000,
+  ratePerMinute = 0,
+  dailyGenerations = 0,
+  now = Date.now
+} = {}) {
+  const accounts = new Map();
+  for (const [name, user] of Object.entries(users)) {
+    accounts.set(name, { name, admin: user.admin === true, password: user.password, tokens: user.tokens || [], limits: user });
+  }
+  for (const entry of apiTokens) {
+    const index = entry.indexOf(':');
+    const name = entry.slice(0, index);
+    const account = accounts.get(name) || { name, admin: false, tokens: [], limits: {} };
+    account.tokens = [...account.tokens, hashToken(entry.slice(index + 1))];
+    accounts.set(name, account);
+  }
+
+  const sign = (payload) => createHmac('sha256', secret).update(payload).digest('base64url');
+
+  function describe(account) {
+    return {
+      name: account.name,
+      admin: account.admin,
+      ratePerMinute: account.limits.ratePerMinute ?? ratePerMinute,
+      dailyGenerations: account.limits.dailyGenerations ?? dailyGenerations
+    };
+  }
+
+  // Returns `{ token, expiresAt, user }`, or null for a wrong name or password.
+  function login(name, password) {
+    const account = accounts.get(String(name || ''));
+    if (!account?.password || !verifyPassword(password, account.password)) return null;
+    const expiresAt = now() + sessionTtlMs;
+    const payload = Buffer.from(JSON.stringify({ sub: account.name, exp: expiresAt })).toString('base64url');
+    return { token: `${SESSION_PREFIX}.${payload}.${sign(payload)}`, expiresAt, user: describe(account) };
+  }
+
+  function verifySession(token) {
+    const [prefix, payload, signature] = token.split('.');
+    if (prefix !== SESSION_PREFIX || !payload || !signature || !safeEqual(signature, sign(payload))) return null;
+    try {
+      const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return exp > now() ? accounts.get(sub) || null : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // A session or API token to the user it belongs to, or null.
+  function authenticate(token) {
+    if (!token || typeof token !== 'string') return null;
+    let account = token.startsWith(`${SESSION_PREFIX}.`) ? verifySession(token) : null;
+    if (!account) {
+      const hashed = hashToken(token);
+      account = Array.from(accounts.values()).find(candidate => candidate.tokens.some(stored => safeEqual(stored, hashed))) || null;
+    }
+    return account ? describe(account) : null;
+  }
+
+  return {
+    enabled: accounts.size > 0,
+    login,
+    authenticate,
+    users: () => Array.from(accounts.values()).map(describe)
+  };
+}
@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  createAuth,
+  createRateLimiter,
+  generateToken,
+  hashPassword,
+  hashToken,
+  loadUsersFile,
+  parseApiTokens,
+  saveUsersFile,
+  verifyPassword
+} from './auth.js';
+
+const SECRET = 'x'.repeat(32);
+
+function createClock(start = 1_000_000) {
+  let at = start;
+  return { now: () => at, advance: (ms) => { at += ms; } };
+}
+
+test('passwords and tokens are only stored as hashes', () => {
+  const stored = hashPassword('hunter22');
+  assert.match(stored, /^scrypt:[0-9a-f]{32}:[0-9a-f]{64}$/);
+  assert.equal(verifyPassword('hunter22', stored), true);
+  assert.equal(verifyPassword('hunter23', stored), false);
+  assert.equal(verifyPassword('hunter22', 'plain-text'), false);
+  assert.match(hashToken('abc'), /^sha256:[0-9a-f]{64}$/);
+  assert.notEqual(generateToken(), generateToken());
+});
+
+test('VEO_API_TOKENS entries need a user and a long token', () => {
+  assert.deepEqual(parseApiTokens('ci:0123456789abcdef, ops:fedcba9876543210'), ['ci:0123456789abcdef', 'ops:fedcba9876543210']);
+  assert.throws(() => parseApiTokens('ci:0123456789abcdef,short:123'), /entry 2 should be user:token/);
+  assert.throws(() => parseApiTokens('0123456789abcdef0123'), /entry 1/);
+});
+
+test('sessions are signed, expire and need a known user', () => {
+  const clock = createClock();
+  const users = { alice: { password: hashPassword('hunter22'), admin: true, dailyGenerations: 5 } };
+  const auth = createAuth({ users, secret: SECRET, sessionTtlMs: 1000, ratePerMinute: 10, dailyGenerations: 50, now: clock.now });
+  assert.equal(auth.enabled, true);
+  assert.equal(auth.login('alice', 'wrong'), null);
+  assert.equal(auth.login('mallory', 'hunter22'), null);
+
+  const session = auth.login('alice', 'hunter22');
+  assert.deepEqual(session.user, { name: 'alice', admin: true, ratePerMinute: 10, dailyGenerations: 5 });
+  assert.deepEqual(auth.authenticate(session.token), session.user);
+
+  const [prefix, payload, signature] = session.token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'alice', exp: clock.now() + 10 ** 9 })).toString('base64url');
+  assert.equal(auth.authenticate(`${prefix}.${forged}.${signature}`), null);
+  assert.equal(createAuth({ users, secret: 'y'.repeat(32), now: clock.now }).authenticate(session.token), null);
+  assert.deepEqual(createAuth({ users, secret: SECRET, now: clock.now }).authenticate(`${prefix}.${payload}.${signature}`).name, 'alice');
+
+  clock.advance(1000);
+  assert.equal(auth.authenticate(session.token), null);
+});
+
+test('API tokens from the users file and the environment', () => {
+  const token = generateToken();
+  const auth = createAuth({
+    users: { bob: { tokens: [hashToken(token)], ratePerMinute: 0 } },
+    apiTokens: ['ci:0123456789abcdef'],
+    ratePerMinute: 10
+  });
+  assert.equal(auth.authenticate(token).name, 'bob');
+  assert.equal(auth.authenticate(token).ratePerMinute, 0);
+  assert.deepEqual(auth.authenticate('0123456789abcdef'), { name: 'ci', admin: false, ratePerMinute: 10, dailyGenerations: 0 });
+  assert.equal(auth.authenticate('ci:0123456789abcdef'), null);
+  assert.equal(auth.authenticate(''), null);
+  assert.equal(auth.login('ci', '0123456789abcdef'), null);
+  assert.equal(createAuth().enabled, false);
+});
+
+test('the rate limiter allows a rolling minute of requests per key', () => {
+  const clock = createClock();
+  const limiter = createRateLimiter({ now: clock.now });
+  assert.equal(limiter.take('alice', 2), 0);
+  clock.advance(10000);
+  assert.equal(limiter.take('alice', 2), 0);
+  assert.equal(limiter.take('alice', 2), 50000);
+  assert.equal(limiter.take('bob', 2), 0);
+  assert.equal(limiter.take('alice', 0), 0);
+  clock.advance(50000);
+  assert.equal(limiter.take('alice', 2), 0);
+});
+
+test('users files are validated on load and written without plain secrets', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'veo-users-'));
+  const file = path.join(dir, 'nested', 'users.json');
+  assert.deepEqual(await loadUsersFile(file), { users: {} });
+
+  await saveUsersFile(file, { users: { alice: { password: hashPassword('hunter22'), dailyGenerations: 3 } } });
+  assert.equal((await loadUsersFile(file)).users.alice.dailyGenerations, 3);
+  assert.equal((await fs.stat(file)).mode & 0o777, 0o600);
+
+  await fs.writeFile(file, JSON.stringify({ users: { alice: { password: 'hunter22' }, 'b b': { tokens: ['abc'], ratePerMinute: -1 } } }));
+  await assert.rejects(loadUsersFile(file), (error) => {
+    assert.match(error.message, /alice: password must be a scrypt hash/);
+    assert.match(error.message, /b b: names may only use/);
+    assert.match(error.message, /b b: tokens must be a list of sha256 hashes/);
+    assert.match(error.message, /b b: ratePerMinute must be a whole number/);
+    return true;
+  });
+  await fs.writeFile(file, '{');
+  await assert.rejects(loadUsersFile(file), /invalid JSON/);
+});
@@ -0,0 +1,118 @@
+import fs from 'node:fs/promises';
+import { extname, join } from 'node:path';
+
+// Settings a batch applies to every page. A page may override `userPrompt` and `aspectRatio`.
+export const BATCH_SETTINGS = ['model', 'resolution', 'userPrompt', 'preset', 'presetVersion', 'rulePacks', 'aspectRatio', 'priority', 'force', 'callbackUrl', 'variants', 'extendSeconds'];
+
+const PAGE_OVERRIDES = ['userPrompt', 'aspectRatio'];
+const VOLUME_IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp' };
+const VOLUME_ID_PATTERN = /^[\w][\w.-]{0,127}$/;
+
+export function createBatchInputError(message) {
+  const error = new Error(message);
+  error.batchInput = true;
+  return error;
+}
+
+export function isBatchInputError(error) {
+  return error?.batchInput === true;
+}
+
+// Checks the body of POST /api/veo/batch: either `pages` (inline images) or a
+// `volumeId`, plus shared settings. Batches run in the `batch` priority class
+// unless they ask for another. Image data is only decoded when a page runs.
+export function parseBatchRequest(body, { maxPages }) {
+  if (!body || typeof body !== 'object') throw createBatchInputError('Expected a JSON body');
+  const { pages, volumeId } = body;
+  if ((pages === undefined) === (volumeId === undefined)) {
+    throw createBatchInputError('Send either pages or volumeId');
+  }
+  const settings = { priority: 'batch' };
+  for (const key of BATCH_SETTINGS) {
+    if (body[key] !== undefined) settings[key] = body[key];
+  }
+  if (volumeId !== undefined) {
+    if (typeof volumeId !== 'string' || !VOLUME_ID_PATTERN.test(volumeId)) {
+      throw createBatchInputError('volumeId may only use letters, digits, ".", "_" and "-"');
+    }
+    return { settings, volumeId, pages: null };
+  }
+
+  if (!Array.isArray(pages) || !pages.length) throw createBatchInputError('pages must be a non-empty list');
+  if (pages.length > maxPages) {
+    throw createBatchInputError(`Too many pages: ${pages.length} (limit ${maxPages}, VEO_BATCH_MAX_PAGES)`);
+  }
+  const seen = new Set();
+  const parsed = pages.map((page, index) => {
+    if (typeof page?.imageBase64 !== 'string' || !page.imageBase64) {
+      throw createBatchInputError(`pages[${index}]: missing imageBase64`);
+    }
+    const pageNumber = page.pageNumber ?? index + 1;
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+      throw createBatchInputError(`pages[${index}]: pageNumber must be a whole number from 1`);
+    }
+    if (seen.has(pageNumber)) throw createBatchInputError(`pages[${index}]: page ${pageNumber} is listed twice`);
+    seen.add(pageNumber);
+    const overrides = Object.fromEntries(PAGE_OVERRIDES.filter(key => page[key] !== undefined).map(key => [key, page[key]]));
+    return { pageNumber, imageBase64: page.imageBase64, ...(page.mimeType ? { mimeType: page.mimeType } : {}), ...overrides };
+  });
+  return { settings, volumeId: null, pages: parsed };
+}
+
+// The page images in `<volumesDir>/<volumeId>`, in natural file name order
+// (page2 before page10), numbered from 1. Null when there is no such volume.
+export async function listVolumePages(volumesDir, volumeId, { maxPages } = {}) {
+  let names;
+  try {
+    names = await fs.readdir(join(volumesDir, volumeId));
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+    throw error;
+  }
+  const images = names
+    .filter(name => !name.startsWith('.') && VOLUME_IMAGE_TYPES[extname(name).toLowerCase()])
+    .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+  if (!images.length) throw createBatchInputError(`Volume ${volumeId} has no JPEG, PNG or WebP pages`);
+  if (maxPages && images.length > maxPages) {
+    throw createBatchInputError(`Too many pages: volume ${volumeId} has ${images.length} (limit ${maxPages}, VEO_BATCH_MAX_PAGES)`);
+  }
+  return images.map((name, index) => ({
+    pageNumber: index + 1,
+    file: name,
+    path: join(volumesDir, volumeId, name),
+    mimeType: VOLUME_IMAGE_TYPES[extname(name).toLowerCase()]
+  }));
+}
+
+// Calls `worker(item, index)` for every item with at most `limit` running at
+// once (< 1 = all at once). `worker` is expected to handle its own errors.
+export async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const lanes = Math.min(items.length, limit < 1 ? items.length : limit);
+  await Promise.all(Array.from({ length: lanes }, async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      await worker(items[index], index);
+    }
+  }));
+}
+
+// Overall state of a batch from the statuses of its page jobs: `running`
+// while any page is queued or running, then `ready` (every page), `canceled`
+// (every page), `failed` (no page ready) or `partial`.
+export function summarizeBatch(statuses, isActive) {
+  const counts = {};
+  for (const status of statuses) {
+    counts[status] = (counts[status] || 0) + 1;
+  }
+  const total = statuses.length;
+  const active = statuses.filter(isActive).length;
+  const ready = counts.ready || 0;
+  let status = 'partial';
+  if (active) status = 'running';
+  else if (ready === total) status = 'ready';
+  else if ((counts.canceled || 0) === total) status = 'canceled';
+  else if (!ready) status = 'failed';
+  return { status, total, done: total - active, counts };
+}
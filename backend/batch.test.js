@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { listVolumePages, parseBatchRequest, runWithConcurrency, summarizeBatch } from './batch.js';
+import { isJobActive } from './jobStore.js';
+
+test('parseBatchRequest takes inline pages with shared settings', () => {
+  const { settings, pages, volumeId } = parseBatchRequest({
+    pages: [{ imageBase64: 'AAAA', mimeType: 'image/png' }, { imageBase64: 'BBBB', pageNumber: 7, userPrompt: 'slow zoom', extra: true }],
+    model: 'fast',
+    resolution: '1080p',
+    userPrompt: 'rain',
+    pageIndex: 4
+  }, { maxPages: 10 });
+  assert.equal(volumeId, null);
+  assert.deepEqual(settings, { priority: 'batch', model: 'fast', resolution: '1080p', userPrompt: 'rain' });
+  assert.deepEqual(pages, [
+    { pageNumber: 1, imageBase64: 'AAAA', mimeType: 'image/png' },
+    { pageNumber: 7, imageBase64: 'BBBB', userPrompt: 'slow zoom' }
+  ]);
+  assert.equal(parseBatchRequest({ volumeId: 'vol-01', priority: 'prefetch' }, { maxPages: 1 }).settings.priority, 'prefetch');
+});
+
+test('parseBatchRequest rejects malformed batches', () => {
+  const rejects = (body, pattern) => assert.throws(() => parseBatchRequest(body, { maxPages: 2 }), (error) => {
+    assert.equal(error.batchInput, true);
+    assert.match(error.message, pattern);
+    return true;
+  });
+  rejects({}, /either pages or volumeId/);
+  rejects({ pages: [], volumeId: 'a' }, /either pages or volumeId/);
+  rejects({ pages: [] }, /non-empty list/);
+  rejects({ pages: [{ imageBase64: 'A' }, { imageBase64: 'B' }, { imageBase64: 'C' }] }, /Too many pages: 3 \(limit 2/);
+  rejects({ pages: [{ mimeType: 'image/png' }] }, /pages\[0\]: missing imageBase64/);
+  rejects({ pages: [{ imageBase64: 'A', pageNumber: 0 }] }, /pageNumber must be a whole number/);
+  rejects({ pages: [{ imageBase64: 'A', pageNumber: 2 }, { imageBase64: 'B' }] }, /pages\[1\]: page 2 is listed twice/);
+  rejects({ volumeId: '../etc' }, /volumeId may only use/);
+});
+
+test('volumes are folders of page images in natural order', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'veo-volumes-'));
+  await fs.mkdir(path.join(dir, 'vol-01'));
+  for (const name of ['page10.png', 'page2.JPG', 'page1.webp', 'notes.txt', '.page0.png']) {
+    await fs.writeFile(path.join(dir, 'vol-01', name), '');
+  }
+  const pages = await listVolumePages(dir, 'vol-01');
+  assert.deepEqual(pages.map(page => [page.pageNumber, page.file, page.mimeType]), [
+    [1, 'page1.webp', 'image/webp'],
+    [2, 'page2.JPG', 'image/jpeg'],
+    [3, 'page10.png', 'image/png']
+  ]);
+  assert.equal(pages[0].path, path.join(dir, 'vol-01', 'page1.webp'));
+  assert.equal(await listVolumePages(dir, 'missing'), null);
+  await assert.rejects(listVolumePages(dir, 'vol-01', { maxPages: 2 }), /volume vol-01 has 3 \(limit 2/);
+  await fs.mkdir(path.join(dir, 'empty'));
+  await assert.rejects(listVolumePages(dir, 'empty'), /has no JPEG, PNG or WebP pages/);
+});
+
+test('runWithConcurrency keeps at most `limit` workers busy', async () => {
+  let running = 0;
+  let peak = 0;
+  const seen = [];
+  const worker = async (item) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    seen.push(item);
+    running -= 1;
+  };
+  await runWithConcurrency([1, 2, 3, 4, 5], 2, worker);
+  assert.equal(peak, 2);
+  assert.deepEqual(seen.sort(), [1, 2, 3, 4, 5]);
+
+  peak = 0;
+  await runWithConcurrency([1, 2, 3], 0, worker);
+  assert.equal(peak, 3);
+  await runWithConcurrency([], 2, worker);
+});
+
+test('summarizeBatch derives the batch state from its pages', () => {
+  const summarize = (statuses) => summarizeBatch(statuses, status => isJobActive({ status }));
+  assert.deepEqual(summarize(['ready', 'running', 'queued']), {
+    status: 'running', total: 3, done: 1, counts: { ready: 1, running: 1, queued: 1 }
+  });
+  assert.equal(summarize(['ready', 'ready']).status, 'ready');
+  assert.equal(summarize(['canceled', 'canceled']).status, 'canceled');
+  assert.equal(summarize(['failed', 'canceled']).status, 'failed');
+  assert.equal(summarize(['ready', 'quota_exceeded']).status, 'partial');
+});
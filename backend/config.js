@@ -0,0 +1,359 @@
+import { join } from 'node:path';
+import { DEFAULT_PROMPT_PRESET } from './promptTemplates.js';
+import { SAFETY_RETRY_TIERS, parseSafetyRetryTiers } from './safetyRetry.js';
+import { parseApiTokens } from './auth.js';
+import { LOG_FORMATS, LOG_LEVELS } from './logger.js';
+import { STORAGE_KINDS } from './storage.js';
+import { MAX_VIDEO_VARIANTS } from './veoUtils.js';
+
+// Every environment variable the backend reads. `default` may be a function of
+// the values resolved so far (entries resolve in order). Empty strings count as
+// unset. `secret` values are masked wherever the config is shown.
+export const CONFIG_SCHEMA = {
+  PORT: { type: 'integer', min: 1, max: 65535, default: 3001, description: 'HTTP port' },
+  GEMINI_API_KEY: { type: 'string', secret: true, description: 'Gemini API key (required unless mock mode)' },
+  GEMINI_API_KEYS: { type: 'list', secret: true, default: [], description: 'More Gemini API keys to spread Veo calls over' },
+  GOOGLE_CLOUD_PROJECT: { type: 'string', description: 'Google Cloud project for Vertex AI' },
+  GOOGLE_APPLICATION_CREDENTIALS: { type: 'string', description: 'Service account JSON for Vertex AI and GCS' },
+  USE_MOCK_MODE: { type: 'boolean', default: false, description: 'Serve mock videos instead of calling Veo' },
+  VEO_PROVIDER: {
+    type: 'enum',
+    values: ['gemini', 'vertex'],
+    default: 'gemini',
+    description: 'Veo provider (USE_MOCK_MODE=true overrides it with mock)'
+  },
+  VEO_MODEL: { type: 'string', default: 'veo-3.1-generate-preview', description: 'Gemini API Veo model' },
+  VEO_MODEL_FAST: { type: 'string', default: 'veo-3.1-fast-generate-preview', description: 'Model used for "fast" requests' },
+  VEO_DURATION_SECONDS: { type: 'integer', min: 4, max: 8, default: 4, description: 'Clip length; Veo accepts 4 to 8 seconds' },
+  VEO_EXTEND_MAX_SECONDS: {
+    type: 'integer',
+    min: 0,
+    max: 120,
+    default: 0,
+    description: 'Longest page animation extend mode may chain clips into (0 turns extend mode off)'
+  },
+  VEO_FFMPEG_PATH: { type: 'string', default: 'ffmpeg', description: 'ffmpeg binary extend mode uses to cut frames and join clips' },
+  VEO_INCLUDE_IMAGE: { type: 'boolean', default: true, description: 'Send the page image with the request' },
+  VEO_REQUIRE_IMAGE: { type: 'boolean', default: true, description: 'Fail instead of falling back to prompt-only' },
+  VEO_ALLOW_IMAGE_FALLBACK: { type: 'boolean', default: false, description: 'Retry without the image when it is rejected' },
+  VEO_GEMINI_IMAGE_MODE: {
+    type: 'enum',
+    values: ['first_frame', 'reference'],
+    default: 'first_frame',
+    description: 'How the Gemini API receives the image'
+  },
+  VEO_PERSON_GENERATION: {
+    type: 'enum',
+    values: ['allow_adult', 'allow_all', 'dont_allow'],
+    description: 'personGeneration parameter (omitted when unset)'
+  },
+  VEO_NUMBER_OF_VIDEOS: { type: 'integer', min: 1, max: MAX_VIDEO_VARIANTS, description: 'Videos (variants) per page when a request does not set `variants` (Gemini numberOfVideos is omitted when unset)' },
+  VEO_MAX_CONCURRENT: { type: 'integer', min: 0, default: 1, description: 'Concurrent Veo calls (0 = unlimited)' },
+  VEO_USE_GEMINI3_PROMPT: { type: 'boolean', default: false, description: 'Analyze the page with Gemini before prompting' },
+  VEO_MINIMAL_PROMPT: { type: 'boolean', default: true, description: 'Use the minimal prompt template' },
+  VEO_DEBUG_PROMPT: { type: 'boolean', default: false, description: 'Log and return the full prompt' },
+  VEO_LOG_FORMAT: { type: 'enum', values: LOG_FORMATS, default: 'pretty', description: 'Log output: pretty (readable lines) or json (one object per line)' },
+  VEO_LOG_LEVEL: { type: 'enum', values: LOG_LEVELS, default: 'info', description: 'Lowest log level printed (debug adds every poll)' },
+  GEMINI3_ANALYSIS_MODEL: { type: 'string', default: 'gemini-3-flash-preview', description: 'Gemini model for scene analysis' },
+  GEMINI3_PROMPT_MODEL: {
+    type: 'string',
+    default: (config) => config.GEMINI3_ANALYSIS_MODEL,
+    description: 'Gemini model for the prompt builder'
+  },
+  GEMINI3_THINKING_LEVEL: { type: 'enum', values: ['minimal', 'low', 'medium', 'high'], description: 'Gemini thinking level' },
+  VEO_PROMPTS_DIR: { type: 'string', default: (_config, baseDir) => join(baseDir, 'prompts'), description: 'Prompt template directory' },
+  VEO_PROMPT_PRESET: { type: 'string', default: DEFAULT_PROMPT_PRESET, description: 'Default prompt preset' },
+  VEO_RULE_PACKS_DIR: { type: 'string', default: (_config, baseDir) => join(baseDir, 'rulePacks'), description: 'Rule pack directory' },
+  VEO_RULE_PACKS: { type: 'list', default: [], description: 'Series rule packs applied by default' },
+  VEO_SAFETY_RETRY_TIERS: {
+    type: 'list',
+    parse: parseSafetyRetryTiers,
+    default: () => [...SAFETY_RETRY_TIERS],
+    description: 'Prompt tiers tried after a safety-filter block'
+  },
+  VEO_SAFETY_MAX_ATTEMPTS: { type: 'integer', min: 1, default: 3, description: 'Provider calls per page, including the first' },
+  VERTEX_LOCATION: { type: 'string', default: 'us-central1', description: 'Vertex AI region' },
+  VERTEX_LOCATIONS: {
+    type: 'list',
+    default: (config) => [config.VERTEX_LOCATION],
+    description: 'Vertex AI regions to spread Veo calls over'
+  },
+  VERTEX_MODEL: { type: 'string', default: (config) => config.VEO_MODEL, description: 'Vertex AI Veo model' },
+  VERTEX_OUTPUT_GCS_URI: { type: 'string', description: 'gs:// bucket/prefix for Vertex outputs (required for vertex)' },
+  VERTEX_ACCESS_TOKEN: { type: 'string', secret: true, description: 'Static bearer token instead of service account credentials' },
+  GEMINI_API_BASE_URL: { type: 'url', default: 'https://generativelanguage.googleapis.com', description: 'Gemini API base URL' },
+  VERTEX_API_BASE_URL: {
+    type: 'url',
+    default: (config) => `https://${config.VERTEX_LOCATION}-aiplatform.googleapis.com`,
+    description: 'Vertex AI base URL'
+  },
+  GCS_API_BASE_URL: { type: 'url', default: 'https://storage.googleapis.com', description: 'Cloud Storage base URL' },
+  VEO_POLL_INTERVAL_MS: { type: 'integer', min: 100, default: 5000, description: 'Upstream poll interval' },
+  VEO_MAX_POLLS: { type: 'integer', min: 1, default: 180, description: 'Polls before giving up on an operation' },
+  VEO_CREDENTIAL_COOLDOWN_MS: { type: 'integer', min: 0, default: 1000, description: 'First cooldown after a 429 without Retry-After' },
+  VEO_CREDENTIAL_MAX_COOLDOWN_MS: { type: 'integer', min: 0, default: 60000, description: 'Longest cooldown after repeated 429s' },
+  VEO_DATA_DIR: { type: 'string', default: (_config, baseDir) => join(baseDir, 'data'), description: 'Local state directory' },
+  VEO_VIDEO_CACHE: { type: 'boolean', default: true, description: 'Reuse finished videos for identical requests' },
+  VEO_STORAGE: { type: 'enum', values: STORAGE_KINDS, default: 'local', description: 'Where finished videos are kept: local disk, a GCS bucket or an S3-compatible bucket' },
+  VEO_STORAGE_DIR: { type: 'string', default: (config) => config.VEO_DATA_DIR, description: 'Folder of the local store (videos go in cache/ and downloads/ below it)' },
+  VEO_STORAGE_URI: { type: 'string', description: 'gs://bucket/prefix or s3://bucket/prefix of the gcs or s3 store' },
+  VEO_S3_REGION: { type: 'string', default: 'us-east-1', description: 'Region the S3 requests are signed for' },
+  VEO_S3_ENDPOINT: {
+    type: 'url',
+    default: (config) => `https://s3.${config.VEO_S3_REGION}.amazonaws.com`,
+    description: 'S3 API endpoint, e.g. http://localhost:9000 for MinIO'
+  },
+  VEO_S3_ACCESS_KEY_ID: { type: 'string', secret: true, description: 'S3 access key' },
+  VEO_S3_SECRET_ACCESS_KEY: { type: 'string', secret: true, description: 'S3 secret key' },
+  VEO_S3_PATH_STYLE: { type: 'boolean', default: true, description: 'Put the bucket in the URL path (MinIO) instead of the host name (AWS)' },
+  VEO_DOWNLOAD_MAX_AGE_SECONDS: { type: 'integer', min: 0, default: 0, description: 'How long browsers reuse a downloaded video without revalidating (0 = always revalidate)' },
+  VEO_DOWNLOAD_SECRET: { type: 'string', secret: true, description: 'Key that signs download links (VEO_AUTH_SECRET, or random per boot, when unset)' },
+  VEO_DOWNLOAD_LINK_TTL_SECONDS: { type: 'integer', min: 60, default: 3600, description: 'How long a download link works' },
+  VEO_RETENTION_OUTPUT_DAYS: { type: 'number', min: 0, default: 30, description: 'Days Vertex outputs stay in the bucket unless pinned (0 = forever)' },
+  VEO_RETENTION_SWEEP_MINUTES: { type: 'integer', min: 0, default: 60, description: 'Minutes between automatic bucket cleanups (0 = only POST /api/storage/cleanup)' },
+  VEO_BATCH_MAX_PAGES: { type: 'integer', min: 1, default: 200, description: 'Most pages in one POST /api/veo/batch' },
+  VEO_VOLUMES_DIR: {
+    type: 'string',
+    default: (config) => join(config.VEO_DATA_DIR, 'volumes'),
+    description: 'Page image folders a batch can name by volumeId'
+  },
+  VEO_BUDGET_DAILY_USD: { type: 'number', min: 0, description: 'Daily spend limit in USD' },
+  VEO_BUDGET_MONTHLY_USD: { type: 'number', min: 0, description: 'Monthly spend limit in USD' },
+  VEO_PRICING_JSON: { type: 'json', default: () => ({}), description: 'Per-second price overrides' },
+  VEO_IMAGE_MIN_LONG_SIDE: { type: 'integer', min: 16, default: 720, description: 'Smaller pages are scaled up to this long side' },
+  VEO_IMAGE_MAX_LONG_SIDE: { type: 'integer', min: 16, default: 1920, description: 'Larger pages are scaled down to this long side' },
+  VEO_IMAGE_PAD_COLOR: {
+    type: 'string',
+    default: '#000000',
+    description: 'Fill around pages padded to 9:16 or 16:9 (#rrggbb)'
+  },
+  VEO_IMAGE_JPEG_QUALITY: { type: 'integer', min: 1, max: 100, default: 85, description: 'JPEG quality of re-encoded pages' },
+  VEO_IMAGE_MAX_PIXELS: { type: 'integer', min: 1, default: 40000000, description: 'Largest page image accepted, in pixels' },
+  VEO_USERS_FILE: {
+    type: 'string',
+    default: (config) => join(config.VEO_DATA_DIR, 'users.json'),
+    description: 'Local accounts (npm run veo:users); auth is on once anyone is listed'
+  },
+  VEO_API_TOKENS: { type: 'list', secret: true, parse: parseApiTokens, default: [], description: 'Static user:token API tokens' },
+  VEO_AUTH_REQUIRED: { type: 'boolean', default: false, description: 'Refuse to start without any users or tokens' },
+  VEO_AUTH_SECRET: { type: 'string', secret: true, description: 'Key that signs login sessions (random per boot when unset)' },
+  VEO_SESSION_TTL_HOURS: { type: 'integer', min: 1, default: 168, description: 'How long a login lasts' },
+  VEO_USER_RATE_PER_MINUTE: { type: 'integer', min: 0, default: 30, description: 'Generation requests per user per minute (0 = unlimited)' },
+  VEO_USER_DAILY_GENERATIONS: { type: 'integer', min: 0, default: 200, description: 'Paid generations per user per UTC day (0 = unlimited)' },
+  VEO_WEBHOOK_URL: { type: 'url', secret: true, description: 'Receives a signed POST for every finished generation' },
+  VEO_WEBHOOK_SECRET: { type: 'string', secret: true, description: 'Key that signs webhook payloads (webhooks are off without it)' },
+  VEO_WEBHOOK_ALLOWED_HOSTS: { type: 'list', default: [], description: 'Hosts a request\'s own callbackUrl may point at (*.example.com allowed)' },
+  VEO_WEBHOOK_MAX_ATTEMPTS: { type: 'integer', min: 1, max: 20, default: 6, description: 'Delivery attempts per webhook, with exponential backoff' },
+  VEO_WEBHOOK_TIMEOUT_MS: { type: 'integer', min: 100, default: 10000, description: 'Time a webhook receiver has to answer' },
+  CORS_ORIGINS: {
+    type: 'list',
+    default: () => ['http://localhost:5173', 'http://127.0.0.1:5173'],
+    description: 'Browser origins allowed to call the API (* = any)'
+  },
+  MOCK_DELAY_MS: { type: 'integer', min: 0, default: 6000, description: 'Mock generation time' },
+  MOCK_POLL_INTERVAL_MS: { type: 'integer', min: 50, default: 1000, description: 'Mock poll interval' },
+  MOCK_FAILURE_RATE: { type: 'number', min: 0, max: 1, default: 0, description: 'Share of mock generations that fail' },
+  MOCK_SAFETY_FILTER_RATE: { type: 'number', min: 0, max: 1, default: 0, description: 'Share of mock generations that are filtered' }
+};
+
+const BOOLEAN_VALUES = { true: true, false: false, 1: true, 0: false, yes: true, no: false };
+
+function describeRange({ min, max }) {
+  if (min !== undefined && max !== undefined) return `between ${min} and ${max}`;
+  return min !== undefined ? `at least ${min}` : `at most ${max}`;
+}
+
+// Turns one raw string into a typed value. Throws a message without the name.
+function parseValue(spec, raw) {
+  switch (spec.type) {
+    case 'boolean': {
+      const value = BOOLEAN_VALUES[raw.toLowerCase()];
+      if (value === undefined) throw new Error(`expected true or false, got "${raw}"`);
+      return value;
+    }
+    case 'integer':
+    case 'number': {
+      const value = Number(raw);
+      if (!Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+        throw new Error(`expected ${spec.type === 'integer' ? 'an integer' : 'a number'}, got "${raw}"`);
+      }
+      if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        throw new Error(`must be ${describeRange(spec)}, got ${value}`);
+      }
+      return value;
+    }
+    case 'enum': {
+      const value = raw.toLowerCase();
+      if (!spec.values.includes(value)) throw new Error(`expected one of ${spec.values.join(', ')}, got "${raw}"`);
+      return value;
+    }
+    case 'url': {
+      if (!/^https?:\/\/[^/]+/.test(raw)) throw new Error(`expected an http(s) URL, got "${raw}"`);
+      return raw.replace(/\/+$/, '');
+    }
+    case 'json': {
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        throw new Error(`invalid JSON (${error.message})`);
+      }
+    }
+    case 'list':
+      return spec.parse ? spec.parse(raw) : raw.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return raw;
+  }
+}
+
+// Settings that are valid one by one but not together.
+function checkCombinations(config, errors, warnings) {
+  const provider = config.VEO_PROVIDER;
+  if (config.VEO_REQUIRE_IMAGE && !config.VEO_INCLUDE_IMAGE) {
+    errors.push('VEO_REQUIRE_IMAGE=true needs VEO_INCLUDE_IMAGE=true (or set VEO_REQUIRE_IMAGE=false for prompt-only requests).');
+  }
+  if (provider !== 'mock' && !config.GEMINI_API_KEY) {
+    errors.push(`GEMINI_API_KEY is required for the ${provider} provider (or set USE_MOCK_MODE=true).`);
+  }
+  if (provider === 'vertex') {
+    if (!config.GOOGLE_CLOUD_PROJECT) {
+      errors.push('VEO_PROVIDER=vertex needs GOOGLE_CLOUD_PROJECT.');
+    }
+    if (!config.VERTEX_OUTPUT_GCS_URI) {
+      errors.push('VEO_PROVIDER=vertex needs VERTEX_OUTPUT_GCS_URI (gs://bucket/prefix).');
+    } else if (!/^gs:\/\/[^/]+/.test(config.VERTEX_OUTPUT_GCS_URI)) {
+      errors.push(`VERTEX_OUTPUT_GCS_URI must look like gs://bucket/prefix, got "${config.VERTEX_OUTPUT_GCS_URI}".`);
+    }
+    if (!config.VERTEX_ACCESS_TOKEN && !config.GOOGLE_APPLICATION_CREDENTIALS) {
+      warnings.push('Neither VERTEX_ACCESS_TOKEN nor GOOGLE_APPLICATION_CREDENTIALS is set; Vertex calls use application default credentials.');
+    }
+  }
+  if (provider !== 'gemini' && config.GEMINI_API_KEYS.length) {
+    warnings.push('GEMINI_API_KEYS only applies to the gemini provider.');
+  }
+  if (provider !== 'vertex' && config.VERTEX_LOCATIONS.length > 1) {
+    warnings.push('VERTEX_LOCATIONS only applies to the vertex provider.');
+  }
+  if (config.VEO_CREDENTIAL_COOLDOWN_MS > config.VEO_CREDENTIAL_MAX_COOLDOWN_MS) {
+    warnings.push('VEO_CREDENTIAL_COOLDOWN_MS is higher than VEO_CREDENTIAL_MAX_COOLDOWN_MS; every cooldown is capped at the maximum.');
+  }
+  if (config.VEO_EXTEND_MAX_SECONDS && config.VEO_EXTEND_MAX_SECONDS < 2 * config.VEO_DURATION_SECONDS) {
+    warnings.push(`VEO_EXTEND_MAX_SECONDS=${config.VEO_EXTEND_MAX_SECONDS} is shorter than two ${config.VEO_DURATION_SECONDS}s clips, so extend mode never chains any.`);
+  }
+  if (config.VEO_EXTEND_MAX_SECONDS && !config.VEO_INCLUDE_IMAGE) {
+    errors.push('VEO_EXTEND_MAX_SECONDS needs VEO_INCLUDE_IMAGE=true: each continuation starts from the previous clip\'s last frame.');
+  }
+  if (config.VEO_REQUIRE_IMAGE && config.VEO_ALLOW_IMAGE_FALLBACK) {
+    warnings.push('VEO_ALLOW_IMAGE_FALLBACK has no effect while VEO_REQUIRE_IMAGE=true.');
+  }
+  if (provider === 'mock' && config.VEO_USE_GEMINI3_PROMPT) {
+    warnings.push('VEO_USE_GEMINI3_PROMPT is ignored in mock mode.');
+  }
+  if (Number.isFinite(config.VEO_BUDGET_DAILY_USD) && Number.isFinite(config.VEO_BUDGET_MONTHLY_USD) &&
+    config.VEO_BUDGET_DAILY_USD > config.VEO_BUDGET_MONTHLY_USD) {
+    warnings.push('VEO_BUDGET_DAILY_USD is higher than VEO_BUDGET_MONTHLY_USD; the monthly limit always applies first.');
+  }
+  if (config.VEO_STORAGE === 'local') {
+    if (config.VEO_STORAGE_URI) warnings.push('VEO_STORAGE_URI only applies to VEO_STORAGE=gcs or s3.');
+  } else {
+    const scheme = config.VEO_STORAGE === 'gcs' ? 'gs' : 's3';
+    if (!config.VEO_STORAGE_URI) {
+      errors.push(`VEO_STORAGE=${config.VEO_STORAGE} needs VEO_STORAGE_URI (${scheme}://bucket/prefix).`);
+    } else if (!new RegExp(`^${scheme}://[^/]+`).test(config.VEO_STORAGE_URI)) {
+      errors.push(`VEO_STORAGE_URI must look like ${scheme}://bucket/prefix for VEO_STORAGE=${config.VEO_STORAGE}, got "${config.VEO_STORAGE_URI}".`);
+    }
+    if (config.VEO_STORAGE === 's3' && (!config.VEO_S3_ACCESS_KEY_ID || !config.VEO_S3_SECRET_ACCESS_KEY)) {
+      errors.push('VEO_STORAGE=s3 needs VEO_S3_ACCESS_KEY_ID and VEO_S3_SECRET_ACCESS_KEY.');
+    }
+  }
+  if (config.VEO_IMAGE_MIN_LONG_SIDE > config.VEO_IMAGE_MAX_LONG_SIDE) {
+    errors.push('VEO_IMAGE_MIN_LONG_SIDE must not be larger than VEO_IMAGE_MAX_LONG_SIDE.');
+  }
+  if (!/^#[0-9a-f]{6}$/i.test(config.VEO_IMAGE_PAD_COLOR)) {
+    errors.push(`VEO_IMAGE_PAD_COLOR must be a #rrggbb color, got "${config.VEO_IMAGE_PAD_COLOR}".`);
+  }
+  if (config.VEO_AUTH_SECRET && config.VEO_AUTH_SECRET.length < 32) {
+    errors.push('VEO_AUTH_SECRET must be at least 32 characters.');
+  }
+  if (config.VEO_DOWNLOAD_SECRET && config.VEO_DOWNLOAD_SECRET.length < 32) {
+    errors.push('VEO_DOWNLOAD_SECRET must be at least 32 characters.');
+  }
+  if (!config.VEO_WEBHOOK_SECRET && (config.VEO_WEBHOOK_URL || config.VEO_WEBHOOK_ALLOWED_HOSTS.length)) {
+    errors.push('VEO_WEBHOOK_URL and VEO_WEBHOOK_ALLOWED_HOSTS need VEO_WEBHOOK_SECRET to sign deliveries.');
+  }
+  if (config.VEO_WEBHOOK_SECRET && config.VEO_WEBHOOK_SECRET.length < 16) {
+    errors.push('VEO_WEBHOOK_SECRET must be at least 16 characters.');
+  }
+  const invalidHosts = config.VEO_WEBHOOK_ALLOWED_HOSTS.filter(host => !/^(\*\.)?[a-z0-9.-]+(:\d+)?$/i.test(host));
+  if (invalidHosts.length) {
+    errors.push(`VEO_WEBHOOK_ALLOWED_HOSTS entries must be host names like hooks.example.com or *.example.com, got ${invalidHosts.map(host => `"${host}"`).join(', ')}.`);
+  }
+  if (config.CORS_ORIGINS.includes('*')) {
+    warnings.push('CORS_ORIGINS=* lets any website call the API from a visitor\'s browser.');
+  } else {
+    const invalid = config.CORS_ORIGINS.filter(origin => !/^https?:\/\/[^/]+$/.test(origin));
+    if (invalid.length) {
+      errors.push(`CORS_ORIGINS entries must be origins like https://reader.example.com, got ${invalid.map(origin => `"${origin}"`).join(', ')}.`);
+    }
+  }
+  if (config.VEO_PRICING_JSON && (typeof config.VEO_PRICING_JSON !== 'object' || Array.isArray(config.VEO_PRICING_JSON))) {
+    errors.push('VEO_PRICING_JSON must be a JSON object of price tables.');
+  }
+}
+
+// Reads `env` against CONFIG_SCHEMA. Never throws: bad values end up in
+// `errors` (boot should stop) or `warnings` (worth logging).
+export function loadConfig(env = process.env, { baseDir = process.cwd() } = {}) {
+  const config = {};
+  const sources = {};
+  const errors = [];
+  const warnings = [];
+  for (const [name, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const raw = typeof env[name] === 'string' ? env[name].trim() : '';
+    if (raw) {
+      try {
+        config[name] = parseValue(spec, raw);
+        sources[name] = 'env';
+        continue;
+      } catch (error) {
+        errors.push(`${name}: ${error.message}`);
+      }
+    }
+    config[name] = typeof spec.default === 'function' ? spec.default(config, baseDir) : spec.default;
+    sources[name] = 'default';
+  }
+
+  // Mock mode must work offline, so it replaces the provider and never calls
+  // Gemini for scene analysis.
+  if (config.USE_MOCK_MODE) {
+    config.VEO_PROVIDER = 'mock';
+    sources.VEO_PROVIDER = 'derived';
+  }
+  checkCombinations(config, errors, warnings);
+  if (config.VEO_PROVIDER === 'mock' && config.VEO_USE_GEMINI3_PROMPT) {
+    config.VEO_USE_GEMINI3_PROMPT = false;
+    sources.VEO_USE_GEMINI3_PROMPT = 'derived';
+  }
+
+  return { config: Object.freeze(config), sources, errors, warnings };
+}
+
+export function maskSecret(value) {
+  if (!value) return 'missing';
+  if (value.length <= 10) return '***';
+  return `${value.slice(0, 6)}...${value.slice(-4)}`;
+}
+
+// The resolved settings with secrets masked, for /health and veo-doctor.
+export function describeConfig({ config, sources }) {
+  const view = {};
+  for (const [name, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const value = config[name];
+    view[name] = {
+      value: spec.secret
+        ? (Array.isArray(value) ? value.map(maskSecret) : maskSecret(value))
+        : (value === undefined ? null : value),
+      source: sources[name]
+    };
+  }
+  return view;
+}
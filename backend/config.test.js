@@ -0,0 +1,154 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CONFIG_SCHEMA, describeConfig, loadConfig } from './config.js';
+
+const BACKEND_DIR = path.dirname(fileURLToPath(import.meta.url));
+const MOCK = { USE_MOCK_MODE: 'true' };
+
+function readEnvExample() {
+  const lines = readFileSync(path.join(BACKEND_DIR, '..', '.env.example'), 'utf8').split('\n');
+  return lines
+    .map(line => line.match(/^(#\s*)?([A-Z][A-Z0-9_]+)=(.*)$/))
+    .filter(Boolean)
+    .map(([, commented, name, value]) => ({ name, value: value.replace(/^"(.*)"$/, '$1'), commented: Boolean(commented) }));
+}
+
+test('defaults resolve without any environment in mock mode', () => {
+  const { config, sources, errors } = loadConfig(MOCK, { baseDir: '/srv/backend' });
+  assert.deepEqual(errors, []);
+  assert.equal(config.VEO_PROVIDER, 'mock');
+  assert.equal(sources.VEO_PROVIDER, 'derived');
+  assert.equal(config.VEO_DURATION_SECONDS, 4);
+  assert.equal(config.VEO_GEMINI_IMAGE_MODE, 'first_frame');
+  assert.equal(config.VEO_DATA_DIR, path.join('/srv/backend', 'data'));
+  assert.equal(config.VERTEX_API_BASE_URL, 'https://us-central1-aiplatform.googleapis.com');
+  assert.ok(Object.isFrozen(config));
+});
+
+test('values are typed and derived defaults follow them', () => {
+  const { config, errors } = loadConfig({
+    ...MOCK,
+    VEO_MODEL: 'veo-x',
+    GEMINI3_ANALYSIS_MODEL: 'gemini-y',
+    VERTEX_LOCATION: 'europe-west4',
+    GEMINI_API_BASE_URL: 'http://localhost:4010//',
+    VEO_MAX_CONCURRENT: '0',
+    VEO_INCLUDE_IMAGE: 'TRUE',
+    VEO_BUDGET_DAILY_USD: '2.5',
+    VEO_RULE_PACKS: 'a, b',
+    VEO_PRICING_JSON: '{"veo-x":{"720p":0.01}}',
+    VEO_PROMPT_PRESET: '  '
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(config.VERTEX_MODEL, 'veo-x');
+  assert.equal(config.GEMINI3_PROMPT_MODEL, 'gemini-y');
+  assert.equal(config.VERTEX_API_BASE_URL, 'https://europe-west4-aiplatform.googleapis.com');
+  assert.equal(config.GEMINI_API_BASE_URL, 'http://localhost:4010');
+  assert.equal(config.VEO_MAX_CONCURRENT, 0);
+  assert.equal(config.VEO_INCLUDE_IMAGE, true);
+  assert.equal(config.VEO_BUDGET_DAILY_USD, 2.5);
+  assert.deepEqual(config.VEO_RULE_PACKS, ['a', 'b']);
+  assert.deepEqual(config.VEO_PRICING_JSON, { 'veo-x': { '720p': 0.01 } });
+  assert.equal(config.VEO_PROMPT_PRESET, 'high-impact-action');
+});
+
+test('bad values are reported by name instead of silently replaced', () => {
+  const { errors } = loadConfig({
+    ...MOCK,
+    VEO_DURATION_SECONDS: '12',
+    VEO_MAX_POLLS: 'lots',
+    VEO_DEBUG_PROMPT: 'maybe',
+    VEO_GEMINI_IMAGE_MODE: 'sideways',
+    GCS_API_BASE_URL: 'storage.local',
+    VEO_PRICING_JSON: '{',
+    VEO_SAFETY_RETRY_TIERS: 'neutral,louder'
+  });
+  assert.equal(errors.length, 7);
+  assert.match(errors.join('\n'), /VEO_DURATION_SECONDS: must be between 4 and 8, got 12/);
+  assert.match(errors.join('\n'), /VEO_MAX_POLLS: expected an integer, got "lots"/);
+  assert.match(errors.join('\n'), /VEO_DEBUG_PROMPT: expected true or false/);
+  assert.match(errors.join('\n'), /VEO_GEMINI_IMAGE_MODE: expected one of first_frame, reference/);
+  assert.match(errors.join('\n'), /GCS_API_BASE_URL: expected an http\(s\) URL/);
+  assert.match(errors.join('\n'), /VEO_PRICING_JSON: invalid JSON/);
+  assert.match(errors.join('\n'), /VEO_SAFETY_RETRY_TIERS: Unknown safety retry tier: louder/);
+});
+
+test('conflicting settings fail, odd ones warn', () => {
+  const vertex = loadConfig({ VEO_PROVIDER: 'vertex', VEO_INCLUDE_IMAGE: 'false' });
+  assert.deepEqual(vertex.errors, [
+    'VEO_REQUIRE_IMAGE=true needs VEO_INCLUDE_IMAGE=true (or set VEO_REQUIRE_IMAGE=false for prompt-only requests).',
+    'GEMINI_API_KEY is required for the vertex provider (or set USE_MOCK_MODE=true).',
+    'VEO_PROVIDER=vertex needs GOOGLE_CLOUD_PROJECT.',
+    'VEO_PROVIDER=vertex needs VERTEX_OUTPUT_GCS_URI (gs://bucket/prefix).'
+  ]);
+  assert.match(vertex.warnings.join('\n'), /application default credentials/);
+
+  const badBucket = loadConfig({ VEO_PROVIDER: 'vertex', GEMINI_API_KEY: 'k', GOOGLE_CLOUD_PROJECT: 'p', VERTEX_OUTPUT_GCS_URI: 'bucket/out' });
+  assert.deepEqual(badBucket.errors, ['VERTEX_OUTPUT_GCS_URI must look like gs://bucket/prefix, got "bucket/out".']);
+
+  const mock = loadConfig({ ...MOCK, VEO_USE_GEMINI3_PROMPT: 'true', VEO_BUDGET_DAILY_USD: '10', VEO_BUDGET_MONTHLY_USD: '5' });
+  assert.deepEqual(mock.errors, []);
+  assert.equal(mock.config.VEO_USE_GEMINI3_PROMPT, false);
+  assert.equal(mock.warnings.length, 2);
+
+  const access = loadConfig({ ...MOCK, CORS_ORIGINS: 'https://reader.example.com,reader.example.com/', VEO_AUTH_SECRET: 'short', VEO_DOWNLOAD_SECRET: 'short' });
+  assert.deepEqual(access.errors, [
+    'VEO_AUTH_SECRET must be at least 32 characters.',
+    'VEO_DOWNLOAD_SECRET must be at least 32 characters.',
+    'CORS_ORIGINS entries must be origins like https://reader.example.com, got "reader.example.com/".'
+  ]);
+  assert.match(loadConfig({ ...MOCK, CORS_ORIGINS: '*' }).warnings.join('\n'), /any website/);
+
+  const s3 = loadConfig({ ...MOCK, VEO_STORAGE: 's3', VEO_STORAGE_URI: 'gs://bucket/videos', VEO_S3_ACCESS_KEY_ID: 'minio' });
+  assert.deepEqual(s3.errors, [
+    'VEO_STORAGE_URI must look like s3://bucket/prefix for VEO_STORAGE=s3, got "gs://bucket/videos".',
+    'VEO_STORAGE=s3 needs VEO_S3_ACCESS_KEY_ID and VEO_S3_SECRET_ACCESS_KEY.'
+  ]);
+  assert.deepEqual(loadConfig({ ...MOCK, VEO_STORAGE: 'gcs' }).errors, ['VEO_STORAGE=gcs needs VEO_STORAGE_URI (gs://bucket/prefix).']);
+  assert.match(loadConfig({ ...MOCK, VEO_STORAGE_URI: 's3://bucket' }).warnings.join('\n'), /only applies to VEO_STORAGE=gcs or s3/);
+
+  assert.match(loadConfig({ ...MOCK, VEO_DURATION_SECONDS: '8', VEO_EXTEND_MAX_SECONDS: '12' }).warnings.join('\n'), /never chains any/);
+  assert.deepEqual(loadConfig({ ...MOCK, VEO_EXTEND_MAX_SECONDS: '24', VEO_INCLUDE_IMAGE: 'false', VEO_REQUIRE_IMAGE: 'false' }).errors, [
+    'VEO_EXTEND_MAX_SECONDS needs VEO_INCLUDE_IMAGE=true: each continuation starts from the previous clip\'s last frame.'
+  ]);
+
+  const hooks = loadConfig({ ...MOCK, VEO_WEBHOOK_URL: 'https://hooks.example.com/veo', VEO_WEBHOOK_ALLOWED_HOSTS: 'hooks.example.com,https://x' });
+  assert.deepEqual(hooks.errors, [
+    'VEO_WEBHOOK_URL and VEO_WEBHOOK_ALLOWED_HOSTS need VEO_WEBHOOK_SECRET to sign deliveries.',
+    'VEO_WEBHOOK_ALLOWED_HOSTS entries must be host names like hooks.example.com or *.example.com, got "https://x".'
+  ]);
+  assert.deepEqual(loadConfig({ ...MOCK, VEO_WEBHOOK_ALLOWED_HOSTS: '*.example.com', VEO_WEBHOOK_SECRET: 'x'.repeat(16) }).errors, []);
+});
+
+test('describeConfig masks secrets and records where values came from', () => {
+  const view = describeConfig(loadConfig({ GEMINI_API_KEY: 'AIzaSyExampleKey1234', VEO_MODEL: 'veo-x' }));
+  assert.deepEqual(view.GEMINI_API_KEY, { value: 'AIzaSy...1234', source: 'env' });
+  assert.deepEqual(view.VEO_MODEL, { value: 'veo-x', source: 'env' });
+  assert.deepEqual(view.VERTEX_MODEL, { value: 'veo-x', source: 'default' });
+  assert.deepEqual(view.VERTEX_ACCESS_TOKEN, { value: 'missing', source: 'default' });
+  assert.deepEqual(Object.keys(view), Object.keys(CONFIG_SCHEMA));
+});
+
+test('.env.example documents every setting with valid values and the real defaults', () => {
+  const entries = readEnvExample();
+  const names = entries.map(entry => entry.name);
+  for (const name of Object.keys(CONFIG_SCHEMA)) {
+    assert.ok(names.includes(name), `${name} is missing from .env.example`);
+  }
+  for (const { name } of entries) {
+    assert.ok(CONFIG_SCHEMA[name], `${name} in .env.example is not a known setting`);
+  }
+
+  const env = Object.fromEntries(entries.map(({ name, value }) => [name, value]));
+  assert.deepEqual(loadConfig({ ...env, USE_MOCK_MODE: 'false' }).errors, []);
+
+  const defaults = loadConfig(MOCK, { baseDir: BACKEND_DIR }).config;
+  for (const { name, value, commented } of entries) {
+    if (commented || CONFIG_SCHEMA[name].default === undefined || name === 'USE_MOCK_MODE') continue;
+    const parsed = loadConfig({ ...MOCK, [name]: value }, { baseDir: BACKEND_DIR }).config[name];
+    assert.deepEqual(parsed, defaults[name], `${name}=${value} in .env.example differs from the default`);
+  }
+});
@@ -0,0 +1,185 @@
+import { maskSecret } from './config.js';
+
+const QUOTA_ERROR_PATTERN = /\b429\b|RESOURCE_EXHAUSTED|quota/i;
+const AUTH_ERROR_PATTERN = /\b(401|403)\b|API_KEY_INVALID|API key not valid|PERMISSION_DENIED/i;
+
+export function isQuotaError(error) {
+  return QUOTA_ERROR_PATTERN.test(error?.message || String(error || ''));
+}
+
+export function isAuthError(error) {
+  return AUTH_ERROR_PATTERN.test(error?.message || String(error || ''));
+}
+
+// One credential per Gemini key or Vertex region, in the order configured.
+// Ids are stable across restarts as long as that order is, and never contain
+// the key itself, so they are safe to persist with a job.
+export function buildCredentials({ provider, apiKeys = [], locations = [], vertexBaseUrl }) {
+  if (provider === 'mock') return [{ id: 'mock', kind: 'mock', label: 'mock' }];
+  if (provider === 'vertex') {
+    return Array.from(new Set(locations)).map(location => ({
+      id: `vertex-${location}`,
+      kind: 'vertex',
+      label: location,
+      location,
+      baseUrl: vertexBaseUrl ? vertexBaseUrl(location) : `https://${location}-aiplatform.googleapis.com`
+    }));
+  }
+  return Array.from(new Set(apiKeys.filter(Boolean))).map((apiKey, index) => ({
+    id: `gemini-${index + 1}`,
+    kind: 'gemini',
+    label: maskSecret(apiKey),
+    apiKey
+  }));
+}
+
+// Spreads provider calls over several credentials. Each has its own in-flight
+// count and cooldown: a 429 cools down only the credential that got it, for
+// Retry-After or an exponential backoff that resets on the next success. A
+// Gemini key the API rejects is marked unhealthy and skipped for `unhealthyMs`.
+export function createCredentialPool({
+  credentials,
+  baseCooldownMs = 1000,
+  maxCooldownMs = 60000,
+  unhealthyMs = 5 * 60 * 1000,
+  now = Date.now
+}) {
+  if (!credentials?.length) throw new Error('Credential pool needs at least one credential');
+  const states = credentials.map((credential, order) => ({
+    credential,
+    order,
+    inFlight: 0,
+    cooldownUntil: 0,
+    unhealthy: false,
+    strikes: 0,
+    lastPickedAt: 0,
+    requests: 0,
+    rateLimits: 0,
+    failures: 0,
+    lastError: null
+  }));
+  const byId = new Map(states.map(state => [state.credential.id, state]));
+
+  function stateOf(credentialOrId) {
+    const id = typeof credentialOrId === 'string' ? credentialOrId : credentialOrId?.id;
+    return byId.get(id) || null;
+  }
+
+  function isReady(state, at = now()) {
+    return state.cooldownUntil <= at;
+  }
+
+  // Least in-flight wins; ties go to the credential picked longest ago, so
+  // sequential requests rotate. Returns `{ credential }` or, when every
+  // candidate is cooling down, `{ waitMs }` until the first one is ready.
+  function pick({ exclude = [] } = {}) {
+    const at = now();
+    const excluded = new Set(exclude);
+    let candidates = states.filter(state => !excluded.has(state.credential.id));
+    if (!candidates.length) candidates = states;
+    const ready = candidates.filter(state => isReady(state, at));
+    if (!ready.length) {
+      const next = Math.min(...candidates.map(state => state.cooldownUntil));
+      return { credential: null, waitMs: Math.max(0, next - at) };
+    }
+    const best = ready.reduce((a, b) => (
+      b.inFlight < a.inFlight || (b.inFlight === a.inFlight && b.lastPickedAt < a.lastPickedAt) ? b : a
+    ));
+    best.lastPickedAt = at;
+    return { credential: best.credential, waitMs: 0 };
+  }
+
+  // Counts a call against the credential until the returned release runs.
+  function begin(credentialOrId) {
+    const state = stateOf(credentialOrId);
+    if (!state) return () => {};
+    state.inFlight += 1;
+    state.requests += 1;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      state.inFlight = Math.max(0, state.inFlight - 1);
+    };
+  }
+
+  // Records a 429 and returns how long the credential now cools down.
+  function rateLimited(credentialOrId, retryAfterMs = null) {
+    const state = stateOf(credentialOrId);
+    if (!state) return baseCooldownMs;
+    state.strikes += 1;
+    state.rateLimits += 1;
+    state.lastError = 'rate limited';
+    const backoff = Math.min(baseCooldownMs * 2 ** (state.strikes - 1), maxCooldownMs);
+    const waitMs = Number.isFinite(retryAfterMs) && retryAfterMs > 0 ? retryAfterMs : backoff;
+    state.cooldownUntil = Math.max(state.cooldownUntil, now() + waitMs);
+    return waitMs;
+  }
+
+  function succeeded(credentialOrId) {
+    const state = stateOf(credentialOrId);
+    if (!state) return;
+    state.strikes = 0;
+    state.unhealthy = false;
+    state.lastError = null;
+  }
+
+  // Quota errors cool the credential down; a rejected Gemini key is taken out
+  // of rotation. Other failures are counted but do not affect picking.
+  function failed(credentialOrId, error) {
+    const state = stateOf(credentialOrId);
+    if (!state) return;
+    const message = error?.message || String(error);
+    state.failures += 1;
+    if (isQuotaError(error)) {
+      if (isReady(state)) rateLimited(state.credential);
+    } else if (state.credential.kind === 'gemini' && isAuthError(error)) {
+      state.unhealthy = true;
+      state.cooldownUntil = Math.max(state.cooldownUntil, now() + unhealthyMs);
+    }
+    state.lastError = message.slice(0, 200);
+  }
+
+  // Whether another credential outside `exclude` could take the call right now.
+  function hasAlternative(credentialOrId, exclude = []) {
+    const id = typeof credentialOrId === 'string' ? credentialOrId : credentialOrId?.id;
+    const excluded = new Set([...exclude, id]);
+    const at = now();
+    return states.some(state => !excluded.has(state.credential.id) && isReady(state, at));
+  }
+
+  function get(id) {
+    return byId.get(id)?.credential || null;
+  }
+
+  function snapshot() {
+    const at = now();
+    return states.map(state => {
+      const cooling = !isReady(state, at);
+      return {
+        id: state.credential.id,
+        kind: state.credential.kind,
+        label: state.credential.label,
+        status: cooling ? (state.unhealthy ? 'unhealthy' : 'cooling') : 'healthy',
+        inFlight: state.inFlight,
+        ...(cooling ? { cooldownMs: state.cooldownUntil - at } : {}),
+        requests: state.requests,
+        rateLimits: state.rateLimits,
+        failures: state.failures,
+        ...(state.lastError ? { lastError: state.lastError } : {})
+      };
+    });
+  }
+
+  return {
+    credentials: states.map(state => state.credential),
+    pick,
+    begin,
+    rateLimited,
+    succeeded,
+    failed,
+    hasAlternative,
+    get,
+    snapshot
+  };
+}
@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCredentials, createCredentialPool, isAuthError, isQuotaError } from './credentialPool.js';
+
+function createClock(start = 1_000_000) {
+  let at = start;
+  return { now: () => at, advance: (ms) => { at += ms; } };
+}
+
+function createPool(keys = ['key-one-1234567', 'key-two-1234567', 'key-three-12345'], options = {}) {
+  const clock = createClock();
+  const pool = createCredentialPool({
+    credentials: buildCredentials({ provider: 'gemini', apiKeys: keys }),
+    baseCooldownMs: 1000,
+    maxCooldownMs: 8000,
+    now: clock.now,
+    ...options
+  });
+  return { pool, clock };
+}
+
+test('buildCredentials gives stable ids without exposing keys', () => {
+  const gemini = buildCredentials({ provider: 'gemini', apiKeys: ['AIzaSyFirstKey0001', '', 'AIzaSyFirstKey0001', 'AIzaSySecondKey0002'] });
+  assert.deepEqual(gemini.map(({ id, label }) => ({ id, label })), [
+    { id: 'gemini-1', label: 'AIzaSy...0001' },
+    { id: 'gemini-2', label: 'AIzaSy...0002' }
+  ]);
+
+  const vertex = buildCredentials({ provider: 'vertex', locations: ['us-central1', 'europe-west4'] });
+  assert.equal(vertex[1].id, 'vertex-europe-west4');
+  assert.equal(vertex[1].baseUrl, 'https://europe-west4-aiplatform.googleapis.com');
+  const emulated = buildCredentials({ provider: 'vertex', locations: ['us-central1'], vertexBaseUrl: () => 'http://localhost:4010' });
+  assert.equal(emulated[0].baseUrl, 'http://localhost:4010');
+
+  assert.deepEqual(buildCredentials({ provider: 'mock' }).map(c => c.id), ['mock']);
+  assert.throws(() => createCredentialPool({ credentials: [] }), /at least one credential/);
+});
+
+test('the least loaded credential is picked, rotating on ties', () => {
+  const { pool } = createPool();
+  const first = pool.pick().credential;
+  const release = pool.begin(first);
+  const second = pool.pick().credential;
+  pool.begin(second);
+  const third = pool.pick().credential;
+  assert.deepEqual([first.id, second.id, third.id], ['gemini-1', 'gemini-2', 'gemini-3']);
+
+  release();
+  release();
+  assert.equal(pool.pick().credential.id, 'gemini-1');
+  assert.equal(pool.snapshot()[0].inFlight, 0);
+});
+
+test('a 429 cools down only that credential, with backoff until a success', () => {
+  const { pool, clock } = createPool(['key-one-1234567', 'key-two-1234567']);
+  assert.equal(pool.rateLimited('gemini-1'), 1000);
+  assert.equal(pool.rateLimited('gemini-1'), 2000);
+  assert.equal(pool.hasAlternative('gemini-1'), true);
+  assert.equal(pool.pick().credential.id, 'gemini-2');
+  assert.equal(pool.pick().credential.id, 'gemini-2');
+  assert.equal(pool.snapshot()[0].status, 'cooling');
+
+  assert.equal(pool.rateLimited('gemini-2', 5000), 5000);
+  assert.equal(pool.hasAlternative('gemini-2'), false);
+  assert.deepEqual(pool.pick(), { credential: null, waitMs: 2000 });
+
+  clock.advance(2000);
+  assert.equal(pool.pick().credential.id, 'gemini-1');
+  assert.equal(pool.rateLimited('gemini-1'), 4000);
+  pool.succeeded('gemini-1');
+  clock.advance(4000);
+  assert.equal(pool.rateLimited('gemini-1'), 1000);
+  for (let i = 0; i < 6; i += 1) pool.rateLimited('gemini-1');
+  assert.equal(pool.snapshot()[0].cooldownMs, 8000);
+});
+
+test('failures cool down on quota errors and drop rejected Gemini keys', () => {
+  const { pool, clock } = createPool(['key-one-1234567', 'key-two-1234567'], { unhealthyMs: 60000 });
+  pool.failed('gemini-1', new Error('API error 400: API key not valid. Please pass a valid API key.'));
+  assert.equal(pool.snapshot()[0].status, 'unhealthy');
+  assert.equal(pool.pick({ exclude: [] }).credential.id, 'gemini-2');
+
+  pool.failed('gemini-2', new Error('Vertex API error 500: backend error'));
+  assert.equal(pool.snapshot()[1].status, 'healthy');
+  assert.equal(pool.snapshot()[1].lastError, 'Vertex API error 500: backend error');
+
+  pool.failed('gemini-2', new Error('Quota exceeded for aiplatform.googleapis.com'));
+  assert.equal(pool.snapshot()[1].status, 'cooling');
+  clock.advance(60000);
+  assert.deepEqual(pool.snapshot().map(entry => entry.status), ['healthy', 'healthy']);
+  pool.succeeded('gemini-1');
+  assert.equal(pool.snapshot()[0].lastError, undefined);
+});
+
+test('exclude skips credentials a call already failed on', () => {
+  const { pool } = createPool();
+  assert.equal(pool.pick({ exclude: ['gemini-1', 'gemini-2'] }).credential.id, 'gemini-3');
+  assert.equal(pool.hasAlternative('gemini-3', ['gemini-1', 'gemini-2']), false);
+  assert.ok(pool.pick({ exclude: ['gemini-1', 'gemini-2', 'gemini-3'] }).credential);
+});
+
+test('error classification', () => {
+  assert.equal(isQuotaError(new Error('API error 429: Rate limited')), true);
+  assert.equal(isQuotaError(new Error('Vertex API error 429: RESOURCE_EXHAUSTED')), true);
+  assert.equal(isQuotaError(new Error('Video generation timed out')), false);
+  assert.equal(isAuthError(new Error('API error 403: PERMISSION_DENIED')), true);
+  assert.equal(isAuthError(new Error('API error 400: `imageBytes` isn\'t supported')), false);
+});
@@ -0,0 +1,79 @@
+import { createCipheriv, createDecipheriv, createHmac, hkdfSync, randomBytes, timingSafeEqual } from 'node:crypto';
+
+const IV_BYTES = 16;
+const MAC_BYTES = 32;
+
+export function createDownloadLinkError(message, reason) {
+  const error = new Error(message);
+  error.downloadLink = reason;
+  return error;
+}
+
+export function isDownloadLinkError(error) {
+  return typeof error?.downloadLink === 'string';
+}
+
+// Download tokens name a video without showing where it lives: the expiry and
+// URI are encrypted (AES-256-CTR) and the result is HMAC-SHA256 signed, both
+// with keys derived from `secret`. The same video gets the same token within a
+// quarter of the lifetime, so browser caches keep working.
+export function createDownloadLinks({ secret = randomBytes(32), ttlSeconds = 3600, now = Date.now } = {}) {
+  const derive = (purpose) => Buffer.from(hkdfSync('sha256', secret, '', `manga-veo download links ${purpose}`, 32));
+  const encryptionKey = derive('encryption');
+  const macKey = derive('signature');
+  const mac = (data) => createHmac('sha256', macKey).update(data).digest();
+
+  // Expiry rounded up so repeated calls agree; at least `ttlSeconds` away.
+  function expiryFor(lifetime) {
+    const step = Math.max(1, Math.floor(lifetime / 4));
+    return Math.ceil((Math.floor(now() / 1000) + lifetime) / step) * step;
+  }
+
+  function issue(videoUrl, { ttlSeconds: lifetime = ttlSeconds } = {}) {
+    const plaintext = Buffer.from(`${expiryFor(lifetime)}\n${videoUrl}`, 'utf8');
+    // Synthetic IV: deterministic per plaintext, so equal links stay equal.
+    const iv = mac(Buffer.concat([Buffer.from('iv\n'), plaintext])).subarray(0, IV_BYTES);
+    const cipher = createCipheriv('aes-256-ctr', encryptionKey, iv);
+    const sealed = Buffer.concat([iv, cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([sealed, mac(sealed)]).toString('base64url');
+  }
+
+  // The video URI behind a token. Throws a download link error (`invalid` or
+  // `expired`) for anything this server did not issue or that ran out.
+  function open(token) {
+    const data = typeof token === 'string' && /^[\w-]+$/.test(token) ? Buffer.from(token, 'base64url') : Buffer.alloc(0);
+    if (data.length <= IV_BYTES + MAC_BYTES) throw createDownloadLinkError('Invalid download link', 'invalid');
+    const sealed = data.subarray(0, data.length - MAC_BYTES);
+    if (!timingSafeEqual(mac(sealed), data.subarray(data.length - MAC_BYTES))) {
+      throw createDownloadLinkError('Invalid download link', 'invalid');
+    }
+    const decipher = createDecipheriv('aes-256-ctr', encryptionKey, sealed.subarray(0, IV_BYTES));
+    const plaintext = Buffer.concat([decipher.update(sealed.subarray(IV_BYTES)), decipher.final()]).toString('utf8');
+    const newline = plaintext.indexOf('\n');
+    const expiresAt = Number(plaintext.slice(0, newline));
+    if (!(expiresAt * 1000 > now())) {
+      throw createDownloadLinkError('Download link expired. Fetch the job again for a new one.', 'expired');
+    }
+    return { videoUrl: plaintext.slice(newline + 1), expiresAt: expiresAt * 1000 };
+  }
+
+  return { issue, open };
+}
+
+// Provider outputs this server may hand out: objects under the Vertex output
+// prefix (`gcsOutputUri`) and Gemini API files.
+export function isProviderOutputUri(uri, { gcsOutputUri, geminiApiBaseUrl }) {
+  const object = /^gs:\/\/([^/]+)\/(.+)$/.exec(uri);
+  if (object) {
+    const output = /^gs:\/\/([^/]+)\/?(.*)$/.exec(gcsOutputUri || '');
+    if (!output || object[1] !== output[1] || object[2].split('/').includes('..')) return false;
+    const prefix = output[2].replace(/\/+$/, '');
+    return !prefix || object[2].startsWith(`${prefix}/`);
+  }
+  try {
+    const url = new URL(uri);
+    return url.origin === new URL(geminiApiBaseUrl).origin && url.pathname.startsWith('/v1beta/files/');
+  } catch {
+    return false;
+  }
+}
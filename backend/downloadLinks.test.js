@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createDownloadLinks, isDownloadLinkError, isProviderOutputUri } from './downloadLinks.js';
+
+const VIDEO = 'gs://veo-out/renders/123/sample_0.mp4';
+
+test('links are opaque, stable for a while and open to the same video', () => {
+  let time = 1_700_000_000_000;
+  const links = createDownloadLinks({ secret: 'download-secret', ttlSeconds: 3600, now: () => time });
+  const token = links.issue(VIDEO);
+  assert.match(token, /^[\w-]+$/);
+  assert.ok(!Buffer.from(token, 'base64url').toString('latin1').includes('veo-out'), 'the URI is not readable');
+  assert.equal(links.issue(VIDEO), token);
+  assert.notEqual(links.issue('cache://videos/other.mp4'), token);
+
+  const { videoUrl, expiresAt } = links.open(token);
+  assert.equal(videoUrl, VIDEO);
+  assert.ok(expiresAt >= time + 3600 * 1000 && expiresAt <= time + 4500 * 1000);
+
+  time = expiresAt;
+  assert.throws(() => links.open(token), error => isDownloadLinkError(error) && error.downloadLink === 'expired');
+});
+
+test('tampered, foreign and malformed tokens are refused', () => {
+  const links = createDownloadLinks({ secret: 'download-secret' });
+  const token = links.issue(VIDEO);
+  const bytes = Buffer.from(token, 'base64url');
+  bytes[20] ^= 1;
+  const invalid = (error) => isDownloadLinkError(error) && error.downloadLink === 'invalid';
+  assert.throws(() => links.open(bytes.toString('base64url')), invalid);
+  assert.throws(() => createDownloadLinks({ secret: 'other-secret' }).open(token), invalid);
+  assert.throws(() => links.open('gs://veo-out/renders/123/sample_0.mp4'), invalid);
+  assert.throws(() => links.open(''), invalid);
+  assert.throws(() => links.open(token.slice(0, 40)), invalid);
+});
+
+test('only our own provider outputs count', () => {
+  const options = { gcsOutputUri: 'gs://veo-out/renders/', geminiApiBaseUrl: 'https://generativelanguage.googleapis.com' };
+  assert.equal(isProviderOutputUri(VIDEO, options), true);
+  assert.equal(isProviderOutputUri('gs://veo-out/other/secret.mp4', options), false);
+  assert.equal(isProviderOutputUri('gs://veo-out/renders/../other/secret.mp4', options), false);
+  assert.equal(isProviderOutputUri('gs://veo-out-2/renders/a.mp4', options), false);
+  assert.equal(isProviderOutputUri('gs://any/a.mp4', { ...options, gcsOutputUri: undefined }), false);
+  assert.equal(isProviderOutputUri('gs://veo-out/a.mp4', { ...options, gcsOutputUri: 'gs://veo-out' }), true);
+  assert.equal(isProviderOutputUri('https://generativelanguage.googleapis.com/v1beta/files/abc:download?alt=media', options), true);
+  assert.equal(isProviderOutputUri('https://generativelanguage.googleapis.com/v1beta/models', options), false);
+  assert.equal(isProviderOutputUri('https://evil.example/v1beta/files/abc', options), false);
+  assert.equal(isProviderOutputUri('not a url', options), false);
+});
@@ -0,0 +1,167 @@
+import sharp from 'sharp';
+
+export const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+export const VEO_ASPECT_RATIOS = ['9:16', '16:9'];
+
+const FORMAT_MIME_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+// Veo takes these as they are; anything else is re-encoded as JPEG.
+const PASSTHROUGH_TYPES = ['image/jpeg', 'image/png'];
+const MIN_SOURCE_SIDE = 16;
+
+export function createImageInputError(message) {
+  const error = new Error(message);
+  error.imageInput = true;
+  return error;
+}
+
+export function isImageInputError(error) {
+  return error?.imageInput === true;
+}
+
+// Splits `data:<mime>;base64,<data>` or bare base64 into its parts.
+export function parseImagePayload(imageBase64, mimeType) {
+  const match = /^data:([^;,]+)?(?:;[^,]*)?,(.*)$/s.exec(imageBase64);
+  return {
+    data: match ? match[2] : imageBase64,
+    mimeType: String(mimeType || match?.[1] || '').toLowerCase().replace(/^image\/jpg$/, 'image/jpeg')
+  };
+}
+
+// Whether `width`x`height` is already 9:16 or 16:9 (to the pixel) and could
+// have come out of planNormalization: padding never makes the short side
+// longer than maxLongSide or the long side shorter than minLongSide.
+function fitsVeoFrame({ width, height, minLongSide, maxLongSide, aspectRatio }) {
+  const ratio = height > width ? '9:16' : '16:9';
+  const [long, short] = ratio === '9:16' ? [height, width] : [width, height];
+  if (aspectRatio && aspectRatio !== ratio) return null;
+  const exact = short === Math.round(long * (9 / 16)) || long === Math.round(short * (16 / 9));
+  return exact && long >= minLongSide && short <= maxLongSide ? ratio : null;
+}
+
+// The same geometry the reader uses in the browser: scale the long side into
+// [minLongSide, maxLongSide], then pad to 9:16 (tall pages) or 16:9 (wide ones)
+// around the centered page. `aspectRatio` forces the padding target. Images
+// that already fit a Veo frame are left alone, so normalizing twice is a no-op.
+export function planNormalization({ width, height, minLongSide = 720, maxLongSide = 1920, aspectRatio }) {
+  const fitted = fitsVeoFrame({ width, height, minLongSide, maxLongSide, aspectRatio });
+  if (fitted) {
+    return { aspectRatio: fitted, scaledWidth: width, scaledHeight: height, width, height, left: 0, top: 0, unchanged: true };
+  }
+  const longSide = Math.max(width, height);
+  const targetLongSide = Math.min(maxLongSide, Math.max(minLongSide, longSide));
+  const scale = targetLongSide / longSide;
+  const scaledWidth = Math.round(width * scale);
+  const scaledHeight = Math.round(height * scale);
+  const chosen = VEO_ASPECT_RATIOS.includes(aspectRatio)
+    ? aspectRatio
+    : (scaledHeight > scaledWidth ? '9:16' : '16:9');
+
+  let padWidth;
+  let padHeight;
+  if (chosen === '9:16') {
+    padHeight = scaledHeight;
+    padWidth = Math.round(scaledHeight * (9 / 16));
+    if (padWidth < scaledWidth) {
+      padWidth = scaledWidth;
+      padHeight = Math.round(scaledWidth * (16 / 9));
+    }
+  } else {
+    padWidth = scaledWidth;
+    padHeight = Math.round(scaledWidth * (9 / 16));
+    if (padHeight < scaledHeight) {
+      padHeight = scaledHeight;
+      padWidth = Math.round(scaledHeight * (16 / 9));
+    }
+  }
+
+  return {
+    aspectRatio: chosen,
+    scaledWidth,
+    scaledHeight,
+    width: padWidth,
+    height: padHeight,
+    left: Math.round((padWidth - scaledWidth) / 2),
+    top: Math.round((padHeight - scaledHeight) / 2),
+    unchanged: false
+  };
+}
+
+// Decodes a page image (JPEG, PNG or WebP), checks it against the declared
+// `mimeType` (sniffed when omitted), and returns it scaled and padded for Veo.
+// JPEG and PNG images that already fit pass through byte for byte, so the
+// reader's pre-processed pages keep their cache keys.
+export function createImageNormalizer({
+  minLongSide = 720,
+  maxLongSide = 1920,
+  padColor = '#000000',
+  jpegQuality = 85,
+  maxInputPixels = 40_000_000
+} = {}) {
+  async function normalize({ imageBase64, mimeType, aspectRatio } = {}) {
+    if (typeof imageBase64 !== 'string' || !imageBase64) {
+      throw createImageInputError('imageBase64 must be a base64 string');
+    }
+    const payload = parseImagePayload(imageBase64, mimeType);
+    if (payload.mimeType && !SUPPORTED_IMAGE_TYPES.includes(payload.mimeType)) {
+      throw createImageInputError(`Unsupported image type: ${payload.mimeType} (expected ${SUPPORTED_IMAGE_TYPES.join(', ')})`);
+    }
+    if (aspectRatio !== undefined && aspectRatio !== null && !VEO_ASPECT_RATIOS.includes(aspectRatio)) {
+      throw createImageInputError(`Unsupported aspectRatio: ${aspectRatio} (expected ${VEO_ASPECT_RATIOS.join(' or ')})`);
+    }
+
+    const input = Buffer.from(payload.data, 'base64');
+    let metadata;
+    try {
+      // Only the header is read here; the size limit is checked below with a clearer message.
+      metadata = await sharp(input, { limitInputPixels: false }).metadata();
+    } catch (error) {
+      throw createImageInputError(`Could not decode the image (${error.message})`);
+    }
+    const detected = FORMAT_MIME_TYPES[metadata.format];
+    if (!detected) {
+      throw createImageInputError(`Unsupported image format: ${metadata.format || 'unknown'} (expected ${SUPPORTED_IMAGE_TYPES.join(', ')})`);
+    }
+    if (payload.mimeType && detected !== payload.mimeType) {
+      throw createImageInputError(`mimeType says ${payload.mimeType} but the data is ${detected}`);
+    }
+    // EXIF orientation 5-8 swaps the sides once the page is rotated upright.
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+    if (!(width >= MIN_SOURCE_SIDE && height >= MIN_SOURCE_SIDE)) {
+      throw createImageInputError(`Image is too small: ${width}x${height} (each side needs at least ${MIN_SOURCE_SIDE}px)`);
+    }
+    if (width * height > maxInputPixels) {
+      throw createImageInputError(`Image is too large: ${width}x${height} (limit ${maxInputPixels} pixels)`);
+    }
+
+    const plan = planNormalization({ width, height, minLongSide, maxLongSide, aspectRatio });
+    const source = { width, height, mimeType: detected, bytes: input.length };
+    if (plan.unchanged && !(metadata.orientation > 1) && PASSTHROUGH_TYPES.includes(detected)) {
+      return { imageBase64: payload.data, mimeType: detected, aspectRatio: plan.aspectRatio, width, height, source, changed: false };
+    }
+
+    const scaled = await sharp(input, { limitInputPixels: maxInputPixels })
+      .rotate()
+      .resize(plan.scaledWidth, plan.scaledHeight, { fit: 'fill' })
+      .flatten({ background: padColor })
+      .toBuffer();
+    const output = await sharp({
+      create: { width: plan.width, height: plan.height, channels: 3, background: padColor }
+    })
+      .composite([{ input: scaled, left: plan.left, top: plan.top }])
+      .jpeg({ quality: jpegQuality })
+      .toBuffer();
+    return {
+      imageBase64: output.toString('base64'),
+      mimeType: 'image/jpeg',
+      aspectRatio: plan.aspectRatio,
+      width: plan.width,
+      height: plan.height,
+      source,
+      changed: true
+    };
+  }
+
+  return { normalize };
+}
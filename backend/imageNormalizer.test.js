@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { createImageNormalizer, parseImagePayload, planNormalization } from './imageNormalizer.js';
+
+async function makeImage(width, height, format = 'png', color = '#ff0000') {
+  const buffer = await sharp({ create: { width, height, channels: 3, background: color } })[format]().toBuffer();
+  return buffer.toString('base64');
+}
+
+async function pixelAt(base64, x, y) {
+  const { data, info } = await sharp(Buffer.from(base64, 'base64')).raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + x) * info.channels;
+  return [data[offset], data[offset + 1], data[offset + 2]];
+}
+
+test('planNormalization scales into bounds and pads like the reader', () => {
+  assert.deepEqual(planNormalization({ width: 400, height: 300 }), {
+    aspectRatio: '16:9', scaledWidth: 720, scaledHeight: 540, width: 960, height: 540, left: 120, top: 0, unchanged: false
+  });
+  const tall = planNormalization({ width: 3000, height: 5000 });
+  assert.deepEqual([tall.aspectRatio, tall.scaledWidth, tall.scaledHeight, tall.width, tall.height], ['9:16', 1152, 1920, 1152, 2048]);
+  assert.equal(planNormalization({ width: 1000, height: 1000 }).aspectRatio, '16:9');
+  assert.equal(planNormalization({ width: 1000, height: 1000, aspectRatio: '9:16' }).height, 1778);
+
+  for (const [width, height] of [[1190, 1684], [1684, 1190], [400, 300], [595, 842]]) {
+    const once = planNormalization({ width, height });
+    assert.equal(planNormalization({ width: once.width, height: once.height }).unchanged, true, `${width}x${height}`);
+  }
+  assert.equal(planNormalization({ width: 1080, height: 1920, aspectRatio: '16:9' }).unchanged, false);
+  assert.equal(planNormalization({ width: 2160, height: 3840 }).unchanged, false);
+});
+
+test('parseImagePayload accepts data URLs and bare base64', () => {
+  assert.deepEqual(parseImagePayload('data:image/png;base64,AAAA'), { data: 'AAAA', mimeType: 'image/png' });
+  assert.deepEqual(parseImagePayload('AAAA', 'image/JPG'), { data: 'AAAA', mimeType: 'image/jpeg' });
+  assert.deepEqual(parseImagePayload('AAAA'), { data: 'AAAA', mimeType: '' });
+});
+
+test('raw pages of any supported type come out padded JPEGs', async () => {
+  const normalizer = createImageNormalizer({ padColor: '#00ff00' });
+  const wide = await normalizer.normalize({ imageBase64: await makeImage(400, 300), mimeType: 'image/png' });
+  assert.equal(wide.mimeType, 'image/jpeg');
+  assert.equal(wide.aspectRatio, '16:9');
+  assert.deepEqual([wide.width, wide.height, wide.changed], [960, 540, true]);
+  assert.deepEqual(wide.source, { width: 400, height: 300, mimeType: 'image/png', bytes: wide.source.bytes });
+  const metadata = await sharp(Buffer.from(wide.imageBase64, 'base64')).metadata();
+  assert.deepEqual([metadata.format, metadata.width, metadata.height], ['jpeg', 960, 540]);
+  const [padR, padG] = await pixelAt(wide.imageBase64, 20, 270);
+  const [pageR, pageG] = await pixelAt(wide.imageBase64, 480, 270);
+  assert.ok(padG > 200 && padR < 50, 'padding uses the fill color');
+  assert.ok(pageR > 200 && pageG < 50, 'the page is centered');
+
+  const tall = await normalizer.normalize({ imageBase64: `data:image/webp;base64,${await makeImage(600, 1000, 'webp')}` });
+  assert.deepEqual([tall.aspectRatio, tall.width, tall.height, tall.source.mimeType], ['9:16', 600, 1067, 'image/webp']);
+});
+
+test('pages that already fit pass through untouched', async () => {
+  const normalizer = createImageNormalizer();
+  const jpeg = await makeImage(1080, 1920, 'jpeg');
+  const result = await normalizer.normalize({ imageBase64: jpeg, mimeType: 'image/jpeg', aspectRatio: '9:16' });
+  assert.equal(result.imageBase64, jpeg);
+  assert.equal(result.changed, false);
+
+  const webp = await normalizer.normalize({ imageBase64: await makeImage(1080, 1920, 'webp'), mimeType: 'image/webp' });
+  assert.deepEqual([webp.mimeType, webp.changed], ['image/jpeg', true]);
+});
+
+test('bad inputs are rejected with a reason', async () => {
+  const normalizer = createImageNormalizer({ maxInputPixels: 1_000_000 });
+  const png = await makeImage(400, 300);
+  const rejects = (input, pattern) => assert.rejects(normalizer.normalize(input), (error) => {
+    assert.equal(error.imageInput, true);
+    assert.match(error.message, pattern);
+    return true;
+  });
+  await rejects({ imageBase64: png, mimeType: 'image/jpeg' }, /mimeType says image\/jpeg but the data is image\/png/);
+  await rejects({ imageBase64: png, mimeType: 'image/gif' }, /Unsupported image type: image\/gif/);
+  await rejects({ imageBase64: await makeImage(400, 300, 'gif') }, /Unsupported image format: gif/);
+  await rejects({ imageBase64: 'bm90IGFuIGltYWdl', mimeType: 'image/png' }, /Could not decode the image/);
+  await rejects({ imageBase64: await makeImage(8, 300) }, /too small: 8x300/);
+  await rejects({ imageBase64: await makeImage(2000, 1000) }, /too large: 2000x1000/);
+  await rejects({ imageBase64: png, aspectRatio: '4:3' }, /Unsupported aspectRatio: 4:3/);
+  await rejects({ imageBase64: '' }, /imageBase64 must be a base64 string/);
+});
@@ -0,0 +1,59 @@
+export const TERMINAL_STAGES = ['ready', 'failed', 'rate_limited', 'budget_exceeded', 'quota_exceeded', 'canceled'];
+
+export function isTerminalStage(stage) {
+  return TERMINAL_STAGES.includes(stage);
+}
+
+export function formatSseEvent(event) {
+  return `id: ${event.seq}\nevent: progress\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+// Fan-out of per-job progress events. Each job keeps a short history so a
+// client that connects late (or reconnects) can replay what it missed.
+export function createJobEvents({ historyLimit = 100, retainMs = 10 * 60 * 1000, now = Date.now } = {}) {
+  const histories = new Map();
+  const listeners = new Map();
+
+  function publish(jobId, event) {
+    const history = histories.get(jobId) || [];
+    const entry = { ...event, jobId, seq: (history.at(-1)?.seq || 0) + 1, at: now() };
+    history.push(entry);
+    if (history.length > historyLimit) {
+      // Keep the first event so the replay still shows where the job started.
+      history.splice(1, history.length - historyLimit);
+    }
+    histories.set(jobId, history);
+
+    for (const listener of listeners.get(jobId) || []) {
+      try {
+        listener(entry);
+      } catch (error) {
+        console.warn(`⚠️ Progress listener failed for ${jobId}: ${error.message}`);
+      }
+    }
+
+    if (isTerminalStage(entry.stage)) {
+      const timer = setTimeout(() => {
+        if (histories.get(jobId) === history) histories.delete(jobId);
+      }, retainMs);
+      timer.unref?.();
+    }
+    return entry;
+  }
+
+  function subscribe(jobId, listener) {
+    const set = listeners.get(jobId) || new Set();
+    set.add(listener);
+    listeners.set(jobId, set);
+    return () => {
+      set.delete(listener);
+      if (set.size === 0) listeners.delete(jobId);
+    };
+  }
+
+  function getHistory(jobId, afterSeq = 0) {
+    return (histories.get(jobId) || []).filter(event => event.seq > afterSeq);
+  }
+
+  return { publish, subscribe, getHistory };
+}
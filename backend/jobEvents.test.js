@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createJobEvents, formatSseEvent, isTerminalStage } from './jobEvents.js';
+
+test('publish numbers events per job and notifies subscribers', () => {
+  const events = createJobEvents({ now: () => 42 });
+  const received = [];
+  const unsubscribe = events.subscribe('a', event => received.push(event));
+
+  events.publish('a', { stage: 'queued' });
+  events.publish('b', { stage: 'queued' });
+  events.publish('a', { stage: 'slot_acquired' });
+  unsubscribe();
+  events.publish('a', { stage: 'prompt_built' });
+
+  assert.deepEqual(received.map(event => [event.seq, event.stage]), [[1, 'queued'], [2, 'slot_acquired']]);
+  assert.equal(received[0].jobId, 'a');
+  assert.equal(received[0].at, 42);
+});
+
+test('getHistory replays events after a sequence number', () => {
+  const events = createJobEvents();
+  events.publish('a', { stage: 'queued' });
+  events.publish('a', { stage: 'slot_acquired' });
+  events.publish('a', { stage: 'prompt_built' });
+
+  assert.deepEqual(events.getHistory('a').map(event => event.stage), ['queued', 'slot_acquired', 'prompt_built']);
+  assert.deepEqual(events.getHistory('a', 2).map(event => event.stage), ['prompt_built']);
+  assert.deepEqual(events.getHistory('missing'), []);
+});
+
+test('history is capped but keeps the first event', () => {
+  const events = createJobEvents({ historyLimit: 3 });
+  for (let poll = 1; poll <= 5; poll += 1) {
+    events.publish('a', { stage: poll === 1 ? 'queued' : 'polling', poll });
+  }
+  const history = events.getHistory('a');
+  assert.equal(history.length, 3);
+  assert.equal(history[0].stage, 'queued');
+  assert.deepEqual(history.slice(1).map(event => event.poll), [4, 5]);
+});
+
+test('formatSseEvent emits an id, event name and JSON payload', () => {
+  const text = formatSseEvent({ seq: 7, stage: 'polling', poll: 3 });
+  assert.equal(text, 'id: 7\nevent: progress\ndata: {"seq":7,"stage":"polling","poll":3}\n\n');
+});
+
+test('isTerminalStage recognises finished stages', () => {
+  assert.equal(isTerminalStage('ready'), true);
+  assert.equal(isTerminalStage('rate_limited'), true);
+  assert.equal(isTerminalStage('budget_exceeded'), true);
+  assert.equal(isTerminalStage('quota_exceeded'), true);
+  assert.equal(isTerminalStage('polling'), false);
+});
@@ -0,0 +1,87 @@
+import fs from 'node:fs/promises';
+import { randomBytes } from 'node:crypto';
+import { join } from 'node:path';
+
+export const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+export function isJobActive(job) {
+  return Boolean(job) && ACTIVE_JOB_STATUSES.includes(job.status);
+}
+
+// Keeps generation jobs in memory and mirrors each one to `<dir>/<id>.json`
+// so a restarted backend can pick up operations that were still running.
+// `prefix` starts every id (batches are stored the same way as `batch-…`).
+export function createJobStore({ dir, prefix = 'job', now = Date.now }) {
+  const jobs = new Map();
+  const writeChains = new Map();
+
+  const jobPath = (id) => join(dir, `${id}.json`);
+
+  function persist(job) {
+    const snapshot = JSON.stringify(job);
+    const previous = writeChains.get(job.id) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(dir, { recursive: true });
+        const tmpPath = `${jobPath(job.id)}.tmp`;
+        await fs.writeFile(tmpPath, snapshot);
+        await fs.rename(tmpPath, jobPath(job.id));
+      });
+    writeChains.set(job.id, next);
+    return next;
+  }
+
+  async function load() {
+    let entries = [];
+    try {
+      entries = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    for (const entry of entries) {
+      if (!entry.endsWith('.json')) continue;
+      try {
+        const job = JSON.parse(await fs.readFile(join(dir, entry), 'utf8'));
+        if (job?.id) jobs.set(job.id, job);
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable job file ${entry}: ${error.message}`);
+      }
+    }
+    return list();
+  }
+
+  async function create(fields = {}) {
+    const timestamp = now();
+    const job = {
+      id: `${prefix}-${timestamp}-${randomBytes(4).toString('hex')}`,
+      status: 'queued',
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      ...fields
+    };
+    jobs.set(job.id, job);
+    await persist(job);
+    return job;
+  }
+
+  async function update(id, patch) {
+    const existing = jobs.get(id);
+    if (!existing) return null;
+    const job = { ...existing, ...patch, updatedAt: now() };
+    jobs.set(id, job);
+    await persist(job);
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  function list() {
+    return Array.from(jobs.values()).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  return { load, create, update, get, list };
+}
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createJobStore, isJobActive } from './jobStore.js';
+
+async function makeDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'veo-jobs-'));
+}
+
+test('create assigns an id and persists the job', async () => {
+  const dir = await makeDir();
+  const store = createJobStore({ dir });
+  const job = await store.create({ provider: 'mock', request: { pageIndex: 2 } });
+
+  assert.match(job.id, /^job-/);
+  assert.equal(job.status, 'queued');
+  const saved = JSON.parse(await fs.readFile(path.join(dir, `${job.id}.json`), 'utf8'));
+  assert.equal(saved.request.pageIndex, 2);
+  assert.match((await createJobStore({ dir, prefix: 'batch' }).create()).id, /^batch-/);
+});
+
+test('update merges fields and bumps updatedAt', async () => {
+  let clock = 100;
+  const store = createJobStore({ dir: await makeDir(), now: () => clock });
+  const job = await store.create({ provider: 'mock' });
+  clock = 200;
+  const updated = await store.update(job.id, { status: 'running', operation: { name: 'op/1' } });
+
+  assert.equal(updated.status, 'running');
+  assert.equal(updated.provider, 'mock');
+  assert.equal(updated.createdAt, 100);
+  assert.equal(updated.updatedAt, 200);
+  assert.equal(await store.update('missing', { status: 'ready' }), null);
+});
+
+test('load restores jobs written by a previous store', async () => {
+  const dir = await makeDir();
+  const first = createJobStore({ dir });
+  const job = await first.create({ provider: 'vertex' });
+  await first.update(job.id, { status: 'running', operation: { provider: 'vertex', name: 'projects/p/operations/1' } });
+  await fs.writeFile(path.join(dir, 'garbage.json'), '{not json');
+
+  const second = createJobStore({ dir });
+  const restored = await second.load();
+  assert.equal(restored.length, 1);
+  assert.equal(second.get(job.id).operation.name, 'projects/p/operations/1');
+});
+
+test('load tolerates a missing directory', async () => {
+  const store = createJobStore({ dir: path.join(os.tmpdir(), 'veo-jobs-does-not-exist', String(Date.now())) });
+  assert.deepEqual(await store.load(), []);
+});
+
+test('isJobActive only matches queued and running jobs', () => {
+  assert.equal(isJobActive({ status: 'queued' }), true);
+  assert.equal(isJobActive({ status: 'running' }), true);
+  assert.equal(isJobActive({ status: 'ready' }), false);
+  assert.equal(isJobActive({ status: 'canceled' }), false);
+  assert.equal(isJobActive(null), false);
+});
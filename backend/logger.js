@@ -0,0 +1,80 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { format } from 'node:util';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_FORMATS = ['pretty', 'json'];
+
+// The emoji (and blank lines) our messages start with. JSON lines keep the
+// words only; the level says the rest.
+const LEADING_DECORATION = /^[\s\p{Extended_Pictographic}\p{Emoji_Modifier}\uFE0F\u200D]+/u;
+
+function describeValue(value) {
+  return typeof value === 'string' && /\s/.test(value) ? JSON.stringify(value) : String(value);
+}
+
+// Log lines carry the fields of the work they belong to (request id, job,
+// page, provider) without passing a logger around: `run(fields, fn)` sets
+// them for everything `fn` does, across awaits. `pretty` prints the message
+// as before with the fields appended; `json` prints one object per line.
+export function createLogger({
+  format: outputFormat = 'pretty',
+  level = 'info',
+  stdout = process.stdout,
+  stderr = process.stderr,
+  now = Date.now
+} = {}) {
+  const storage = new AsyncLocalStorage();
+  const threshold = LOG_LEVELS.indexOf(level);
+  const original = {};
+
+  function write(lineLevel, args, fields) {
+    if (LOG_LEVELS.indexOf(lineLevel) < threshold) return;
+    const context = { ...storage.getStore(), ...fields };
+    const message = format(...args);
+    const stream = lineLevel === 'warn' || lineLevel === 'error' ? stderr : stdout;
+    if (outputFormat === 'json') {
+      const error = args.find(arg => arg instanceof Error);
+      stream.write(`${JSON.stringify({
+        time: new Date(now()).toISOString(),
+        level: lineLevel,
+        msg: message.replace(LEADING_DECORATION, '').trimEnd(),
+        ...context,
+        ...(error?.stack ? { stack: error.stack } : {})
+      })}\n`);
+      return;
+    }
+    const tags = Object.entries(context)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `${key}=${describeValue(value)}`);
+    stream.write(`${message}${tags.length ? ` [${tags.join(' ')}]` : ''}\n`);
+  }
+
+  function build(fields) {
+    return {
+      debug: (...args) => write('debug', args, fields),
+      info: (...args) => write('info', args, fields),
+      warn: (...args) => write('warn', args, fields),
+      error: (...args) => write('error', args, fields),
+      // Extra fields for some lines only, e.g. `log.with({ durationMs }).info(…)`.
+      with: (more) => build({ ...fields, ...more })
+    };
+  }
+
+  // Fields set by an outer `run` stay unless overridden. Undefined values are dropped.
+  function run(fields, fn) {
+    const defined = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+    return storage.run({ ...storage.getStore(), ...defined }, fn);
+  }
+
+  // Routes console.* (other modules, dependencies) through this logger so
+  // every line has the same format and context.
+  function captureConsole(target = console) {
+    for (const [method, lineLevel] of [['debug', 'debug'], ['log', 'info'], ['info', 'info'], ['warn', 'warn'], ['error', 'error']]) {
+      original[method] ??= target[method];
+      target[method] = (...args) => write(lineLevel, args);
+    }
+    return () => Object.assign(target, original);
+  }
+
+  return { ...build({}), run, context: () => ({ ...storage.getStore() }), captureConsole };
+}
@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger } from './logger.js';
+
+function createSink() {
+  const lines = [];
+  return { lines, write: (chunk) => lines.push(chunk.replace(/\n$/, '')) };
+}
+
+test('json lines carry the context of the work they belong to', async () => {
+  const out = createSink();
+  const err = createSink();
+  const log = createLogger({ format: 'json', stdout: out, stderr: err, now: () => 0 });
+
+  await log.run({ requestId: 'req-1' }, async () => {
+    log.info('🎬 Request for %s', 'page 3');
+    await log.run({ jobId: 'job-1', page: 3, provider: undefined }, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      log.with({ durationMs: 12 }).warn('⚠️ Slow');
+    });
+    log.error('\n❌ Failed:', new Error('boom'));
+  });
+  log.info('🚀 Outside');
+
+  const [first, outside] = out.lines.map(line => JSON.parse(line));
+  assert.deepEqual(first, { time: '1970-01-01T00:00:00.000Z', level: 'info', msg: 'Request for page 3', requestId: 'req-1' });
+  assert.deepEqual(outside, { time: '1970-01-01T00:00:00.000Z', level: 'info', msg: 'Outside' });
+  const [slow, failed] = err.lines.map(line => JSON.parse(line));
+  assert.deepEqual(slow, { time: '1970-01-01T00:00:00.000Z', level: 'warn', msg: 'Slow', requestId: 'req-1', jobId: 'job-1', page: 3, durationMs: 12 });
+  assert.match(failed.msg, /^Failed: Error: boom/);
+  assert.equal(failed.requestId, 'req-1');
+  assert.equal(failed.jobId, undefined);
+  assert.match(failed.stack, /boom/);
+});
+
+test('pretty lines keep the message and append the context; levels filter', () => {
+  const out = createSink();
+  const log = createLogger({ level: 'info', stdout: out, stderr: out });
+  log.run({ jobId: 'job-1', page: 4, source: 'batch page' }, () => {
+    log.debug('⏳ Polling... 1/180');
+    log.info('🟢 Veo slot acquired');
+  });
+  log.info('🚀 Backend running');
+  assert.deepEqual(out.lines, ['🟢 Veo slot acquired [jobId=job-1 page=4 source="batch page"]', '🚀 Backend running']);
+});
+
+test('captureConsole routes console calls through the logger until restored', () => {
+  const out = createSink();
+  const log = createLogger({ format: 'json', stdout: out, stderr: out });
+  const target = { log: () => {}, info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+  const restore = log.captureConsole(target);
+  log.run({ jobId: 'job-9' }, () => target.warn('⚠️ Skipping unreadable job file'));
+  restore();
+  target.log('ignored');
+  assert.equal(out.lines.length, 1);
+  assert.deepEqual(JSON.parse(out.lines[0]).jobId, 'job-9');
+  assert.equal(JSON.parse(out.lines[0]).level, 'warn');
+});
@@ -0,0 +1,103 @@
+// A small Prometheus registry: counters, gauges and histograms rendered in the
+// text exposition format for GET /metrics. Gauges (and counters kept elsewhere)
+// may pass `collect`, which is read at scrape time instead of being set.
+
+export const DEFAULT_DURATION_BUCKETS = [1, 5, 15, 30, 60, 90, 120, 180, 300, 600];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+export function createMetrics() {
+  const families = new Map();
+
+  function register(name, type, help, extra = {}) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) throw new Error(`Invalid metric name: ${name}`);
+    if (families.has(name)) throw new Error(`Metric registered twice: ${name}`);
+    const family = { name, type, help, series: new Map(), ...extra };
+    families.set(name, family);
+    return family;
+  }
+
+  function seriesFor(family, labels, create) {
+    const key = labelKey(labels);
+    if (!family.series.has(key)) family.series.set(key, { labels, ...create() });
+    return family.series.get(key);
+  }
+
+  function counter(name, help, { collect } = {}) {
+    const family = register(name, 'counter', help, { collect });
+    return {
+      inc(labels = {}, value = 1) {
+        if (value < 0) throw new Error(`${name}: counters only go up`);
+        seriesFor(family, labels, () => ({ value: 0 })).value += value;
+      }
+    };
+  }
+
+  function gauge(name, help, { collect } = {}) {
+    const family = register(name, 'gauge', help, { collect });
+    return {
+      set(labels = {}, value = 0) {
+        seriesFor(family, labels, () => ({ value: 0 })).value = value;
+      }
+    };
+  }
+
+  function histogram(name, help, { buckets = DEFAULT_DURATION_BUCKETS } = {}) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const family = register(name, 'histogram', help, { bounds });
+    return {
+      observe(labels = {}, value) {
+        const series = seriesFor(family, labels, () => ({ counts: bounds.map(() => 0), count: 0, sum: 0 }));
+        bounds.forEach((bound, index) => {
+          if (value <= bound) series.counts[index] += 1;
+        });
+        series.count += 1;
+        series.sum += value;
+      }
+    };
+  }
+
+  function renderFamily(family) {
+    const lines = [`# HELP ${family.name} ${family.help.replace(/\n/g, ' ')}`, `# TYPE ${family.name} ${family.type}`];
+    if (family.type === 'histogram') {
+      for (const { labels, counts, count, sum } of family.series.values()) {
+        family.bounds.forEach((bound, index) => {
+          lines.push(`${family.name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${counts[index]}`);
+        });
+        lines.push(`${family.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${family.name}_sum${formatLabels(labels)} ${formatNumber(sum)}`);
+        lines.push(`${family.name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+    const samples = family.collect ? family.collect() : [...family.series.values()];
+    for (const { labels = {}, value } of samples) {
+      lines.push(`${family.name}${formatLabels(labels)} ${formatNumber(Number(value))}`);
+    }
+    return lines;
+  }
+
+  function render() {
+    return `${[...families.values()].flatMap(renderFamily).join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
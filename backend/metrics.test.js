@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetrics } from './metrics.js';
+
+test('counters, gauges and histograms render in the Prometheus text format', () => {
+  const metrics = createMetrics();
+  const polls = metrics.counter('veo_polls_total', 'Operation polls');
+  metrics.gauge('veo_queue_waiting', 'Waiting generations', {
+    collect: () => [{ labels: { priority: 'current' }, value: 2 }, { labels: { priority: 'batch' }, value: 0 }]
+  });
+  const latency = metrics.histogram('veo_generation_duration_seconds', 'Generation time', { buckets: [10, 1] });
+  polls.inc({ provider: 'mock' });
+  polls.inc({ provider: 'mock' }, 2);
+  polls.inc({ provider: 'we"ird\\' });
+  latency.observe({ outcome: 'ready' }, 0.5);
+  latency.observe({ outcome: 'ready' }, 4);
+
+  assert.equal(metrics.render(), [
+    '# HELP veo_polls_total Operation polls',
+    '# TYPE veo_polls_total counter',
+    'veo_polls_total{provider="mock"} 3',
+    'veo_polls_total{provider="we\\"ird\\\\"} 1',
+    '# HELP veo_queue_waiting Waiting generations',
+    '# TYPE veo_queue_waiting gauge',
+    'veo_queue_waiting{priority="current"} 2',
+    'veo_queue_waiting{priority="batch"} 0',
+    '# HELP veo_generation_duration_seconds Generation time',
+    '# TYPE veo_generation_duration_seconds histogram',
+    'veo_generation_duration_seconds_bucket{outcome="ready",le="1"} 1',
+    'veo_generation_duration_seconds_bucket{outcome="ready",le="10"} 2',
+    'veo_generation_duration_seconds_bucket{outcome="ready",le="+Inf"} 2',
+    'veo_generation_duration_seconds_sum{outcome="ready"} 4.5',
+    'veo_generation_duration_seconds_count{outcome="ready"} 2',
+    ''
+  ].join('\n'));
+});
+
+test('metric names are checked and registered once', () => {
+  const metrics = createMetrics();
+  metrics.gauge('veo_slots_in_flight', 'Slots in use').set({}, 1);
+  assert.throws(() => metrics.counter('veo_slots_in_flight', 'again'), /registered twice/);
+  assert.throws(() => metrics.counter('veo-bad', 'bad'), /Invalid metric name/);
+  assert.throws(() => metrics.counter('veo_ok_total', 'ok').inc({}, -1), /only go up/);
+  assert.match(metrics.render(), /^veo_slots_in_flight 1$/m);
+});
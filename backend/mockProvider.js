@@ -0,0 +1,131 @@
+import fs from 'node:fs/promises';
+import { createHash, randomBytes } from 'node:crypto';
+import { join } from 'node:path';
+import { renderMockVideo } from './mockVideo.js';
+
+export const MOCK_URI_PREFIX = 'mock://videos/';
+
+function extractImageBytes(requestBody) {
+  const instance = requestBody?.instances?.[0];
+  return instance?.image?.imageBytes ||
+    requestBody?.parameters?.referenceImages?.[0]?.image?.imageBytes ||
+    null;
+}
+
+// Emulates Veo's long-running operation API entirely on local disk. The
+// rendered clip only depends on the submitted image, aspect ratio, duration and
+// variant number, so identical requests produce identical MP4 bytes. Requests
+// for several videos (numberOfVideos) get one marked clip per variant.
+export function createMockProvider({
+  dataDir,
+  delayMs = 6000,
+  failureRate = 0,
+  safetyFilterRate = 0,
+  random = Math.random,
+  now = Date.now
+}) {
+  const videosDir = join(dataDir, 'videos');
+  const operationsDir = join(dataDir, 'operations');
+
+  const operationPath = (id) => join(operationsDir, `${id}.json`);
+
+  async function startOperation(requestBody) {
+    const imageData = extractImageBytes(requestBody);
+    const aspectRatio = requestBody?.parameters?.aspectRatio === '9:16' ? '9:16' : '16:9';
+    const durationSeconds = Number.isFinite(requestBody?.parameters?.durationSeconds)
+      ? requestBody.parameters.durationSeconds
+      : 4;
+
+    const count = Math.max(1, Number(requestBody?.parameters?.numberOfVideos) || 1);
+
+    await fs.mkdir(videosDir, { recursive: true });
+    const videoUris = [];
+    for (let variant = 0; variant < count; variant += 1) {
+      // Variant 0 keeps the id clips had before variants existed.
+      const videoId = createHash('sha256')
+        .update([imageData || '', aspectRatio, durationSeconds, ...(variant ? [variant] : [])].join('|'))
+        .digest('hex')
+        .slice(0, 24);
+      const videoPath = join(videosDir, `${videoId}.mp4`);
+      try {
+        await fs.access(videoPath);
+      } catch {
+        const mp4 = await renderMockVideo({ imageData, aspectRatio, durationSeconds, variant });
+        await fs.writeFile(videoPath, mp4);
+      }
+      videoUris.push(`${MOCK_URI_PREFIX}${videoId}.mp4`);
+    }
+
+    const roll = random();
+    const outcome = roll < failureRate
+      ? 'failed'
+      : roll < failureRate + safetyFilterRate
+        ? 'filtered'
+        : 'succeeded';
+    const id = `${now()}-${randomBytes(4).toString('hex')}`;
+    const record = {
+      name: `mockOperations/${id}`,
+      createdAt: now(),
+      readyAt: now() + Math.max(0, delayMs),
+      outcome,
+      videoUris
+    };
+    await fs.mkdir(operationsDir, { recursive: true });
+    await fs.writeFile(operationPath(id), JSON.stringify(record));
+    return { name: record.name };
+  }
+
+  async function getOperation(name) {
+    const id = typeof name === 'string' ? name.replace(/^mockOperations\//, '') : '';
+    if (!/^[\w-]+$/.test(id)) {
+      throw new Error(`Mock operation not found: ${name}`);
+    }
+    let record;
+    try {
+      record = JSON.parse(await fs.readFile(operationPath(id), 'utf8'));
+    } catch {
+      throw new Error(`Mock operation not found: ${name}`);
+    }
+
+    if (now() < record.readyAt) {
+      return { name: record.name, done: false };
+    }
+    if (record.outcome === 'failed') {
+      return {
+        name: record.name,
+        done: true,
+        error: { code: 13, message: 'Mock operation failed (MOCK_FAILURE_RATE)' }
+      };
+    }
+    if (record.outcome === 'filtered') {
+      return {
+        name: record.name,
+        done: true,
+        response: {
+          generateVideoResponse: {
+            raiMediaFilteredCount: 1,
+            raiMediaFilteredReasons: ['Mock safety filter triggered (MOCK_SAFETY_FILTER_RATE)']
+          }
+        }
+      };
+    }
+    return {
+      name: record.name,
+      done: true,
+      response: {
+        generateVideoResponse: {
+          generatedSamples: (record.videoUris || [record.videoUri]).map(uri => ({ video: { uri } }))
+        }
+      }
+    };
+  }
+
+  function resolveVideoPath(uri) {
+    if (typeof uri !== 'string' || !uri.startsWith(MOCK_URI_PREFIX)) return null;
+    const fileName = uri.slice(MOCK_URI_PREFIX.length);
+    if (!/^[a-f0-9]+\.mp4$/.test(fileName)) return null;
+    return join(videosDir, fileName);
+  }
+
+  return { startOperation, getOperation, resolveVideoPath };
+}
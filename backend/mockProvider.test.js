@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createMockProvider, MOCK_URI_PREFIX } from './mockProvider.js';
+import { extractVideoUrl, extractVideoUrls } from './veoUtils.js';
+
+async function makeProvider(options = {}) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'veo-mock-'));
+  return { dataDir, provider: createMockProvider({ dataDir, delayMs: 0, ...options }) };
+}
+
+const body = {
+  instances: [{ prompt: 'test' }],
+  parameters: { aspectRatio: '16:9', durationSeconds: 1 }
+};
+
+test('mock operation completes with a downloadable video', async () => {
+  const { provider } = await makeProvider();
+  const { name } = await provider.startOperation(body);
+  assert.match(name, /^mockOperations\//);
+
+  const operation = await provider.getOperation(name);
+  assert.equal(operation.done, true);
+  const uri = extractVideoUrl(operation.response);
+  assert.ok(uri.startsWith(MOCK_URI_PREFIX));
+
+  const file = await fs.readFile(provider.resolveVideoPath(uri));
+  assert.equal(file.toString('ascii', 4, 8), 'ftyp');
+});
+
+test('mock operation stays pending until the delay elapses', async () => {
+  let clock = 1000;
+  const { provider } = await makeProvider({ delayMs: 5000, now: () => clock });
+  const { name } = await provider.startOperation(body);
+  assert.equal((await provider.getOperation(name)).done, false);
+  clock += 5000;
+  assert.equal((await provider.getOperation(name)).done, true);
+});
+
+test('identical requests reuse the same video', async () => {
+  const { provider } = await makeProvider();
+  const first = await provider.getOperation((await provider.startOperation(body)).name);
+  const second = await provider.getOperation((await provider.startOperation(body)).name);
+  assert.equal(extractVideoUrl(first.response), extractVideoUrl(second.response));
+});
+
+test('several videos come back as distinct variants, the first one as before', async () => {
+  const { provider } = await makeProvider();
+  const single = await provider.getOperation((await provider.startOperation(body)).name);
+  const multi = await provider.getOperation((await provider.startOperation({ ...body, parameters: { ...body.parameters, numberOfVideos: 3 } })).name);
+  const uris = extractVideoUrls(multi.response);
+  assert.equal(uris.length, 3);
+  assert.equal(new Set(uris).size, 3);
+  assert.equal(uris[0], extractVideoUrl(single.response));
+  const [first, second] = await Promise.all(uris.slice(0, 2).map(uri => fs.readFile(provider.resolveVideoPath(uri))));
+  assert.ok(!first.equals(second));
+});
+
+test('failure and safety filter rates shape the outcome', async () => {
+  const failing = (await makeProvider({ failureRate: 1 })).provider;
+  const failed = await failing.getOperation((await failing.startOperation(body)).name);
+  assert.match(failed.error.message, /MOCK_FAILURE_RATE/);
+
+  const filtering = (await makeProvider({ safetyFilterRate: 1 })).provider;
+  const filtered = await filtering.getOperation((await filtering.startOperation(body)).name);
+  assert.equal(filtered.response.generateVideoResponse.raiMediaFilteredCount, 1);
+  assert.equal(extractVideoUrl(filtered.response), null);
+});
+
+test('resolveVideoPath rejects foreign and malformed URIs', async () => {
+  const { provider } = await makeProvider();
+  assert.equal(provider.resolveVideoPath('gs://bucket/video.mp4'), null);
+  assert.equal(provider.resolveVideoPath(`${MOCK_URI_PREFIX}../../secret.mp4`), null);
+});
+
+test('getOperation rejects unknown operations', async () => {
+  const { provider } = await makeProvider();
+  await assert.rejects(() => provider.getOperation('mockOperations/missing'), /not found/);
+});
@@ -0,0 +1,382 @@
+import sharp from 'sharp';
+
+// Minimal H.264 (baseline, CAVLC) + MP4 writer used by the mock provider.
+// Every macroblock is coded as I_PCM (raw samples), so there is no transform
+// or entropy-coding logic to get wrong and the output is byte-for-byte
+// deterministic for a given input image.
+
+const MB_SIZE = 16;
+const FPS = 24;
+const TIMESCALE = 12288;
+const LOG2_MAX_FRAME_NUM = 8;
+
+export const MOCK_FRAME_SIZES = {
+  '9:16': { width: 720, height: 1280 },
+  '16:9': { width: 1280, height: 720 }
+};
+
+function createBitWriter() {
+  const bytes = [];
+  let current = 0;
+  let bitCount = 0;
+
+  const writeBit = (bit) => {
+    current = (current << 1) | (bit & 1);
+    bitCount += 1;
+    if (bitCount === 8) {
+      bytes.push(current);
+      current = 0;
+      bitCount = 0;
+    }
+  };
+
+  const u = (bits, value) => {
+    for (let i = bits - 1; i >= 0; i -= 1) {
+      writeBit((value >>> i) & 1);
+    }
+  };
+
+  const ue = (value) => {
+    const coded = value + 1;
+    const length = Math.floor(Math.log2(coded));
+    u(length, 0);
+    u(length + 1, coded);
+  };
+
+  const se = (value) => {
+    ue(value <= 0 ? -2 * value : 2 * value - 1);
+  };
+
+  const alignZero = () => {
+    while (bitCount !== 0) writeBit(0);
+  };
+
+  const writeAlignedBytes = (data) => {
+    if (bitCount !== 0) throw new Error('Bit writer is not byte aligned');
+    for (let i = 0; i < data.length; i += 1) bytes.push(data[i]);
+  };
+
+  const trailing = () => {
+    writeBit(1);
+    alignZero();
+  };
+
+  return { u, ue, se, alignZero, writeAlignedBytes, trailing, bytes: () => Uint8Array.from(bytes) };
+}
+
+function toNalPayload(nalHeader, rbsp) {
+  const out = [nalHeader];
+  let zeros = 0;
+  for (let i = 0; i < rbsp.length; i += 1) {
+    const byte = rbsp[i];
+    if (zeros >= 2 && byte <= 3) {
+      out.push(3);
+      zeros = 0;
+    }
+    out.push(byte);
+    zeros = byte === 0 ? zeros + 1 : 0;
+  }
+  return Uint8Array.from(out);
+}
+
+function buildSps(widthMbs, heightMbs) {
+  const w = createBitWriter();
+  w.u(8, 66); // profile_idc: baseline
+  w.u(8, 0xc0); // constraint_set0_flag + constraint_set1_flag
+  w.u(8, 31); // level_idc 3.1
+  w.ue(0); // seq_parameter_set_id
+  w.ue(LOG2_MAX_FRAME_NUM - 4);
+  w.ue(2); // pic_order_cnt_type: derived from frame_num
+  w.ue(1); // max_num_ref_frames
+  w.u(1, 0); // gaps_in_frame_num_value_allowed_flag
+  w.ue(widthMbs - 1);
+  w.ue(heightMbs - 1);
+  w.u(1, 1); // frame_mbs_only_flag
+  w.u(1, 1); // direct_8x8_inference_flag
+  w.u(1, 0); // frame_cropping_flag
+  w.u(1, 0); // vui_parameters_present_flag
+  w.trailing();
+  return toNalPayload(0x67, w.bytes());
+}
+
+function buildPps() {
+  const w = createBitWriter();
+  w.ue(0); // pic_parameter_set_id
+  w.ue(0); // seq_parameter_set_id
+  w.u(1, 0); // entropy_coding_mode_flag: CAVLC
+  w.u(1, 0); // bottom_field_pic_order_in_frame_present_flag
+  w.ue(0); // num_slice_groups_minus1
+  w.ue(0); // num_ref_idx_l0_default_active_minus1
+  w.ue(0); // num_ref_idx_l1_default_active_minus1
+  w.u(1, 0); // weighted_pred_flag
+  w.u(2, 0); // weighted_bipred_idc
+  w.se(0); // pic_init_qp_minus26
+  w.se(0); // pic_init_qs_minus26
+  w.se(0); // chroma_qp_index_offset
+  w.u(1, 1); // deblocking_filter_control_present_flag
+  w.u(1, 0); // constrained_intra_pred_flag
+  w.u(1, 0); // redundant_pic_cnt_present_flag
+  w.trailing();
+  return toNalPayload(0x68, w.bytes());
+}
+
+function writePcmMacroblock(w, planes, mbX, mbY) {
+  const { y, u, v, width } = planes;
+  const chromaWidth = width >> 1;
+  w.alignZero();
+  const luma = new Uint8Array(256);
+  for (let row = 0; row < MB_SIZE; row += 1) {
+    const offset = (mbY * MB_SIZE + row) * width + mbX * MB_SIZE;
+    luma.set(y.subarray(offset, offset + MB_SIZE), row * MB_SIZE);
+  }
+  w.writeAlignedBytes(luma);
+  for (const plane of [u, v]) {
+    const chroma = new Uint8Array(64);
+    for (let row = 0; row < 8; row += 1) {
+      const offset = (mbY * 8 + row) * chromaWidth + mbX * 8;
+      chroma.set(plane.subarray(offset, offset + 8), row * 8);
+    }
+    w.writeAlignedBytes(chroma);
+  }
+}
+
+function buildIdrSlice(planes, widthMbs, heightMbs) {
+  const w = createBitWriter();
+  w.ue(0); // first_mb_in_slice
+  w.ue(7); // slice_type: I (all slices)
+  w.ue(0); // pic_parameter_set_id
+  w.u(LOG2_MAX_FRAME_NUM, 0); // frame_num
+  w.ue(0); // idr_pic_id
+  w.u(1, 0); // no_output_of_prior_pics_flag
+  w.u(1, 0); // long_term_reference_flag
+  w.se(0); // slice_qp_delta
+  w.ue(1); // disable_deblocking_filter_idc
+  for (let mbY = 0; mbY < heightMbs; mbY += 1) {
+    for (let mbX = 0; mbX < widthMbs; mbX += 1) {
+      w.ue(25); // mb_type: I_PCM
+      writePcmMacroblock(w, planes, mbX, mbY);
+    }
+  }
+  w.trailing();
+  return toNalPayload(0x65, w.bytes());
+}
+
+// P slice that skips every macroblock except the ones listed in `changed`
+// (sorted macroblock addresses), which are re-sent as intra PCM blocks.
+function buildPSlice(planes, widthMbs, heightMbs, frameNum, changed) {
+  const w = createBitWriter();
+  w.ue(0); // first_mb_in_slice
+  w.ue(5); // slice_type: P (all slices)
+  w.ue(0); // pic_parameter_set_id
+  w.u(LOG2_MAX_FRAME_NUM, frameNum % (1 << LOG2_MAX_FRAME_NUM));
+  w.u(1, 0); // num_ref_idx_active_override_flag
+  w.u(1, 0); // ref_pic_list_modification_flag_l0
+  w.u(1, 0); // adaptive_ref_pic_marking_mode_flag
+  w.se(0); // slice_qp_delta
+  w.ue(1); // disable_deblocking_filter_idc
+  const total = widthMbs * heightMbs;
+  let next = 0;
+  for (const addr of changed) {
+    w.ue(addr - next); // mb_skip_run
+    w.ue(30); // mb_type: I_PCM inside a P slice (5 + 25)
+    writePcmMacroblock(w, planes, addr % widthMbs, Math.floor(addr / widthMbs));
+    next = addr + 1;
+  }
+  if (next < total) {
+    w.ue(total - next);
+  }
+  w.trailing();
+  return toNalPayload(0x41, w.bytes());
+}
+
+function rgbToYuv420(rgb, width, height) {
+  const y = new Uint8Array(width * height);
+  const u = new Uint8Array((width >> 1) * (height >> 1));
+  const v = new Uint8Array((width >> 1) * (height >> 1));
+  for (let i = 0; i < width * height; i += 1) {
+    const r = rgb[i * 3];
+    const g = rgb[i * 3 + 1];
+    const b = rgb[i * 3 + 2];
+    y[i] = Math.round(16 + (65.481 * r + 128.553 * g + 24.966 * b) / 255);
+  }
+  const chromaWidth = width >> 1;
+  for (let cy = 0; cy < height >> 1; cy += 1) {
+    for (let cx = 0; cx < chromaWidth; cx += 1) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (const [dx, dy] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+        const idx = ((cy * 2 + dy) * width + cx * 2 + dx) * 3;
+        r += rgb[idx];
+        g += rgb[idx + 1];
+        b += rgb[idx + 2];
+      }
+      r /= 4;
+      g /= 4;
+      b /= 4;
+      u[cy * chromaWidth + cx] = Math.round(128 + (-37.797 * r - 74.203 * g + 112 * b) / 255);
+      v[cy * chromaWidth + cx] = Math.round(128 + (112 * r - 93.786 * g - 18.214 * b) / 255);
+    }
+  }
+  return { y, u, v, width, height };
+}
+
+function fillLuma(planes, x0, y0, x1, y1, value) {
+  for (let row = y0; row < y1; row += 1) {
+    planes.y.fill(value, row * planes.width + x0, row * planes.width + x1);
+  }
+}
+
+function neutralChroma(planes, x0, y0, x1, y1) {
+  const chromaWidth = planes.width >> 1;
+  for (let row = y0 >> 1; row < y1 >> 1; row += 1) {
+    planes.u.fill(128, row * chromaWidth + (x0 >> 1), row * chromaWidth + (x1 >> 1));
+    planes.v.fill(128, row * chromaWidth + (x0 >> 1), row * chromaWidth + (x1 >> 1));
+  }
+}
+
+function box(type, ...payloads) {
+  const body = Buffer.concat(payloads.map(p => (Buffer.isBuffer(p) ? p : Buffer.from(p))));
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8, 0);
+  header.write(type, 4, 'ascii');
+  return Buffer.concat([header, body]);
+}
+
+function fullBox(type, version, flags, ...payloads) {
+  const vf = Buffer.alloc(4);
+  vf.writeUInt32BE(((version & 0xff) << 24) | (flags & 0xffffff), 0);
+  return box(type, vf, ...payloads);
+}
+
+function u32(...values) {
+  const buf = Buffer.alloc(values.length * 4);
+  values.forEach((value, i) => buf.writeUInt32BE(value >>> 0, i * 4));
+  return buf;
+}
+
+function u16(...values) {
+  const buf = Buffer.alloc(values.length * 2);
+  values.forEach((value, i) => buf.writeUInt16BE(value & 0xffff, i * 2));
+  return buf;
+}
+
+const IDENTITY_MATRIX = u32(0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000);
+
+function buildMoov({ width, height, sps, pps, sampleSizes, chunkOffset }) {
+  const sampleCount = sampleSizes.length;
+  const sampleDelta = TIMESCALE / FPS;
+  const mediaDuration = sampleCount * sampleDelta;
+  const movieDuration = Math.round((sampleCount * 1000) / FPS);
+
+  const mvhd = fullBox('mvhd', 0, 0,
+    u32(0, 0, 1000, movieDuration),
+    u32(0x00010000), u16(0x0100, 0), u32(0, 0),
+    IDENTITY_MATRIX,
+    u32(0, 0, 0, 0, 0, 0),
+    u32(2));
+  const tkhd = fullBox('tkhd', 0, 3,
+    u32(0, 0, 1, 0, movieDuration),
+    u32(0, 0), u16(0, 0, 0, 0),
+    IDENTITY_MATRIX,
+    u32(width << 16, height << 16));
+  const mdhd = fullBox('mdhd', 0, 0, u32(0, 0, TIMESCALE, mediaDuration), u16(0x55c4, 0));
+  const hdlr = fullBox('hdlr', 0, 0, u32(0), Buffer.from('vide'), u32(0, 0, 0), Buffer.from('VideoHandler\0'));
+  const vmhd = fullBox('vmhd', 0, 1, u16(0, 0, 0, 0));
+  const dinf = box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1)));
+
+  const avcC = box('avcC',
+    Buffer.from([1, sps[1], sps[2], sps[3], 0xff, 0xe1]), u16(sps.length), sps,
+    Buffer.from([1]), u16(pps.length), pps);
+  const compressorName = Buffer.alloc(32);
+  const avc1 = box('avc1',
+    Buffer.alloc(6), u16(1),
+    Buffer.alloc(16),
+    u16(width, height),
+    u32(0x00480000, 0x00480000, 0),
+    u16(1), compressorName, u16(0x0018, 0xffff),
+    avcC);
+  const stsd = fullBox('stsd', 0, 0, u32(1), avc1);
+  const stts = fullBox('stts', 0, 0, u32(1, sampleCount, sampleDelta));
+  const stss = fullBox('stss', 0, 0, u32(1, 1));
+  const stsc = fullBox('stsc', 0, 0, u32(1, 1, sampleCount, 1));
+  const stsz = fullBox('stsz', 0, 0, u32(0, sampleCount), u32(...sampleSizes));
+  const stco = fullBox('stco', 0, 0, u32(1, chunkOffset));
+  const stbl = box('stbl', stsd, stts, stss, stsc, stsz, stco);
+  const minf = box('minf', vmhd, dinf, stbl);
+  const mdia = box('mdia', mdhd, hdlr, minf);
+  const trak = box('trak', tkhd, mdia);
+  return box('moov', mvhd, trak);
+}
+
+function lengthPrefixed(nal) {
+  return Buffer.concat([u32(nal.length), Buffer.from(nal)]);
+}
+
+// Encodes a still frame as an MP4 clip with a progress bar filling along the
+// bottom edge, so playback visibly advances without re-sending the page.
+// Variant N > 0 adds N white squares in the top-left corner to tell them apart.
+export function encodeStillClip({ rgb, width, height, durationSeconds = 4, variant = 0 }) {
+  if (width % MB_SIZE !== 0 || height % MB_SIZE !== 0) {
+    throw new Error(`Mock video size must be a multiple of ${MB_SIZE} (got ${width}x${height})`);
+  }
+  const widthMbs = width / MB_SIZE;
+  const heightMbs = height / MB_SIZE;
+  const planes = rgbToYuv420(rgb, width, height);
+
+  const barTop = height - 12;
+  const barBottom = height - 4;
+  fillLuma(planes, 0, barTop, width, barBottom, 48);
+  neutralChroma(planes, 0, barTop, width, barBottom);
+  for (let index = 0; index < variant && (index * 2 + 2) * MB_SIZE <= width && MB_SIZE * 2 <= barTop; index += 1) {
+    const left = (index * 2 + 1) * MB_SIZE;
+    fillLuma(planes, left, MB_SIZE, left + MB_SIZE, MB_SIZE * 2, 235);
+    neutralChroma(planes, left, MB_SIZE, left + MB_SIZE, MB_SIZE * 2);
+  }
+
+  const sps = buildSps(widthMbs, heightMbs);
+  const pps = buildPps();
+  const frameCount = Math.max(1, Math.round(durationSeconds * FPS));
+  const samples = [lengthPrefixed(buildIdrSlice(planes, widthMbs, heightMbs))];
+
+  let filled = 0;
+  for (let frame = 1; frame < frameCount; frame += 1) {
+    const target = Math.round(((frame + 1) / frameCount) * width);
+    const changed = [];
+    if (target > filled) {
+      fillLuma(planes, filled, barTop, target, barBottom, 235);
+      const firstMb = Math.floor(filled / MB_SIZE);
+      const lastMb = Math.ceil(target / MB_SIZE);
+      const rowStart = (heightMbs - 1) * widthMbs;
+      for (let mbX = firstMb; mbX < lastMb; mbX += 1) {
+        changed.push(rowStart + mbX);
+      }
+      filled = target;
+    }
+    samples.push(lengthPrefixed(buildPSlice(planes, widthMbs, heightMbs, frame, changed)));
+  }
+
+  const ftyp = box('ftyp', Buffer.from('isom'), u32(0x200), Buffer.from('isomiso2avc1mp41'));
+  const sampleSizes = samples.map(sample => sample.length);
+  const moovSize = buildMoov({ width, height, sps, pps, sampleSizes, chunkOffset: 0 }).length;
+  const chunkOffset = ftyp.length + moovSize + 8;
+  const moov = buildMoov({ width, height, sps, pps, sampleSizes, chunkOffset });
+  const mdat = box('mdat', ...samples);
+  return Buffer.concat([ftyp, moov, mdat]);
+}
+
+export async function renderMockVideo({ imageData, aspectRatio, durationSeconds = 4, variant = 0 }) {
+  const { width, height } = MOCK_FRAME_SIZES[aspectRatio === '9:16' ? '9:16' : '16:9'];
+  let rgb;
+  if (imageData) {
+    rgb = await sharp(Buffer.from(imageData, 'base64'))
+      .resize(width, height, { fit: 'contain', background: '#000000' })
+      .flatten({ background: '#000000' })
+      .removeAlpha()
+      .raw()
+      .toBuffer();
+  } else {
+    rgb = Buffer.alloc(width * height * 3, 32);
+  }
+  return encodeStillClip({ rgb, width, height, durationSeconds, variant });
+}
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeStillClip } from './mockVideo.js';
+
+function solidFrame(width, height, [r, g, b]) {
+  const rgb = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i += 1) {
+    rgb[i * 3] = r;
+    rgb[i * 3 + 1] = g;
+    rgb[i * 3 + 2] = b;
+  }
+  return rgb;
+}
+
+function topLevelBoxes(buffer) {
+  const boxes = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const size = buffer.readUInt32BE(offset);
+    boxes.push({ type: buffer.toString('ascii', offset + 4, offset + 8), offset, size });
+    offset += size;
+  }
+  return boxes;
+}
+
+test('encodeStillClip writes ftyp, moov and mdat boxes', () => {
+  const mp4 = encodeStillClip({ rgb: solidFrame(64, 32, [200, 20, 20]), width: 64, height: 32, durationSeconds: 1 });
+  const boxes = topLevelBoxes(mp4);
+  assert.deepEqual(boxes.map(box => box.type), ['ftyp', 'moov', 'mdat']);
+  assert.equal(boxes.at(-1).offset + boxes.at(-1).size, mp4.length);
+  assert.ok(mp4.includes(Buffer.from('avcC')));
+});
+
+test('encodeStillClip stores one sample per frame and points stco at mdat payload', () => {
+  const mp4 = encodeStillClip({ rgb: solidFrame(32, 32, [0, 0, 0]), width: 32, height: 32, durationSeconds: 2 });
+  const stsz = mp4.indexOf(Buffer.from('stsz'));
+  assert.equal(mp4.readUInt32BE(stsz + 12), 48);
+  const stco = mp4.indexOf(Buffer.from('stco'));
+  const chunkOffset = mp4.readUInt32BE(stco + 12);
+  const mdat = topLevelBoxes(mp4).find(box => box.type === 'mdat');
+  assert.equal(chunkOffset, mdat.offset + 8);
+  // First sample is a length-prefixed IDR slice
+  assert.equal(mp4[chunkOffset + 4], 0x65);
+});
+
+test('encodeStillClip is deterministic', () => {
+  const rgb = solidFrame(48, 16, [10, 120, 240]);
+  const a = encodeStillClip({ rgb, width: 48, height: 16, durationSeconds: 1 });
+  const b = encodeStillClip({ rgb, width: 48, height: 16, durationSeconds: 1 });
+  assert.ok(a.equals(b));
+});
+
+test('encodeStillClip marks variants so they differ from each other', () => {
+  const rgb = solidFrame(96, 64, [10, 120, 240]);
+  const clips = [0, 1, 2].map(variant => encodeStillClip({ rgb, width: 96, height: 64, durationSeconds: 1, variant }));
+  assert.ok(!clips[0].equals(clips[1]));
+  assert.ok(!clips[1].equals(clips[2]));
+  assert.ok(clips[1].equals(encodeStillClip({ rgb, width: 96, height: 64, durationSeconds: 1, variant: 1 })));
+});
+
+test('encodeStillClip rejects sizes that are not macroblock aligned', () => {
+  assert.throws(
+    () => encodeStillClip({ rgb: solidFrame(30, 30, [0, 0, 0]), width: 30, height: 30 }),
+    /multiple of 16/
+  );
+});
@@ -0,0 +1,65 @@
+import { createRequire } from 'node:module';
+import { dirname, join } from 'node:path';
+import * as pdfjs from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+const PDFJS_DIR = dirname(createRequire(import.meta.url).resolve('pdfjs-dist/package.json'));
+
+// "1-5,8,12-" → [1, 2, 3, 4, 5, 8, 12, …, pageCount]. Empty means every page.
+export function parsePageRange(spec, pageCount) {
+  if (spec === undefined || spec === null || String(spec).trim() === '') {
+    return Array.from({ length: pageCount }, (_, index) => index + 1);
+  }
+  const pages = new Set();
+  for (const part of String(spec).split(',')) {
+    const match = /^\s*(\d+)\s*(?:(-)\s*(\d+)?)?\s*$/.exec(part);
+    if (!match) throw new Error(`Invalid page range "${part.trim()}" (expected e.g. 1-5,8,12-)`);
+    const first = Number(match[1]);
+    const last = match[2] ? Number(match[3] || pageCount) : first;
+    if (first < 1 || last < first || last > pageCount) {
+      throw new Error(`Page range "${part.trim()}" is outside 1-${pageCount}`);
+    }
+    for (let page = first; page <= last; page += 1) pages.add(page);
+  }
+  return [...pages].sort((a, b) => a - b);
+}
+
+// Renders PDF pages in Node the way the reader's renderPdfToImages does in the
+// browser (pdf.js at `scale`, white background), then hands each one to the
+// backend image normalizer for the same resize and pad rules.
+export async function openPdf(data, { normalizer }) {
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(data),
+    cMapUrl: join(PDFJS_DIR, 'cmaps/'),
+    cMapPacked: true,
+    standardFontDataUrl: join(PDFJS_DIR, 'standard_fonts/'),
+    isEvalSupported: false,
+    verbosity: pdfjs.VerbosityLevel.ERRORS
+  }).promise;
+
+  async function renderPage(pageNumber, { scale = 2 } = {}) {
+    const page = await pdf.getPage(pageNumber);
+    try {
+      const viewport = page.getViewport({ scale });
+      const { canvas, context } = pdf.canvasFactory.create(Math.floor(viewport.width), Math.floor(viewport.height));
+      await page.render({ canvasContext: context, viewport }).promise;
+      const rendered = canvas.toBuffer('image/png');
+      const image = await normalizer.normalize({ imageBase64: rendered.toString('base64'), mimeType: 'image/png' });
+      return {
+        pageNumber,
+        width: image.width,
+        height: image.height,
+        aspectRatio: image.aspectRatio,
+        imageBase64: image.imageBase64,
+        mimeType: image.mimeType
+      };
+    } finally {
+      page.cleanup();
+    }
+  }
+
+  return {
+    pageCount: pdf.numPages,
+    renderPage,
+    close: () => pdf.destroy()
+  };
+}
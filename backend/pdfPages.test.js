@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { createImageNormalizer } from './imageNormalizer.js';
+import { openPdf, parsePageRange } from './pdfPages.js';
+
+// A PDF with one page per [width, height] (in points), each filled red.
+function buildPdf(sizes) {
+  const objects = ['<< /Type /Catalog /Pages 2 0 R >>', null];
+  const kids = [];
+  for (const [width, height] of sizes) {
+    const content = `1 0 0 rg 0 0 ${width} ${height} re f`;
+    const pageId = objects.length + 1;
+    kids.push(`${pageId} 0 R`);
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Contents ${pageId + 1} 0 R >>`);
+    objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+  }
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${sizes.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+test('parsePageRange expands lists and open ranges', () => {
+  assert.deepEqual(parsePageRange('', 3), [1, 2, 3]);
+  assert.deepEqual(parsePageRange(undefined, 2), [1, 2]);
+  assert.deepEqual(parsePageRange('5, 1-2,2,9-', 10), [1, 2, 5, 9, 10]);
+  assert.throws(() => parsePageRange('3-1', 5), /outside 1-5/);
+  assert.throws(() => parsePageRange('4', 3), /outside 1-3/);
+  assert.throws(() => parsePageRange('0', 3), /outside 1-3/);
+  assert.throws(() => parsePageRange('one', 3), /Invalid page range "one"/);
+});
+
+test('pages render at scale and come out normalized like the reader', async () => {
+  const pdf = await openPdf(buildPdf([[300, 450], [450, 300]]), { normalizer: createImageNormalizer() });
+  try {
+    assert.equal(pdf.pageCount, 2);
+    const tall = await pdf.renderPage(1);
+    assert.deepEqual([tall.pageNumber, tall.aspectRatio, tall.width, tall.height, tall.mimeType], [1, '9:16', 600, 1067, 'image/jpeg']);
+    const { data, info } = await sharp(Buffer.from(tall.imageBase64, 'base64')).raw().toBuffer({ resolveWithObject: true });
+    const center = (Math.floor(info.height / 2) * info.width + Math.floor(info.width / 2)) * info.channels;
+    assert.ok(data[center] > 200 && data[center + 1] < 60, 'the page content is drawn');
+
+    const wide = await pdf.renderPage(2, { scale: 1 });
+    assert.deepEqual([wide.aspectRatio, wide.width, wide.height], ['16:9', 853, 480]);
+  } finally {
+    await pdf.close();
+  }
+});
@@ -0,0 +1,161 @@
+import { readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+export const DEFAULT_PROMPT_PRESET = 'high-impact-action';
+
+export const PROMPT_PLACEHOLDERS = ['animation', 'body', 'overrides', 'duration', 'userRequest', 'analysis', 'environment'];
+
+const REQUIRED_SECTIONS = ['prompt', 'animation', 'minimal', 'ultra_short'];
+const KNOWN_SECTIONS = [
+  ...REQUIRED_SECTIONS,
+  'environment',
+  'user_request',
+  'clean_air',
+  'text_lock',
+  'user_override',
+  'transform_override',
+  'focus',
+  'user_direction',
+  'context',
+  'analysis_minimal',
+  'analysis',
+  'prompt_builder',
+  'generic'
+];
+const TRANSFORM_MODES = ['auto', 'always'];
+const FILE_PATTERN = /^([a-z0-9-]+)\.v(\d+)\.txt$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z]+)\s*\}\}/g;
+
+// A template file is `# comments`, then `[section]` blocks. `[meta]` holds
+// `key: value` lines; every other section is prompt text with {{placeholders}}.
+export function parsePromptTemplate(text, source = 'template') {
+  const sections = {};
+  let current = null;
+  for (const line of text.replace(/\r\n/g, '\n').split('\n')) {
+    const header = line.match(/^\[([a-z_]+)\]\s*$/);
+    if (header) {
+      current = header[1];
+      if (sections[current] !== undefined) {
+        throw new Error(`${source}: duplicate section [${current}]`);
+      }
+      sections[current] = [];
+      continue;
+    }
+    if (current === null) {
+      if (line.trim() && !line.startsWith('#')) {
+        throw new Error(`${source}: text before the first section`);
+      }
+      continue;
+    }
+    sections[current].push(line);
+  }
+
+  const meta = {};
+  for (const line of sections.meta || []) {
+    if (!line.trim()) continue;
+    const match = line.match(/^([a-zA-Z]+):\s*(.*)$/);
+    if (!match) throw new Error(`${source}: invalid meta line "${line}"`);
+    meta[match[1]] = match[2].trim();
+  }
+  delete sections.meta;
+
+  const body = {};
+  for (const [name, lines] of Object.entries(sections)) {
+    if (!KNOWN_SECTIONS.includes(name)) {
+      throw new Error(`${source}: unknown section [${name}]`);
+    }
+    body[name] = lines.join('\n').replace(/^\n+|\s+$/g, '');
+    for (const [, placeholder] of body[name].matchAll(PLACEHOLDER_PATTERN)) {
+      if (!PROMPT_PLACEHOLDERS.includes(placeholder)) {
+        throw new Error(`${source}: unknown placeholder {{${placeholder}}} in [${name}]`);
+      }
+    }
+  }
+  const missing = REQUIRED_SECTIONS.filter(name => !body[name]);
+  if (missing.length) {
+    throw new Error(`${source}: missing section${missing.length > 1 ? 's' : ''} ${missing.map(name => `[${name}]`).join(', ')}`);
+  }
+
+  const version = parseInt(meta.version, 10);
+  if (!meta.name || !/^[a-z0-9-]+$/.test(meta.name)) {
+    throw new Error(`${source}: meta "name" must be lowercase letters, digits and dashes`);
+  }
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`${source}: meta "version" must be a positive integer`);
+  }
+  const transform = meta.transform || 'auto';
+  if (!TRANSFORM_MODES.includes(transform)) {
+    throw new Error(`${source}: meta "transform" must be one of ${TRANSFORM_MODES.join(', ')}`);
+  }
+
+  return {
+    name: meta.name,
+    version,
+    label: meta.label || meta.name,
+    description: meta.description || '',
+    amplify: meta.amplify !== 'false',
+    transform,
+    sections: body
+  };
+}
+
+// Missing sections render as '' so callers can drop them; a line that held only
+// an empty placeholder disappears instead of leaving a blank line behind.
+export function renderPromptSection(template, section, values = {}) {
+  const text = template.sections[section];
+  if (!text) return '';
+  return text
+    .split('\n')
+    .map(line => {
+      const rendered = line.replace(PLACEHOLDER_PATTERN, (_, key) => (values[key] ?? '').toString());
+      return rendered.trim() || line.trim() === '' ? rendered : null;
+    })
+    .filter(line => line !== null)
+    .join('\n')
+    .replace(/\s+$/, '');
+}
+
+// Loads every `<name>.v<version>.txt` in `dir` once. `get(name)` returns the
+// newest version of a preset unless a specific version is asked for.
+export function createPromptLibrary({ dir, defaultPreset = DEFAULT_PROMPT_PRESET }) {
+  const presets = new Map();
+  for (const fileName of readdirSync(dir).sort()) {
+    const match = fileName.match(FILE_PATTERN);
+    if (!match) continue;
+    const template = parsePromptTemplate(readFileSync(join(dir, fileName), 'utf8'), fileName);
+    if (template.name !== match[1] || template.version !== parseInt(match[2], 10)) {
+      throw new Error(`${fileName}: meta name/version do not match the file name`);
+    }
+    const versions = presets.get(template.name) || new Map();
+    versions.set(template.version, template);
+    presets.set(template.name, versions);
+  }
+  if (!presets.has(defaultPreset)) {
+    throw new Error(`Default prompt preset "${defaultPreset}" not found in ${dir}`);
+  }
+
+  function get(name = defaultPreset, version = null) {
+    const versions = presets.get(name || defaultPreset);
+    if (!versions) return null;
+    if (version !== null && version !== undefined) {
+      return versions.get(Number(version)) || null;
+    }
+    return versions.get(Math.max(...versions.keys()));
+  }
+
+  function list() {
+    return Array.from(presets.keys()).sort().map(name => {
+      const latest = get(name);
+      return {
+        name,
+        label: latest.label,
+        description: latest.description,
+        version: latest.version,
+        versions: Array.from(presets.get(name).keys()).sort((a, b) => a - b),
+        default: name === defaultPreset
+      };
+    });
+  }
+
+  return { get, list, defaultPreset };
+}
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createPromptLibrary, parsePromptTemplate, renderPromptSection } from './promptTemplates.js';
+
+const PROMPTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'prompts');
+
+const MINIMAL_TEMPLATE = [
+  '[meta]',
+  'name: demo',
+  'version: 2',
+  '',
+  '[prompt]',
+  '{{animation}}',
+  '',
+  '{{body}}{{overrides}}',
+  '',
+  '[animation]',
+  'Duration: {{duration}} seconds.',
+  '',
+  '[minimal]',
+  'Move.',
+  '{{environment}}',
+  'Keep moving.',
+  '',
+  '[ultra_short]',
+  'Move fast.'
+].join('\n');
+
+test('parsePromptTemplate reads meta and sections', () => {
+  const template = parsePromptTemplate(`# comment\n${MINIMAL_TEMPLATE}`);
+  assert.equal(template.name, 'demo');
+  assert.equal(template.version, 2);
+  assert.equal(template.label, 'demo');
+  assert.equal(template.amplify, true);
+  assert.equal(template.transform, 'auto');
+  assert.equal(template.sections.minimal, 'Move.\n{{environment}}\nKeep moving.');
+});
+
+test('parsePromptTemplate rejects broken templates', () => {
+  assert.throws(() => parsePromptTemplate(MINIMAL_TEMPLATE.replace('[ultra_short]\nMove fast.', ''), 'x.txt'), /x\.txt: missing section \[ultra_short\]/);
+  assert.throws(() => parsePromptTemplate(`${MINIMAL_TEMPLATE}\n[focus]\n{{scene}}`), /unknown placeholder \{\{scene\}\}/);
+  assert.throws(() => parsePromptTemplate(`${MINIMAL_TEMPLATE}\n[outro]\nBye.`), /unknown section \[outro\]/);
+  assert.throws(() => parsePromptTemplate(MINIMAL_TEMPLATE.replace('version: 2', 'version: two')), /"version"/);
+  assert.throws(() => parsePromptTemplate(`loose text\n${MINIMAL_TEMPLATE}`), /before the first section/);
+});
+
+test('renderPromptSection fills placeholders and drops lines left empty', () => {
+  const template = parsePromptTemplate(MINIMAL_TEMPLATE);
+  assert.equal(renderPromptSection(template, 'minimal', { environment: 'Dust flies.' }), 'Move.\nDust flies.\nKeep moving.');
+  assert.equal(renderPromptSection(template, 'minimal'), 'Move.\nKeep moving.');
+  assert.equal(renderPromptSection(template, 'focus', { analysis: 'x' }), '');
+
+  const animation = renderPromptSection(template, 'animation', { duration: 4 });
+  assert.equal(renderPromptSection(template, 'prompt', { animation }), 'Duration: 4 seconds.');
+  assert.equal(
+    renderPromptSection(template, 'prompt', { animation, body: 'Move.', overrides: '\nNow.' }),
+    'Duration: 4 seconds.\n\nMove.\nNow.'
+  );
+});
+
+test('the library picks the newest version unless one is requested', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'veo-prompts-'));
+  await fs.writeFile(path.join(dir, 'demo.v1.txt'), MINIMAL_TEMPLATE.replace('version: 2', 'version: 1'));
+  await fs.writeFile(path.join(dir, 'demo.v2.txt'), MINIMAL_TEMPLATE);
+  await fs.writeFile(path.join(dir, 'notes.md'), 'ignored');
+
+  const library = createPromptLibrary({ dir, defaultPreset: 'demo' });
+  assert.equal(library.get().version, 2);
+  assert.equal(library.get('demo', 1).version, 1);
+  assert.equal(library.get('demo', 3), null);
+  assert.equal(library.get('other'), null);
+  assert.deepEqual(library.list().map(({ name, version, versions }) => ({ name, version, versions })), [
+    { name: 'demo', version: 2, versions: [1, 2] }
+  ]);
+
+  await fs.writeFile(path.join(dir, 'demo.v3.txt'), MINIMAL_TEMPLATE);
+  assert.throws(() => createPromptLibrary({ dir, defaultPreset: 'demo' }), /do not match the file name/);
+  assert.throws(() => createPromptLibrary({ dir: PROMPTS_DIR, defaultPreset: 'missing' }), /Default prompt preset "missing"/);
+});
+
+test('shipped presets load and render', () => {
+  const library = createPromptLibrary({ dir: PROMPTS_DIR });
+  const names = library.list().map(preset => preset.name);
+  for (const name of ['high-impact-action', 'calm-slice-of-life', 'transformation']) {
+    assert.ok(names.includes(name), name);
+    const template = library.get(name);
+    const animation = renderPromptSection(template, 'animation', { duration: 6 });
+    assert.match(animation, /Duration: 6 seconds\./);
+    assert.doesNotMatch(renderPromptSection(template, 'prompt', { animation }), /\{\{/);
+  }
+  assert.equal(library.get('calm-slice-of-life').amplify, false);
+  assert.equal(library.get('transformation').transform, 'always');
+});
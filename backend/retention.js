@@ -0,0 +1,238 @@
+import fs from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+function tally(objects) {
+  return {
+    objects: objects.length,
+    bytes: objects.reduce((sum, object) => sum + (Number(object.size) || 0), 0)
+  };
+}
+
+// `<outputsPrefix>veo-<id>` for any object the operation wrote below it.
+function outputDirOf(uri, outputsPrefix) {
+  if (!uri.startsWith(outputsPrefix)) return null;
+  const [dir] = uri.slice(outputsPrefix.length).split('/');
+  return dir ? `${outputsPrefix}${dir}` : null;
+}
+
+// What a cleanup deletes from `objects` (`{ uri, size, createdAt }`):
+// - inputs whose generation has finished, and inputs older than `inputGraceMs`
+//   that no running generation owns (a crash or a canceled poll left them);
+// - outputs `outputMaxAgeMs` after their generation finished (or after they
+//   were written, for outputs we never tracked), unless pinned. 0 keeps them.
+export function planCleanup(objects, records, { now, inputsPrefix, outputsPrefix, outputMaxAgeMs = 0, inputGraceMs = DAY_MS }) {
+  const byInput = new Map();
+  const byOutput = new Map();
+  for (const record of records) {
+    for (const uri of record.inputs || []) byInput.set(uri, record);
+    if (record.output) byOutput.set(record.output, record);
+  }
+  const plan = [];
+  for (const object of objects) {
+    if (object.uri.startsWith(inputsPrefix)) {
+      const record = byInput.get(object.uri);
+      if (record?.finishedAt) {
+        plan.push({ ...object, kind: 'input', reason: 'finished' });
+      } else if (now - object.createdAt > inputGraceMs) {
+        plan.push({ ...object, kind: 'input', reason: 'abandoned' });
+      }
+      continue;
+    }
+    const record = byOutput.get(outputDirOf(object.uri, outputsPrefix));
+    if (!outputMaxAgeMs || !object.uri.startsWith(outputsPrefix) || record?.pinned) continue;
+    if (now - (record?.finishedAt ?? object.createdAt) > outputMaxAgeMs) {
+      plan.push({ ...object, kind: 'output', reason: 'expired' });
+    }
+  }
+  return plan;
+}
+
+// Keeps track of the objects each Vertex generation leaves in the bucket (the
+// uploaded page under `inputsPrefix`, the video under `outputsPrefix`) in an
+// append-only JSON lines `file`, and deletes them through `storage`
+// (`list(prefix)` and `remove(uri)`): inputs as soon as the operation is
+// over, outputs once they expire. Records are keyed by the request id in the
+// object names and can also be found by operation name.
+export function createRetentionManager({
+  file,
+  storage,
+  inputsPrefix,
+  outputsPrefix,
+  outputMaxAgeMs = 0,
+  inputGraceMs = DAY_MS,
+  now = Date.now
+}) {
+  const records = new Map();
+  let writeChain = Promise.resolve();
+  let cleanupRun = null;
+  let lastCleanup = null;
+
+  function apply(event) {
+    if (event.type === 'track') {
+      records.set(event.record.id, event.record);
+    } else if (event.type === 'update' && records.has(event.id)) {
+      records.set(event.id, { ...records.get(event.id), ...event.patch });
+    }
+  }
+
+  function append(event) {
+    apply(event);
+    const line = `${JSON.stringify(event)}\n`;
+    writeChain = writeChain
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(dirname(file), { recursive: true });
+        await fs.appendFile(file, line);
+      });
+    return writeChain;
+  }
+
+  async function load() {
+    let text = '';
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        apply(JSON.parse(line));
+      } catch {
+        console.warn(`⚠️ Skipping unreadable retention line: ${line.slice(0, 80)}`);
+      }
+    }
+  }
+
+  function find(key) {
+    if (records.has(key)) return records.get(key);
+    for (const record of records.values()) {
+      if (record.operationName === key) return record;
+    }
+    return null;
+  }
+
+  async function update(id, patch) {
+    await append({ type: 'update', id, patch });
+    return records.get(id);
+  }
+
+  async function track(id, { inputs = [], output = null, ...fields } = {}) {
+    const record = { id, inputs, output, createdAt: now(), finishedAt: null, pinned: false, ...fields };
+    await append({ type: 'track', record });
+    return record;
+  }
+
+  async function removeAll(uris) {
+    const failed = [];
+    for (const uri of uris) {
+      try {
+        await storage.remove(uri);
+      } catch (error) {
+        failed.push({ uri, error: error?.message || String(error) });
+      }
+    }
+    return failed;
+  }
+
+  // The operation is over (or never started), so nothing reads the inputs any
+  // more. Deletion failures are left to the next cleanup. Never rejects.
+  async function finish(key, { videoUrl } = {}) {
+    try {
+      const record = find(key);
+      if (!record || record.finishedAt) return record;
+      await update(record.id, { finishedAt: now(), ...(videoUrl ? { videoUrl } : {}) });
+      const failed = await removeAll(record.inputs);
+      for (const { uri, error } of failed) {
+        console.warn(`🗑️ Could not delete input ${uri}: ${error}`);
+      }
+      if (record.inputs.length && !failed.length) await update(record.id, { inputsDeletedAt: now() });
+      return records.get(record.id);
+    } catch (error) {
+      console.warn(`🗑️ Could not finish retention record ${key}: ${error?.message || error}`);
+      return null;
+    }
+  }
+
+  // `target` is a request id, operation name or any output URI. Outputs we
+  // never tracked get a record so the pin sticks. Null if it is not an output.
+  async function pin(target, pinned = true) {
+    const record = find(target) || [...records.values()].find(entry => entry.videoUrl === target);
+    if (record) return update(record.id, { pinned });
+    const output = typeof target === 'string' ? outputDirOf(target, outputsPrefix) : null;
+    if (!output) return null;
+    const existing = [...records.values()].find(entry => entry.output === output);
+    if (existing) return update(existing.id, { pinned });
+    return track(output.slice(outputsPrefix.length).replace(/^veo-/, ''), { output, pinned });
+  }
+
+  async function listObjects() {
+    const [inputs, outputs] = await Promise.all([storage.list(inputsPrefix), storage.list(outputsPrefix)]);
+    return [...inputs, ...outputs];
+  }
+
+  async function usage() {
+    const objects = await listObjects();
+    const pinnedOutputs = new Set([...records.values()].filter(record => record.pinned).map(record => record.output));
+    const list = [...records.values()];
+    return {
+      inputs: tally(objects.filter(object => object.uri.startsWith(inputsPrefix))),
+      outputs: tally(objects.filter(object => object.uri.startsWith(outputsPrefix))),
+      pinned: tally(objects.filter(object => pinnedOutputs.has(outputDirOf(object.uri, outputsPrefix)))),
+      dueForCleanup: tally(planCleanup(objects, list, { now: now(), inputsPrefix, outputsPrefix, outputMaxAgeMs, inputGraceMs })),
+      generations: {
+        tracked: list.length,
+        running: list.filter(record => !record.finishedAt && record.operationName).length,
+        pinned: list.filter(record => record.pinned).length
+      },
+      lastCleanup
+    };
+  }
+
+  // Deletes everything planCleanup picks (`dryRun` only lists it). One cleanup
+  // runs at a time; a call while one is running gets that run's result.
+  function cleanup({ dryRun = false } = {}) {
+    if (cleanupRun && !dryRun) return cleanupRun;
+    const run = (async () => {
+      const startedAt = now();
+      const plan = planCleanup(await listObjects(), [...records.values()], { now: startedAt, inputsPrefix, outputsPrefix, outputMaxAgeMs, inputGraceMs });
+      const failed = dryRun ? [] : await removeAll(plan.map(object => object.uri));
+      const failedUris = new Set(failed.map(entry => entry.uri));
+      const deleted = plan.filter(object => !failedUris.has(object.uri));
+      if (!dryRun) {
+        const expired = new Set(deleted.filter(object => object.kind === 'output').map(object => outputDirOf(object.uri, outputsPrefix)));
+        for (const record of records.values()) {
+          if (expired.has(record.output) && !record.outputDeletedAt) await update(record.id, { outputDeletedAt: now() });
+        }
+      }
+      const result = {
+        dryRun,
+        startedAt,
+        finishedAt: now(),
+        deleted: deleted.map(({ uri, kind, reason, size }) => ({ uri, kind, reason, size: Number(size) || 0 })),
+        failed,
+        freedBytes: tally(deleted).bytes
+      };
+      if (!dryRun) lastCleanup = { at: result.finishedAt, deleted: deleted.length, failed: failed.length, freedBytes: result.freedBytes };
+      return result;
+    })();
+    if (dryRun) return run;
+    cleanupRun = run.finally(() => { cleanupRun = null; });
+    return cleanupRun;
+  }
+
+  return {
+    load,
+    track,
+    operationStarted: (id, operationName) => update(id, { operationName }),
+    finish,
+    pin,
+    get: find,
+    list: () => [...records.values()].sort((a, b) => a.createdAt - b.createdAt),
+    usage,
+    cleanup
+  };
+}
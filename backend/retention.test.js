@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { DAY_MS, createRetentionManager, planCleanup } from './retention.js';
+
+const INPUTS = 'gs://bucket/veo/inputs/';
+const OUTPUTS = 'gs://bucket/veo/outputs/';
+const START = Date.parse('2026-03-15T12:00:00Z');
+
+function createFakeStorage(objects) {
+  const stored = new Map(objects.map(object => [object.uri, object]));
+  const removed = [];
+  return {
+    stored,
+    removed,
+    async list(prefix) {
+      return [...stored.values()].filter(object => object.uri.startsWith(prefix));
+    },
+    async remove(uri) {
+      if (uri.includes('locked')) throw new Error('403 Forbidden');
+      removed.push(uri);
+      stored.delete(uri);
+    }
+  };
+}
+
+async function makeManager(objects, options = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'veo-retention-'));
+  const file = path.join(dir, 'retention.jsonl');
+  let clock = START;
+  const storage = createFakeStorage(objects);
+  const settings = { file, storage, inputsPrefix: INPUTS, outputsPrefix: OUTPUTS, outputMaxAgeMs: 7 * DAY_MS, inputGraceMs: DAY_MS, ...options };
+  const manager = createRetentionManager({ ...settings, now: () => clock });
+  return {
+    file,
+    storage,
+    manager,
+    reopen: () => createRetentionManager({ ...settings, now: () => clock }),
+    advance: (ms) => { clock += ms; }
+  };
+}
+
+test('planCleanup picks finished and abandoned inputs and expired, unpinned outputs', () => {
+  const object = (uri, ageMs) => ({ uri, size: 100, createdAt: START - ageMs });
+  const objects = [
+    object(`${INPUTS}a.jpg`, 60_000),
+    object(`${INPUTS}b.jpg`, 60_000),
+    object(`${INPUTS}old.png`, 2 * DAY_MS),
+    object(`${OUTPUTS}veo-a/123/sample_0.mp4`, 8 * DAY_MS),
+    object(`${OUTPUTS}veo-b/456/sample_0.mp4`, 8 * DAY_MS),
+    object(`${OUTPUTS}veo-legacy/sample_0.mp4`, 8 * DAY_MS),
+    object(`${OUTPUTS}veo-new/sample_0.mp4`, DAY_MS),
+    object('gs://bucket/veo/notes.txt', 30 * DAY_MS)
+  ];
+  const records = [
+    { id: 'a', inputs: [`${INPUTS}a.jpg`], output: `${OUTPUTS}veo-a`, finishedAt: START - 8 * DAY_MS - 1 },
+    { id: 'b', inputs: [`${INPUTS}b.jpg`], output: `${OUTPUTS}veo-b`, finishedAt: null, pinned: true }
+  ];
+  const settings = { now: START, inputsPrefix: INPUTS, outputsPrefix: OUTPUTS, outputMaxAgeMs: 7 * DAY_MS, inputGraceMs: DAY_MS };
+
+  assert.deepEqual(planCleanup(objects, records, settings).map(entry => [entry.uri.split('/veo/')[1], entry.reason]), [
+    ['inputs/a.jpg', 'finished'],
+    ['inputs/old.png', 'abandoned'],
+    ['outputs/veo-a/123/sample_0.mp4', 'expired'],
+    ['outputs/veo-legacy/sample_0.mp4', 'expired']
+  ]);
+  assert.deepEqual(planCleanup(objects, records, { ...settings, outputMaxAgeMs: 0 }).map(entry => entry.kind), ['input', 'input']);
+});
+
+test('inputs are deleted when the operation finishes, outputs when they expire', async () => {
+  const { storage, manager, reopen, advance } = await makeManager([
+    { uri: `${INPUTS}r1.jpg`, size: 2048, createdAt: START },
+    { uri: `${OUTPUTS}veo-r1/9/sample_0.mp4`, size: 5_000_000, createdAt: START }
+  ]);
+  await manager.track('r1', { inputs: [`${INPUTS}r1.jpg`], output: `${OUTPUTS}veo-r1` });
+  await manager.operationStarted('r1', 'projects/p/operations/op-1');
+  advance(60_000);
+
+  const finished = await manager.finish('projects/p/operations/op-1', { videoUrl: `${OUTPUTS}veo-r1/9/sample_0.mp4` });
+  assert.equal(finished.finishedAt, START + 60_000);
+  assert.equal(finished.inputsDeletedAt, START + 60_000);
+  assert.deepEqual(storage.removed, [`${INPUTS}r1.jpg`]);
+  assert.equal(await manager.finish('r1'), finished, 'finishing twice is a no-op');
+
+  advance(7 * DAY_MS);
+  assert.deepEqual((await manager.cleanup()).deleted, [], 'not expired yet');
+  advance(1);
+  const { deleted, freedBytes } = await manager.cleanup();
+  assert.deepEqual(deleted.map(entry => [entry.kind, entry.reason]), [['output', 'expired']]);
+  assert.equal(freedBytes, 5_000_000);
+  assert.equal(storage.stored.size, 0);
+
+  const restored = reopen();
+  await restored.load();
+  assert.equal(restored.get('r1').outputDeletedAt, START + 60_000 + 7 * DAY_MS + 1);
+  assert.equal(restored.get('projects/p/operations/op-1').id, 'r1');
+});
+
+test('pinned outputs stay, failed deletions are reported and retried', async () => {
+  const { storage, manager, advance } = await makeManager([
+    { uri: `${OUTPUTS}veo-keep/sample_0.mp4`, size: 10, createdAt: START },
+    { uri: `${OUTPUTS}veo-legacy/sample_0.mp4`, size: 20, createdAt: START },
+    { uri: `${OUTPUTS}veo-locked/sample_0.mp4`, size: 30, createdAt: START }
+  ]);
+  await manager.track('keep', { output: `${OUTPUTS}veo-keep` });
+  await manager.finish('keep', { videoUrl: `${OUTPUTS}veo-keep/sample_0.mp4` });
+  assert.equal((await manager.pin(`${OUTPUTS}veo-keep/sample_0.mp4`)).pinned, true);
+  assert.equal((await manager.pin(`${OUTPUTS}veo-legacy/sample_0.mp4`)).id, 'legacy', 'untracked outputs get a record');
+  assert.equal(await manager.pin('gs://elsewhere/video.mp4'), null);
+  await manager.pin('legacy', false);
+  advance(8 * DAY_MS);
+
+  const preview = await manager.cleanup({ dryRun: true });
+  assert.deepEqual(preview.deleted.map(entry => entry.uri), [`${OUTPUTS}veo-legacy/sample_0.mp4`, `${OUTPUTS}veo-locked/sample_0.mp4`]);
+  assert.equal(storage.removed.length, 0);
+
+  const result = await manager.cleanup();
+  assert.deepEqual(result.failed, [{ uri: `${OUTPUTS}veo-locked/sample_0.mp4`, error: '403 Forbidden' }]);
+  assert.deepEqual(result.deleted.map(entry => entry.uri), [`${OUTPUTS}veo-legacy/sample_0.mp4`]);
+  const usage = await manager.usage();
+  assert.deepEqual(usage.outputs, { objects: 2, bytes: 40 });
+  assert.deepEqual(usage.pinned, { objects: 1, bytes: 10 });
+  assert.deepEqual(usage.dueForCleanup, { objects: 1, bytes: 30 });
+  assert.deepEqual(usage.lastCleanup, { at: START + 8 * DAY_MS, deleted: 1, failed: 1, freedBytes: 20 });
+});
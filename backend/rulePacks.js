@@ -0,0 +1,163 @@
+import { readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+export const BASE_RULE_PACK = 'base';
+
+const PACK_KEYS = ['name', 'description', 'replacements', 'blockedLines', 'examples'];
+const NAME_PATTERN = /^[a-z0-9-]+$/;
+
+function compilePattern(source, flags, where) {
+  if (typeof source !== 'string' || !source) {
+    throw new Error(`${where}: pattern must be a non-empty string`);
+  }
+  let pattern;
+  try {
+    pattern = new RegExp(source, flags);
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+  // A pattern that matches nothing at all would rewrite or block every line.
+  if (new RegExp(source, 'i').test('')) {
+    throw new Error(`${where}: pattern /${source}/ matches empty text`);
+  }
+  return pattern;
+}
+
+// Validates a pack (already JSON-parsed) and compiles its patterns. Matching is
+// always case-insensitive; replacements apply to every occurrence.
+export function parseRulePack(data, source = 'rule pack') {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${source}: must be a JSON object`);
+  }
+  const unknown = Object.keys(data).filter(key => !PACK_KEYS.includes(key));
+  if (unknown.length) {
+    throw new Error(`${source}: unknown key${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}`);
+  }
+  if (typeof data.name !== 'string' || !NAME_PATTERN.test(data.name)) {
+    throw new Error(`${source}: "name" must be lowercase letters, digits and dashes`);
+  }
+  for (const key of ['replacements', 'blockedLines', 'examples']) {
+    if (data[key] !== undefined && !Array.isArray(data[key])) {
+      throw new Error(`${source}: "${key}" must be an array`);
+    }
+  }
+
+  const replacements = (data.replacements || []).map((rule, index) => {
+    const where = `${source}: replacements[${index}]`;
+    if (!Array.isArray(rule) || rule.length !== 2 || typeof rule[1] !== 'string') {
+      throw new Error(`${where}: expected ["pattern", "replacement"]`);
+    }
+    return [compilePattern(rule[0], 'gi', where), rule[1]];
+  });
+  const blockedLines = (data.blockedLines || []).map((rule, index) => (
+    compilePattern(rule, 'i', `${source}: blockedLines[${index}]`)
+  ));
+  const examples = (data.examples || []).map((example, index) => {
+    const where = `${source}: examples[${index}]`;
+    if (!example || typeof example.input !== 'string') {
+      throw new Error(`${where}: "input" must be a string`);
+    }
+    if (example.sanitized === undefined && example.blocked === undefined) {
+      throw new Error(`${where}: expected "sanitized" and/or "blocked"`);
+    }
+    return example;
+  });
+
+  return {
+    name: data.name,
+    description: typeof data.description === 'string' ? data.description : '',
+    replacements,
+    blockedLines,
+    examples
+  };
+}
+
+// Series packs run before the base pack so names are rewritten before the
+// generic word rules see them.
+export function createSanitizer(packs) {
+  const ordered = [
+    ...packs.filter(pack => pack.name !== BASE_RULE_PACK),
+    ...packs.filter(pack => pack.name === BASE_RULE_PACK)
+  ];
+  const replacements = ordered.flatMap(pack => pack.replacements);
+  const blockedLines = ordered.flatMap(pack => pack.blockedLines);
+
+  function sanitize(text = '') {
+    let output = text;
+    for (const [pattern, replacement] of replacements) {
+      output = output.replace(pattern, replacement);
+    }
+    return output.replace(/\s{2,}/g, ' ').trim();
+  }
+
+  // Drops every line that matches a blocked pattern.
+  function stripBlockedLines(text = '') {
+    return text
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .filter(line => !blockedLines.some(pattern => pattern.test(line)))
+      .join('\n')
+      .trim();
+  }
+
+  return { packs: ordered.map(pack => pack.name), sanitize, stripBlockedLines };
+}
+
+// Loads every `<name>.json` in `dir` once. `resolve(names)` always adds the base
+// pack; unknown names throw so bad requests fail before any work starts.
+export function createRulePackRegistry({ dir, defaultPacks = [] }) {
+  const packs = new Map();
+  for (const fileName of readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    let data;
+    try {
+      data = JSON.parse(readFileSync(join(dir, fileName), 'utf8'));
+    } catch (error) {
+      throw new Error(`${fileName}: ${error.message}`);
+    }
+    const pack = parseRulePack(data, fileName);
+    if (`${pack.name}.json` !== fileName) {
+      throw new Error(`${fileName}: "name" must match the file name`);
+    }
+    packs.set(pack.name, pack);
+  }
+  if (!packs.has(BASE_RULE_PACK)) {
+    throw new Error(`Rule pack "${BASE_RULE_PACK}" not found in ${dir}`);
+  }
+
+  function normalize(names) {
+    const list = Array.isArray(names) ? names : String(names || '').split(',');
+    return Array.from(new Set(list.map(name => String(name).trim()).filter(Boolean)));
+  }
+
+  function unknown(names) {
+    return normalize(names).filter(name => !packs.has(name));
+  }
+
+  const missingDefaults = unknown(defaultPacks);
+  if (missingDefaults.length) {
+    throw new Error(`Unknown default rule pack${missingDefaults.length > 1 ? 's' : ''}: ${missingDefaults.join(', ')}`);
+  }
+
+  function resolve(names = null) {
+    const requested = names === null || names === undefined ? normalize(defaultPacks) : normalize(names);
+    const missing = unknown(requested);
+    if (missing.length) {
+      throw new Error(`Unknown rule pack${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+    }
+    const series = requested.filter(name => name !== BASE_RULE_PACK);
+    return createSanitizer([BASE_RULE_PACK, ...series].map(name => packs.get(name)));
+  }
+
+  function list() {
+    return Array.from(packs.values()).map(pack => ({
+      name: pack.name,
+      description: pack.description,
+      replacements: pack.replacements.length,
+      blockedLines: pack.blockedLines.length,
+      default: pack.name === BASE_RULE_PACK || normalize(defaultPacks).includes(pack.name)
+    }));
+  }
+
+  return { get: (name) => packs.get(name) || null, list, resolve, unknown, defaultPacks: normalize(defaultPacks) };
+}
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { readdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { createRulePackRegistry, createSanitizer, parseRulePack } from './rulePacks.js';
+
+const RULE_PACKS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'rulePacks');
+
+async function makeDir(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'veo-rule-packs-'));
+  for (const [name, data] of Object.entries(files)) {
+    await fs.writeFile(path.join(dir, name), typeof data === 'string' ? data : JSON.stringify(data));
+  }
+  return dir;
+}
+
+const BASE = { name: 'base', replacements: [['\\bsword\\b', 'prop']], blockedLines: ['\\bblood\\b'] };
+
+test('parseRulePack rejects invalid packs', () => {
+  assert.throws(() => parseRulePack([], 'a.json'), /a\.json: must be a JSON object/);
+  assert.throws(() => parseRulePack({ name: 'Bad Name' }), /"name"/);
+  assert.throws(() => parseRulePack({ name: 'x', rules: [] }), /unknown key rules/);
+  assert.throws(() => parseRulePack({ name: 'x', replacements: [['a']] }), /replacements\[0\]: expected/);
+  assert.throws(() => parseRulePack({ name: 'x', replacements: [['(', 'b']] }), /replacements\[0\]: Invalid regular expression/);
+  assert.throws(() => parseRulePack({ name: 'x', blockedLines: ['a*'] }), /blockedLines\[0\]: .*matches empty text/);
+  assert.throws(() => parseRulePack({ name: 'x', examples: [{ input: 'a' }] }), /examples\[0\]: expected/);
+});
+
+test('series packs run before the base pack', () => {
+  const base = parseRulePack({ name: 'base', replacements: [['\\bman\\b', 'person']] });
+  const series = parseRulePack({ name: 'demo', replacements: [['iron\\s*man', 'hero']] });
+  const sanitizer = createSanitizer([base, series]);
+  assert.deepEqual(sanitizer.packs, ['demo', 'base']);
+  assert.equal(sanitizer.sanitize('Iron Man and the  man'), 'hero and the person');
+});
+
+test('stripBlockedLines drops matching lines on every call', () => {
+  const sanitizer = createSanitizer([parseRulePack(BASE)]);
+  const text = 'Blood everywhere\nClouds move\nblood again\n\n  Hair sways  ';
+  assert.equal(sanitizer.stripBlockedLines(text), 'Clouds move\nHair sways');
+  assert.equal(sanitizer.stripBlockedLines(text), 'Clouds move\nHair sways');
+});
+
+test('the registry validates packs and resolves selections', async () => {
+  const dir = await makeDir({ 'base.json': BASE, 'demo.json': { name: 'demo', replacements: [['zed', 'character']] } });
+  const registry = createRulePackRegistry({ dir, defaultPacks: 'demo' });
+  assert.deepEqual(registry.resolve().packs, ['demo', 'base']);
+  assert.deepEqual(registry.resolve([]).packs, ['base']);
+  assert.deepEqual(registry.resolve(['base', 'demo', 'demo']).packs, ['demo', 'base']);
+  assert.throws(() => registry.resolve(['nope']), /Unknown rule pack: nope/);
+  assert.deepEqual(registry.unknown('demo, nope'), ['nope']);
+  assert.deepEqual(registry.list().map(pack => [pack.name, pack.default]), [['base', true], ['demo', true]]);
+
+  assert.throws(() => createRulePackRegistry({ dir, defaultPacks: ['nope'] }), /Unknown default rule pack: nope/);
+  const noBase = await makeDir({ 'demo.json': { name: 'demo' } });
+  assert.throws(() => createRulePackRegistry({ dir: noBase }), /Rule pack "base" not found/);
+  const brokenJson = await makeDir({ 'base.json': '{' });
+  assert.throws(() => createRulePackRegistry({ dir: brokenJson }), /base\.json:/);
+  const misnamed = await makeDir({ 'base.json': { name: 'other' } });
+  assert.throws(() => createRulePackRegistry({ dir: misnamed }), /must match the file name/);
+});
+
+// Every shipped pack carries its own examples; they run with the base pack.
+const registry = createRulePackRegistry({ dir: RULE_PACKS_DIR });
+for (const fileName of readdirSync(RULE_PACKS_DIR).filter(name => name.endsWith('.json'))) {
+  const pack = registry.get(fileName.replace(/\.json$/, ''));
+  test(`rule pack ${pack.name} passes its examples`, () => {
+    const sanitizer = registry.resolve([pack.name]);
+    assert.ok(pack.examples.length > 0, 'packs should ship examples');
+    for (const example of pack.examples) {
+      if (example.sanitized !== undefined) {
+        assert.equal(sanitizer.sanitize(example.input), example.sanitized, example.input);
+      }
+      if (example.blocked !== undefined) {
+        assert.equal(sanitizer.stripBlockedLines(example.input) === '', example.blocked, example.input);
+      }
+    }
+  });
+}
@@ -0,0 +1,68 @@
+// Prompt tiers tried, in order, after the provider's safety filter blocks a
+// generation. Each one is blander than the last.
+export const SAFETY_RETRY_TIERS = ['neutral', 'ultra-short', 'no-user-request', 'generic'];
+
+export const SAFETY_BLOCKED_MESSAGE = 'Safety filter blocked the prompt';
+
+// The `generic` tier for presets without a [generic] section. It lives here,
+// outside the versioned presets, so changing it never alters a shipped version.
+export function buildGenericPrompt(durationSeconds) {
+  return [
+    `Animate this illustration as a ${durationSeconds}-second clip that starts from the provided image.`,
+    'Keep the artwork, characters, lettering and panel layout exactly as drawn.',
+    'Characters breathe and blink; hair and clothing sway in a light breeze.',
+    'Background elements drift slowly. Smooth, continuous motion, no static frames.'
+  ].join('\n');
+}
+
+export function parseSafetyRetryTiers(value) {
+  if (value === undefined || value === null) return [...SAFETY_RETRY_TIERS];
+  const tiers = String(value).split(',').map(tier => tier.trim()).filter(Boolean);
+  const unknown = tiers.filter(tier => !SAFETY_RETRY_TIERS.includes(tier));
+  if (unknown.length) {
+    throw new Error(`Unknown safety retry tier${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')} (expected ${SAFETY_RETRY_TIERS.join(', ')})`);
+  }
+  return Array.from(new Set(tiers));
+}
+
+export function createSafetyBlockedError(provider, { reasons = [] } = {}) {
+  const error = new Error(`${SAFETY_BLOCKED_MESSAGE} (${provider}). Try rephrasing to be more neutral.`);
+  error.safetyReasons = reasons;
+  return error;
+}
+
+export function isSafetyBlockedError(error) {
+  return Array.isArray(error?.safetyReasons);
+}
+
+// Runs `run(prompt, tier)` for the first prompt, then down the ladder while the
+// safety filter keeps blocking, up to `maxAttempts` calls. Prompts identical to
+// one already tried are skipped. Any other error stops the ladder at once.
+// The final error carries `safety.blocked`: the tier and reasons of each block.
+export async function runWithSafetyRetries({ prompts, maxAttempts = 1, run, onRetry }) {
+  const ladder = prompts.filter((entry, index) => (
+    entry.prompt && prompts.findIndex(other => other.prompt === entry.prompt) === index
+  ));
+  const blocked = [];
+  for (const [index, { tier, prompt }] of ladder.entries()) {
+    if (index > 0) {
+      await onRetry?.({ tier, attempt: index + 1, blocked: [...blocked] });
+    }
+    try {
+      const result = await run(prompt, tier);
+      return { result, tier, attempts: index + 1, blocked };
+    } catch (error) {
+      if (!isSafetyBlockedError(error)) throw error;
+      blocked.push({ tier, reasons: error.safetyReasons });
+      if (index + 1 >= maxAttempts || index + 1 >= ladder.length) {
+        const tried = blocked.map(entry => entry.tier).join(', ');
+        const final = blocked.length > 1
+          ? new Error(`${SAFETY_BLOCKED_MESSAGE} on every tier tried (${tried}). Try rephrasing to be more neutral.`)
+          : error;
+        final.safety = { blocked };
+        throw final;
+      }
+    }
+  }
+  throw new Error('No prompt to generate');
+}
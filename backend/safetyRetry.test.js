@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SAFETY_RETRY_TIERS,
+  buildGenericPrompt,
+  createSafetyBlockedError,
+  isSafetyBlockedError,
+  parseSafetyRetryTiers,
+  runWithSafetyRetries
+} from './safetyRetry.js';
+
+const PROMPTS = [
+  { tier: 'original', prompt: 'A' },
+  { tier: 'neutral', prompt: 'B' },
+  { tier: 'ultra-short', prompt: 'B' },
+  { tier: 'generic', prompt: 'C' }
+];
+
+function blockFirst(count) {
+  const calls = [];
+  const run = async (prompt, tier) => {
+    calls.push(tier);
+    if (calls.length <= count) throw createSafetyBlockedError('mock', { reasons: [`blocked ${tier}`] });
+    return { videoUrl: `video-${prompt}` };
+  };
+  return { calls, run };
+}
+
+test('parseSafetyRetryTiers validates the ladder', () => {
+  assert.deepEqual(parseSafetyRetryTiers(undefined), SAFETY_RETRY_TIERS);
+  assert.deepEqual(parseSafetyRetryTiers(''), []);
+  assert.deepEqual(parseSafetyRetryTiers(' generic, neutral,generic '), ['generic', 'neutral']);
+  assert.throws(() => parseSafetyRetryTiers('neutral,louder'), /Unknown safety retry tier: louder/);
+});
+
+test('the built-in generic prompt follows the clip length', () => {
+  assert.match(buildGenericPrompt(6), /^Animate this illustration as a 6-second clip/);
+  assert.equal(buildGenericPrompt(8).split('\n').length, 4);
+});
+
+test('a successful first attempt reports the original tier', async () => {
+  const { calls, run } = blockFirst(0);
+  const outcome = await runWithSafetyRetries({ prompts: PROMPTS, maxAttempts: 3, run });
+  assert.deepEqual(calls, ['original']);
+  assert.equal(outcome.tier, 'original');
+  assert.deepEqual(outcome.blocked, []);
+});
+
+test('safety blocks walk down the ladder, skipping duplicate prompts', async () => {
+  const { calls, run } = blockFirst(2);
+  const retries = [];
+  const outcome = await runWithSafetyRetries({
+    prompts: PROMPTS,
+    maxAttempts: 4,
+    run,
+    onRetry: (event) => retries.push(event.tier)
+  });
+  assert.deepEqual(calls, ['original', 'neutral', 'generic']);
+  assert.deepEqual(retries, ['neutral', 'generic']);
+  assert.equal(outcome.tier, 'generic');
+  assert.equal(outcome.attempts, 3);
+  assert.deepEqual(outcome.result, { videoUrl: 'video-C' });
+  assert.deepEqual(outcome.blocked, [
+    { tier: 'original', reasons: ['blocked original'] },
+    { tier: 'neutral', reasons: ['blocked neutral'] }
+  ]);
+});
+
+test('the ladder stops at maxAttempts and reports every block', async () => {
+  const { calls, run } = blockFirst(10);
+  await assert.rejects(
+    runWithSafetyRetries({ prompts: PROMPTS, maxAttempts: 2, run }),
+    (error) => {
+      assert.match(error.message, /every tier tried \(original, neutral\)/);
+      assert.deepEqual(error.safety.blocked.map(entry => entry.tier), ['original', 'neutral']);
+      return true;
+    }
+  );
+  assert.deepEqual(calls, ['original', 'neutral']);
+
+  const single = blockFirst(10);
+  await assert.rejects(runWithSafetyRetries({ prompts: PROMPTS, maxAttempts: 1, run: single.run }), (error) => {
+    assert.ok(isSafetyBlockedError(error));
+    assert.deepEqual(error.safety.blocked, [{ tier: 'original', reasons: ['blocked original'] }]);
+    return true;
+  });
+});
+
+test('other errors are not retried', async () => {
+  let calls = 0;
+  const run = async () => {
+    calls += 1;
+    throw new Error('Vertex API error 500');
+  };
+  await assert.rejects(runWithSafetyRetries({ prompts: PROMPTS, maxAttempts: 4, run }), /Vertex API error 500/);
+  assert.equal(calls, 1);
+});
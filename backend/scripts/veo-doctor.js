@@ -9,10 +9,15 @@ import {
   isUnsupportedImageError,
   getUnsupportedField
 } from '../veoUtils.js';
+import { describeConfig, loadConfig, maskSecret } from '../config.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: join(__dirname, '..', '..', '.env'), override: true });
 
+// Same resolution as the backend, so the doctor reports what server.js would use.
+const loadedConfig = loadConfig(process.env, { baseDir: join(__dirname, '..') });
+const { GEMINI_API_BASE_URL } = loadedConfig.config;
+
 function getArgValue(flag) {
   const index = process.argv.indexOf(flag);
   if (index === -1) return null;
@@ -23,10 +28,26 @@ function hasFlag(flag) {
   return process.argv.includes(flag);
 }
 
-function maskKey(key) {
-  if (!key) return '';
-  if (key.length <= 6) return '***';
-  return `${key.slice(0, 3)}...${key.slice(-3)}`;
+// Lists the settings that differ from the defaults (all of them with --config),
+// then any problems. Returns false when the backend would refuse to start.
+function reportConfig() {
+  const view = describeConfig(loadedConfig);
+  const showAll = hasFlag('--config');
+  const entries = Object.entries(view).filter(([, entry]) => showAll || entry.source !== 'default');
+  console.log(`Configuration (${entries.length} of ${Object.keys(view).length} shown${showAll ? '' : ', --config for all'}):`);
+  for (const [name, { value, source }] of entries) {
+    console.log(`  ${name}=${typeof value === 'string' ? value : JSON.stringify(value)}${source === 'env' ? '' : ` (${source})`}`);
+  }
+  for (const warning of loadedConfig.warnings) {
+    console.warn(`Config warning: ${warning}`);
+  }
+  for (const error of loadedConfig.errors) {
+    console.error(`Config error: ${error}`);
+  }
+  if (loadedConfig.errors.length) {
+    console.error('The backend will not start until these are fixed.');
+  }
+  return loadedConfig.errors.length === 0;
 }
 
 function sleep(ms) {
@@ -34,7 +55,7 @@ function sleep(ms) {
 }
 
 async function listModels(apiKey) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`;
+  const url = `${GEMINI_API_BASE_URL}/v1beta/models?key=${apiKey}`;
   const response = await fetch(url);
   const text = await response.text();
   if (!response.ok) {
@@ -47,9 +68,9 @@ async function pollOperation(apiKey, operationName, options = {}) {
   const maxPolls = Number.isInteger(options.maxPolls) ? options.maxPolls : 180;
   const pollIntervalMs = Number.isInteger(options.pollIntervalMs) ? options.pollIntervalMs : 5000;
 
-  let url = `https://generativelanguage.googleapis.com/${operationName}?key=${apiKey}`;
+  let url = `${GEMINI_API_BASE_URL}/${operationName}?key=${apiKey}`;
   if (!operationName.startsWith('v')) {
-    url = `https://generativelanguage.googleapis.com/v1beta/${operationName}?key=${apiKey}`;
+    url = `${GEMINI_API_BASE_URL}/v1beta/${operationName}?key=${apiKey}`;
   }
 
   for (let i = 0; i < maxPolls; i += 1) {
@@ -89,9 +110,7 @@ async function runGenerate(apiKey, model, imagePath) {
   const numberOfVideos = Number.isInteger(parseInt(countArg, 10))
     ? parseInt(countArg, 10)
     : undefined;
-  const personGeneration = process.env.VEO_PERSON_GENERATION && process.env.VEO_PERSON_GENERATION.trim()
-    ? process.env.VEO_PERSON_GENERATION.trim()
-    : undefined;
+  const personGeneration = loadedConfig.config.VEO_PERSON_GENERATION;
 
   const requestBody = buildVeoRequestBody({
     prompt: 'A calm, cinematic 8-second shot of clouds drifting over mountains.',
@@ -104,7 +123,7 @@ async function runGenerate(apiKey, model, imagePath) {
     includeImage: Boolean(imagePath)
   });
 
-  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:predictLongRunning?key=${apiKey}`;
+  const apiUrl = `${GEMINI_API_BASE_URL}/v1beta/models/${model}:predictLongRunning?key=${apiKey}`;
   let response = await fetch(apiUrl, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
@@ -134,8 +153,11 @@ async function runGenerate(apiKey, model, imagePath) {
 }
 
 async function main() {
-  const apiKey = process.env.GEMINI_API_KEY;
-  const model = getArgValue('--model') || process.env.VEO_MODEL || 'veo-3.1-generate-preview';
+  if (!reportConfig()) {
+    process.exitCode = 1;
+  }
+  const apiKey = loadedConfig.config.GEMINI_API_KEY;
+  const model = getArgValue('--model') || loadedConfig.config.VEO_MODEL;
   const imagePath = getArgValue('--image');
   const shouldGenerate = hasFlag('--generate');
   const dryRun = hasFlag('--dry-run');
@@ -146,7 +168,10 @@ async function main() {
     process.exit(1);
   }
 
-  console.log(`API key: ${maskKey(apiKey)}`);
+  console.log(`API key: ${maskSecret(apiKey)}`);
+  if (loadedConfig.sources.GEMINI_API_BASE_URL === 'env') {
+    console.log(`API base URL: ${GEMINI_API_BASE_URL}`);
+  }
   console.log(`Model: ${model}`);
 
   try {
@@ -0,0 +1,43 @@
+import { createVeoEmulator, EMULATOR_SCENARIOS } from '../veoEmulator.js';
+
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  if (index === -1) return null;
+  return process.argv[index + 1] || null;
+}
+
+function parseIntArg(flag, envValue, fallback) {
+  const value = parseInt(getArgValue(flag) ?? envValue, 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+function main() {
+  const port = parseIntArg('--port', process.env.VEO_EMULATOR_PORT, 4010);
+  const scenarios = getArgValue('--scenarios') ?? process.env.VEO_EMULATOR_SCENARIOS ?? '';
+  const pollsUntilDone = parseIntArg('--polls', process.env.VEO_EMULATOR_POLLS, 2);
+  const retryAfterSeconds = parseIntArg('--retry-after', process.env.VEO_EMULATOR_RETRY_AFTER, 1);
+  const apiKey = getArgValue('--api-key') || process.env.VEO_EMULATOR_API_KEY || undefined;
+
+  let emulator;
+  try {
+    emulator = createVeoEmulator({ scenarios, pollsUntilDone, retryAfterSeconds, apiKey });
+  } catch (error) {
+    console.error(error.message);
+    console.error(`Known scenarios: ${EMULATOR_SCENARIOS.join(', ')}`);
+    process.exit(1);
+  }
+
+  emulator.app.listen(port, () => {
+    const base = `http://localhost:${port}`;
+    console.log(`Veo emulator listening on ${base}`);
+    console.log(`Scenarios: ${scenarios || 'none'}`);
+    console.log(`Operations finish after ${pollsUntilDone} poll(s).`);
+    console.log('Point the backend at it with:');
+    console.log(`  GEMINI_API_BASE_URL=${base}`);
+    console.log(`  VERTEX_API_BASE_URL=${base}`);
+    console.log(`  GCS_API_BASE_URL=${base}`);
+    console.log('  VERTEX_ACCESS_TOKEN=emulator');
+  });
+}
+
+main();
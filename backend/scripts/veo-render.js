@@ -0,0 +1,286 @@
+import fs from 'node:fs/promises';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { basename, dirname, extname, join, resolve } from 'path';
+import { loadConfig } from '../config.js';
+import { createImageNormalizer } from '../imageNormalizer.js';
+import { openPdf, parsePageRange } from '../pdfPages.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: join(__dirname, '..', '..', '.env'), override: true });
+
+const { config } = loadConfig(process.env, { baseDir: join(__dirname, '..') });
+// npm runs scripts from backend/; paths on the command line are relative to where it was called.
+const callerDir = process.env.INIT_CWD || process.cwd();
+
+const USAGE = `Usage: npm run veo:render -- <file.pdf> [options]
+  --out <dir>             output directory (default: <pdf name>-veo next to the PDF)
+  --pages <range>         pages to render, e.g. 1-5,8,12- (default: all)
+  --resolution <720p|1080p>
+  --model <default|fast>
+  --prompt <text>         extra direction for every page
+  --preset <name>         prompt preset (default: VEO_PROMPT_PRESET)
+  --rule-packs <a,b>      series sanitization packs
+  --scale <n>             PDF render scale, as in the reader (default 2)
+  --force                 regenerate even when a cached video exists
+  --server <url>          backend to submit to (default http://localhost:${config.PORT})
+  --token <token>         API token when the backend requires a sign-in
+  --dry-run               render and normalize the pages only; no generation
+Pages go through POST /api/veo/batch, so the backend must be running (USE_MOCK_MODE=true works).
+The output directory gets page-NNN.jpg (what was sent), page-NNN.mp4 and manifest.json.`;
+
+// Most inline page data per batch request, below the backend's 50 MB body limit.
+const MAX_BATCH_BYTES = 40 * 1024 * 1024;
+const POLL_INTERVAL_MS = 2000;
+
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  if (index === -1) return null;
+  return process.argv[index + 1] || null;
+}
+
+function hasFlag(flag) {
+  return process.argv.includes(flag);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function readOptions() {
+  const pdfPath = process.argv[2];
+  if (!pdfPath || pdfPath.startsWith('--')) return null;
+  const resolution = getArgValue('--resolution');
+  if (resolution && !['720p', '1080p'].includes(resolution)) {
+    throw new Error(`--resolution expects 720p or 1080p, got "${resolution}"`);
+  }
+  const model = getArgValue('--model');
+  if (model && !['default', 'fast'].includes(model)) {
+    throw new Error(`--model expects default or fast, got "${model}"`);
+  }
+  const scale = Number(getArgValue('--scale') || 2);
+  if (!(scale > 0 && scale <= 8)) {
+    throw new Error(`--scale expects a number from 0 to 8, got "${getArgValue('--scale')}"`);
+  }
+  const rulePacks = getArgValue('--rule-packs');
+  const absolutePdfPath = resolve(callerDir, pdfPath);
+  return {
+    pdfPath: absolutePdfPath,
+    outDir: resolve(callerDir, getArgValue('--out') || join(dirname(absolutePdfPath), `${basename(pdfPath, extname(pdfPath))}-veo`)),
+    pages: getArgValue('--pages'),
+    scale,
+    dryRun: hasFlag('--dry-run'),
+    server: (getArgValue('--server') || `http://localhost:${config.PORT}`).replace(/\/+$/, ''),
+    token: getArgValue('--token'),
+    settings: {
+      ...(resolution ? { resolution } : {}),
+      ...(model === 'fast' ? { model: 'fast' } : {}),
+      ...(getArgValue('--prompt') ? { userPrompt: getArgValue('--prompt') } : {}),
+      ...(getArgValue('--preset') ? { preset: getArgValue('--preset') } : {}),
+      ...(rulePacks ? { rulePacks: rulePacks.split(',').map(name => name.trim()).filter(Boolean) } : {}),
+      ...(hasFlag('--force') ? { force: true } : {})
+    }
+  };
+}
+
+function pageFileName(pageNumber, extension) {
+  return `page-${String(pageNumber).padStart(3, '0')}.${extension}`;
+}
+
+function createClient({ server, token }) {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  async function request(method, path, body) {
+    const response = await fetch(`${server}${path}`, {
+      method,
+      headers: { ...headers, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+      ...(body ? { body: JSON.stringify(body) } : {})
+    });
+    const text = await response.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = { error: text.slice(0, 300) };
+    }
+    if (!response.ok) {
+      throw new Error(`${method} ${path} failed (${response.status}): ${data.error || text.slice(0, 300)}`);
+    }
+    return data;
+  }
+  async function download(url, file) {
+    const response = await fetch(url, { headers });
+    if (!response.ok) throw new Error(`Download failed (${response.status})`);
+    await fs.writeFile(file, Buffer.from(await response.arrayBuffer()));
+  }
+  return { request, download };
+}
+
+// Splits rendered pages into batches that stay under the request size limit.
+function chunkPages(pages) {
+  const chunks = [];
+  let current = [];
+  let bytes = 0;
+  for (const page of pages) {
+    if (current.length && bytes + page.imageBase64.length > MAX_BATCH_BYTES) {
+      chunks.push(current);
+      current = [];
+      bytes = 0;
+    }
+    current.push(page);
+    bytes += page.imageBase64.length;
+  }
+  if (current.length) chunks.push(current);
+  return chunks;
+}
+
+async function renderPages(options) {
+  const normalizer = createImageNormalizer({
+    minLongSide: config.VEO_IMAGE_MIN_LONG_SIDE,
+    maxLongSide: config.VEO_IMAGE_MAX_LONG_SIDE,
+    padColor: config.VEO_IMAGE_PAD_COLOR,
+    jpegQuality: config.VEO_IMAGE_JPEG_QUALITY,
+    maxInputPixels: config.VEO_IMAGE_MAX_PIXELS
+  });
+  const pdf = await openPdf(await fs.readFile(options.pdfPath), { normalizer });
+  try {
+    const pageNumbers = parsePageRange(options.pages, pdf.pageCount);
+    console.log(`📄 ${basename(options.pdfPath)}: rendering ${pageNumbers.length} of ${pdf.pageCount} pages`);
+    const pages = [];
+    for (const pageNumber of pageNumbers) {
+      const page = await pdf.renderPage(pageNumber, { scale: options.scale });
+      page.image = pageFileName(pageNumber, 'jpg');
+      await fs.writeFile(join(options.outDir, page.image), Buffer.from(page.imageBase64, 'base64'));
+      console.log(`🖼️ Page ${pageNumber}: ${page.width}x${page.height} (${page.aspectRatio})`);
+      pages.push(page);
+    }
+    return { pageCount: pdf.pageCount, pages };
+  } finally {
+    await pdf.close();
+  }
+}
+
+async function writeManifest(options, manifest) {
+  const file = join(options.outDir, 'manifest.json');
+  await fs.writeFile(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  return file;
+}
+
+// Submits the pages as one or more batches, reports progress until every
+// batch is done, then downloads the videos. Ctrl-C cancels what is left.
+async function generate(options, client, pages) {
+  const batches = [];
+  for (const chunk of chunkPages(pages)) {
+    const batch = await client.request('POST', '/api/veo/batch', {
+      ...options.settings,
+      pages: chunk.map(({ pageNumber, imageBase64, mimeType }) => ({ pageNumber, imageBase64, mimeType }))
+    });
+    console.log(`📚 Batch ${batch.id}: ${batch.total} pages`);
+    batches.push(batch);
+  }
+
+  let interrupted = false;
+  const onInterrupt = () => {
+    if (interrupted) process.exit(130);
+    interrupted = true;
+    console.warn('\n⚠️ Canceling the remaining pages (Ctrl-C again to quit at once)…');
+    Promise.all(batches.map(batch => client.request('DELETE', `/api/veo/batch/${batch.id}`).catch(() => null)));
+  };
+  process.on('SIGINT', onInterrupt);
+
+  let lastReport = '';
+  let results;
+  try {
+    for (;;) {
+      results = await Promise.all(batches.map(batch => client.request('GET', `/api/veo/batch/${batch.id}`)));
+      const done = results.reduce((sum, batch) => sum + batch.done, 0);
+      const ready = results.reduce((sum, batch) => sum + (batch.counts.ready || 0), 0);
+      const report = `⏳ ${done}/${pages.length} pages done, ${ready} ready`;
+      if (report !== lastReport) console.log(report);
+      lastReport = report;
+      if (results.every(batch => batch.status !== 'running')) break;
+      await sleep(POLL_INTERVAL_MS);
+    }
+  } finally {
+    process.off('SIGINT', onInterrupt);
+  }
+
+  const outcomes = new Map(results.flatMap(batch => batch.pages.map(page => [page.pageNumber, page])));
+  const manifestPages = [];
+  for (const page of pages) {
+    const outcome = outcomes.get(page.pageNumber) || { status: 'failed', error: 'Missing from the batch result' };
+    const entry = {
+      pageNumber: page.pageNumber,
+      image: page.image,
+      aspectRatio: page.aspectRatio,
+      status: outcome.status,
+      ...(outcome.id ? { jobId: outcome.id } : {})
+    };
+    if (outcome.status === 'ready') {
+      const video = pageFileName(page.pageNumber, 'mp4');
+      try {
+        await client.download(outcome.downloadUrl, join(options.outDir, video));
+        Object.assign(entry, { video, resolution: outcome.resolution, preset: outcome.preset, ...(outcome.cached ? { cached: true } : {}) });
+        console.log(`✅ Page ${page.pageNumber}: ${video}${outcome.cached ? ' (cached)' : ''}`);
+      } catch (error) {
+        Object.assign(entry, { status: 'failed', error: error.message });
+        console.error(`❌ Page ${page.pageNumber}: ${error.message}`);
+      }
+    } else {
+      Object.assign(entry, {
+        ...(outcome.error ? { error: outcome.error } : {}),
+        ...(outcome.details ? { details: outcome.details } : {}),
+        ...(outcome.safety ? { safety: outcome.safety } : {})
+      });
+      console.error(`❌ Page ${page.pageNumber}: ${outcome.status}${outcome.error ? ` (${outcome.error})` : ''}`);
+    }
+    if (outcome.prompt) entry.prompt = outcome.prompt;
+    manifestPages.push(entry);
+  }
+  return { batches: batches.map(batch => batch.id), pages: manifestPages };
+}
+
+async function main() {
+  const options = readOptions();
+  if (!options) {
+    console.log(USAGE);
+    process.exitCode = process.argv[2] ? 1 : 0;
+    return;
+  }
+  const client = createClient(options);
+  if (!options.dryRun) {
+    try {
+      await client.request('GET', '/api/health');
+    } catch (error) {
+      throw new Error(`Cannot reach the backend at ${options.server} (${error.cause?.message || error.message}). Start it first, or use --dry-run.`);
+    }
+  }
+  await fs.mkdir(options.outDir, { recursive: true });
+  const { pageCount, pages } = await renderPages(options);
+  const manifest = {
+    pdf: basename(options.pdfPath),
+    pageCount,
+    createdAt: new Date().toISOString(),
+    ...(options.dryRun ? { dryRun: true } : { server: options.server }),
+    settings: options.settings
+  };
+
+  if (options.dryRun) {
+    const file = await writeManifest(options, {
+      ...manifest,
+      pages: pages.map(({ pageNumber, image, width, height, aspectRatio }) => ({ pageNumber, image, width, height, aspectRatio }))
+    });
+    console.log(`🧪 Dry run: ${pages.length} page images and ${file} written, nothing generated.`);
+    return;
+  }
+
+  const result = await generate(options, client, pages);
+  const file = await writeManifest(options, { ...manifest, ...result });
+  const ready = result.pages.filter(page => page.status === 'ready').length;
+  console.log(`📦 ${ready}/${pages.length} videos in ${options.outDir} (manifest: ${file})`);
+  if (ready < pages.length) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,117 @@
+import dotenv from 'dotenv';
+import { randomBytes } from 'node:crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { generateToken, hashPassword, hashToken, loadUsersFile, saveUsersFile, validateUsers } from '../auth.js';
+import { loadConfig } from '../config.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: join(__dirname, '..', '..', '.env'), override: true });
+
+const { VEO_USERS_FILE } = loadConfig(process.env, { baseDir: join(__dirname, '..') }).config;
+
+const USAGE = `Usage: npm run veo:users -- <command>
+  list                              users, roles and limits
+  add <name> [--password <pw> | --reset-password] [--admin | --no-admin] [--rate <n>] [--daily <n>]
+                                    create or update a user; new users and --reset-password get a generated password
+  token <name>                      issue an API token (shown once)
+  revoke-tokens <name>              remove every API token of a user
+  remove <name>                     delete a user
+Users are stored in ${VEO_USERS_FILE} (VEO_USERS_FILE). Restart the backend to apply changes.`;
+
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  if (index === -1) return null;
+  return process.argv[index + 1] || null;
+}
+
+function hasFlag(flag) {
+  return process.argv.includes(flag);
+}
+
+function parseLimit(flag) {
+  const raw = getArgValue(flag);
+  if (raw === null) return undefined;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${flag} expects a whole number (0 = unlimited), got "${raw}"`);
+  }
+  return value;
+}
+
+function describeLimit(value, unit) {
+  if (value === undefined) return `default/${unit}`;
+  return value === 0 ? `unlimited/${unit}` : `${value}/${unit}`;
+}
+
+async function main() {
+  const [command, name] = process.argv.slice(2);
+  const data = await loadUsersFile(VEO_USERS_FILE);
+  const user = name ? data.users[name] : undefined;
+
+  switch (command) {
+    case 'list': {
+      const entries = Object.entries(data.users);
+      if (!entries.length) console.log(`No users in ${VEO_USERS_FILE}.`);
+      for (const [userName, entry] of entries) {
+        const login = [entry.password ? 'password' : null, entry.tokens?.length ? `${entry.tokens.length} token(s)` : null].filter(Boolean).join(', ');
+        console.log(`${userName}${entry.admin ? ' (admin)' : ''}: ${login}; ${describeLimit(entry.ratePerMinute, 'min')}, ${describeLimit(entry.dailyGenerations, 'day')}`);
+      }
+      return;
+    }
+    case 'add': {
+      if (!name) break;
+      const password = getArgValue('--password') || (user?.password && !hasFlag('--reset-password') ? null : randomBytes(9).toString('base64url'));
+      const next = { ...user };
+      if (password) next.password = hashPassword(password);
+      if (hasFlag('--admin')) next.admin = true;
+      if (hasFlag('--no-admin')) delete next.admin;
+      const rate = parseLimit('--rate');
+      const daily = parseLimit('--daily');
+      if (rate !== undefined) next.ratePerMinute = rate;
+      if (daily !== undefined) next.dailyGenerations = daily;
+      data.users[name] = next;
+      const problems = validateUsers(data);
+      if (problems.length) throw new Error(problems.join('; '));
+      await saveUsersFile(VEO_USERS_FILE, data);
+      console.log(`${user ? 'Updated' : 'Added'} ${name}${next.admin ? ' (admin)' : ''}.`);
+      if (password && !getArgValue('--password')) console.log(`Password: ${password}`);
+      return;
+    }
+    case 'token': {
+      if (!name) break;
+      const token = generateToken();
+      data.users[name] = { ...user, tokens: [...(user?.tokens || []), hashToken(token)] };
+      const problems = validateUsers(data);
+      if (problems.length) throw new Error(problems.join('; '));
+      await saveUsersFile(VEO_USERS_FILE, data);
+      console.log(`API token for ${name} (it is not stored, copy it now):`);
+      console.log(token);
+      return;
+    }
+    case 'revoke-tokens':
+    case 'remove': {
+      if (!name) break;
+      if (!user) throw new Error(`No user named ${name}`);
+      const { tokens = [], ...rest } = user;
+      if (command === 'remove') {
+        delete data.users[name];
+      } else {
+        if (!rest.password) throw new Error(`${name} has no password; remove the user instead`);
+        data.users[name] = rest;
+      }
+      await saveUsersFile(VEO_USERS_FILE, data);
+      console.log(command === 'remove' ? `Removed ${name}.` : `Revoked ${tokens.length} token(s) of ${name}.`);
+      return;
+    }
+    default:
+      break;
+  }
+  console.log(USAGE);
+  process.exitCode = command ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -2,13 +2,40 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve } from 'path';
 import {
+  MAX_VIDEO_VARIANTS,
   buildVeoRequestBody,
-  extractVideoUrl,
+  extractVideoUrls,
   isUnsupportedImageError,
   getUnsupportedField
 } from './veoUtils.js';
+import { createMockProvider } from './mockProvider.js';
+import { createJobStore, isJobActive } from './jobStore.js';
+import { createJobEvents, formatSseEvent, isTerminalStage } from './jobEvents.js';
+import { CACHE_URI_PREFIX, computeVariantCacheKey, computeVideoCacheKey, createVideoCache } from './videoCache.js';
+import { BUDGET_EXCEEDED_PREFIX, QUOTA_EXCEEDED_PREFIX, createUsageLedger, mergePricing } from './usageLedger.js';
+import { createPromptLibrary, renderPromptSection } from './promptTemplates.js';
+import { createRulePackRegistry } from './rulePacks.js';
+import { buildGenericPrompt, createSafetyBlockedError, isSafetyBlockedError, runWithSafetyRetries } from './safetyRetry.js';
+import { describeConfig, loadConfig, maskSecret } from './config.js';
+import { buildCredentials, createCredentialPool, isAuthError, isQuotaError } from './credentialPool.js';
+import { PRIORITY_CLASSES, createSlotQueue, isPriorityClass, resolvePriority } from './slotQueue.js';
+import { createAuth, createRateLimiter, loadUsersFile } from './auth.js';
+import { VEO_ASPECT_RATIOS, createImageNormalizer, isImageInputError } from './imageNormalizer.js';
+import { isBatchInputError, listVolumePages, parseBatchRequest, runWithConcurrency, summarizeBatch } from './batch.js';
+import { createZipWriter } from './zipArchive.js';
+import { checkCallbackUrl, createWebhookDispatcher, redactUrl } from './webhooks.js';
+import { createLogger } from './logger.js';
+import { createMetrics } from './metrics.js';
+import { createDownloadLinks, isDownloadLinkError, isProviderOutputUri } from './downloadLinks.js';
+import { createRetentionManager } from './retention.js';
+import { createGcsStorage, createLocalStorage, createS3Storage, parseBucketUri } from './storage.js';
+import { buildContinuationPrompt, createFfmpeg, planSegments } from './videoChain.js';
+import { createHash, randomBytes } from 'node:crypto';
+import { createReadStream, createWriteStream } from 'node:fs';
+import { mkdtemp, readFile, rm, stat } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
 import { Readable } from 'node:stream';
 import { pipeline } from 'node:stream/promises';
 import { GoogleAuth } from 'google-auth-library';
@@ -17,90 +44,308 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: join(__dirname, '..', '.env'), override: true });
 
 const app = express();
-app.use(cors());
+
+const loadedConfig = loadConfig(process.env, { baseDir: __dirname });
+for (const warning of loadedConfig.warnings) {
+  console.warn(`⚠️ Config: ${warning}`);
+}
+if (loadedConfig.errors.length) {
+  console.error(`❌ Invalid configuration (${loadedConfig.errors.length} problem${loadedConfig.errors.length > 1 ? 's' : ''}):`);
+  for (const error of loadedConfig.errors) {
+    console.error(`   - ${error}`);
+  }
+  console.error('   See .env.example or run `npm run veo:doctor`.');
+  process.exit(1);
+}
+
+const {
+  PORT,
+  GEMINI_API_KEY,
+  GEMINI_API_KEYS,
+  GOOGLE_CLOUD_PROJECT,
+  USE_MOCK_MODE,
+  VEO_PROVIDER,
+  VEO_MODEL,
+  VEO_MODEL_FAST,
+  VEO_DURATION_SECONDS,
+  VEO_EXTEND_MAX_SECONDS,
+  VEO_FFMPEG_PATH,
+  VEO_INCLUDE_IMAGE,
+  VEO_REQUIRE_IMAGE,
+  VEO_ALLOW_IMAGE_FALLBACK,
+  VEO_GEMINI_IMAGE_MODE,
+  VEO_PERSON_GENERATION,
+  VEO_NUMBER_OF_VIDEOS,
+  VEO_MAX_CONCURRENT,
+  VEO_USE_GEMINI3_PROMPT,
+  VEO_MINIMAL_PROMPT,
+  VEO_DEBUG_PROMPT,
+  VEO_LOG_FORMAT,
+  VEO_LOG_LEVEL,
+  GEMINI3_ANALYSIS_MODEL,
+  GEMINI3_PROMPT_MODEL,
+  GEMINI3_THINKING_LEVEL,
+  VEO_PROMPTS_DIR,
+  VEO_PROMPT_PRESET,
+  VEO_RULE_PACKS_DIR,
+  VEO_RULE_PACKS,
+  VEO_SAFETY_RETRY_TIERS,
+  VEO_SAFETY_MAX_ATTEMPTS,
+  VERTEX_LOCATION,
+  VERTEX_LOCATIONS,
+  VERTEX_MODEL,
+  VERTEX_OUTPUT_GCS_URI,
+  VERTEX_ACCESS_TOKEN,
+  GEMINI_API_BASE_URL,
+  VERTEX_API_BASE_URL,
+  GCS_API_BASE_URL,
+  VEO_POLL_INTERVAL_MS,
+  VEO_MAX_POLLS,
+  VEO_CREDENTIAL_COOLDOWN_MS,
+  VEO_CREDENTIAL_MAX_COOLDOWN_MS,
+  VEO_DATA_DIR,
+  VEO_VIDEO_CACHE,
+  VEO_STORAGE,
+  VEO_STORAGE_DIR,
+  VEO_STORAGE_URI,
+  VEO_S3_ENDPOINT,
+  VEO_S3_REGION,
+  VEO_S3_ACCESS_KEY_ID,
+  VEO_S3_SECRET_ACCESS_KEY,
+  VEO_S3_PATH_STYLE,
+  VEO_DOWNLOAD_MAX_AGE_SECONDS,
+  VEO_DOWNLOAD_SECRET,
+  VEO_DOWNLOAD_LINK_TTL_SECONDS,
+  VEO_RETENTION_OUTPUT_DAYS,
+  VEO_RETENTION_SWEEP_MINUTES,
+  VEO_BATCH_MAX_PAGES,
+  VEO_VOLUMES_DIR,
+  VEO_BUDGET_DAILY_USD,
+  VEO_BUDGET_MONTHLY_USD,
+  VEO_PRICING_JSON,
+  VEO_IMAGE_MIN_LONG_SIDE,
+  VEO_IMAGE_MAX_LONG_SIDE,
+  VEO_IMAGE_PAD_COLOR,
+  VEO_IMAGE_JPEG_QUALITY,
+  VEO_IMAGE_MAX_PIXELS,
+  VEO_USERS_FILE,
+  VEO_API_TOKENS,
+  VEO_AUTH_REQUIRED,
+  VEO_AUTH_SECRET,
+  VEO_SESSION_TTL_HOURS,
+  VEO_USER_RATE_PER_MINUTE,
+  VEO_USER_DAILY_GENERATIONS,
+  VEO_WEBHOOK_URL,
+  VEO_WEBHOOK_SECRET,
+  VEO_WEBHOOK_ALLOWED_HOSTS,
+  VEO_WEBHOOK_MAX_ATTEMPTS,
+  VEO_WEBHOOK_TIMEOUT_MS,
+  CORS_ORIGINS,
+  MOCK_DELAY_MS,
+  MOCK_POLL_INTERVAL_MS,
+  MOCK_FAILURE_RATE,
+  MOCK_SAFETY_FILTER_RATE
+} = loadedConfig.config;
+
+// Every line below goes through `log`, tagged with the request, job, page and
+// provider it belongs to. Other modules' console output is routed through it too.
+const log = createLogger({ format: VEO_LOG_FORMAT, level: VEO_LOG_LEVEL });
+log.captureConsole();
+
+// Served at GET /metrics. The gauges read the slot queue, credentials and jobs
+// when scraped.
+const metrics = createMetrics();
+const httpRequests = metrics.counter('veo_http_requests_total', 'HTTP requests by method, route and status');
+const httpDuration = metrics.histogram('veo_http_request_duration_seconds', 'HTTP response time by route', {
+  buckets: [0.01, 0.05, 0.1, 0.5, 1, 5, 30, 120, 600]
+});
+metrics.gauge('veo_queue_waiting', 'Generations waiting for a Veo slot, by priority class', {
+  collect: () => Object.entries(veoSlots.snapshot().byPriority).map(([priority, value]) => ({ labels: { priority }, value }))
+});
+metrics.gauge('veo_slots_in_flight', 'Veo slots in use', { collect: () => [{ value: veoSlots.snapshot().inFlight }] });
+metrics.gauge('veo_slots_max', 'Veo slots available (VEO_MAX_CONCURRENT, 0 = unlimited)', { collect: () => [{ value: VEO_MAX_CONCURRENT }] });
+metrics.gauge('veo_credential_cooling_down', '1 while a credential is cooling down after rate limits or errors', {
+  collect: () => credentialPool.snapshot().map(state => ({ labels: { credential: state.id }, value: state.status === 'healthy' ? 0 : 1 }))
+});
+metrics.gauge('veo_credential_cooldown_seconds', 'Time until a cooling credential is used again', {
+  collect: () => credentialPool.snapshot().map(state => ({ labels: { credential: state.id }, value: (state.cooldownMs || 0) / 1000 }))
+});
+metrics.gauge('veo_credential_in_flight', 'Veo calls running on each credential', {
+  collect: () => credentialPool.snapshot().map(state => ({ labels: { credential: state.id }, value: state.inFlight }))
+});
+metrics.counter('veo_credential_rate_limits_total', '429 answers per credential', {
+  collect: () => credentialPool.snapshot().map(state => ({ labels: { credential: state.id }, value: state.rateLimits }))
+});
+metrics.gauge('veo_jobs', 'Generation jobs by status', {
+  collect: () => {
+    const counts = {};
+    for (const job of jobStore.list()) counts[job.status] = (counts[job.status] || 0) + 1;
+    return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+  }
+});
+const slotWaitSeconds = metrics.histogram('veo_slot_wait_seconds', 'Time generations waited for a Veo slot', {
+  buckets: [0.1, 1, 5, 15, 30, 60, 120, 300, 600, 1800]
+});
+const generationSeconds = metrics.histogram('veo_generation_duration_seconds', 'Veo call time, from the request to the finished video, by outcome');
+const pollCount = metrics.counter('veo_polls_total', 'Operation polls');
+const failureCount = metrics.counter('veo_failures_total', 'Failed Veo calls by category; calls that were retried count too');
+const generationCount = metrics.counter('veo_generations_total', 'Finished generations by outcome');
+
+let usersFile;
+try {
+  usersFile = await loadUsersFile(VEO_USERS_FILE);
+} catch (error) {
+  log.error(`❌ Invalid users file: ${error.message}`);
+  process.exit(1);
+}
+const auth = createAuth({
+  users: usersFile.users,
+  apiTokens: VEO_API_TOKENS,
+  ...(VEO_AUTH_SECRET ? { secret: VEO_AUTH_SECRET } : {}),
+  sessionTtlMs: VEO_SESSION_TTL_HOURS * 60 * 60 * 1000,
+  ratePerMinute: VEO_USER_RATE_PER_MINUTE,
+  dailyGenerations: VEO_USER_DAILY_GENERATIONS
+});
+if (VEO_AUTH_REQUIRED && !auth.enabled) {
+  log.error(`❌ VEO_AUTH_REQUIRED=true but nobody is configured. Add a user with \`npm run veo:users -- add <name>\` (${VEO_USERS_FILE}) or set VEO_API_TOKENS.`);
+  process.exit(1);
+}
+const rateLimiter = createRateLimiter();
+
+// Every request gets an id (the caller's X-Request-Id if it sends a usable one).
+// It is echoed back and tags every log line the request leads to.
+app.use((req, res, next) => {
+  const given = req.get('x-request-id') || '';
+  req.id = /^[\w.:-]{1,64}$/.test(given) ? given : randomBytes(6).toString('hex');
+  res.set('X-Request-Id', req.id);
+  const startedAt = performance.now();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ route }, (performance.now() - startedAt) / 1000);
+  });
+  log.run({ requestId: req.id }, next);
+});
+app.use(cors({ origin: CORS_ORIGINS.includes('*') ? true : CORS_ORIGINS, exposedHeaders: ['Retry-After', 'X-Request-Id'] }));
 app.use(express.json({ limit: '50mb' }));
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const VEO_MODEL = process.env.VEO_MODEL || 'veo-3.1-generate-preview';
-const VEO_MODEL_FAST = process.env.VEO_MODEL_FAST || 'veo-3.1-fast-generate-preview';
-const VEO_PERSON_GENERATION = process.env.VEO_PERSON_GENERATION && process.env.VEO_PERSON_GENERATION.trim()
-  ? process.env.VEO_PERSON_GENERATION.trim()
-  : undefined;
-const VEO_INCLUDE_IMAGE = process.env.VEO_INCLUDE_IMAGE !== 'false';
-const VEO_PROVIDER = (process.env.VEO_PROVIDER || 'gemini').toLowerCase();
-const VEO_REQUIRE_IMAGE = process.env.VEO_REQUIRE_IMAGE !== 'false';
-const VEO_ALLOW_IMAGE_FALLBACK = process.env.VEO_ALLOW_IMAGE_FALLBACK === 'true';
-const VEO_GEMINI_IMAGE_MODE = (process.env.VEO_GEMINI_IMAGE_MODE || 'first_frame').toLowerCase();
-const VEO_USE_GEMINI3_PROMPT = process.env.VEO_USE_GEMINI3_PROMPT === 'true';
-const VEO_DEBUG_PROMPT = process.env.VEO_DEBUG_PROMPT === 'true';
-const VEO_DURATION_SECONDS = Number.isInteger(parseInt(process.env.VEO_DURATION_SECONDS, 10))
-  ? Math.max(1, Math.min(8, parseInt(process.env.VEO_DURATION_SECONDS, 10)))
-  : 4;
-const GEMINI3_ANALYSIS_MODEL = process.env.GEMINI3_ANALYSIS_MODEL || 'gemini-3-flash-preview';
-const GEMINI3_PROMPT_MODEL = process.env.GEMINI3_PROMPT_MODEL || GEMINI3_ANALYSIS_MODEL;
-const GEMINI3_THINKING_LEVEL = process.env.GEMINI3_THINKING_LEVEL;
-const VEO_MAX_CONCURRENT = Number.isInteger(parseInt(process.env.VEO_MAX_CONCURRENT, 10))
-  ? parseInt(process.env.VEO_MAX_CONCURRENT, 10)
-  : 1;
-const VEO_MINIMAL_PROMPT = process.env.VEO_MINIMAL_PROMPT !== 'false';
-const VEO_NUMBER_OF_VIDEOS = Number.isInteger(parseInt(process.env.VEO_NUMBER_OF_VIDEOS, 10))
-  ? parseInt(process.env.VEO_NUMBER_OF_VIDEOS, 10)
-  : undefined;
-const GOOGLE_CLOUD_PROJECT = process.env.GOOGLE_CLOUD_PROJECT;
-const VERTEX_LOCATION = process.env.VERTEX_LOCATION || 'us-central1';
-const VERTEX_MODEL = process.env.VERTEX_MODEL || VEO_MODEL;
-const VERTEX_OUTPUT_GCS_URI = process.env.VERTEX_OUTPUT_GCS_URI;
-const PORT = process.env.PORT || 3001;
-
-const BASE_CONSTRAINTS_TEXT = [
-  'Animation Mode: HIGH IMPACT CINEMATIC.',
-  'Input Image Policy: The video must start with the exact provided image (Frame 0).',
-  'Output: A high-frame-rate, fluid video that evolves immediately from the start frame.',
-  'Do not treat the image as just a style reference; it is the starting point of the animation.'
-].join(' ');
-
-const STYLE_PRESERVATION_TEXT = [
-  'CRITICAL: ARTWORK CONSISTENCY.',
-  'You represent an animator manipulating the original ink lines, NOT a new artist redrawing the scene.',
-  'Preserve the exact character designs, facial features, and hatching style of Frame 0.',
-  'Do not introduce new rendering styles, shading, or 3D effects.',
-  'Maintain the original "hand-drawn" look throughout the video.',
-  'Ensure character identity remains identical to the input image.'
-].join(' ');
-
-const PANEL_LOCK_TEXT = [
-  'Treat panel borders as windows looking into active scenes.',
-  'Inside every panel, there must be intense, continuous movement.'
-].join(' ');
-
-const FORBIDDEN_CHANGES_TEXT = [
-  'ABSULUTELY FORBIDDEN: Changing character faces, hairstyles, or outfits.',
-  'No changing of panel layouts or border thickness.',
-  'No "morphing" into different people.',
-  'No shifting the camera angle or perspective (preserve the original composition).'
-].join(' ');
-
-const VIDEO_SETTINGS_TEXT = [
-  `Duration: ${VEO_DURATION_SECONDS} seconds.`,
-  'MOTION STRATEGY: "WARP & FLOW" (High Energy).',
-  '1. START: Frame 0 is the fixed anchor.',
-  '2. HAIR/CLOTHES: Animate with high-frequency wavering/rippling (like strong wind). Keep the general silhouette but displace the texture.',
-  '3. CHARACTERS: Use "breathing" expansion/contraction and rhythmic swaying. Do not rotate heads significantly if it distort features.',
-  '4. ENVIRONMENT: Animate flying rocks, debris, leaves, particles, and dust. These elements must have distinct flight paths (flying past characters or across the view), not just vibration.',
-  '5. BACKGROUND: Texture drift (speed lines, clouds) must be constant and fast.',
-  '6. CROWDS: Small independent motions for background figures.',
-  'High motion is required. Make the environment feel chaotic and active.'
-].join(' ');
-
-const ANIMATION_PROMPT = `BASE CONSTRAINTS:\n${BASE_CONSTRAINTS_TEXT}\n\nSTYLE & ART PRESERVATION:\n${STYLE_PRESERVATION_TEXT}\n\nPANEL LOCK:\n${PANEL_LOCK_TEXT}\n\nFORBIDDEN CHANGES:\n${FORBIDDEN_CHANGES_TEXT}\n\nVIDEO SETTINGS:\n${VIDEO_SETTINGS_TEXT}`;
-
-let veoCooldownUntil = 0;
-
-function setVeoCooldown(ms) {
-  if (!Number.isFinite(ms) || ms <= 0) return;
-  veoCooldownUntil = Math.max(veoCooldownUntil, Date.now() + ms);
+// Everything except these needs a user once auth is enabled. Download links
+// carry their own signature, so <video> elements and webhook receivers can use them.
+const PUBLIC_PATHS = new Set(['/api/health', '/api/auth/login']);
+const DOWNLOAD_LINK_PATH = '/api/veo/download/';
+
+// `Authorization: Bearer <token>`. GET requests may pass `access_token` in the
+// query instead, because EventSource and <video> cannot set headers.
+function readAccessToken(req) {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  return req.method === 'GET' && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+}
+
+app.use((req, res, next) => {
+  req.user = null;
+  if (!auth.enabled || req.method === 'OPTIONS' || PUBLIC_PATHS.has(req.path) || req.path.startsWith(DOWNLOAD_LINK_PATH)) return next();
+  req.user = auth.authenticate(readAccessToken(req));
+  if (!req.user) {
+    return res.status(401).json({ error: 'Sign in required', status: 'unauthorized', authRequired: true });
+  }
+  return next();
+});
+
+function requireAdmin(req, res, next) {
+  if (auth.enabled && !req.user?.admin) {
+    return res.status(403).json({ error: 'Admin only', status: 'forbidden' });
+  }
+  return next();
 }
 
+const mockProvider = createMockProvider({
+  dataDir: join(VEO_DATA_DIR, 'mock'),
+  delayMs: MOCK_DELAY_MS,
+  failureRate: MOCK_FAILURE_RATE,
+  safetyFilterRate: MOCK_SAFETY_FILTER_RATE
+});
+
+const jobStore = createJobStore({ dir: join(VEO_DATA_DIR, 'jobs') });
+const canceledJobIds = new Set();
+const batchStore = createJobStore({ dir: join(VEO_DATA_DIR, 'batches'), prefix: 'batch' });
+const jobEvents = createJobEvents();
+// Finished videos are copied into VEO_STORAGE (see storage.js) and served
+// from there: the cache under `cache/`, copies of upstream outputs under
+// `downloads/`.
+const videoStorage = createVideoStorage();
+const videoCache = createVideoCache({ storage: videoStorage, prefix: 'cache/' });
+const downloadLinks = createDownloadLinks({
+  ...(VEO_DOWNLOAD_SECRET || VEO_AUTH_SECRET ? { secret: VEO_DOWNLOAD_SECRET || VEO_AUTH_SECRET } : {}),
+  ttlSeconds: VEO_DOWNLOAD_LINK_TTL_SECONDS
+});
+// Copies of provider outputs (gs://, Gemini files) that were not cached,
+// keyed by the hash of their URL, so each is fetched from upstream once.
+const downloadCopies = createVideoCache({ storage: videoStorage, prefix: 'downloads/' });
+// Extend mode cuts frames and joins clips with ffmpeg. It stays off when the
+// binary cannot be run.
+const ffmpeg = createFfmpeg({ path: VEO_FFMPEG_PATH });
+const ffmpegVersion = VEO_EXTEND_MAX_SECONDS ? await ffmpeg.version() : null;
+const usageLedger = createUsageLedger({
+  file: join(VEO_DATA_DIR, 'usage.jsonl'),
+  pricing: mergePricing(VEO_PRICING_JSON),
+  dailyBudgetUsd: VEO_BUDGET_DAILY_USD,
+  monthlyBudgetUsd: VEO_BUDGET_MONTHLY_USD
+});
+
+// What Vertex generations leave in VERTEX_OUTPUT_GCS_URI: the uploaded page
+// under `inputs/` and the video under `outputs/veo-<request id>`. Other
+// providers keep nothing in a bucket.
+const vertexBucket = VEO_PROVIDER === 'vertex' ? parseBucketUri(VERTEX_OUTPUT_GCS_URI) : null;
+const vertexStorage = vertexBucket?.scheme === 'gs'
+  ? createGcsStorage({ bucket: vertexBucket.bucket, prefix: vertexBucket.prefix, baseUrl: GCS_API_BASE_URL, getAccessToken })
+  : null;
+const vertexBase = vertexStorage?.location || null;
+const retention = vertexStorage
+  ? createRetentionManager({
+    file: join(VEO_DATA_DIR, 'retention.jsonl'),
+    storage: {
+      list: (prefixUri) => vertexStorage.list(prefixUri.slice(vertexBase.length)),
+      remove: (uri) => vertexStorage.remove(vertexStorage.keyOf(uri))
+    },
+    inputsPrefix: `${vertexBase}inputs/`,
+    outputsPrefix: `${vertexBase}outputs/`,
+    outputMaxAgeMs: VEO_RETENTION_OUTPUT_DAYS * 24 * 60 * 60 * 1000
+  })
+  : null;
+
+const webhooks = createWebhookDispatcher({
+  secret: VEO_WEBHOOK_SECRET,
+  maxAttempts: VEO_WEBHOOK_MAX_ATTEMPTS,
+  timeoutMs: VEO_WEBHOOK_TIMEOUT_MS
+});
+
+const promptLibrary = createPromptLibrary({ dir: VEO_PROMPTS_DIR, defaultPreset: VEO_PROMPT_PRESET });
+const rulePacks = createRulePackRegistry({ dir: VEO_RULE_PACKS_DIR, defaultPacks: VEO_RULE_PACKS });
+const imageNormalizer = createImageNormalizer({
+  minLongSide: VEO_IMAGE_MIN_LONG_SIDE,
+  maxLongSide: VEO_IMAGE_MAX_LONG_SIDE,
+  padColor: VEO_IMAGE_PAD_COLOR,
+  jpegQuality: VEO_IMAGE_JPEG_QUALITY,
+  maxInputPixels: VEO_IMAGE_MAX_PIXELS
+});
+
+// Gemini keys or Vertex regions for Veo calls. Scene analysis and the prompt
+// builder stay on GEMINI_API_KEY.
+const credentialPool = createCredentialPool({
+  credentials: buildCredentials({
+    provider: VEO_PROVIDER,
+    apiKeys: [GEMINI_API_KEY, ...GEMINI_API_KEYS],
+    locations: VERTEX_LOCATIONS,
+    vertexBaseUrl: (location) => (loadedConfig.sources.VERTEX_API_BASE_URL === 'env'
+      ? VERTEX_API_BASE_URL
+      : `https://${location}-aiplatform.googleapis.com`)
+  }),
+  baseCooldownMs: VEO_CREDENTIAL_COOLDOWN_MS,
+  maxCooldownMs: VEO_CREDENTIAL_MAX_COOLDOWN_MS
+});
+
 async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -118,10 +363,23 @@ async function sleepWithCancel(ms, shouldCancel) {
   }
 }
 
-function maskKey(key) {
-  if (!key) return 'missing';
-  if (key.length <= 10) return '***';
-  return `${key.slice(0, 6)}...${key.slice(-4)}`;
+// Waits for a promise that other requests may share, but lets this caller
+// walk away on cancel without stopping the shared work.
+async function waitUnlessCanceled(promise, shouldCancel) {
+  let settled = false;
+  const outcome = promise.then(
+    value => { settled = true; return { value }; },
+    error => { settled = true; return { error }; }
+  );
+  while (!settled) {
+    if (shouldCancel && shouldCancel()) {
+      throw new Error('Request canceled by client');
+    }
+    await Promise.race([outcome, sleep(250)]);
+  }
+  const { value, error } = await outcome;
+  if (error) throw error;
+  return value;
 }
 
 function stableSeedFromString(input = '') {
@@ -139,6 +397,7 @@ const vertexAuth = new GoogleAuth({
 });
 
 async function getAccessToken() {
+  if (VERTEX_ACCESS_TOKEN) return VERTEX_ACCESS_TOKEN;
   const client = await vertexAuth.getClient();
   const { token } = await client.getAccessToken();
   if (!token) {
@@ -147,35 +406,47 @@ async function getAccessToken() {
   return token;
 }
 
-function getVertexModelPath() {
+function getVertexModelPath(location) {
   if (!GOOGLE_CLOUD_PROJECT) return null;
-  return `projects/${GOOGLE_CLOUD_PROJECT}/locations/${VERTEX_LOCATION}/publishers/google/models/${VERTEX_MODEL}`;
+  return `projects/${GOOGLE_CLOUD_PROJECT}/locations/${location}/publishers/google/models/${VERTEX_MODEL}`;
 }
 
-function getVertexEndpoint(method) {
-  const modelPath = getVertexModelPath();
+function getVertexEndpoint(method, credential = credentialPool.credentials[0]) {
+  const modelPath = getVertexModelPath(credential.location);
   if (!modelPath) return null;
-  return `https://${VERTEX_LOCATION}-aiplatform.googleapis.com/v1/${modelPath}:${method}`;
+  return `${credential.baseUrl}/v1/${modelPath}:${method}`;
 }
 
-function parseGcsUri(uri) {
-  if (!uri || !uri.startsWith('gs://')) return null;
-  const withoutScheme = uri.slice(5);
-  const [bucket, ...rest] = withoutScheme.split('/');
-  const prefix = rest.join('/');
-  return { bucket, prefix };
+function createVideoStorage() {
+  if (VEO_STORAGE === 'gcs') {
+    const { bucket, prefix } = parseBucketUri(VEO_STORAGE_URI);
+    return createGcsStorage({ bucket, prefix, baseUrl: GCS_API_BASE_URL, getAccessToken });
+  }
+  if (VEO_STORAGE === 's3') {
+    const { bucket, prefix } = parseBucketUri(VEO_STORAGE_URI);
+    return createS3Storage({
+      endpoint: VEO_S3_ENDPOINT,
+      bucket,
+      prefix,
+      region: VEO_S3_REGION,
+      accessKeyId: VEO_S3_ACCESS_KEY_ID,
+      secretAccessKey: VEO_S3_SECRET_ACCESS_KEY,
+      pathStyle: VEO_S3_PATH_STYLE
+    });
+  }
+  return createLocalStorage({ dir: VEO_STORAGE_DIR });
 }
 
-function normalizePrefix(prefix) {
-  if (!prefix) return '';
-  return prefix.replace(/^\/+/, '').replace(/\/+$/, '');
+function getBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
 }
 
-function buildDownloadUrl(req, videoUrl) {
+// A signed, expiring link to a finished video (see downloadLinks.js). `base`
+// is a request, or the base URL saved with a job for use outside one.
+function buildDownloadUrl(base, videoUrl) {
   if (!videoUrl) return null;
-  const baseUrl = `${req.protocol}://${req.get('host')}`;
-  const encoded = encodeURIComponent(videoUrl);
-  return `${baseUrl}/api/veo/download?url=${encoded}`;
+  const baseUrl = typeof base === 'string' ? base : getBaseUrl(base);
+  return `${baseUrl}${DOWNLOAD_LINK_PATH}${downloadLinks.issue(videoUrl)}`;
 }
 
 function getRaiFilterInfo(result) {
@@ -196,91 +467,6 @@ function getRaiFilterInfo(result) {
   return null;
 }
 
-function sanitizePrompt(text = '') {
-  let output = text;
-  const replacements = [
-    // Neutralize brand/IP and sensitive descriptors
-    [/chainsaw\s*man/gi, 'illustrated character'],
-    [/denji|kishibe|quanxi|pochita|poccontacta/gi, 'character'],
-    [/\bchild(?:ren)?\b/gi, 'person'],
-    [/\bkid(?:s)?\b/gi, 'person'],
-    [/\bteen(?:ager|s)?\b/gi, 'person'],
-    [/\bminor(?:s)?\b/gi, 'person'],
-    [/\byouth(?:s)?\b/gi, 'person'],
-    [/\byoung\b/gi, ''],
-    [/\bboy(?:s)?\b/gi, 'person'],
-    [/\bgirl(?:s)?\b/gi, 'person'],
-    [/\bman\b/gi, 'person'],
-    [/\bwoman\b/gi, 'person'],
-    [/\bolder\b/gi, ''],
-    [/chainsaw/gi, 'mechanical tool'],
-    [/chain\s*saw/gi, 'mechanical tool'],
-    [/blade(s)?/gi, 'edge'],
-    [/\bsaw\b/gi, 'tool'],
-    [/serrated/gi, 'mechanical'],
-    [/jagged/gi, 'angular'],
-    [/spiked?|spiky/gi, 'angular'],
-    [/\blip(?:s)?\b/gi, 'face'],
-    [/\bmouth(?:s)?\b/gi, 'face'],
-    [/\btongue\b/gi, 'detail'],
-    // Violence / harm terms
-    [/kill(?:ing|ed|s|er)?/gi, ''],
-    [/murder(?:ed|ing|er)?/gi, ''],
-    [/death|dead|dying|die/gi, ''],
-    [/corpse|guts?|viscera/gi, ''],
-    [/blood(?:y)?/gi, ''],
-    [/bleed(?:ing)?/gi, ''],
-    [/gore|gory/gi, ''],
-    [/wound(?:ed|s)?/gi, ''],
-    [/injur(?:e|ed|y|ies)/gi, ''],
-    [/hurt(?:ing)?/gi, ''],
-    [/pain(?:ful|fully)?|agony|suffer(?:ing)?/gi, ''],
-    [/victim(s)?/gi, 'figure'],
-    [/attack(?:ing|ed|s)?/gi, 'dynamic motion'],
-    [/fight(?:ing|s)?/gi, 'dynamic motion'],
-    [/battle/gi, 'dynamic scene'],
-    [/combat/gi, 'dynamic movement'],
-    [/strike(?:s|ing)?|hit(?:ting|s)?|slam(?:med|ming)?|smash(?:ed|ing)?/gi, 'contact'],
-    [/stomp(?:ed|ing)?|crush(?:ed|ing)?/gi, 'press'],
-    [/cut(?:ting)?|slice(?:d|s|ing)?|slash(?:ed|ing)?|stab(?:bed|bing)?|pierc(?:e|ed|ing)|impal(?:e|ed|ing)/gi, ''],
-    // Weapons
-    [/weapon(s)?/gi, 'prop'],
-    [/gun(s)?/gi, 'prop'],
-    [/knife|knives/gi, 'prop'],
-    [/sword(s)?/gi, 'prop'],
-    [/axe(s)?/gi, 'prop'],
-    [/spear(s)?/gi, 'prop'],
-    // Fluids / splatter
-    [/splatter(?:s|ed|ing)?/gi, 'drift'],
-    [/splash(?:es|ed|ing)?/gi, 'drift'],
-    [/fluid/gi, 'liquid'],
-    [/droplet(s)?/gi, 'small particles'],
-    [/liquid/gi, 'color wash'],
-    [/ooz(?:e|ing)?/gi, 'rapid shift'],
-    [/drip(?:ping|s)?/gi, 'rapid shift'],
-    [/simmer(?:ing)?/gi, 'strong pulse'],
-    [/gasp(?:ing)?/gi, 'heavy breathing'],
-    [/collapsed|fallen|defeated|suppressed|crushing/gi, 'resting'],
-    [/pile|heap/gi, 'group'],
-    [/\bboot\b/gi, 'foot'],
-    [/debris|fragments?/gi, 'particles'],
-    [/dust|ash/gi, 'grain'],
-    [/explod(?:e|ed|ing)|explosion/gi, 'glow pulse'],
-    // Teeth wording
-    [/maw|fang(s)?|jaw/gi, 'smile'],
-    [/teeth/gi, 'smile'],
-    [/toothy/gi, 'wide']
-  ];
-
-  for (const [pattern, replacement] of replacements) {
-    output = output.replace(pattern, replacement);
-  }
-
-  output = output.replace(/background:\s*completely static[^\\n]*/gi, 'Panel/Props: strong continuous motion of existing details');
-  output = output.replace(/\s{2,}/g, ' ').trim();
-  return output;
-}
-
 function amplifyMotionText(text = '') {
   return text
     .replace(/\bsubtle(?:ly)?\b/gi, 'strong')
@@ -308,76 +494,29 @@ function compactPrompt(text = '', maxLines = 4, maxChars = 280) {
   return output;
 }
 
-function stripSensitiveLines(text = '') {
-  const blocked = [
-    /underfoot|under foot/gi,
-    /\bpress(?:ed|ure|ing)?\b/gi,
-    /\bcompress(?:ed|ion|ing)?\b/gi,
-    /\bcrush(?:ed|ing)?\b/gi,
-    /\bstomp(?:ed|ing)?\b/gi,
-    /\bsmash(?:ed|ing)?\b/gi,
-    /\bimpact\b/gi,
-    /\blunge\b/gi,
-    /\bstrike(?:s|ing)?\b/gi,
-    /\bhit(?:s|ting)?\b/gi,
-    /\bwound(?:ed|s)?\b/gi,
-    /\binjur(?:e|ed|y|ies)\b/gi,
-    /\bdefeat(?:ed|ing)?\b/gi,
-    /\bdead|death|die|dying\b/gi,
-    /\bblood|gore|gory\b/gi,
-    /\bmoan|roar|bark|scream|panic\b/gi,
-    /\bkill|attack|fight|battle|combat\b/gi,
-    /\bweapon|knife|gun|sword|axe|spear\b/gi,
-    /\bblade|chainsaw|chain\s*saw\b/gi
-    ,/\bchild(?:ren)?\b/gi
-    ,/\bkid(?:s)?\b/gi
-    ,/\bteen(?:ager|s)?\b/gi
-    ,/\bminor(?:s)?\b/gi
-    ,/\byouth(?:s)?\b/gi
-    ,/\byoung\b/gi
-    ,/\bboy(?:s)?\b/gi
-    ,/\bgirl(?:s)?\b/gi
-    ,/\bman\b/gi
-    ,/\bwoman\b/gi
-    ,/\bolder\b/gi
-  ];
-  const lines = text
-    .split('\n')
-    .map(line => line.trim())
-    .filter(Boolean)
-    .filter(line => !blocked.some(pattern => pattern.test(line)));
-  return lines.join('\n').trim();
-}
-
-function buildMinimalPrompt(userPrompt = '') {
+function buildMinimalPrompt(template, sanitizer, userPrompt = '') {
+  const cleaned = userPrompt ? sanitizer.sanitize(userPrompt) : '';
+  const safeUser = cleaned ? sanitizer.stripBlockedLines(cleaned) : '';
+  const wantsClean = /\b(no dust|no dirt|clean air|clear air|no debris|no particles|clean background|clear background)\b/i.test(cleaned);
+  const forcedTransform = template.transform === 'always';
+  const transformative = forcedTransform || isTransformativeRequest(cleaned);
   const base = [
-    'URGENT: START WITH PROVIDED IMAGE AS FRAME 0. MAXIMIZE MOVEMENT.',
-    'Video must evolve from the input image. Do not output a static image.',
-    'Every character in every panel must be moving continuously (chest heaving, rapid blinking, swaying).',
-    'Add strong "wind" triggers: hair and clothes must flow violently.',
-    'Backgrounds must drift, shimmer, or pulse rapidly.',
-    'Animate crowds with individual distinct timings.',
-    'Exaggerate all motions significantly.',
-    'Avoid pauses. Full loop of constant, intense activity.',
-    'HIGHEST PRIORITY: Any USER REQUEST must be executed clearly and prominently while preserving character identity and art style.'
+    renderPromptSection(template, 'minimal', {
+      environment: !wantsClean && !transformative ? renderPromptSection(template, 'environment') : ''
+    })
   ];
-  const cleaned = userPrompt ? sanitizePrompt(userPrompt) : '';
-  const safeUser = cleaned ? stripSensitiveLines(cleaned) : '';
-  const wantsClean = /\b(no dust|no dirt|clean air|clear air|no debris|no particles|clean background|clear background)\b/i.test(cleaned);
-  const transformative = isTransformativeRequest(cleaned);
-  if (!wantsClean && !transformative) {
-    base.splice(4, 0, 'ENVIRONMENT: Animate rocks, debris, and particles flying through the air with clear speed.');
-  }
   if (safeUser) {
-    base.push(`USER REQUEST (OVERRIDE): ${safeUser.slice(0, 160)}`);
+    base.push(renderPromptSection(template, 'user_request', { userRequest: safeUser.slice(0, 160) }));
+  }
+  if (safeUser || forcedTransform) {
     if (wantsClean || transformative) {
-      base.push('MINIMIZE AIRBORNE DEBRIS: No dust, dirt, particles, or debris. Background should stay clean and readable.');
+      base.push(renderPromptSection(template, 'clean_air'));
     }
     if (transformative) {
-      base.push('TEXT BUBBLES LOCKED: Keep all speech/thought bubbles, captions, and lettering unchanged and fully readable. Do not warp, replace, or obscure text.');
+      base.push(renderPromptSection(template, 'text_lock'));
     }
   }
-  return base.join('\n');
+  return base.filter(Boolean).join('\n');
 }
 
 function isTransformativeRequest(text = '') {
@@ -385,21 +524,44 @@ function isTransformativeRequest(text = '') {
   return /\b(turn|transform|become|morph|change into|turn into|convert|mutate)\b/.test(t);
 }
 
-function buildUltraShortPrompt(userPrompt = '') {
-  const base = [
-    'Start with provided image. Transform into video with intense motion.',
-    'Characters breathe deeply, blink often, and sway heavily.',
-    'Hair and clothes must ripple like flags in strong wind.',
-    'Environment: Debris and rocks must fly across the frame.',
-    'Backgrounds active (clouds, dust, leaves moving fast).',
-    'No static frames. Everything alive, everything moving.'
+function buildUltraShortPrompt(template, sanitizer, userPrompt = '') {
+  const cleaned = userPrompt ? sanitizer.sanitize(userPrompt).slice(0, 120) : '';
+  return [
+    renderPromptSection(template, 'ultra_short'),
+    ...(cleaned ? [renderPromptSection(template, 'context', { userRequest: cleaned })] : [])
+  ].filter(Boolean).join('\n');
+}
+
+// Fills the preset's [prompt] layout. Each override is appended on its own line.
+function composePrompt(template, body = '', overrides = []) {
+  return renderPromptSection(template, 'prompt', {
+    animation: renderPromptSection(template, 'animation', { duration: VEO_DURATION_SECONDS }),
+    body,
+    overrides: overrides.filter(Boolean).map(line => `\n${line}`).join('')
+  });
+}
+
+// The ladder runWithSafetyRetries walks after a safety block, starting with the
+// prompt already built. Each tier drops more: the Gemini analysis, then the
+// preset's intense wording, then the user request, then all but the generic
+// motion text (the preset's [generic] section, or the built-in one).
+function buildSafetyPrompts(template, sanitizer, userPrompt, animationPrompt) {
+  const cleaned = userPrompt && typeof userPrompt === 'string' ? sanitizer.sanitize(userPrompt).slice(0, 500) : '';
+  const transformOverride = template.transform === 'always' || (cleaned && isTransformativeRequest(cleaned))
+    ? renderPromptSection(template, 'transform_override')
+    : '';
+  const tiers = {
+    neutral: () => composePrompt(template, buildMinimalPrompt(template, sanitizer, cleaned), [transformOverride]),
+    'ultra-short': () => composePrompt(template, buildUltraShortPrompt(template, sanitizer, cleaned), [transformOverride]),
+    'no-user-request': () => composePrompt(template, buildUltraShortPrompt(template, sanitizer, '')),
+    generic: () => renderPromptSection(template, 'generic', { duration: VEO_DURATION_SECONDS }) || buildGenericPrompt(VEO_DURATION_SECONDS)
+  };
+  return [
+    { tier: 'original', prompt: animationPrompt },
+    ...VEO_SAFETY_RETRY_TIERS.map(tier => ({ tier, prompt: tiers[tier]() }))
   ];
-  const cleaned = userPrompt ? sanitizePrompt(userPrompt).slice(0, 120) : '';
-  if (cleaned) {
-    base.push(`CONTEXT: ${cleaned}`);
-  }
-  return base.join('\n');
 }
+
 function extractGeminiText(result) {
   const parts = result?.candidates?.[0]?.content?.parts;
   if (!Array.isArray(parts)) return '';
@@ -407,7 +569,7 @@ function extractGeminiText(result) {
 }
 
 async function generateGeminiContent({ model, contents, generationConfig }) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${GEMINI_API_KEY}`;
+  const url = `${GEMINI_API_BASE_URL}/v1beta/models/${model}:generateContent?key=${GEMINI_API_KEY}`;
   const body = {
     contents,
     ...(generationConfig ? { generationConfig } : {})
@@ -427,28 +589,49 @@ async function generateGeminiContent({ model, contents, generationConfig }) {
 }
 
 async function listGeminiModels() {
+  if (VEO_PROVIDER === 'mock') {
+    return { models: [{ name: 'models/veo-mock', displayName: 'Veo (mock)' }] };
+  }
   if (!GEMINI_API_KEY) {
     return { models: [] };
   }
-  const url = `https://generativelanguage.googleapis.com/v1beta/models?key=${GEMINI_API_KEY}`;
+  const url = `${GEMINI_API_BASE_URL}/v1beta/models?key=${GEMINI_API_KEY}`;
   const response = await fetchWithRetry(url, { method: 'GET' });
   const data = response.json();
   return data || { models: [] };
 }
 
-async function buildPromptFromImage({ imageData, mimeType, userPrompt }) {
-  console.log('🧠 Building prompt...');
+// `trace`, when given, is filled with every intermediate stage (sanitized input,
+// Gemini outputs, chosen branch) for POST /api/prompt/preview.
+async function buildPromptFromImage({ imageData, mimeType, userPrompt, onProgress, template, sanitizer, trace = null }) {
+  log.info(`🧠 Building prompt (${template.name} v${template.version})...`);
+  const record = (key, value) => {
+    if (trace) trace[key] = { ...trace[key], ...value };
+  };
+  const choose = (branch, details = {}) => {
+    if (trace) Object.assign(trace, { branch, ...details });
+  };
+  const amplify = (text) => (template.amplify ? amplifyMotionText(text) : text);
   const cleanedUserPrompt = userPrompt && typeof userPrompt === 'string'
-    ? sanitizePrompt(userPrompt).slice(0, 500)
+    ? sanitizer.sanitize(userPrompt).slice(0, 500)
     : '';
-  const transformOverride = (cleanedUserPrompt && isTransformativeRequest(cleanedUserPrompt))
-    ? '\nOVERRIDE FOR THIS REQUEST: The user explicitly wants a transformation. It is allowed to morph character bodies and faces to satisfy the USER REQUEST. Preserve panel layout and camera, but the characters must visibly transform into the requested form. The transformation must START at frame 0 and be OBVIOUS by second 1, with the transformed form sustained for the rest of the clip. Ignore any "no morphing" restrictions for this request.'
+  const transformative = template.transform === 'always' || Boolean(cleanedUserPrompt && isTransformativeRequest(cleanedUserPrompt));
+  const transformOverride = transformative
+    ? renderPromptSection(template, 'transform_override')
     : '';
+  record('userPrompt', {
+    raw: typeof userPrompt === 'string' ? userPrompt : '',
+    sanitized: cleanedUserPrompt,
+    stripped: sanitizer.stripBlockedLines(cleanedUserPrompt),
+    removedLines: cleanedUserPrompt.split('\n').map(line => line.trim()).filter(line => line && !sanitizer.stripBlockedLines(line)),
+    transformative
+  });
   if (VEO_MINIMAL_PROMPT) {
     if (VEO_USE_GEMINI3_PROMPT && imageData && mimeType) {
       try {
-        console.log('🧠 Gemini analysis (minimal) start');
-        const analysisPrompt = 'Write 4–6 complete sentences describing the full scene: background, environment, and all visible figures. Include 12–16 visible elements and specify the exact motion each should do (blink, mouth move, breathing, hair/cloth sway, rocks move fast along trails, dust/texture sweep, clouds). If a panel shows a group, explicitly state that every person in that group must animate with at least two distinct motions and unique timing. Use only neutral terms like figure/character/object; avoid age/gender or violent words. Avoid words like subtle/gentle/slight/slow and use strong motion verbs.';
+        log.info('🧠 Gemini analysis (minimal) start');
+        onProgress?.({ stage: 'analyzing', model: GEMINI3_ANALYSIS_MODEL });
+        const analysisPrompt = renderPromptSection(template, 'analysis_minimal');
         const analysisContents = [
           {
             role: 'user',
@@ -468,55 +651,67 @@ async function buildPromptFromImage({ imageData, mimeType, userPrompt }) {
           contents: analysisContents,
           generationConfig: analysisConfig
         });
-        let cleanedAnalysis = sanitizePrompt(analysis.text || '');
-        cleanedAnalysis = cleanedAnalysis.replace(/^based on[^:]*:\s*/i, '');
-        cleanedAnalysis = cleanedAnalysis.replace(/^here are[^:]*:\s*/i, '');
-        cleanedAnalysis = stripSensitiveLines(cleanedAnalysis);
-        cleanedAnalysis = amplifyMotionText(cleanedAnalysis)
+        const sanitizedAnalysis = sanitizer.sanitize(analysis.text || '')
+          .replace(/^based on[^:]*:\s*/i, '')
+          .replace(/^here are[^:]*:\s*/i, '');
+        const strippedAnalysis = sanitizer.stripBlockedLines(sanitizedAnalysis);
+        let cleanedAnalysis = amplify(strippedAnalysis)
           .replace(/\s+/g, ' ')
           .trim();
         // Keep full Gemini analysis for the prompt (no truncation).
         if (cleanedAnalysis && !/[.!?]$/.test(cleanedAnalysis)) {
           cleanedAnalysis = `${cleanedAnalysis}.`;
         }
+        record('analysis', {
+          model: GEMINI3_ANALYSIS_MODEL,
+          instruction: analysisPrompt,
+          raw: analysis.text || '',
+          sanitized: sanitizedAnalysis,
+          stripped: strippedAnalysis,
+          amplified: cleanedAnalysis
+        });
         if (cleanedAnalysis) {
-          console.log(`🧠 Gemini analysis (minimal) result: ${cleanedAnalysis}`);
+          log.info(`🧠 Gemini analysis (minimal) result: ${cleanedAnalysis}`);
+          choose('minimal', { analysisUsed: true });
           const userOverride = cleanedUserPrompt
-            ? `\nUSER REQUEST MUST OVERRIDE: ${stripSensitiveLines(cleanedUserPrompt)}`
+            ? renderPromptSection(template, 'user_override', { userRequest: sanitizer.stripBlockedLines(cleanedUserPrompt) })
             : '';
-          return `${ANIMATION_PROMPT}\n\n${buildMinimalPrompt(cleanedUserPrompt)}${userOverride}${transformOverride}\nFocus: ${cleanedAnalysis} Animate these items with strong, continuous motion.`;
+          return composePrompt(template, buildMinimalPrompt(template, sanitizer, cleanedUserPrompt), [
+            userOverride,
+            transformOverride,
+            renderPromptSection(template, 'focus', { analysis: cleanedAnalysis })
+          ]);
         }
       } catch (error) {
-        console.warn('⚠️ Gemini analysis (minimal) failed, using minimal prompt only.');
+        log.warn('⚠️ Gemini analysis (minimal) failed, using minimal prompt only.');
+        record('analysis', { model: GEMINI3_ANALYSIS_MODEL, error: error?.message || String(error) });
       }
     }
+    choose('minimal', { analysisUsed: false });
     const userOverride = cleanedUserPrompt
-      ? `\nUSER REQUEST MUST OVERRIDE: ${stripSensitiveLines(cleanedUserPrompt)}`
+      ? renderPromptSection(template, 'user_override', { userRequest: sanitizer.stripBlockedLines(cleanedUserPrompt) })
       : '';
-    return `${ANIMATION_PROMPT}\n\n${buildMinimalPrompt(cleanedUserPrompt)}${userOverride}${transformOverride}`;
+    return composePrompt(template, buildMinimalPrompt(template, sanitizer, cleanedUserPrompt), [userOverride, transformOverride]);
   }
 
+  if (!VEO_USE_GEMINI3_PROMPT || !imageData || !mimeType) {
+    choose('direction');
+  }
   if (!VEO_USE_GEMINI3_PROMPT) {
-    if (!userPrompt || typeof userPrompt !== 'string') {
-      return ANIMATION_PROMPT;
+    if (!userPrompt || typeof userPrompt !== 'string' || !cleanedUserPrompt) {
+      return composePrompt(template, '', [transformOverride]);
     }
-    if (!cleanedUserPrompt) {
-      return ANIMATION_PROMPT;
-    }
-    return `${ANIMATION_PROMPT}\n\nUSER DIRECTION (must comply with constraints):\n${cleanedUserPrompt}${transformOverride}`;
+    return composePrompt(template, renderPromptSection(template, 'user_direction', { userRequest: cleanedUserPrompt }), [transformOverride]);
   }
   if (!imageData || !mimeType) {
-    if (!userPrompt || typeof userPrompt !== 'string') {
-      return ANIMATION_PROMPT;
-    }
-    if (!cleanedUserPrompt) {
-      return ANIMATION_PROMPT;
+    if (!userPrompt || typeof userPrompt !== 'string' || !cleanedUserPrompt) {
+      return composePrompt(template, '', [transformOverride]);
     }
-    return `${ANIMATION_PROMPT}\n\nUSER DIRECTION (must comply with constraints):\n${cleanedUserPrompt}${transformOverride}`;
+    return composePrompt(template, renderPromptSection(template, 'user_direction', { userRequest: cleanedUserPrompt }), [transformOverride]);
   }
 
   const analysisPrompt = [
-    'List visible characters and one or two clearly visible motions each, plus one background/prop motion. Use strong motion verbs; avoid words like subtle/gentle/slight/slow. Be very brief.',
+    renderPromptSection(template, 'analysis'),
     ...(cleanedUserPrompt ? [`USER DIRECTION: ${cleanedUserPrompt}`] : [])
   ].join('\n');
 
@@ -543,25 +738,32 @@ async function buildPromptFromImage({ imageData, mimeType, userPrompt }) {
 
   let analysis;
   try {
-    console.log('🧠 Gemini analysis start');
+    log.info('🧠 Gemini analysis start');
+    onProgress?.({ stage: 'analyzing', model: GEMINI3_ANALYSIS_MODEL });
     analysis = await generateGeminiContent({
       model: GEMINI3_ANALYSIS_MODEL,
       contents: analysisContents,
       generationConfig: analysisConfig
     });
-    console.log('🧠 Gemini analysis result:', amplifyMotionText(sanitizePrompt(analysis.text || '')).slice(0, 240));
+    log.info('🧠 Gemini analysis result:', amplify(sanitizer.sanitize(analysis.text || '')).slice(0, 240));
+    record('analysis', {
+      model: GEMINI3_ANALYSIS_MODEL,
+      instruction: analysisPrompt,
+      raw: analysis.text || '',
+      amplified: amplify(sanitizer.sanitize(analysis.text || ''))
+    });
   } catch (error) {
-    console.warn('⚠️ Gemini analysis failed, using ultra-short prompt fallback.');
-    return `${ANIMATION_PROMPT}\n\n${buildUltraShortPrompt(cleanedUserPrompt)}${transformOverride}`;
+    log.warn('⚠️ Gemini analysis failed, using ultra-short prompt fallback.');
+    record('analysis', { model: GEMINI3_ANALYSIS_MODEL, error: error?.message || String(error) });
+    choose('ultra-short', { fallbackReason: 'Gemini analysis failed' });
+    return composePrompt(template, buildUltraShortPrompt(template, sanitizer, cleanedUserPrompt), [transformOverride]);
   }
 
   const promptBuilderInstruction = [
-    'Write 3-4 short lines total. No headings.',
-    'Each line: character/prop + 1-2 visible motions. Neutral words only.',
-    'Preserve art exactly. No camera motion. No new elements.',
+    renderPromptSection(template, 'prompt_builder'),
     ...(cleanedUserPrompt ? [`USER DIRECTION: ${cleanedUserPrompt}`] : []),
     'Reference analysis:',
-    amplifyMotionText(sanitizePrompt(analysis.text || ''))
+    amplify(sanitizer.sanitize(analysis.text || ''))
   ].join('\n');
 
   const promptContents = [
@@ -579,45 +781,70 @@ async function buildPromptFromImage({ imageData, mimeType, userPrompt }) {
 
   let promptResult;
   try {
-    console.log('🧠 Gemini prompt build start');
+    log.info('🧠 Gemini prompt build start');
     promptResult = await generateGeminiContent({
       model: GEMINI3_PROMPT_MODEL,
       contents: promptContents,
       generationConfig: promptConfig
     });
-    console.log('🧠 Gemini prompt build done');
+    log.info('🧠 Gemini prompt build done');
   } catch (error) {
-    console.warn('⚠️ Gemini prompt build failed, using ultra-short prompt fallback.');
-    return `${ANIMATION_PROMPT}\n\n${buildUltraShortPrompt(cleanedUserPrompt)}${transformOverride}`;
+    log.warn('⚠️ Gemini prompt build failed, using ultra-short prompt fallback.');
+    record('promptBuilder', { model: GEMINI3_PROMPT_MODEL, instruction: promptBuilderInstruction, error: error?.message || String(error) });
+    choose('ultra-short', { fallbackReason: 'Gemini prompt build failed' });
+    return composePrompt(template, buildUltraShortPrompt(template, sanitizer, cleanedUserPrompt), [transformOverride]);
   }
 
   const rawPrompt = promptResult.text || '';
-  const sanitized = sanitizePrompt(rawPrompt);
-  const stripped = stripSensitiveLines(sanitized);
-  const boosted = amplifyMotionText(stripped || sanitized);
+  const sanitized = sanitizer.sanitize(rawPrompt);
+  const stripped = sanitizer.stripBlockedLines(sanitized);
+  const boosted = amplify(stripped || sanitized);
   const shortened = compactPrompt(boosted, 4, 280);
-  const finalLines = shortened || buildUltraShortPrompt(cleanedUserPrompt);
-  return `${ANIMATION_PROMPT}\n\n${finalLines}${transformOverride}`;
+  record('promptBuilder', {
+    model: GEMINI3_PROMPT_MODEL,
+    instruction: promptBuilderInstruction,
+    raw: rawPrompt,
+    sanitized,
+    stripped,
+    amplified: boosted,
+    compacted: shortened
+  });
+  if (shortened) {
+    choose('gemini3');
+  } else {
+    choose('ultra-short', { fallbackReason: 'Gemini prompt build returned nothing usable' });
+  }
+  const finalLines = shortened || buildUltraShortPrompt(template, sanitizer, cleanedUserPrompt);
+  return composePrompt(template, finalLines, [transformOverride]);
+}
+
+function parseRetryAfterMs(response) {
+  const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+  return Number.isFinite(retryAfter) ? retryAfter * 1000 : null;
 }
 
-async function fetchWithRetry(url, options, maxRetries = 3) {
+// A 429 cools down `credential`. With `failover`, the error is thrown at once
+// when another credential is ready, so the caller can move the call there.
+async function fetchWithRetry(url, options, maxRetries = 3, { credential, failover = false } = {}) {
   let lastError;
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     try {
       const response = await fetch(url, options);
       if (response.status === 429) {
-        const retryAfter = response.headers.get('Retry-After');
-        const waitTime = retryAfter ? parseInt(retryAfter) * 1000 : Math.pow(2, attempt) * 1000;
-        console.log(`Rate limited, waiting ${waitTime}ms...`);
-        setVeoCooldown(waitTime);
+        const waitTime = credentialPool.rateLimited(credential, parseRetryAfterMs(response));
         lastError = new Error('API error 429: Rate limited');
+        if (failover && credentialPool.hasAlternative(credential)) {
+          log.info(`Rate limited on ${credential.id}, cooling it down for ${waitTime}ms`);
+          break;
+        }
+        log.info(`Rate limited, waiting ${waitTime}ms...`);
         await sleep(waitTime);
         continue;
       }
       const responseText = await response.text();
       if (!response.ok) {
-        console.error(`❌ API error ${response.status}`);
-        console.error(`❌ Response body:`, responseText.substring(0, 800));
+        log.error(`❌ API error ${response.status}`);
+        log.error(`❌ Response body:`, responseText.substring(0, 800));
         throw new Error(`API error ${response.status}: ${responseText.substring(0, 200)}`);
       }
       try {
@@ -644,38 +871,39 @@ async function fetchWithRetry(url, options, maxRetries = 3) {
   throw lastError || new Error('API error: Unknown failure');
 }
 
-async function pollOperation(operationName, shouldCancel) {
-  const maxPolls = 180;
-  const pollInterval = 5000;
-  let url = `https://generativelanguage.googleapis.com/${operationName}?key=${GEMINI_API_KEY}`;
+async function pollOperation(operationName, shouldCancel, onPoll, credential) {
+  const maxPolls = VEO_MAX_POLLS;
+  const pollInterval = VEO_POLL_INTERVAL_MS;
+  let url = `${GEMINI_API_BASE_URL}/${operationName}?key=${credential.apiKey}`;
   if (!operationName.startsWith('v')) {
-    url = `https://generativelanguage.googleapis.com/v1beta/${operationName}?key=${GEMINI_API_KEY}`;
+    url = `${GEMINI_API_BASE_URL}/v1beta/${operationName}?key=${credential.apiKey}`;
   }
 
-  console.log(`⏳ Polling URL: ${url.replace(GEMINI_API_KEY, 'KEY')}`);
+  log.info(`⏳ Polling URL: ${url.replace(credential.apiKey, 'KEY')}`);
 
   for (let i = 0; i < maxPolls; i++) {
     if (shouldCancel && shouldCancel()) {
       throw new Error('Request canceled by client');
     }
-    const response = await fetchWithRetry(url, { method: 'GET' });
+    const response = await fetchWithRetry(url, { method: 'GET' }, 3, { credential });
     const operation = response.json();
     if (operation.done) {
       if (operation.error) throw new Error(operation.error.message || 'Video gen failed');
       return operation.response;
     }
-    console.log(`⏳ Polling... ${i + 1}/${maxPolls}`);
+    log.debug(`⏳ Polling... ${i + 1}/${maxPolls}`);
+    onPoll?.(i + 1, maxPolls, pollInterval);
     await sleepWithCancel(pollInterval, shouldCancel);
   }
   throw new Error('Video generation timed out');
 }
 
-async function pollVertexOperation(operationName, shouldCancel) {
-  const url = getVertexEndpoint('fetchPredictOperation');
+async function pollVertexOperation(operationName, shouldCancel, onPoll, credential) {
+  const url = getVertexEndpoint('fetchPredictOperation', credential);
   if (!url) throw new Error('Vertex AI is not configured');
-  const maxPolls = 180;
-  const pollInterval = 5000;
-  console.log(`⏳ Vertex polling started: ${operationName}`);
+  const maxPolls = VEO_MAX_POLLS;
+  const pollInterval = VEO_POLL_INTERVAL_MS;
+  log.info(`⏳ Vertex polling started: ${operationName}`);
 
   for (let i = 0; i < maxPolls; i += 1) {
     if (shouldCancel && shouldCancel()) {
@@ -702,301 +930,1120 @@ async function pollVertexOperation(operationName, shouldCancel) {
       return operation.response || operation.result || operation;
     }
 
-    console.log(`⏳ Vertex polling... ${i + 1}/${maxPolls}`);
+    log.debug(`⏳ Vertex polling... ${i + 1}/${maxPolls}`);
+    onPoll?.(i + 1, maxPolls, pollInterval);
     await sleepWithCancel(pollInterval, shouldCancel);
   }
 
   throw new Error('Vertex video generation timed out');
 }
 
-let veoInFlight = 0;
-const veoQueue = [];
+async function pollMockOperation(operationName, shouldCancel, onPoll) {
+  const maxPolls = VEO_MAX_POLLS;
+  log.info(`⏳ Mock polling started: ${operationName}`);
+
+  for (let i = 0; i < maxPolls; i += 1) {
+    if (shouldCancel && shouldCancel()) {
+      throw new Error('Request canceled by client');
+    }
+    const operation = await mockProvider.getOperation(operationName);
+    if (operation.done) {
+      if (operation.error) throw new Error(operation.error.message || 'Mock video gen failed');
+      return operation.response;
+    }
+    log.debug(`⏳ Mock polling... ${i + 1}/${maxPolls}`);
+    onPoll?.(i + 1, maxPolls, MOCK_POLL_INTERVAL_MS);
+    await sleepWithCancel(MOCK_POLL_INTERVAL_MS, shouldCancel);
+  }
 
-async function waitForVeoCooldown() {
-  if (veoCooldownUntil <= Date.now()) return;
-  const waitMs = veoCooldownUntil - Date.now();
-  console.log(`⏸️ Veo cooldown active, waiting ${waitMs}ms`);
-  await sleep(waitMs);
+  throw new Error('Mock video generation timed out');
 }
 
-async function acquireVeoSlot() {
-  if (VEO_MAX_CONCURRENT < 1) return;
-  await waitForVeoCooldown();
-  if (veoInFlight < VEO_MAX_CONCURRENT) {
-    veoInFlight += 1;
-    console.log(`🟢 Veo slot acquired (inFlight=${veoInFlight})`);
-    return;
+const veoSlots = createSlotQueue({ maxConcurrent: VEO_MAX_CONCURRENT });
+
+// Waits for a Veo slot in the request's priority class and returns its release
+// function. A caller that cancels while waiting leaves the queue.
+async function acquireVeoSlot({ priority = 'current', client = 'anonymous', onPosition } = {}, shouldCancel) {
+  const ticket = veoSlots.enqueue({ priority, client, onPosition });
+  if (ticket.position) {
+    const { inFlight, waiting } = veoSlots.snapshot();
+    log.info(`⏳ Waiting for Veo slot (${priority}, ${ticket.position} of ${waiting}, inFlight=${inFlight})`);
+  }
+  let releaseSlot;
+  try {
+    releaseSlot = await waitUnlessCanceled(ticket.ready, shouldCancel);
+  } catch (error) {
+    ticket.cancel();
+    throw error;
   }
-  console.log(`⏳ Waiting for Veo slot (inFlight=${veoInFlight}, queue=${veoQueue.length})`);
-  await new Promise(resolve => veoQueue.push(resolve));
-  await waitForVeoCooldown();
-  veoInFlight += 1;
-  console.log(`🟢 Veo slot acquired after wait (inFlight=${veoInFlight})`);
+  if (VEO_MAX_CONCURRENT < 1) return releaseSlot;
+  log.info(`🟢 Veo slot acquired (${priority}, inFlight=${veoSlots.snapshot().inFlight})`);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    log.info(`🟣 Veo slot released (inFlight=${veoSlots.snapshot().inFlight - 1})`);
+    releaseSlot();
+  };
 }
 
-function releaseVeoSlot() {
-  if (VEO_MAX_CONCURRENT < 1) return;
-  veoInFlight = Math.max(0, veoInFlight - 1);
-  console.log(`🟣 Veo slot released (inFlight=${veoInFlight})`);
-  if (veoQueue.length > 0 && veoInFlight < VEO_MAX_CONCURRENT) {
-    const next = veoQueue.shift();
-    next();
-  }
+// Requests from the same browser share one fair-share bucket. The reader sends
+// a random per-browser id; other callers fall back to their address. Signed-in
+// users get one bucket across all their browsers.
+function resolveClientId(req) {
+  if (req.user) return `user:${req.user.name}`;
+  const header = (req.get('x-client-id') || '').trim();
+  return /^[\w.-]{1,64}$/.test(header) ? header : `ip:${req.ip}`;
 }
 
-app.post('/api/veo', async (req, res) => {
-  const { imageBase64, mimeType, aspectRatio, model, resolution, userPrompt, pageIndex, pageNumber, source } = req.body;
+function formatPageLabel({ pageIndex, pageNumber, source }) {
   const pageLabel = Number.isFinite(pageNumber)
     ? `Page ${pageNumber}`
     : Number.isFinite(pageIndex)
       ? `Page ${pageIndex + 1}`
       : 'Page ?';
   const sourceLabel = source ? ` · ${source}` : '';
-  console.log(`\n🎬 === VEO VIDEO GENERATION REQUEST (${pageLabel}${sourceLabel}) ===`);
-  let requestCanceled = false;
-  const markCanceled = (reason) => {
-    if (requestCanceled) return;
-    requestCanceled = true;
-    console.warn(`⚠️ Request canceled by client (${reason}) (${pageLabel}${sourceLabel})`);
-  };
-  req.on('aborted', () => {
-    markCanceled('aborted');
-  });
-  req.on('close', () => {
-    if (req.aborted) {
-      markCanceled('close');
-    }
-  });
+  return `${pageLabel}${sourceLabel}`;
+}
 
-  if (VEO_REQUIRE_IMAGE && !VEO_INCLUDE_IMAGE) {
-    return res.status(400).json({ error: 'VEO_INCLUDE_IMAGE must be true when VEO_REQUIRE_IMAGE is enabled.' });
-  }
+function resolvePromptTemplate({ preset, presetVersion }) {
+  if (preset !== undefined && preset !== null && typeof preset !== 'string') return null;
+  return promptLibrary.get(preset || VEO_PROMPT_PRESET, presetVersion);
+}
 
-  if (VEO_INCLUDE_IMAGE && (!imageBase64 || !mimeType)) {
-    return res.status(400).json({ error: 'Missing imageBase64 or mimeType' });
-  }
+// `rulePacks` is a list (or comma-separated string) of series packs; the base
+// pack is always applied. Omitted means VEO_RULE_PACKS.
+function isValidRulePackSelection(selection) {
+  if (selection === undefined || selection === null || typeof selection === 'string') return true;
+  return Array.isArray(selection) && selection.every(name => typeof name === 'string');
+}
 
-  if (!GEMINI_API_KEY) {
-    return res.status(500).json({ error: 'GEMINI_API_KEY not configured' });
+// `image: false` checks only the settings, for batches whose pages are read later.
+function validateGenerationRequest({ imageBase64, mimeType, aspectRatio, preset, presetVersion, rulePacks: selection, priority, callbackUrl, variants, extendSeconds }, { image = true } = {}) {
+  if (!resolvePromptTemplate({ preset, presetVersion })) {
+    const version = presetVersion !== undefined && presetVersion !== null ? ` v${presetVersion}` : '';
+    return { httpStatus: 400, error: `Unknown prompt preset: ${preset || VEO_PROMPT_PRESET}${version}` };
   }
-
-  const queuedAt = Date.now();
-  console.log('🧠 Waiting for prompt build + model call...');
-  await acquireVeoSlot();
-  if (requestCanceled) {
-    console.warn(`⚠️ Request canceled before prompt build (${pageLabel}${sourceLabel})`);
-    releaseVeoSlot();
-    return;
+  if (!isValidRulePackSelection(selection)) {
+    return { httpStatus: 400, error: 'rulePacks must be a list of rule pack names' };
   }
-  const waitedMs = Date.now() - queuedAt;
-  if (waitedMs > 0) {
-    console.log(`⏳ Request queued ${waitedMs}ms`);
+  const unknownPacks = selection ? rulePacks.unknown(selection) : [];
+  if (unknownPacks.length) {
+    return { httpStatus: 400, error: `Unknown rule pack: ${unknownPacks.join(', ')}` };
   }
-
-  try {
-    const selectedModel = model === 'fast' ? VEO_MODEL_FAST : VEO_MODEL;
-    const modelId = selectedModel.startsWith('models/') ? selectedModel.split('/')[1] : selectedModel;
-
-    const imageData = imageBase64
-      ? (imageBase64.includes(',') ? imageBase64.split(',')[1] : imageBase64)
-      : null;
-    const effectiveMimeType = mimeType || 'image/jpeg';
-    const animationPrompt = await buildPromptFromImage({
-      imageData,
-      mimeType: effectiveMimeType,
-      userPrompt
-    });
-    const promptSeedPart = userPrompt && typeof userPrompt === 'string'
-      ? sanitizePrompt(userPrompt).trim()
-      : '';
-    const imageSeedPart = imageData
-      ? `${imageData.length}:${imageData.slice(0, 2048)}:${imageData.slice(-2048)}`
-      : '';
-    const seedInput = [promptSeedPart, imageSeedPart, pageIndex ?? '', pageNumber ?? ''].join('|');
-    const seed = stableSeedFromString(seedInput);
-    console.log('🧠 Prompt build complete.');
-    const promptPreview = animationPrompt.length > 420
-      ? `${animationPrompt.slice(0, 420)}…`
-      : animationPrompt;
-    console.log('🧠 Prompt preview:', promptPreview);
-    console.log(`🎲 Seed: ${seed}`);
-    if (VEO_DEBUG_PROMPT) {
-      console.log('🧠 Full prompt:\n', animationPrompt);
+  if (priority !== undefined && !isPriorityClass(priority)) {
+    return { httpStatus: 400, error: `Unknown priority: ${priority} (expected ${PRIORITY_CLASSES.join(', ')})` };
+  }
+  if (aspectRatio !== undefined && aspectRatio !== null && !VEO_ASPECT_RATIOS.includes(aspectRatio)) {
+    return { httpStatus: 400, error: `Unsupported aspectRatio: ${aspectRatio} (expected ${VEO_ASPECT_RATIOS.join(' or ')})` };
+  }
+  if (variants !== undefined && variants !== null && !(Number.isInteger(variants) && variants >= 1 && variants <= MAX_VIDEO_VARIANTS)) {
+    return { httpStatus: 400, error: `variants must be a whole number from 1 to ${MAX_VIDEO_VARIANTS}` };
+  }
+  if (extendSeconds !== undefined && extendSeconds !== null) {
+    if (!VEO_EXTEND_MAX_SECONDS) {
+      return { httpStatus: 400, error: 'Extend mode is off on this server (VEO_EXTEND_MAX_SECONDS is 0)' };
     }
-    if (requestCanceled) {
-      console.warn(`⚠️ Request canceled after prompt build (${pageLabel}${sourceLabel})`);
-      return;
+    if (!ffmpegVersion) {
+      return { httpStatus: 503, error: `Extend mode needs ffmpeg, which could not be run (VEO_FFMPEG_PATH=${VEO_FFMPEG_PATH})` };
     }
+    if (!(Number.isInteger(extendSeconds) && extendSeconds >= VEO_DURATION_SECONDS && extendSeconds <= VEO_EXTEND_MAX_SECONDS)) {
+      return { httpStatus: 400, error: `extendSeconds must be a whole number from ${VEO_DURATION_SECONDS} to ${VEO_EXTEND_MAX_SECONDS}` };
+    }
+    if (variants > 1) {
+      return { httpStatus: 400, error: 'extendSeconds cannot be combined with variants' };
+    }
+  }
+  if (callbackUrl !== undefined && callbackUrl !== null) {
+    if (!VEO_WEBHOOK_SECRET) {
+      return { httpStatus: 400, error: 'Webhooks are off on this server (VEO_WEBHOOK_SECRET is not set)' };
+    }
+    const problem = checkCallbackUrl(callbackUrl, VEO_WEBHOOK_ALLOWED_HOSTS);
+    if (problem) {
+      return { httpStatus: 400, error: problem };
+    }
+  }
+  if (image && VEO_INCLUDE_IMAGE && (!imageBase64 || !mimeType)) {
+    return { httpStatus: 400, error: 'Missing imageBase64' };
+  }
+  return null;
+}
 
-    if (VEO_PROVIDER === 'vertex') {
-      if (!GOOGLE_CLOUD_PROJECT) {
-        throw new Error('GOOGLE_CLOUD_PROJECT not configured for Vertex AI');
-      }
-      if (!VERTEX_OUTPUT_GCS_URI) {
-        throw new Error('VERTEX_OUTPUT_GCS_URI not configured for Vertex AI');
+function describeGenerationError(message, { safety, imageInput } = {}) {
+  if (imageInput) {
+    return {
+      httpStatus: 400,
+      body: { error: message, details: 'The page image could not be used. Send a JPEG, PNG or WebP page.', status: 'failed' }
+    };
+  }
+  if (message.startsWith(QUOTA_EXCEEDED_PREFIX)) {
+    return {
+      httpStatus: 429,
+      body: {
+        error: message,
+        details: 'Your daily generation quota is used up. Cached pages still play; new ones can be generated after midnight UTC.',
+        status: 'quota_exceeded'
       }
-      if (VEO_INCLUDE_IMAGE && (!imageData || !effectiveMimeType)) {
-        throw new Error('Missing image data for Vertex AI request');
+    };
+  }
+  if (message.startsWith(BUDGET_EXCEEDED_PREFIX)) {
+    return {
+      httpStatus: 402,
+      body: {
+        error: message,
+        details: 'The configured Veo budget is used up. Raise VEO_BUDGET_DAILY_USD / VEO_BUDGET_MONTHLY_USD or wait for the next period.',
+        status: 'budget_exceeded'
       }
-
-      const gcs = parseGcsUri(VERTEX_OUTPUT_GCS_URI);
-      if (!gcs?.bucket) {
-        throw new Error(`Invalid VERTEX_OUTPUT_GCS_URI: ${VERTEX_OUTPUT_GCS_URI}`);
+    };
+  }
+  if (message.includes('429')) {
+    return {
+      httpStatus: 429,
+      body: {
+        error: message,
+        details: 'Rate limit reached. Please wait and retry.',
+        status: 'rate_limited'
       }
-
-      const prefix = normalizePrefix(gcs.prefix);
-      const basePrefix = prefix ? `${prefix}/` : '';
-      const requestId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-      const storageUri = `gs://${gcs.bucket}/${basePrefix}outputs/veo-${requestId}`;
-      const vertexUrl = getVertexEndpoint('predictLongRunning');
-      if (!vertexUrl) {
-        throw new Error('Vertex AI endpoint not configured');
+    };
+  }
+  if (isUnsupportedImageError(message)) {
+    return {
+      httpStatus: 400,
+      body: {
+        error: 'This Veo model does not accept image inputs via the Gemini API.',
+        details: 'Try VEO_GEMINI_IMAGE_MODE=reference or first_frame. If both fail, use Vertex or Gemini Files API.',
+        status: 'failed'
       }
-
-      const instance = { prompt: animationPrompt };
-      if (VEO_INCLUDE_IMAGE && imageData) {
-        const ext = effectiveMimeType === 'image/png'
-          ? 'png'
-          : effectiveMimeType === 'image/webp'
-            ? 'webp'
-            : 'jpg';
-        const objectPath = `${basePrefix}inputs/${requestId}.${ext}`;
-        const uploadUrl = `https://storage.googleapis.com/upload/storage/v1/b/${gcs.bucket}/o?uploadType=media&name=${encodeURIComponent(objectPath)}`;
-        const token = await getAccessToken();
-        console.log(`🖼️ Uploading reference image to GCS: gs://${gcs.bucket}/${objectPath}`);
-        const uploadResp = await fetch(uploadUrl, {
-          method: 'POST',
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': effectiveMimeType
-          },
-          body: Buffer.from(imageData, 'base64')
-        });
-        const uploadText = await uploadResp.text();
-        if (!uploadResp.ok) {
-          throw new Error(`GCS upload error ${uploadResp.status}: ${uploadText.substring(0, 200)}`);
-        }
-        console.log(`✅ Image uploaded successfully`);
-        instance.image = {
-          gcsUri: `gs://${gcs.bucket}/${objectPath}`,
-          mimeType: effectiveMimeType
-        };
+    };
+  }
+  if (safety) {
+    return {
+      httpStatus: 422,
+      body: {
+        error: message,
+        details: 'Every prompt tier tried was blocked by the safety filter. See safety.blocked for the reasons.',
+        status: 'failed',
+        safety
       }
+    };
+  }
+  return {
+    httpStatus: 500,
+    body: { error: message, details: 'API call failed. Check server logs.', status: 'failed' }
+  };
+}
 
-      const parameters = {
-        storageUri,
-        sampleCount: 1,
-        durationSeconds: VEO_DURATION_SECONDS,
-        ...(aspectRatio ? { aspectRatio: aspectRatio === '9:16' ? '9:16' : '16:9' } : {}),
-        ...(resolution ? { resolution } : {}),
-        seed,
-        // CRITICAL: Negative prompt to prevent static images
-        negativePrompt: 'static, frozen, still image, photograph, jpeg, motionless, pause, freeze, slide show, text only, blurred, warped, low quality'
-      };
-
-      const imageRef = instance.image ? { ...instance.image } : null;
+// What a request is billed as: the model actually called, resolution and length.
+function getUsageDetails(request) {
+  const selectedModel = request?.model === 'fast' ? VEO_MODEL_FAST : VEO_MODEL;
+  return {
+    provider: VEO_PROVIDER,
+    model: VEO_PROVIDER === 'vertex' ? VERTEX_MODEL : selectedModel.replace(/^models\//, ''),
+    resolution: request?.resolution || '720p',
+    durationSeconds: VEO_DURATION_SECONDS,
+    videos: resolveVariantCount(request)
+  };
+}
 
-      const callVertex = async (promptToUse) => {
-        const vertexBody = {
-          instances: [
-            {
-              prompt: promptToUse,
-              ...(imageRef ? { image: imageRef } : {})
-            }
-          ],
-          parameters
-        };
+// How many videos (variants) one generation asks for; every one is billed.
+// Extend mode always chains single videos.
+function resolveVariantCount(request) {
+  if (resolveSegmentCount(request) > 1) return 1;
+  return Number.isInteger(request?.variants) ? request.variants : VEO_NUMBER_OF_VIDEOS || 1;
+}
 
-        console.log(`📤 Vertex model: ${VERTEX_MODEL}`);
-        console.log(`📤 Vertex call: ${vertexUrl}`);
+// How many clips an extend-mode request chains; 1 for an ordinary page.
+function resolveSegmentCount(request) {
+  if (!Number.isInteger(request?.extendSeconds)) return 1;
+  return planSegments({ totalSeconds: request.extendSeconds, segmentSeconds: VEO_DURATION_SECONDS, maxSeconds: VEO_EXTEND_MAX_SECONDS });
+}
 
-        const token = await getAccessToken();
-        const vertexResp = await fetch(vertexUrl, {
-          method: 'POST',
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json; charset=utf-8'
-          },
-          body: JSON.stringify(vertexBody)
-        });
+function isCanceledError(error) {
+  return /canceled by client/i.test(error?.message || '');
+}
 
-        const vertexText = await vertexResp.text();
-        if (!vertexResp.ok) {
-          throw new Error(`Vertex API error ${vertexResp.status}: ${vertexText.substring(0, 200)}`);
-        }
+// The veo_failures_total category of a failed Veo call.
+function classifyFailure(error) {
+  const message = error?.message || String(error);
+  if (isSafetyBlockedError(error)) return 'safety';
+  if (isQuotaError(error) || message.includes('429')) return 'rate_limited';
+  if (/timed out|TimeoutError/i.test(message)) return 'timeout';
+  if (getUnsupportedField(message) || isUnsupportedImageError(message)) return 'unsupported_field';
+  if (isAuthError(error)) return 'rejected';
+  return 'other';
+}
 
-        const vertexResult = JSON.parse(vertexText);
-        if (vertexResult.error) {
-          console.error('❌ Vertex API Error:', JSON.stringify(vertexResult.error, null, 2));
-          throw new Error(vertexResult.error.message);
-        }
+// Unsupported-field rejections are counted where they are seen, since most
+// of them are retried without the field.
+function countFailure(provider, error) {
+  const category = classifyFailure(error);
+  if (category !== 'unsupported_field') failureCount.inc({ provider, category });
+}
 
-        if (vertexResult.name) {
-          console.log(`⏳ Vertex operation started: ${vertexResult.name}`);
-          const result = await pollVertexOperation(vertexResult.name, () => requestCanceled);
-          const videoUrl = extractVideoUrl(result);
-          return { videoUrl, result };
-        }
+// The veo_generations_total outcome of a finished generation.
+function countGeneration({ result, error }) {
+  const outcome = result ? (result.cached ? 'cached' : 'ready') : error.safety ? 'safety_blocked' : error.status;
+  generationCount.inc({ outcome });
+}
 
-        throw new Error(`Unexpected Vertex response: ${vertexText.substring(0, 300)}`);
-      };
+// Log fields for one generation: its page, its job when it has one, and the provider.
+function generationLogFields(request = {}, job = null, provider = VEO_PROVIDER) {
+  const page = Number.isFinite(request.pageNumber)
+    ? request.pageNumber
+    : Number.isFinite(request.pageIndex) ? request.pageIndex + 1 : undefined;
+  return { ...(job ? { jobId: job.id, batchId: job.batch } : {}), page, source: request.source, provider };
+}
 
-      if (requestCanceled) {
-        console.warn(`⚠️ Request canceled before Vertex call (${pageLabel}${sourceLabel})`);
-        return;
-      }
-      const initial = await callVertex(animationPrompt);
-      if (initial.videoUrl) {
-        const downloadUrl = buildDownloadUrl(req, initial.videoUrl);
-        console.log('✅ VIDEO READY:', initial.videoUrl);
-        return res.json({
-          videoUrl: initial.videoUrl,
-          downloadUrl,
-          status: 'ready',
-          resolution,
-          ...(VEO_DEBUG_PROMPT ? { prompt: animationPrompt } : {})
-        });
-      }
+async function pollProviderOperation(provider, operationName, shouldCancel, onPoll, credential) {
+  if (provider === 'mock') return pollMockOperation(operationName, shouldCancel, onPoll);
+  if (provider === 'vertex') return pollVertexOperation(operationName, shouldCancel, onPoll, credential);
+  return pollOperation(operationName, shouldCancel, onPoll, credential);
+}
 
-      const raiInfo = getRaiFilterInfo(initial.result);
-      if (raiInfo) {
-        console.warn('⚠️ Vertex RAI filter triggered. No retry (per request).');
-        throw new Error('Vertex safety filter blocked the prompt. Try rephrasing to be more neutral.');
-      }
+// Waits, cancel-aware, for a credential that is not cooling down. `exclude`
+// holds the ones this call already failed on.
+async function acquireCredential(shouldCancel, exclude = []) {
+  for (;;) {
+    const { credential, waitMs } = credentialPool.pick({ exclude });
+    if (credential) return credential;
+    log.info(`⏸️ Every Veo credential is cooling down, waiting ${waitMs}ms`);
+    await sleepWithCancel(waitMs, shouldCancel);
+  }
+}
 
-      const preview = JSON.stringify(initial.result).slice(0, 1200);
-      console.error('❌ Vertex response missing output URI:', preview);
-      throw new Error('Vertex video generation completed but output URI not found');
-    }
+// The credential an operation was started with; operations can only be polled
+// with it. Jobs saved before credentials were tracked fall back to the region
+// in the operation name, then to the first credential.
+function resolveOperationCredential({ credential, name }) {
+  const known = credential && credentialPool.get(credential);
+  if (known) return known;
+  const location = name?.match(/\/locations\/([^/]+)\//)?.[1];
+  return (location && credentialPool.get(`vertex-${location}`)) || credentialPool.credentials[0];
+}
 
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${modelId}:predictLongRunning?key=${GEMINI_API_KEY}`;
+// Recent "polls until done" per provider, used to turn a poll count into a
+// progress fraction and an ETA for the client.
+const completedPollCounts = new Map();
 
-    console.log(`📤 Model: ${modelId}`);
-    console.log(`📤 Calling: ${apiUrl.replace(GEMINI_API_KEY, 'KEY')}`);
+function estimateExpectedPolls(provider) {
+  const history = completedPollCounts.get(provider);
+  if (history?.length) {
+    return Math.max(1, Math.round(history.reduce((sum, value) => sum + value, 0) / history.length));
+  }
+  if (provider === 'mock') {
+    return Math.max(1, Math.ceil(MOCK_DELAY_MS / MOCK_POLL_INTERVAL_MS));
+  }
+  return 15;
+}
 
-    const buildRequestBody = (imageMode) => buildVeoRequestBody({
-      prompt: animationPrompt,
-      imageData,
-      mimeType: effectiveMimeType,
-      aspectRatio,
-      resolution,
-      personGeneration: VEO_PERSON_GENERATION,
-      numberOfVideos: VEO_NUMBER_OF_VIDEOS,
-      seed,
-      includeImage: VEO_INCLUDE_IMAGE,
-      imageMode
+function createPollReporter(provider, onProgress) {
+  let lastPoll = 0;
+  const onPoll = (poll, maxPolls, pollIntervalMs) => {
+    lastPoll = poll;
+    pollCount.inc({ provider });
+    const expectedPolls = Math.max(estimateExpectedPolls(provider), poll + 1);
+    onProgress?.({
+      stage: 'polling',
+      poll,
+      maxPolls,
+      expectedPolls,
+      progress: Math.min(poll / expectedPolls, 0.95),
+      etaMs: (expectedPolls - poll) * pollIntervalMs
     });
+  };
+  const complete = () => {
+    const history = completedPollCounts.get(provider) || [];
+    history.push(lastPoll + 1);
+    completedPollCounts.set(provider, history.slice(-20));
+  };
+  return { onPoll, complete };
+}
 
-    let imageMode = VEO_GEMINI_IMAGE_MODE;
-    let requestBody = buildRequestBody(imageMode);
-    let triedAlternateImageMode = false;
-
-    console.log(`🖼️ Image mode: ${imageMode}, includeImage: ${VEO_INCLUDE_IMAGE}, hasImage: ${!!imageData}`);
-    if (imageMode === 'first_frame' && imageData) {
-      console.log(`🖼️ Using image as starting frame for image-to-video generation`);
-    } else if (imageMode === 'reference' && imageData) {
-      console.log(`🖼️ Using image as style reference (may not maintain visual fidelity - try VEO_GEMINI_IMAGE_MODE=first_frame)`);
-    }
+// Every video of a finished operation; the first is the default variant.
+function resolveOperationVideoUrls(provider, result) {
+  const videoUrls = extractVideoUrls(result);
+  if (videoUrls.length) return videoUrls;
+
+  const raiInfo = getRaiFilterInfo(result);
+  if (raiInfo) {
+    log.warn(`⚠️ ${provider} safety filter triggered: ${raiInfo.reasons.join('; ') || `${raiInfo.count} video(s) filtered`}`);
+    throw createSafetyBlockedError(provider, raiInfo);
+  }
+  if (provider === 'vertex') {
+    const preview = JSON.stringify(result).slice(0, 1200);
+    log.error('❌ Vertex response missing output URI:', preview);
+    throw new Error('Vertex video generation completed but output URI not found');
+  }
+  if (provider === 'mock') {
+    throw new Error('Mock video generation completed but output URI not found');
+  }
+  throw new Error('Video generation completed but output URI not found');
+}
+
+// Authenticated GET for a Gemini file URL. The file is tried with the key that
+// generated it first, then the others.
+async function fetchProviderVideo(videoUrl, credentialId = null) {
+  const target = new URL(videoUrl);
+  const keys = VEO_PROVIDER === 'gemini'
+    ? credentialPool.credentials
+      .slice()
+      .sort((a, b) => (b.id === credentialId) - (a.id === credentialId))
+      .map(credential => credential.apiKey)
+    : [GEMINI_API_KEY];
+  let upstream;
+  for (const [index, key] of keys.entries()) {
+    target.searchParams.set('key', key);
+    upstream = await fetch(target.toString(), { method: 'GET' });
+    if (index === keys.length - 1 || ![401, 403, 404].includes(upstream.status)) break;
+    await upstream.body?.cancel();
+  }
+  return upstream;
+}
+
+function createVideoDownloadError(status) {
+  const error = new Error(`Video download failed (${status})`);
+  error.upstreamStatus = status;
+  return error;
+}
+
+// A provider output as a stream: mock files, Vertex outputs (gs:// under
+// VERTEX_OUTPUT_GCS_URI) or Gemini files.
+async function openProviderVideo(videoUrl, credentialId) {
+  const mockPath = mockProvider.resolveVideoPath(videoUrl);
+  if (mockPath) return createReadStream(mockPath);
+  if (videoUrl.startsWith('gs://')) {
+    const key = vertexStorage?.keyOf(videoUrl);
+    if (!key) throw new Error(`${redactUrl(videoUrl)} is not under VERTEX_OUTPUT_GCS_URI`);
+    let object;
+    try {
+      object = await vertexStorage.read(key);
+    } catch (error) {
+      throw error?.storageStatus ? createVideoDownloadError(error.storageStatus) : error;
+    }
+    if (!object) throw createVideoDownloadError(404);
+    return object.stream;
+  }
+  const upstream = await fetchProviderVideo(videoUrl, credentialId);
+  if (!upstream.ok || !upstream.body) {
+    await upstream.body?.cancel();
+    throw createVideoDownloadError(upstream.status);
+  }
+  return Readable.fromWeb(upstream.body);
+}
+
+function createVideoNotFoundError(videoUrl) {
+  const error = new Error(`Video not found: ${redactUrl(videoUrl)}`);
+  error.code = 'ENOENT';
+  return error;
+}
+
+// Where a finished video can be read from: `{ path }` for the mock provider's
+// folder and a local store, `{ key }` in a remote store. Upstream outputs are
+// copied into the store on first use (concurrent callers share one fetch).
+// Fails with ENOENT if the video is gone.
+async function locateVideo(videoUrl, credentialId) {
+  const mockPath = mockProvider.resolveVideoPath(videoUrl);
+  if (mockPath) {
+    await stat(mockPath);
+    return { path: mockPath };
+  }
+  let key = videoCache.resolveKey(videoUrl);
+  if (!key) {
+    const copyKey = createHash('sha256').update(videoUrl).digest('hex');
+    const entry = await downloadCopies.get(copyKey) || await downloadCopies.share(copyKey, {}, async () => {
+      const copy = await downloadCopies.put(copyKey, await openProviderVideo(videoUrl, credentialId), { sourceUrl: videoUrl });
+      log.info(`💾 Saved a copy of ${redactUrl(videoUrl)} (${copy.size} bytes)`);
+      return copy;
+    }).promise;
+    key = downloadCopies.resolveKey(entry.uri);
+  }
+  if (videoStorage.localPath) {
+    const path = videoStorage.localPath(key);
+    await stat(path);
+    return { path };
+  }
+  if (!await videoStorage.stat(key)) throw createVideoNotFoundError(videoUrl);
+  return { key };
+}
+
+// Opens a finished job's video wherever it lives (see locateVideo).
+// Fails before any byte is read if it is gone.
+async function openResultVideo(videoUrl, credentialId) {
+  const video = await locateVideo(videoUrl, credentialId);
+  if (video.path) return createReadStream(video.path);
+  const stored = await videoStorage.read(video.key);
+  if (!stored) throw createVideoNotFoundError(videoUrl);
+  return stored.stream;
+}
+
+// A generation that produced several videos lists every variant as
+// `{ videoUrl, sourceUrl }`. `videoUrl` is the selected one: the first, until
+// the reader picks another.
+function withVariants(result, variants) {
+  if (!variants || variants.length < 2) return result;
+  return { ...result, videoUrl: variants[0].videoUrl, variants, selectedVariant: 0 };
+}
+
+// Copies finished videos into the video storage and hands back their cache
+// URIs, whether or not VEO_VIDEO_CACHE reuses them later. A video whose copy
+// fails keeps its upstream URI so the generation still succeeds. The first
+// variant is stored last and lists the others, so a cache hit finds them all.
+async function storeGeneratedVideo(cacheKey, { videoUrls, ...result }) {
+  const sources = videoUrls?.length > 1 ? videoUrls : [result.videoUrl];
+  if (!cacheKey) return withVariants(result, sources.map(videoUrl => ({ videoUrl })));
+  const variants = [];
+  for (let index = sources.length - 1; index >= 0; index -= 1) {
+    const key = computeVariantCacheKey(cacheKey, index);
+    const sourceUrl = sources[index];
+    const label = `${key.slice(0, 12)}${sources.length > 1 ? ` (variant ${index + 1}/${sources.length})` : ''}`;
+    try {
+      const entry = await videoCache.put(key, await openProviderVideo(sourceUrl, result.credential), {
+        provider: VEO_PROVIDER,
+        sourceUrl,
+        resolution: result.resolution,
+        preset: result.preset,
+        templateVersion: result.templateVersion,
+        ...(result.prompt ? { prompt: result.prompt } : {}),
+        ...(result.safety ? { safety: result.safety } : {}),
+        ...(index === 0 && sources.length > 1 ? { variantUrls: variants.slice(1).map(variant => variant.videoUrl) } : {})
+      });
+      log.info(`💾 Stored video ${label} in ${videoStorage.kind} storage (${entry.size} bytes)`);
+      variants[index] = { videoUrl: entry.uri, sourceUrl };
+    } catch (error) {
+      log.warn(`⚠️ Could not store video ${label}: ${error?.message || error}`);
+      variants[index] = { videoUrl: sourceUrl };
+    }
+  }
+  const stored = { ...result, videoUrl: variants[0].videoUrl, ...(variants[0].sourceUrl ? { sourceUrl: variants[0].sourceUrl } : {}), cacheKey };
+  return withVariants(stored, variants);
+}
+
+// Stream of a clip, whether it was stored (cache URI) or is still upstream.
+async function openClip({ videoUrl, credential }) {
+  return videoCache.resolveKey(videoUrl) ? openResultVideo(videoUrl) : openProviderVideo(videoUrl, credential);
+}
+
+// Extend mode: chains `segments` clips, each generated by `continueFrom` on
+// the last frame of the one before, and joins them into one video stored
+// under cacheKeyFor(count). A continuation that fails ends the chain early;
+// the clips made so far are still joined and returned.
+async function extendGeneration(first, { label, segments, cacheKeyFor, continueFrom, onProgress }) {
+  const dir = await mkdtemp(join(tmpdir(), 'veo-extend-'));
+  try {
+    const files = [];
+    let clip = first;
+    let stoppedEarly = null;
+    while (true) {
+      const file = join(dir, `clip-${files.length}.mp4`);
+      await pipeline(await openClip(clip), createWriteStream(file));
+      files.push(file);
+      if (files.length === segments) break;
+      onProgress?.({ stage: 'extending', segment: files.length + 1, segments });
+      try {
+        const frame = join(dir, `frame-${files.length}.png`);
+        await ffmpeg.lastFrame(file, frame);
+        clip = await continueFrom((await readFile(frame)).toString('base64'), files.length);
+      } catch (error) {
+        if (isCanceledError(error)) throw error;
+        stoppedEarly = error?.message || String(error);
+        log.warn(`⚠️ Stopped extending ${label} after ${files.length}/${segments} clips: ${stoppedEarly}`);
+        break;
+      }
+    }
+
+    const extend = { segments: files.length, durationSeconds: files.length * VEO_DURATION_SECONDS };
+    const summary = { ...extend, requestedSegments: segments, ...(stoppedEarly ? { stoppedEarly } : {}) };
+    if (files.length === 1) return { ...first, extend: summary };
+    const joined = join(dir, 'joined.mp4');
+    await ffmpeg.concat(files, joined);
+    const cacheKey = cacheKeyFor(files.length);
+    const entry = await videoCache.put(cacheKey, createReadStream(joined), {
+      provider: VEO_PROVIDER,
+      resolution: first.resolution,
+      preset: first.preset,
+      templateVersion: first.templateVersion,
+      extend,
+      ...(first.prompt ? { prompt: first.prompt } : {}),
+      ...(first.safety ? { safety: first.safety } : {})
+    });
+    log.info(`🎞️ Joined ${files.length} clips for ${label} into ${extend.durationSeconds}s (${entry.size} bytes)`);
+    const { sourceUrl, ...rest } = first;
+    return { ...rest, videoUrl: entry.uri, cacheKey, extend: summary };
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Everything that decides a request's video short of the prompt text: model
+// settings, image, seed and what the prompt is built from. The cache key
+// covers these rather than the built prompt, which with
+// VEO_USE_GEMINI3_PROMPT differs from run to run, so the cache can be checked
+// (and identical requests shared) before the paid prompt build.
+function describeGeneration(request) {
+  const { imageBase64, mimeType, aspectRatio, model, resolution, userPrompt, pageIndex, pageNumber } = request;
+  const template = resolvePromptTemplate(request);
+  const sanitizer = rulePacks.resolve(request.rulePacks);
+  const promptInfo = { preset: template.name, templateVersion: template.version };
+  const variants = resolveVariantCount(request);
+  const segments = resolveSegmentCount(request);
+
+  const selectedModel = model === 'fast' ? VEO_MODEL_FAST : VEO_MODEL;
+  const modelId = selectedModel.startsWith('models/') ? selectedModel.split('/')[1] : selectedModel;
+
+  const imageData = imageBase64
+    ? (imageBase64.includes(',') ? imageBase64.split(',')[1] : imageBase64)
+    : null;
+  const effectiveMimeType = mimeType || 'image/jpeg';
+  const promptSeedPart = userPrompt && typeof userPrompt === 'string'
+    ? sanitizer.sanitize(userPrompt).trim()
+    : '';
+  const imageSeedPart = imageData
+    ? `${imageData.length}:${imageData.slice(0, 2048)}:${imageData.slice(-2048)}`
+    : '';
+  const seedInput = [promptSeedPart, imageSeedPart, pageIndex ?? '', pageNumber ?? ''].join('|');
+  const seed = stableSeedFromString(seedInput);
+
+  const cacheKeyInput = {
+    imageData,
+    promptInputs: {
+      userPrompt: promptSeedPart,
+      ...promptInfo,
+      rulePacks: sanitizer.packs,
+      builder: VEO_MINIMAL_PROMPT
+        ? { minimal: true, ...(VEO_USE_GEMINI3_PROMPT ? { models: [GEMINI3_ANALYSIS_MODEL, GEMINI3_PROMPT_MODEL], thinking: GEMINI3_THINKING_LEVEL } : {}) }
+        : { minimal: false }
+    },
+    // Server settings that change the upstream request for the same prompt.
+    requestOptions: {
+      includeImage: VEO_INCLUDE_IMAGE,
+      ...(VEO_PROVIDER === 'vertex'
+        ? { negativePrompt: VERTEX_NEGATIVE_PROMPT }
+        : { imageMode: VEO_GEMINI_IMAGE_MODE, personGeneration: VEO_PERSON_GENERATION })
+    },
+    provider: VEO_PROVIDER,
+    model: modelId,
+    resolution,
+    aspectRatio,
+    durationSeconds: VEO_DURATION_SECONDS,
+    seed,
+    variants
+  };
+  // Extend mode caches the page's first clip and every chain length separately.
+  const cacheKeyFor = (count) => computeVideoCacheKey({ ...cacheKeyInput, segments: count });
+  return {
+    template,
+    sanitizer,
+    modelId,
+    imageData,
+    effectiveMimeType,
+    seed,
+    variants,
+    segments,
+    cacheKey: cacheKeyFor(segments),
+    cacheKeyFor,
+    promptInfo
+  };
+}
+
+// Prompt builds call Gemini outside the Veo slot, so they wait in their own
+// queue with the same limit (VEO_MAX_CONCURRENT) and fair sharing.
+const promptSlots = createSlotQueue({ maxConcurrent: VEO_MAX_CONCURRENT });
+
+async function acquirePromptSlot({ priority = 'current', client = 'anonymous' } = {}, shouldCancel) {
+  const ticket = promptSlots.enqueue({ priority, client });
+  try {
+    return await waitUnlessCanceled(ticket.ready, shouldCancel);
+  } catch (error) {
+    ticket.cancel();
+    throw error;
+  }
+}
+
+// Builds the final prompt, seed and cache key for a request without touching
+// Veo. Shared by runVeoGeneration and POST /api/prompt/preview.
+async function preparePrompt(request, { onProgress, trace = null, described = describeGeneration(request), slotRequest = {}, isCanceled } = {}) {
+  const { template, sanitizer, imageData, effectiveMimeType, seed, promptInfo } = described;
+  const { userPrompt } = request;
+  const releaseSlot = await acquirePromptSlot(slotRequest, isCanceled);
+  let animationPrompt;
+  try {
+    animationPrompt = await buildPromptFromImage({
+      imageData,
+      mimeType: effectiveMimeType,
+      userPrompt,
+      onProgress,
+      template,
+      sanitizer,
+      trace
+    });
+  } finally {
+    releaseSlot();
+  }
+  log.info('🧠 Prompt build complete.');
+  const promptPreview = animationPrompt.length > 420
+    ? `${animationPrompt.slice(0, 420)}…`
+    : animationPrompt;
+  log.info('🧠 Prompt preview:', promptPreview);
+  log.info(`🎲 Seed: ${seed}`);
+  onProgress?.({ stage: 'prompt_built', seed, promptLength: animationPrompt.length, ...promptInfo, rulePacks: sanitizer.packs });
+  if (VEO_DEBUG_PROMPT) {
+    log.info('🧠 Full prompt:\n', animationPrompt);
+  }
+
+  const safetyPrompts = buildSafetyPrompts(template, sanitizer, userPrompt, animationPrompt);
+  return { ...described, animationPrompt, safetyPrompts, rulePacks: sanitizer.packs };
+}
+
+// Runs the whole pipeline for one page: cache lookup, prompt build, then the
+// slot, provider call and polling. `onOperationStarted` fires as soon as the
+// provider returns an operation name so callers can persist it before the long
+// poll begins. Identical requests in flight share the prompt build and a single
+// upstream operation.
+async function runVeoGeneration(request, hooks = {}) {
+  const { isCanceled = () => false, onProgress } = hooks;
+  const { aspectRatio, resolution, force } = request;
+  const label = formatPageLabel(request);
+  const forceRegenerate = force === true;
+
+  if (isCanceled()) {
+    log.warn(`⚠️ Request canceled before prompt build (${label})`);
+    throw new Error('Request canceled by client');
+  }
+
+  const described = describeGeneration(request);
+  const { segments, cacheKey, cacheKeyFor, promptInfo } = described;
+  if (VEO_VIDEO_CACHE && !forceRegenerate) {
+    const cached = await videoCache.get(cacheKey);
+    if (cached) {
+      log.info(`💾 Video cache hit (${label}): ${cacheKey.slice(0, 12)}`);
+      onProgress?.({ stage: 'cache_hit', cacheKey });
+      return withVariants({
+        videoUrl: cached.uri,
+        ...(cached.prompt ? { prompt: cached.prompt } : {}),
+        resolution: cached.resolution,
+        ...promptInfo,
+        ...(cached.safety ? { safety: cached.safety } : {}),
+        ...(cached.extend ? { extend: cached.extend } : {}),
+        cacheKey,
+        cached: true
+      }, cached.variantUrls && [cached.uri, ...cached.variantUrls].map(videoUrl => ({ videoUrl })));
+    }
+  }
+
+  // An identical request that joins this one later waits in this one's class.
+  const slotRequest = { priority: resolvePriority(request), client: hooks.client };
+  const work = async (workHooks) => {
+    const { modelId, imageData, effectiveMimeType, animationPrompt, safetyPrompts, seed, variants } = await preparePrompt(request, {
+      onProgress: workHooks.onProgress,
+      described,
+      slotRequest,
+      isCanceled: workHooks.isCanceled
+    });
+    if (workHooks.isCanceled?.()) {
+      log.warn(`⚠️ Request canceled after prompt build (${label})`);
+      throw new Error('Request canceled by client');
+    }
+
+    const generation = { label, modelId, imageData, effectiveMimeType, aspectRatio, resolution, animationPrompt, seed, variants, cacheKey, promptInfo };
+    // The budget is checked when the cost is reserved, after the cache lookup, so
+    // cached pages stay available once the budget is used up. Every safety retry
+    // is its own provider call and reserves again.
+    const attempt = async (prompt, overrides = {}) => {
+      const usage = await usageLedger.reserve({
+        ...getUsageDetails(request),
+        label,
+        ...(hooks.user ? { user: hooks.user.name, userDailyLimit: hooks.user.dailyGenerations } : {})
+      });
+      let operationStarted = false;
+      try {
+        const result = await generateVideoUpstream({ ...generation, animationPrompt: prompt, ...overrides }, {
+          ...workHooks,
+          slotRequest,
+          onOperationStarted: async (operation) => {
+            operationStarted = true;
+            await usageLedger.update(usage.id, { operationName: operation.name, credential: operation.credential });
+            await workHooks.onOperationStarted?.(operation);
+          }
+        });
+        await usageLedger.settle(usage.id, 'succeeded');
+        return result;
+      } catch (error) {
+        await usageLedger.settle(usage.id, operationStarted && isCanceledError(error) ? 'canceled' : 'failed');
+        throw error;
+      }
+    };
+    // Walks the safety ladder (see buildSafetyPrompts) for one clip.
+    const runLadder = async (prompts, overrides, segment) => {
+      const where = segment ? `${label} clip ${segment + 1}/${segments}` : label;
+      const { result, tier, blocked } = await runWithSafetyRetries({
+        prompts,
+        maxAttempts: VEO_SAFETY_MAX_ATTEMPTS,
+        run: (prompt) => attempt(prompt, overrides),
+        onRetry: ({ tier: nextTier, attempt: attemptNumber, blocked: sofar }) => {
+          const last = sofar[sofar.length - 1];
+          log.warn(`🛡️ Retrying ${where} with the "${nextTier}" prompt tier (attempt ${attemptNumber}/${VEO_SAFETY_MAX_ATTEMPTS})`);
+          workHooks.onProgress?.({
+            stage: 'safety_retry',
+            tier: nextTier,
+            attempt: attemptNumber,
+            blockedTier: last.tier,
+            reasons: last.reasons,
+            ...(segment ? { segment: segment + 1, segments } : {})
+          });
+        }
+      });
+      const safety = blocked.length ? { tier, blocked } : null;
+      if (safety) {
+        log.info(`🛡️ ${where} passed the safety filter on the "${tier}" tier`);
+      }
+      return { result, safety };
+    };
+    const generateClip = async () => {
+      const { result, safety } = await runLadder(safetyPrompts);
+      return storeGeneratedVideo(cacheKeyFor(1), { ...result, ...promptInfo, ...(safety ? { safety } : {}) });
+    };
+    if (segments === 1) return generateClip();
+
+    // Extend mode starts from the page's ordinary clip, cached or new, and each
+    // continuation is one more paid call on the previous clip's last frame.
+    const cachedFirst = VEO_VIDEO_CACHE && !forceRegenerate ? await videoCache.get(cacheKeyFor(1)) : null;
+    const first = cachedFirst
+      ? {
+          videoUrl: cachedFirst.uri,
+          prompt: cachedFirst.prompt || animationPrompt,
+          resolution: cachedFirst.resolution,
+          ...promptInfo,
+          ...(cachedFirst.safety ? { safety: cachedFirst.safety } : {})
+        }
+      : await generateClip();
+    return extendGeneration(first, {
+      label,
+      segments,
+      cacheKeyFor,
+      onProgress: workHooks.onProgress,
+      // Continuations walk the same ladder, from the tier the first clip passed
+      // on, each rung wrapped as a continuation of the previous shot.
+      continueFrom: async (frameData, segment) => {
+        const from = Math.max(0, safetyPrompts.findIndex(({ tier }) => tier === first.safety?.tier));
+        const prompts = safetyPrompts.slice(from).map(({ tier, prompt }, index) => ({
+          tier,
+          prompt: buildContinuationPrompt(index === 0 && first.prompt ? first.prompt : prompt, { segment, segments })
+        }));
+        const { result } = await runLadder(prompts, { imageData: frameData, effectiveMimeType: 'image/png' }, segment);
+        return result;
+      }
+    });
+  };
+  if (forceRegenerate) {
+    return work({ ...hooks, isCanceled });
+  }
+  const { promise, shared } = videoCache.share(cacheKey, hooks, work);
+  if (shared) {
+    log.info(`🔗 Identical generation already in flight, sharing it (${label})`);
+  }
+  return waitUnlessCanceled(promise, isCanceled);
+}
+
+function buildMockRequestBody({ animationPrompt, imageData, effectiveMimeType, aspectRatio, resolution, seed, variants = 1 }) {
+  const body = buildVeoRequestBody({
+    prompt: animationPrompt,
+    imageData,
+    mimeType: effectiveMimeType,
+    aspectRatio,
+    resolution,
+    numberOfVideos: variants > 1 ? variants : undefined,
+    seed,
+    includeImage: VEO_INCLUDE_IMAGE,
+    imageMode: VEO_GEMINI_IMAGE_MODE
+  });
+  body.parameters.durationSeconds = VEO_DURATION_SECONDS;
+  return body;
+}
+
+// numberOfVideos is only sent when asked for: some models reject it. When it
+// is sent it is always the billed count, so an extend chain (one video per
+// clip) never asks for VEO_NUMBER_OF_VIDEOS.
+function buildGeminiRequestBody({ animationPrompt, imageData, effectiveMimeType, aspectRatio, resolution, seed, variants = 1 }, imageMode) {
+  return buildVeoRequestBody({
+    prompt: animationPrompt,
+    imageData,
+    mimeType: effectiveMimeType,
+    aspectRatio,
+    resolution,
+    personGeneration: VEO_PERSON_GENERATION,
+    numberOfVideos: variants > 1 || VEO_NUMBER_OF_VIDEOS ? variants : undefined,
+    seed,
+    includeImage: VEO_INCLUDE_IMAGE,
+    imageMode
+  });
+}
+
+// CRITICAL: Negative prompt to prevent static images
+const VERTEX_NEGATIVE_PROMPT = 'static, frozen, still image, photograph, jpeg, motionless, pause, freeze, slide show, text only, blurred, warped, low quality';
+
+function buildVertexParameters({ storageUri, aspectRatio, resolution, seed, variants = 1 }) {
+  return {
+    storageUri,
+    sampleCount: variants,
+    durationSeconds: VEO_DURATION_SECONDS,
+    ...(aspectRatio ? { aspectRatio: aspectRatio === '9:16' ? '9:16' : '16:9' } : {}),
+    ...(resolution ? { resolution } : {}),
+    seed,
+    negativePrompt: VERTEX_NEGATIVE_PROMPT
+  };
+}
+
+// The first request the provider would receive for `generation`, with image
+// bytes shortened. Vertex upload paths are placeholders until the real call.
+function describeVeoRequest(generation) {
+  const redact = (value) => JSON.parse(JSON.stringify(value, (key, field) => (
+    key === 'imageBytes' && typeof field === 'string' ? `<${field.length} base64 chars>` : field
+  )));
+  if (VEO_PROVIDER === 'mock') {
+    return { provider: 'mock', endpoint: null, body: redact(buildMockRequestBody(generation)) };
+  }
+  if (VEO_PROVIDER === 'vertex') {
+    const base = vertexBase || 'gs://<VERTEX_OUTPUT_GCS_URI>/';
+    const instance = { prompt: generation.animationPrompt };
+    if (VEO_INCLUDE_IMAGE && generation.imageData) {
+      const ext = { 'image/png': 'png', 'image/webp': 'webp' }[generation.effectiveMimeType] || 'jpg';
+      instance.image = { gcsUri: `${base}inputs/<request-id>.${ext}`, mimeType: generation.effectiveMimeType };
+    }
+    return {
+      provider: 'vertex',
+      endpoint: getVertexEndpoint('predictLongRunning'),
+      body: {
+        instances: [instance],
+        parameters: buildVertexParameters({ ...generation, storageUri: `${base}outputs/veo-<request-id>` })
+      }
+    };
+  }
+  return {
+    provider: VEO_PROVIDER,
+    endpoint: `${GEMINI_API_BASE_URL}/v1beta/models/${generation.modelId}:predictLongRunning`,
+    body: redact(buildGeminiRequestBody(generation, VEO_GEMINI_IMAGE_MODE))
+  };
+}
+
+// Holds a Veo slot for the provider call and the poll, then returns the
+// provider's own output URI. A call that is rate limited before its operation
+// starts (or hits a Gemini key the API rejects) moves to another credential
+// while one is ready.
+async function generateVideoUpstream(generation, { isCanceled = () => false, slotRequest = {}, onSlotAcquired, onOperationStarted, onProgress } = {}) {
+  const { label } = generation;
+
+  const queuedAt = Date.now();
+  log.info('🧠 Waiting for Veo slot...');
+  const releaseSlot = await acquireVeoSlot({
+    ...slotRequest,
+    onPosition: (position, waiting) => onProgress?.({ stage: 'slot_queued', position, waiting, priority: slotRequest.priority })
+  }, isCanceled);
+  try {
+    if (isCanceled()) {
+      log.warn(`⚠️ Request canceled before model call (${label})`);
+      throw new Error('Request canceled by client');
+    }
+    const waitedMs = Date.now() - queuedAt;
+    slotWaitSeconds.observe({ priority: slotRequest.priority || 'current' }, waitedMs / 1000);
+    if (waitedMs > 0) {
+      log.info(`⏳ Request queued ${waitedMs}ms`);
+    }
+    if (onSlotAcquired) {
+      await onSlotAcquired();
+    }
+    onProgress?.({ stage: 'slot_acquired', waitedMs });
+
+    const tried = [];
+    for (;;) {
+      const credential = await acquireCredential(isCanceled, tried);
+      let operationStarted = false;
+      const startedAt = Date.now();
+      try {
+        const result = await log.run({ credential: credential.id }, () => startUpstreamOperation(generation, credential, {
+          isCanceled,
+          onProgress,
+          onOperationStarted: async (operation) => {
+            operationStarted = true;
+            await onOperationStarted?.(operation);
+          }
+        }));
+        generationSeconds.observe({ provider: VEO_PROVIDER, outcome: 'ready' }, (Date.now() - startedAt) / 1000);
+        return result;
+      } catch (error) {
+        const canceled = isCanceledError(error);
+        generationSeconds.observe({ provider: VEO_PROVIDER, outcome: canceled ? 'canceled' : 'failed' }, (Date.now() - startedAt) / 1000);
+        if (!canceled) countFailure(VEO_PROVIDER, error);
+        if (operationStarted || canceled) throw error;
+        credentialPool.failed(credential, error);
+        tried.push(credential.id);
+        const reason = isQuotaError(error) ? 'rate_limited' : isAuthError(error) ? 'rejected' : null;
+        if (!reason || !credentialPool.hasAlternative(credential, tried)) throw error;
+        log.warn(`🔑 ${credential.id} ${reason === 'rate_limited' ? 'is rate limited' : 'was rejected'}, moving ${label} to another credential`);
+        onProgress?.({ stage: 'credential_retry', from: credential.id, reason });
+      }
+    }
+  } finally {
+    releaseSlot();
+  }
+}
+
+// Starts the operation with one credential and polls it to the end. The
+// credential counts the call as in flight until then.
+async function startUpstreamOperation(generation, credential, { isCanceled, onOperationStarted, onProgress }) {
+  const { label, modelId, imageData, effectiveMimeType, aspectRatio, resolution, animationPrompt, seed, variants, cacheKey, promptInfo } = generation;
+  const release = credentialPool.begin(credential);
+  try {
+    const awaitOperation = async (operationName) => {
+      credentialPool.succeeded(credential);
+      await onOperationStarted({ provider: VEO_PROVIDER, name: operationName, credential: credential.id, prompt: animationPrompt, cacheKey, ...promptInfo });
+      onProgress?.({ stage: 'operation_started', provider: VEO_PROVIDER, credential: credential.id, expectedPolls: estimateExpectedPolls(VEO_PROVIDER) });
+      const reporter = createPollReporter(VEO_PROVIDER, onProgress);
+      const result = await pollProviderOperation(VEO_PROVIDER, operationName, isCanceled, reporter.onPoll, credential);
+      reporter.complete();
+      const videoUrls = resolveOperationVideoUrls(VEO_PROVIDER, result);
+      log.info('✅ VIDEO READY:', videoUrls.join(', '));
+      return { videoUrl: videoUrls[0], videoUrls, prompt: animationPrompt, resolution, credential: credential.id };
+    };
+
+    if (VEO_PROVIDER === 'mock') {
+      const operation = await mockProvider.startOperation(buildMockRequestBody(generation));
+      log.info(`⏳ Mock operation started: ${operation.name}`);
+      return await awaitOperation(operation.name);
+    }
+
+    if (VEO_PROVIDER === 'vertex') {
+      if (!GOOGLE_CLOUD_PROJECT) {
+        throw new Error('GOOGLE_CLOUD_PROJECT not configured for Vertex AI');
+      }
+      if (!VERTEX_OUTPUT_GCS_URI) {
+        throw new Error('VERTEX_OUTPUT_GCS_URI not configured for Vertex AI');
+      }
+      if (VEO_INCLUDE_IMAGE && (!imageData || !effectiveMimeType)) {
+        throw new Error('Missing image data for Vertex AI request');
+      }
+
+      if (!vertexStorage) {
+        throw new Error(`Invalid VERTEX_OUTPUT_GCS_URI: ${VERTEX_OUTPUT_GCS_URI}`);
+      }
+
+      const requestId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const storageUri = vertexStorage.uriFor(`outputs/veo-${requestId}`);
+      const vertexUrl = getVertexEndpoint('predictLongRunning', credential);
+      if (!vertexUrl) {
+        throw new Error('Vertex AI endpoint not configured');
+      }
+
+      const instance = { prompt: animationPrompt };
+      const ext = effectiveMimeType === 'image/png'
+        ? 'png'
+        : effectiveMimeType === 'image/webp'
+          ? 'webp'
+          : 'jpg';
+      const inputKey = `inputs/${requestId}.${ext}`;
+      const uploadsImage = VEO_INCLUDE_IMAGE && Boolean(imageData);
+      // Recorded before the upload, so an interrupted one is still cleaned up.
+      await retention?.track(requestId, {
+        inputs: uploadsImage ? [vertexStorage.uriFor(inputKey)] : [],
+        output: storageUri
+      });
+      if (uploadsImage) {
+        log.info(`🖼️ Uploading reference image to GCS: ${vertexStorage.uriFor(inputKey)}`);
+        onProgress?.({ stage: 'uploading', target: 'gcs' });
+        await vertexStorage.put(inputKey, Buffer.from(imageData, 'base64'), { contentType: effectiveMimeType });
+        log.info(`✅ Image uploaded successfully`);
+        onProgress?.({ stage: 'uploaded', target: 'gcs' });
+        instance.image = {
+          gcsUri: vertexStorage.uriFor(inputKey),
+          mimeType: effectiveMimeType
+        };
+      }
+
+      const parameters = buildVertexParameters({ storageUri, aspectRatio, resolution, seed, variants });
+
+      const imageRef = instance.image ? { ...instance.image } : null;
+
+      const startVertexOperation = async (promptToUse) => {
+        const vertexBody = {
+          instances: [
+            {
+              prompt: promptToUse,
+              ...(imageRef ? { image: imageRef } : {})
+            }
+          ],
+          parameters
+        };
+
+        log.info(`📤 Vertex model: ${VERTEX_MODEL} (${credential.location})`);
+        log.info(`📤 Vertex call: ${vertexUrl}`);
+
+        const token = await getAccessToken();
+        const vertexResp = await fetch(vertexUrl, {
+          method: 'POST',
+          headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json; charset=utf-8'
+          },
+          body: JSON.stringify(vertexBody)
+        });
+
+        const vertexText = await vertexResp.text();
+        if (!vertexResp.ok) {
+          if (vertexResp.status === 429) {
+            credentialPool.rateLimited(credential, parseRetryAfterMs(vertexResp));
+          }
+          throw new Error(`Vertex API error ${vertexResp.status}: ${vertexText.substring(0, 200)}`);
+        }
+
+        const vertexResult = JSON.parse(vertexText);
+        if (vertexResult.error) {
+          log.error('❌ Vertex API Error:', JSON.stringify(vertexResult.error, null, 2));
+          throw new Error(vertexResult.error.message);
+        }
+
+        if (vertexResult.name) {
+          log.info(`⏳ Vertex operation started: ${vertexResult.name}`);
+          return vertexResult.name;
+        }
+
+        throw new Error(`Unexpected Vertex response: ${vertexText.substring(0, 300)}`);
+      };
+
+      let operationName = null;
+      try {
+        if (isCanceled()) {
+          log.warn(`⚠️ Request canceled before Vertex call (${label})`);
+          throw new Error('Request canceled by client');
+        }
+        operationName = await startVertexOperation(animationPrompt);
+        await retention?.operationStarted(requestId, operationName);
+        const result = await awaitOperation(operationName);
+        retention?.finish(requestId, { videoUrl: result.videoUrl });
+        return result;
+      } catch (error) {
+        // A canceled poll leaves the operation running upstream; its input is
+        // removed by a later cleanup instead.
+        if (!operationName || !isCanceledError(error)) retention?.finish(requestId);
+        throw error;
+      }
+    }
+
+    const apiUrl = `${GEMINI_API_BASE_URL}/v1beta/models/${modelId}:predictLongRunning?key=${credential.apiKey}`;
+
+    log.info(`📤 Model: ${modelId} (${credential.id})`);
+    log.info(`📤 Calling: ${apiUrl.replace(credential.apiKey, 'KEY')}`);
+
+    const buildRequestBody = (imageMode) => buildGeminiRequestBody(generation, imageMode);
+
+    let imageMode = VEO_GEMINI_IMAGE_MODE;
+    let requestBody = buildRequestBody(imageMode);
+    let triedAlternateImageMode = false;
+
+    log.info(`🖼️ Image mode: ${imageMode}, includeImage: ${VEO_INCLUDE_IMAGE}, hasImage: ${!!imageData}`);
+    if (imageMode === 'first_frame' && imageData) {
+      log.info(`🖼️ Using image as starting frame for image-to-video generation`);
+    } else if (imageMode === 'reference' && imageData) {
+      log.info(`🖼️ Using image as style reference (may not maintain visual fidelity - try VEO_GEMINI_IMAGE_MODE=first_frame)`);
+    }
 
     let generateResponse;
     try {
@@ -1006,29 +2053,32 @@ app.post('/api/veo', async (req, res) => {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify(requestBody)
-      });
+      }, 3, { credential, failover: true });
     } catch (error) {
       const message = error?.message || String(error);
       const unsupportedField = getUnsupportedField(message);
+      if (unsupportedField || isUnsupportedImageError(message)) {
+        failureCount.inc({ provider: VEO_PROVIDER, category: 'unsupported_field' });
+      }
       if (unsupportedField === 'referenceImages') {
         if (VEO_REQUIRE_IMAGE) {
           if (imageMode === 'reference' && !triedAlternateImageMode) {
             triedAlternateImageMode = true;
             imageMode = 'first_frame';
             requestBody = buildRequestBody(imageMode);
-            console.warn('⚠️ referenceImages not supported. Retrying with first_frame image mode.');
+            log.warn('⚠️ referenceImages not supported. Retrying with first_frame image mode.');
             generateResponse = await fetchWithRetry(apiUrl, {
               method: 'POST',
               headers: {
                 'Content-Type': 'application/json'
               },
               body: JSON.stringify(requestBody)
-            });
+            }, 3, { credential, failover: true });
           } else {
             throw new Error('referenceImages is not supported by this model. Try VEO_GEMINI_IMAGE_MODE=first_frame.');
           }
         } else {
-          console.warn(`⚠️ Field not supported by model: ${unsupportedField}. Retrying without it.`);
+          log.warn(`⚠️ Field not supported by model: ${unsupportedField}. Retrying without it.`);
           delete requestBody.parameters.referenceImages;
           generateResponse = await fetchWithRetry(apiUrl, {
             method: 'POST',
@@ -1036,10 +2086,10 @@ app.post('/api/veo', async (req, res) => {
               'Content-Type': 'application/json'
             },
             body: JSON.stringify(requestBody)
-          });
+          }, 3, { credential, failover: true });
         }
       } else if (unsupportedField === 'personGeneration') {
-        console.warn('⚠️ personGeneration not supported. Retrying without it.');
+        log.warn('⚠️ personGeneration not supported. Retrying without it.');
         if (requestBody.parameters?.personGeneration !== undefined) {
           delete requestBody.parameters.personGeneration;
         }
@@ -1049,9 +2099,9 @@ app.post('/api/veo', async (req, res) => {
             'Content-Type': 'application/json'
           },
           body: JSON.stringify(requestBody)
-        });
+        }, 3, { credential, failover: true });
       } else if (unsupportedField && requestBody.parameters?.[unsupportedField] !== undefined) {
-        console.warn(`⚠️ Field not supported by model: ${unsupportedField}. Retrying without it.`);
+        log.warn(`⚠️ Field not supported by model: ${unsupportedField}. Retrying without it.`);
         delete requestBody.parameters[unsupportedField];
         generateResponse = await fetchWithRetry(apiUrl, {
           method: 'POST',
@@ -1059,7 +2109,7 @@ app.post('/api/veo', async (req, res) => {
             'Content-Type': 'application/json'
           },
           body: JSON.stringify(requestBody)
-        });
+        }, 3, { credential, failover: true });
       } else if (isUnsupportedImageError(message) &&
         (requestBody.instances?.[0]?.image || requestBody.parameters?.referenceImages?.length)) {
         if (VEO_REQUIRE_IMAGE) {
@@ -1067,21 +2117,21 @@ app.post('/api/veo', async (req, res) => {
             triedAlternateImageMode = true;
             imageMode = imageMode === 'reference' ? 'first_frame' : 'reference';
             requestBody = buildRequestBody(imageMode);
-            console.warn(`⚠️ Image payload rejected. Retrying with image mode: ${imageMode}.`);
+            log.warn(`⚠️ Image payload rejected. Retrying with image mode: ${imageMode}.`);
             generateResponse = await fetchWithRetry(apiUrl, {
               method: 'POST',
               headers: {
                 'Content-Type': 'application/json'
               },
               body: JSON.stringify(requestBody)
-            });
+            }, 3, { credential, failover: true });
           } else {
             throw new Error('Image inputs are required but the Gemini API rejected both image modes.');
           }
         } else if (!VEO_ALLOW_IMAGE_FALLBACK) {
           throw new Error('Image inputs are required but the Gemini API rejected the image payload.');
         } else {
-          console.warn('⚠️ Image inputs not supported by model. Retrying without image.');
+          log.warn('⚠️ Image inputs not supported by model. Retrying without image.');
           if (requestBody.instances?.[0]?.image) delete requestBody.instances[0].image;
           if (requestBody.parameters?.referenceImages) delete requestBody.parameters.referenceImages;
           generateResponse = await fetchWithRetry(apiUrl, {
@@ -1090,7 +2140,7 @@ app.post('/api/veo', async (req, res) => {
               'Content-Type': 'application/json'
             },
             body: JSON.stringify(requestBody)
-          });
+          }, 3, { credential, failover: true });
         }
       } else {
         throw error;
@@ -1100,161 +2150,887 @@ app.post('/api/veo', async (req, res) => {
     const generateResult = generateResponse.json();
 
     if (generateResult.error) {
-      console.error('❌ API Error:', JSON.stringify(generateResult.error, null, 2));
+      log.error('❌ API Error:', JSON.stringify(generateResult.error, null, 2));
       throw new Error(generateResult.error.message);
     }
 
     if (generateResult.name) {
-      console.log(`⏳ Operation started: ${generateResult.name}`);
-      const result = await pollOperation(generateResult.name, () => requestCanceled);
-      const videoUrl = extractVideoUrl(result);
-      if (videoUrl) {
-        const downloadUrl = buildDownloadUrl(req, videoUrl);
-        console.log('✅ VIDEO READY:', videoUrl);
-        return res.json({
-          videoUrl,
-          downloadUrl,
-          status: 'ready',
-          resolution,
-          ...(VEO_DEBUG_PROMPT ? { prompt: animationPrompt } : {})
-        });
-      }
-      throw new Error('Video generation completed but output URI not found');
+      log.info(`⏳ Operation started: ${generateResult.name}`);
+      return await awaitOperation(generateResult.name);
     }
 
     throw new Error(`Unexpected response format: ${JSON.stringify(generateResult).substring(0, 300)}`);
-  } catch (error) {
-    if (requestCanceled || /canceled by client/i.test(error?.message || '')) {
-      console.warn('⚠️ Request canceled by client, stopping polling.');
-      return;
-    }
-    const message = error?.message || String(error);
-    if (message.includes('429')) {
+  } finally {
+    release();
+  }
+}
+
+// Per-user request rate for the routes that cost money, plus an early look at
+// the daily quota so a user who is out gets a 429 instead of a failed job.
+function limitGenerations({ quota = true } = {}) {
+  return (req, res, next) => {
+    if (!req.user) return next();
+    const waitMs = rateLimiter.take(req.user.name, req.user.ratePerMinute);
+    if (waitMs > 0) {
+      const seconds = Math.ceil(waitMs / 1000);
+      res.set('Retry-After', String(seconds));
       return res.status(429).json({
-        error: message,
-        details: 'Rate limit reached. Please wait and retry.',
+        error: `Too many requests: ${req.user.name} may start ${req.user.ratePerMinute} generations per minute`,
+        details: `Try again in ${seconds}s.`,
         status: 'rate_limited'
       });
     }
-    if (isUnsupportedImageError(message)) {
-      console.error('❌ Final error:', message);
-      return res.status(400).json({
-        error: 'This Veo model does not accept image inputs via the Gemini API.',
-        details: 'Try VEO_GEMINI_IMAGE_MODE=reference or first_frame. If both fail, use Vertex or Gemini Files API.',
-        status: 'failed'
-      });
+    const exceeded = quota ? usageLedger.checkQuota(req.user.name, req.user.dailyGenerations) : null;
+    if (exceeded) {
+      const { httpStatus, body } = describeGenerationError(exceeded);
+      return res.status(httpStatus).json(body);
     }
+    return next();
+  };
+}
 
-    console.error('❌ Final error:', message);
-    return res.status(500).json({ error: message, details: 'API call failed. Check server logs.', status: 'failed' });
-  } finally {
-    releaseVeoSlot();
+// Turns away a request the budget can't cover before a job or a paid prompt
+// build starts; reserve() still checks every provider call. Pages already in
+// the cache stay available.
+async function checkRequestBudget(request, { cache = true } = {}) {
+  const exceeded = usageLedger.checkBudget(usageLedger.estimate(getUsageDetails(request)));
+  if (!exceeded) return null;
+  if (cache && VEO_VIDEO_CACHE && request.force !== true && await videoCache.get(describeGeneration(request).cacheKey)) {
+    return null;
   }
-});
+  return describeGenerationError(exceeded);
+}
 
-app.get('/api/veo/download', async (req, res) => {
-  if (!GEMINI_API_KEY) {
-    return res.status(500).json({ error: 'GEMINI_API_KEY not configured' });
-  }
+function logNormalizedImage(label, image) {
+  if (!image.changed) return;
+  const { source } = image;
+  log.info(`🖼️ Normalized ${label}: ${source.width}x${source.height} ${source.mimeType} → ${image.width}x${image.height} (${image.aspectRatio})`);
+}
 
-  const urlParam = req.query.url;
-  if (!urlParam || typeof urlParam !== 'string') {
-    return res.status(400).json({ error: 'Missing url query parameter' });
+// Any client may send a raw page (JPEG, PNG or WebP, any size). It is replaced
+// by the scaled and padded image Veo gets, with the aspect ratio filled in.
+// `req.pageImage` describes what happened, for responses and the preview.
+async function normalizePageImage(req, res, next) {
+  if (typeof req.body?.imageBase64 !== 'string' || !req.body.imageBase64) return next();
+  try {
+    const image = await imageNormalizer.normalize(req.body);
+    logNormalizedImage(formatPageLabel(req.body), image);
+    req.body = { ...req.body, imageBase64: image.imageBase64, mimeType: image.mimeType, aspectRatio: image.aspectRatio };
+    req.pageImage = { width: image.width, height: image.height, aspectRatio: image.aspectRatio, changed: image.changed, source: image.source };
+    return next();
+  } catch (error) {
+    if (!isImageInputError(error)) return next(error);
+    return res.status(400).json({ error: error.message, status: 'invalid_image' });
   }
+}
 
-  if (urlParam.startsWith('gs://')) {
-    const match = urlParam.match(/^gs:\/\/([^/]+)\/(.+)$/);
-    if (!match) {
-      return res.status(400).json({ error: 'Invalid GCS URI' });
+app.post('/api/veo', limitGenerations(), normalizePageImage, async (req, res) => {
+  const label = formatPageLabel(req.body);
+  log.info(`\n🎬 === VEO VIDEO GENERATION REQUEST (${label}) ===`);
+  let requestCanceled = false;
+  const markCanceled = (reason) => {
+    if (requestCanceled) return;
+    requestCanceled = true;
+    log.warn(`⚠️ Request canceled by client (${reason}) (${label})`);
+  };
+  req.on('aborted', () => {
+    markCanceled('aborted');
+  });
+  req.on('close', () => {
+    if (req.aborted) {
+      markCanceled('close');
     }
-    const [, bucket, objectPath] = match;
-    try {
-      const token = await getAccessToken();
-      const encodedObject = encodeURIComponent(objectPath);
-      const gcsUrl = `https://storage.googleapis.com/storage/v1/b/${bucket}/o/${encodedObject}?alt=media`;
-      const upstream = await fetch(gcsUrl, {
-        method: 'GET',
-        headers: {
-          Authorization: `Bearer ${token}`
+  });
+
+  const invalid = validateGenerationRequest(req.body);
+  if (invalid) {
+    return res.status(invalid.httpStatus).json({ error: invalid.error });
+  }
+  const overBudget = await checkRequestBudget(req.body);
+  if (overBudget) {
+    countGeneration({ error: overBudget.body });
+    return res.status(overBudget.httpStatus).json(overBudget.body);
+  }
+
+  try {
+    const result = await log.run(generationLogFields(req.body), () => runVeoGeneration(req.body, {
+      isCanceled: () => requestCanceled,
+      client: resolveClientId(req),
+      user: req.user
+    }));
+    countGeneration({ result });
+    notifyGeneration({ request: req.body, user: req.user?.name, baseUrl: getBaseUrl(req), result });
+    return res.json({
+      videoUrl: result.videoUrl,
+      downloadUrl: buildDownloadUrl(req, result.videoUrl),
+      ...serializeVariants(req, result),
+      status: 'ready',
+      resolution: result.resolution,
+      aspectRatio: req.body.aspectRatio,
+      preset: result.preset,
+      templateVersion: result.templateVersion,
+      ...(result.safety ? { safety: result.safety } : {}),
+      ...(result.extend ? { extend: result.extend } : {}),
+      ...(result.cached ? { cached: true } : {}),
+      ...(VEO_DEBUG_PROMPT ? { prompt: result.prompt } : {})
+    });
+  } catch (error) {
+    if (requestCanceled || isCanceledError(error)) {
+      generationCount.inc({ outcome: 'canceled' });
+      log.warn('⚠️ Request canceled by client, stopping polling.');
+      return;
+    }
+    const message = error?.message || String(error);
+    log.error('❌ Final error:', message);
+    const { httpStatus, body } = describeGenerationError(message, error);
+    countGeneration({ error: body });
+    notifyGeneration({ request: req.body, user: req.user?.name, error: body });
+    return res.status(httpStatus).json(body);
+  }
+});
+
+// The videos of a multi-variant generation, each with its own download link.
+function serializeVariants(base, result) {
+  if (!result.variants) return {};
+  return {
+    variants: result.variants.map(({ videoUrl }, index) => ({ index, videoUrl, ...(base ? { downloadUrl: buildDownloadUrl(base, videoUrl) } : {}) })),
+    selectedVariant: result.selectedVariant ?? 0
+  };
+}
+
+function serializeJob(req, job) {
+  const request = job.request || {};
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    ...(job.finishedAt ? { finishedAt: job.finishedAt } : {}),
+    provider: job.provider,
+    priority: resolvePriority(request),
+    ...(request.aspectRatio ? { aspectRatio: request.aspectRatio } : {}),
+    ...(jobQueuePositions.has(job.id)
+      ? { queue: { position: jobQueuePositions.get(job.id), waiting: veoSlots.snapshot().waiting } }
+      : {}),
+    operationName: job.operation?.name || null,
+    ...(request.pageIndex !== undefined ? { pageIndex: request.pageIndex } : {}),
+    ...(request.pageNumber !== undefined ? { pageNumber: request.pageNumber } : {}),
+    ...(request.source ? { source: request.source } : {}),
+    ...(job.batch ? { batch: job.batch } : {}),
+    ...(job.result
+      ? {
+          videoUrl: job.result.videoUrl,
+          downloadUrl: buildDownloadUrl(req, job.result.videoUrl),
+          ...serializeVariants(req, job.result),
+          resolution: job.result.resolution,
+          preset: job.result.preset,
+          templateVersion: job.result.templateVersion,
+          ...(job.result.safety ? { safety: job.result.safety } : {}),
+          ...(job.result.extend ? { extend: job.result.extend } : {}),
+          ...(job.result.cached ? { cached: true } : {}),
+          ...(VEO_DEBUG_PROMPT && job.result.prompt ? { prompt: job.result.prompt } : {})
         }
-      });
+      : {}),
+    ...(job.error ? { error: job.error.error, details: job.error.details } : {}),
+    ...(job.error?.safety ? { safety: job.error.safety } : {})
+  };
+}
 
-      if (!upstream.ok) {
-        const text = await upstream.text();
-        return res.status(upstream.status).send(text);
+// Sends `event` to the request's own callbackUrl and to VEO_WEBHOOK_URL in the
+// background. `tags` (user, jobId, batchId) decide who sees it in the log.
+function sendWebhooks(callbackUrl, event, data, tags = {}) {
+  if (!VEO_WEBHOOK_SECRET) return;
+  for (const url of new Set([callbackUrl, VEO_WEBHOOK_URL].filter(Boolean))) {
+    webhooks.deliver(url, event, data, tags).then((record) => {
+      if (record.status === 'failed') {
+        log.warn(`🪝 Webhook ${event} to ${record.url} failed after ${record.attempts.length} attempt(s)`);
       }
+    });
+  }
+}
 
-      const contentType = upstream.headers.get('content-type');
-      const contentLength = upstream.headers.get('content-length');
-      const contentDisposition = upstream.headers.get('content-disposition');
-      if (contentType) res.setHeader('Content-Type', contentType);
-      if (contentLength) res.setHeader('Content-Length', contentLength);
-      if (contentDisposition) res.setHeader('Content-Disposition', contentDisposition);
+// A finished generation as webhook receivers see it. Canceled ones are not sent.
+function notifyGeneration({ request = {}, job = null, user, baseUrl, result, error }) {
+  const event = result ? 'generation.ready' : error.safety ? 'generation.safety_blocked' : 'generation.failed';
+  const page = Object.fromEntries(['pageIndex', 'pageNumber', 'source'].filter(key => request[key] !== undefined).map(key => [key, request[key]]));
+  sendWebhooks(request.callbackUrl, event, {
+    ...(job ? { job: { id: job.id, ...(job.batch ? { batch: job.batch } : {}) } } : {}),
+    page,
+    ...(user ? { user } : {}),
+    ...(result
+      ? {
+          result: {
+            videoUrl: result.videoUrl,
+            ...(baseUrl ? { downloadUrl: buildDownloadUrl(baseUrl, result.videoUrl) } : {}),
+            ...serializeVariants(baseUrl, result),
+            resolution: result.resolution,
+            ...(request.aspectRatio ? { aspectRatio: request.aspectRatio } : {}),
+            preset: result.preset,
+            templateVersion: result.templateVersion,
+            ...(result.safety ? { safety: result.safety } : {}),
+            ...(result.extend ? { extend: result.extend } : {}),
+            ...(result.cached ? { cached: true } : {})
+          }
+        }
+      : { error })
+  }, { ...(user ? { user } : {}), ...(job ? { jobId: job.id } : {}), ...(job?.batch ? { batchId: job.batch } : {}) });
+}
 
-      if (!upstream.body) {
-        return res.status(502).json({ error: 'Upstream response had no body' });
-      }
+// Runs a job and records how it ended. Never rejects: callers start jobs
+// without awaiting them, so a failure to save the outcome is only logged and
+// the job keeps its last saved state.
+async function settleJob(jobId, work) {
+  try {
+    await finishJob(jobId, work);
+  } catch (error) {
+    log.error(`❌ Job ${jobId} outcome could not be saved:`, error?.message || error);
+  }
+}
 
-      const bodyStream = Readable.fromWeb(upstream.body);
-      await pipeline(bodyStream, res);
+async function finishJob(jobId, work) {
+  const isCanceled = () => canceledJobIds.has(jobId);
+  try {
+    const result = await work(isCanceled);
+    if (isCanceled()) return;
+    const job = await jobStore.update(jobId, { status: 'ready', result, finishedAt: Date.now() });
+    jobEvents.publish(jobId, {
+      stage: 'ready',
+      progress: 1,
+      videoUrl: job.result.videoUrl,
+      ...(job.result.safety ? { safety: job.result.safety } : {}),
+      ...(job.result.cached ? { cached: true } : {})
+    });
+    countGeneration({ result: job.result });
+    notifyGeneration({ request: job.request, job, user: job.user, baseUrl: job.baseUrl, result: job.result });
+    log.info(`✅ Job ${jobId} ready`);
+  } catch (error) {
+    if (isCanceled() || isCanceledError(error)) {
+      generationCount.inc({ outcome: 'canceled' });
+      if (jobStore.get(jobId)?.status !== 'canceled') {
+        await jobStore.update(jobId, { status: 'canceled', finishedAt: Date.now() });
+        jobEvents.publish(jobId, { stage: 'canceled' });
+      }
+      log.warn(`⚠️ Job ${jobId} canceled, stopped polling.`);
       return;
+    }
+    const message = error?.message || String(error);
+    log.error(`❌ Job ${jobId} failed:`, message);
+    const { body } = describeGenerationError(message, error);
+    const job = await jobStore.update(jobId, { status: body.status, error: body, finishedAt: Date.now() });
+    countGeneration({ error: body });
+    notifyGeneration({ request: job.request, job, user: job.user, baseUrl: job.baseUrl, error: body });
+    jobEvents.publish(jobId, {
+      stage: body.status,
+      error: body.error,
+      details: body.details,
+      ...(body.safety ? { safety: body.safety } : {})
+    });
+  } finally {
+    canceledJobIds.delete(jobId);
+    jobQueuePositions.delete(jobId);
+  }
+}
+
+// Live place in the Veo slot queue per waiting job, for GET /api/veo/jobs/:id.
+const jobQueuePositions = new Map();
+
+function trackQueuePosition(jobId, event) {
+  if (event.stage === 'slot_queued') {
+    jobQueuePositions.set(jobId, event.position);
+  } else if (event.stage !== 'queued') {
+    jobQueuePositions.delete(jobId);
+  }
+}
+
+// `request` may also be a promise for it: batch pages read their image only
+// when their turn comes, and a page that cannot be read fails like any job.
+function startJob(jobId, request, client, user) {
+  const job = jobStore.get(jobId);
+  return log.run(generationLogFields(job.request, job), () => settleJob(jobId, async (isCanceled) => runVeoGeneration(await request, {
+    isCanceled,
+    client,
+    user,
+    onProgress: (event) => {
+      trackQueuePosition(jobId, event);
+      jobEvents.publish(jobId, event);
+    },
+    onSlotAcquired: () => jobStore.update(jobId, { status: 'running', startedAt: Date.now() }),
+    onOperationStarted: ({ provider, name, credential, prompt, cacheKey, preset, templateVersion }) => jobStore.update(jobId, {
+      operation: { provider, name, credential, cacheKey, preset, templateVersion, startedAt: Date.now() },
+      result: null,
+      prompt
+    })
+  })));
+}
+
+// Re-attaches to an operation that was started before the backend restarted.
+// Only polling happens here; the prompt and the paid call are not repeated.
+function resumeJob(job) {
+  const { provider, name, cacheKey, preset, templateVersion } = job.operation;
+  const credential = resolveOperationCredential(job.operation);
+  log.info(`🔁 Resuming job ${job.id} (${provider} operation ${name} on ${credential.id})`);
+  return settleJob(job.id, async (isCanceled) => {
+    let videoUrls;
+    const releaseSlot = await acquireVeoSlot({ priority: resolvePriority(job.request), client: job.client }, isCanceled);
+    const release = credentialPool.begin(credential);
+    try {
+      const onProgress = (event) => jobEvents.publish(job.id, event);
+      onProgress({ stage: 'operation_started', provider, resumed: true, expectedPolls: estimateExpectedPolls(provider) });
+      const reporter = createPollReporter(provider, onProgress);
+      const result = await pollProviderOperation(provider, name, isCanceled, reporter.onPoll, credential);
+      reporter.complete();
+      videoUrls = resolveOperationVideoUrls(provider, result);
     } catch (error) {
-      const message = error?.message || String(error);
-      if (res.headersSent || res.writableEnded) {
-        console.warn(`⚠️ Download stream error after headers sent: ${message}`);
-        return;
+      if (!isCanceledError(error)) {
+        countFailure(provider, error);
+        retention?.finish(name);
       }
-      return res.status(500).json({ error: message });
+      await usageLedger.settle(name, isCanceledError(error) ? 'canceled' : 'failed');
+      throw error;
+    } finally {
+      release();
+      releaseSlot();
     }
+    await usageLedger.settle(name, 'succeeded');
+    retention?.finish(name, { videoUrl: videoUrls[0] });
+    return storeGeneratedVideo(cacheKey, {
+      videoUrl: videoUrls[0],
+      videoUrls,
+      prompt: job.prompt,
+      resolution: job.request?.resolution,
+      preset,
+      templateVersion,
+      credential: credential.id
+    });
+  });
+}
+
+async function restoreJobs() {
+  await batchStore.load();
+  const jobs = await jobStore.load();
+  const resumed = [];
+  for (const job of jobs.filter(isJobActive)) {
+    if (job.operation?.name && resolveSegmentCount(job.request) > 1) {
+      // The running clip is only one link of the chain, and the frames and
+      // clips before it lived in a temporary directory.
+      await usageLedger.settle(job.operation.name, 'canceled');
+      retention?.finish(job.operation.name);
+      await jobStore.update(job.id, {
+        status: 'failed',
+        error: {
+          error: 'Interrupted by a server restart while chaining clips.',
+          details: 'Extended generations are not resumed. Submit the job again; a finished first clip is reused from the video cache.',
+          status: 'failed'
+        },
+        finishedAt: Date.now()
+      });
+    } else if (job.operation?.name) {
+      resumed.push(job.operation.name);
+      log.run(generationLogFields(job.request, job, job.operation.provider), () => resumeJob(job));
+    } else {
+      await jobStore.update(job.id, {
+        status: 'failed',
+        error: {
+          error: 'Interrupted by a server restart before the operation started.',
+          details: 'No video was requested upstream. Submit the job again.',
+          status: 'failed'
+        },
+        finishedAt: Date.now()
+      });
+    }
+  }
+  // Synchronous requests and jobs stopped before their operation was recorded
+  // leave reservations nothing will settle.
+  const abandoned = await usageLedger.settleAbandoned(resumed);
+  if (abandoned.length) {
+    log.warn(`💰 Settled ${abandoned.length} usage reservation(s) left pending by the last run`);
+  }
+}
+
+app.post('/api/veo/jobs', limitGenerations(), normalizePageImage, async (req, res) => {
+  const invalid = validateGenerationRequest(req.body);
+  if (invalid) {
+    return res.status(invalid.httpStatus).json({ error: invalid.error });
+  }
+
+  const overBudget = await checkRequestBudget(req.body);
+  if (overBudget) {
+    return res.status(overBudget.httpStatus).json(overBudget.body);
   }
 
-  let target;
+  const { aspectRatio, model, resolution, userPrompt, preset, presetVersion, rulePacks: selection, pageIndex, pageNumber, source, priority, mimeType, force, callbackUrl, variants, extendSeconds } = req.body;
+  const client = resolveClientId(req);
   try {
-    target = new URL(urlParam);
-  } catch {
-    return res.status(400).json({ error: 'Invalid url parameter' });
+    const job = await jobStore.create({
+      provider: VEO_PROVIDER,
+      client,
+      ...(req.user ? { user: req.user.name } : {}),
+      baseUrl: getBaseUrl(req),
+      request: { aspectRatio, model, resolution, userPrompt, preset, presetVersion, rulePacks: selection, pageIndex, pageNumber, source, priority, mimeType, force: force === true, callbackUrl, variants, extendSeconds }
+    });
+    log.info(`\n🎬 === VEO JOB ${job.id} (${formatPageLabel(req.body)}) ===`);
+    jobEvents.publish(job.id, { stage: 'queued' });
+    startJob(job.id, req.body, client, req.user);
+    return res.status(202).json(serializeJob(req, job));
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || String(error) });
+  }
+});
+
+async function cancelJob(job) {
+  canceledJobIds.add(job.id);
+  const canceled = await jobStore.update(job.id, { status: 'canceled', finishedAt: Date.now() });
+  jobEvents.publish(job.id, { stage: 'canceled' });
+  log.warn(`⚠️ Job ${job.id} canceled by client`);
+  return canceled;
+}
+
+// Users only see their own jobs; admins and open (no auth) servers see all.
+function canSeeJob(req, job) {
+  return !req.user || req.user.admin || job.user === req.user.name;
+}
+
+function findJob(req) {
+  const job = jobStore.get(req.params.id);
+  return job && canSeeJob(req, job) ? job : null;
+}
+
+app.get('/api/veo/jobs', (req, res) => {
+  res.json({ jobs: jobStore.list().filter(job => canSeeJob(req, job)).map(job => serializeJob(req, job)) });
+});
+
+app.get('/api/veo/jobs/:id', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  return res.json(serializeJob(req, job));
+});
+
+// Server-sent progress stream for one job. Replays the events so far (or the
+// ones after Last-Event-ID on reconnect) and closes once the job is finished.
+app.get('/api/veo/jobs/:id/events', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+  const history = jobEvents.getHistory(job.id, Number.isInteger(lastEventId) ? lastEventId : 0);
+  for (const event of history) {
+    res.write(formatSseEvent(event));
   }
 
-  if (target.protocol !== 'https:' || target.hostname !== 'generativelanguage.googleapis.com') {
-    return res.status(400).json({ error: 'Unsupported download host' });
+  if (!isJobActive(job)) {
+    if (!history.some(event => isTerminalStage(event.stage))) {
+      res.write(formatSseEvent({ jobId: job.id, seq: 0, at: Date.now(), stage: job.status, job: serializeJob(req, job) }));
+    }
+    return res.end();
   }
 
-  if (!target.pathname.startsWith('/v1beta/files/')) {
-    return res.status(400).json({ error: 'Unsupported download path' });
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = jobEvents.subscribe(job.id, (event) => {
+    res.write(formatSseEvent(event));
+    if (isTerminalStage(event.stage)) {
+      res.end();
+    }
+  });
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Picks which variant of a finished multi-variant job is the page's video.
+app.post('/api/veo/jobs/:id/variant', async (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'ready' || !job.result?.variants) {
+    return res.status(409).json({ error: job.status === 'ready' ? 'Job has a single video' : `Job is ${job.status}` });
+  }
+  const index = req.body?.index;
+  if (!Number.isInteger(index) || index < 0 || index >= job.result.variants.length) {
+    return res.status(400).json({ error: `index must be a whole number from 0 to ${job.result.variants.length - 1}` });
+  }
+  try {
+    const updated = await jobStore.update(job.id, {
+      result: { ...job.result, videoUrl: job.result.variants[index].videoUrl, selectedVariant: index }
+    });
+    log.info(`🎞️ Job ${job.id} now uses variant ${index + 1}/${job.result.variants.length}`);
+    return res.json(serializeJob(req, updated));
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || String(error) });
+  }
+});
+
+app.delete('/api/veo/jobs/:id', async (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!isJobActive(job)) {
+    return res.status(409).json({ error: `Job already ${job.status}`, ...serializeJob(req, job) });
+  }
+  try {
+    return res.json(serializeJob(req, await cancelJob(job)));
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || String(error) });
   }
+});
+
+// Batches: many pages with shared settings, run server-side so closing the
+// reader does not stop them. Every page is an ordinary job (own status, SSE
+// stream and cancel) tagged with the batch id; the batch itself only records
+// which jobs belong to it, and its status is derived from theirs.
+function canSeeBatch(req, batch) {
+  return !req.user || req.user.admin || batch.user === req.user.name;
+}
+
+function findBatch(req) {
+  const batch = batchStore.get(req.params.id);
+  return batch && canSeeBatch(req, batch) ? batch : null;
+}
+
+function getBatchJobs(batch) {
+  return batch.pages.map(page => jobStore.get(page.jobId));
+}
+
+function describeBatch(batch, jobs = getBatchJobs(batch)) {
+  return summarizeBatch(jobs.map(job => job?.status || 'failed'), status => isJobActive({ status }));
+}
+
+function serializeBatch(req, batch, { pages = true } = {}) {
+  const jobs = getBatchJobs(batch);
+  const summary = describeBatch(batch, jobs);
+  return {
+    id: batch.id,
+    createdAt: batch.createdAt,
+    ...(batch.finishedAt ? { finishedAt: batch.finishedAt } : {}),
+    ...(batch.volumeId ? { volumeId: batch.volumeId } : {}),
+    settings: batch.settings,
+    ...summary,
+    ...(summary.status !== 'running' ? { zipUrl: `${getBaseUrl(req)}/api/veo/batch/${batch.id}/zip` } : {}),
+    ...(pages
+      ? {
+          pages: batch.pages.map((page, index) => ({
+            ...(page.file ? { file: page.file } : {}),
+            ...(jobs[index] ? serializeJob(req, jobs[index]) : { id: page.jobId, pageNumber: page.pageNumber, status: 'failed', error: 'Job record is missing' })
+          }))
+        }
+      : {})
+  };
+}
+
+// The request for one batch page: shared settings, the page's own overrides,
+// and its image read (volumes) and normalized like any raw page. The job
+// records the aspect ratio once it is known.
+async function loadBatchPageRequest(jobId, settings, page) {
+  const imageBase64 = page.path ? (await readFile(page.path)).toString('base64') : page.imageBase64;
+  const image = await imageNormalizer.normalize({ imageBase64, mimeType: page.mimeType, aspectRatio: page.aspectRatio ?? settings.aspectRatio });
+  logNormalizedImage(`Page ${page.pageNumber} · batch`, image);
+  const job = jobStore.get(jobId);
+  await jobStore.update(jobId, { request: { ...job.request, aspectRatio: image.aspectRatio, mimeType: image.mimeType } });
+  return {
+    ...settings,
+    ...(page.userPrompt !== undefined ? { userPrompt: page.userPrompt } : {}),
+    pageNumber: page.pageNumber,
+    source: 'batch',
+    imageBase64: image.imageBase64,
+    mimeType: image.mimeType,
+    aspectRatio: image.aspectRatio
+  };
+}
 
-  target.searchParams.set('key', GEMINI_API_KEY);
+// Runs the pages VEO_MAX_CONCURRENT at a time, so a big batch neither floods
+// Gemini with prompt builds nor holds more than a few page images decoded.
+async function runBatch(batch, pages, user) {
+  await runWithConcurrency(pages, VEO_MAX_CONCURRENT, async (page, index) => {
+    const { jobId } = batch.pages[index];
+    if (!isJobActive(jobStore.get(jobId))) {
+      canceledJobIds.delete(jobId);
+      return;
+    }
+    await startJob(jobId, loadBatchPageRequest(jobId, batch.settings, page), batch.client, user);
+  });
+  const summary = describeBatch(batch);
+  await batchStore.update(batch.id, { status: summary.status, finishedAt: Date.now() });
+  sendWebhooks(batch.settings.callbackUrl, 'batch.finished', {
+    batch: {
+      id: batch.id,
+      ...summary,
+      ...(batch.volumeId ? { volumeId: batch.volumeId } : {}),
+      ...(batch.baseUrl ? { zipUrl: `${batch.baseUrl}/api/veo/batch/${batch.id}/zip` } : {}),
+      pages: batch.pages.map(page => ({ pageNumber: page.pageNumber, jobId: page.jobId, status: jobStore.get(page.jobId)?.status || 'failed' }))
+    },
+    ...(user ? { user: user.name } : {})
+  }, { ...(user ? { user: user.name } : {}), batchId: batch.id });
+  const counts = Object.entries(summary.counts).map(([status, count]) => `${count} ${status}`).join(', ');
+  log.info(`📚 Batch ${batch.id} ${summary.status}: ${counts}`);
+}
 
+app.post('/api/veo/batch', limitGenerations(), async (req, res) => {
+  let parsed;
   try {
-    const upstream = await fetch(target.toString(), { method: 'GET' });
-    if (!upstream.ok) {
-      const text = await upstream.text();
-      return res.status(upstream.status).send(text);
+    parsed = parseBatchRequest(req.body, { maxPages: VEO_BATCH_MAX_PAGES });
+  } catch (error) {
+    if (!isBatchInputError(error)) throw error;
+    return res.status(400).json({ error: error.message });
+  }
+  const { settings, volumeId } = parsed;
+  for (const page of parsed.pages || [{}]) {
+    const invalid = validateGenerationRequest({ ...settings, ...page }, { image: false });
+    if (invalid) {
+      const where = page.pageNumber ? ` (page ${page.pageNumber})` : '';
+      return res.status(invalid.httpStatus).json({ error: `${invalid.error}${where}` });
     }
+  }
+  // Pages are checked one by one as they run; this only turns a batch away
+  // when not even one more page fits.
+  const overBudget = await checkRequestBudget(settings, { cache: false });
+  if (overBudget) {
+    return res.status(overBudget.httpStatus).json(overBudget.body);
+  }
 
-    const contentType = upstream.headers.get('content-type');
-    const contentLength = upstream.headers.get('content-length');
-    const contentDisposition = upstream.headers.get('content-disposition');
-    if (contentType) res.setHeader('Content-Type', contentType);
-    if (contentLength) res.setHeader('Content-Length', contentLength);
-    if (contentDisposition) res.setHeader('Content-Disposition', contentDisposition);
+  const client = resolveClientId(req);
+  try {
+    const pages = parsed.pages || await listVolumePages(VEO_VOLUMES_DIR, volumeId, { maxPages: VEO_BATCH_MAX_PAGES });
+    if (!pages) {
+      return res.status(404).json({ error: `Volume not found: ${volumeId}` });
+    }
+    const owner = req.user ? { user: req.user.name } : {};
+    const baseUrl = getBaseUrl(req);
+    const batch = await batchStore.create({ status: 'running', client, ...owner, baseUrl, ...(volumeId ? { volumeId } : {}), settings, pages: [] });
+    const jobs = [];
+    for (const page of pages) {
+      jobs.push(await jobStore.create({
+        provider: VEO_PROVIDER,
+        client,
+        ...owner,
+        batch: batch.id,
+        baseUrl,
+        request: {
+          ...settings,
+          ...(page.userPrompt !== undefined ? { userPrompt: page.userPrompt } : {}),
+          ...(page.aspectRatio ? { aspectRatio: page.aspectRatio } : {}),
+          pageNumber: page.pageNumber,
+          source: 'batch',
+          force: settings.force === true
+        }
+      }));
+    }
+    const started = await batchStore.update(batch.id, {
+      pages: pages.map((page, index) => ({ pageNumber: page.pageNumber, jobId: jobs[index].id, ...(page.file ? { file: page.file } : {}) }))
+    });
+    log.info(`\n📚 === VEO BATCH ${batch.id} (${pages.length} pages${volumeId ? ` from ${volumeId}` : ''}) ===`);
+    for (const job of jobs) {
+      jobEvents.publish(job.id, { stage: 'queued' });
+    }
+    log.run({ batchId: batch.id }, () => runBatch(started, pages, req.user)).catch(error => {
+      log.error(`❌ Batch ${batch.id} stopped:`, error?.message || error);
+    });
+    return res.status(202).json(serializeBatch(req, started));
+  } catch (error) {
+    if (isBatchInputError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    return res.status(500).json({ error: error?.message || String(error) });
+  }
+});
+
+app.get('/api/veo/batch', (req, res) => {
+  res.json({ batches: batchStore.list().filter(batch => canSeeBatch(req, batch)).map(batch => serializeBatch(req, batch, { pages: false })) });
+});
 
-    if (!upstream.body) {
-      return res.status(502).json({ error: 'Upstream response had no body' });
+app.get('/api/veo/batch/:id', (req, res) => {
+  const batch = findBatch(req);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  return res.json(serializeBatch(req, batch));
+});
+
+// Cancels every page that has not finished; finished pages stay in the ZIP.
+app.delete('/api/veo/batch/:id', async (req, res) => {
+  const batch = findBatch(req);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  const active = getBatchJobs(batch).filter(isJobActive);
+  // One page that cannot be saved as canceled does not keep the rest running.
+  const failed = [];
+  for (const job of active) {
+    try {
+      await cancelJob(job);
+    } catch (error) {
+      log.error(`❌ Could not cancel job ${job.id} of batch ${batch.id}:`, error?.message || error);
+      failed.push({ jobId: job.id, pageNumber: job.request?.pageNumber, error: error?.message || String(error) });
     }
+  }
+  log.warn(`⚠️ Batch ${batch.id} canceled by client (${active.length - failed.length} page(s) stopped)`);
+  if (failed.length) {
+    return res.status(500).json({
+      ...serializeBatch(req, batch),
+      error: `Could not cancel ${failed.length} of ${active.length} page(s)`,
+      failed
+    });
+  }
+  return res.json(serializeBatch(req, batch));
+});
 
-    const bodyStream = Readable.fromWeb(upstream.body);
-    await pipeline(bodyStream, res);
+// Every ready page as page-NNN.mp4 plus manifest.json with the per-page
+// outcome. Built on the fly from the cache (or upstream), once nothing is running.
+app.get('/api/veo/batch/:id/zip', async (req, res) => {
+  const batch = findBatch(req);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  const jobs = getBatchJobs(batch);
+  const summary = describeBatch(batch, jobs);
+  if (summary.status === 'running') {
+    return res.status(409).json({ error: 'Batch is still running', ...summary });
+  }
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${batch.id}.zip"`
+  });
+  const zip = createZipWriter(res);
+  const digits = Math.max(3, String(Math.max(...batch.pages.map(page => page.pageNumber))).length);
+  const manifestPages = [];
+  try {
+    for (const [index, page] of batch.pages.entries()) {
+      const job = jobs[index];
+      const entry = { pageNumber: page.pageNumber, ...(page.file ? { source: page.file } : {}), ...(job ? serializeJob(req, job) : { id: page.jobId, status: 'failed' }) };
+      delete entry.downloadUrl;
+      delete entry.videoUrl;
+      if (job?.status === 'ready') {
+        const name = `page-${String(page.pageNumber).padStart(digits, '0')}.mp4`;
+        let video = null;
+        try {
+          video = await openResultVideo(job.result.videoUrl, job.result.credential || job.operation?.credential);
+        } catch (error) {
+          log.warn(`⚠️ Batch ${batch.id}: page ${page.pageNumber} left out of the ZIP: ${error?.message || error}`);
+          entry.zipError = error?.message || String(error);
+        }
+        if (video) {
+          // A failure past this point leaves a half-written entry, so the whole download is aborted.
+          await zip.addFile(name, video, { modifiedAt: new Date(job.finishedAt || job.updatedAt) });
+          entry.file = name;
+        }
+      }
+      manifestPages.push(entry);
+    }
+    const manifest = { ...serializeBatch(req, batch, { pages: false }), pages: manifestPages };
+    delete manifest.zipUrl;
+    await zip.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+    await zip.finish();
+    res.end();
+  } catch (error) {
+    log.warn(`⚠️ Batch ZIP ${batch.id} aborted: ${error?.message || error}`);
+    res.destroy();
+  }
+});
+
+// Only links issued by buildDownloadUrl are served. Proxying a caller's own URL
+// would let anyone read whatever the service account can reach.
+app.get('/api/veo/download', (_req, res) => {
+  res.status(400).json({ error: 'Raw video URLs are not accepted. Use the downloadUrl of the job, batch or generation.' });
+});
+
+// Range requests and revalidation for a video in a remote store, answered the
+// way res.sendFile answers them for local files.
+async function sendStoredVideo(req, res, key, headers) {
+  const info = await videoStorage.stat(key);
+  if (!info) return res.status(404).json({ error: 'Video not found' });
+  const etag = info.etag ? `"${info.etag}"` : null;
+  res.set({
+    ...headers,
+    'Accept-Ranges': 'bytes',
+    ...(etag ? { ETag: etag } : {}),
+    ...(info.updatedAt ? { 'Last-Modified': new Date(info.updatedAt).toUTCString() } : {})
+  });
+  if (req.fresh) return res.status(304).end();
+
+  const ifRange = req.get('If-Range');
+  const ranges = !ifRange || ifRange === etag ? req.range(info.size, { combine: true }) : undefined;
+  if (ranges === -1) {
+    return res.status(416).set('Content-Range', `bytes */${info.size}`).end();
+  }
+  const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+  const length = range ? range.end - range.start + 1 : info.size;
+  const stored = req.method === 'HEAD' || !length ? null : await videoStorage.read(key, range || {});
+  if (!stored && req.method !== 'HEAD' && length) return res.status(404).json({ error: 'Video not found' });
+  res.status(range ? 206 : 200).set('Content-Length', String(length));
+  if (range) res.set('Content-Range', `bytes ${range.start}-${range.end}/${info.size}`);
+  if (!stored) return res.end();
+  try {
+    await pipeline(stored.stream, res);
   } catch (error) {
+    log.warn(`⚠️ Download stream error after headers sent: ${error?.message || error}`);
+  }
+}
+
+// Serves a finished video from the video storage, copying provider outputs
+// into it first. Range requests (seeking, resumed downloads) and
+// ETag/Last-Modified revalidation work for every store. Browsers revalidate by
+// default because a forced regeneration rewrites the same cache URI.
+app.get(`${DOWNLOAD_LINK_PATH}:token`, async (req, res) => {
+  let videoUrl;
+  try {
+    videoUrl = downloadLinks.open(req.params.token).videoUrl;
+  } catch (error) {
+    if (!isDownloadLinkError(error)) throw error;
+    return res.status(error.downloadLink === 'expired' ? 410 : 404).json({ error: error.message, status: error.downloadLink });
+  }
+  const local = Boolean(mockProvider.resolveVideoPath(videoUrl) || videoCache.resolveKey(videoUrl));
+  if (!local && !isProviderOutputUri(videoUrl, { gcsOutputUri: VERTEX_OUTPUT_GCS_URI, geminiApiBaseUrl: GEMINI_API_BASE_URL })) {
+    log.warn(`⚠️ Refused a download link to ${redactUrl(videoUrl)}: not one of this server's outputs`);
+    return res.status(403).json({ error: 'Not one of this server\'s outputs' });
+  }
+
+  const headers = {
+    'Content-Type': 'video/mp4',
+    'Cache-Control': VEO_DOWNLOAD_MAX_AGE_SECONDS ? `private, max-age=${VEO_DOWNLOAD_MAX_AGE_SECONDS}` : 'private, no-cache'
+  };
+  let video;
+  try {
+    video = await locateVideo(videoUrl);
+    if (video.key) return await sendStoredVideo(req, res, video.key, headers);
+  } catch (error) {
+    if (res.headersSent) return res.destroy();
+    if (error?.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Video not found' });
+    }
     const message = error?.message || String(error);
-    if (res.headersSent || res.writableEnded) {
-      console.warn(`⚠️ Download stream error after headers sent: ${message}`);
+    log.warn(`⚠️ Download of ${redactUrl(videoUrl)} failed: ${message}`);
+    return res.status(error?.upstreamStatus || 502).json({ error: message });
+  }
+
+  res.sendFile(resolve(video.path), {
+    dotfiles: 'allow',
+    cacheControl: false,
+    headers
+  }, (error) => {
+    if (!error) return;
+    if (res.headersSent) {
+      log.warn(`⚠️ Download stream error after headers sent: ${error?.message || error}`);
       return;
     }
-    return res.status(500).json({ error: message });
-  }
+    res.status(error.code === 'ENOENT' ? 404 : error.status || 500).json({ error: error.code === 'ENOENT' ? 'Video not found' : error.message });
+  });
 });
 
+
 app.get('/api/models', async (_req, res) => {
   try {
     const data = await listGeminiModels();
@@ -1266,7 +3042,7 @@ app.get('/api/models', async (_req, res) => {
     });
 
     res.json({
-      hasVeoAccess: VEO_PROVIDER === 'vertex' ? true : veoModels.length > 0,
+      hasVeoAccess: VEO_PROVIDER === 'vertex' || VEO_PROVIDER === 'mock' ? true : veoModels.length > 0,
       totalModels: models.length,
       veoModels: veoModels.map(model => model.name || model.displayName || 'unknown')
     });
@@ -1287,32 +3063,277 @@ app.get('/api/health', (_req, res) => {
   });
 });
 
-app.get('/health', (_req, res) => {
+app.get('/health', requireAdmin, (_req, res) => {
   res.json({
     ok: true,
-    apiKey: maskKey(GEMINI_API_KEY),
+    apiKey: maskSecret(GEMINI_API_KEY),
     project: GOOGLE_CLOUD_PROJECT || 'not_set',
     includeImage: VEO_INCLUDE_IMAGE,
     requireImage: VEO_REQUIRE_IMAGE,
     maxConcurrent: VEO_MAX_CONCURRENT,
+    queue: veoSlots.snapshot(),
     provider: VEO_PROVIDER,
     gemini3Prompt: VEO_USE_GEMINI3_PROMPT,
     debugPrompt: VEO_DEBUG_PROMPT,
+    log: { format: VEO_LOG_FORMAT, level: VEO_LOG_LEVEL },
     gemini3AnalysisModel: GEMINI3_ANALYSIS_MODEL,
     gemini3PromptModel: GEMINI3_PROMPT_MODEL,
     vertexLocation: VERTEX_LOCATION,
     vertexModel: VERTEX_MODEL,
-    vertexOutputGcs: VERTEX_OUTPUT_GCS_URI ? 'set' : 'not_set'
+    vertexOutputGcs: VERTEX_OUTPUT_GCS_URI ? 'set' : 'not_set',
+    mockMode: USE_MOCK_MODE,
+    videoCache: VEO_VIDEO_CACHE,
+    storage: { kind: videoStorage.kind, location: videoStorage.kind === 'local' ? 'local' : videoStorage.location },
+    extend: VEO_EXTEND_MAX_SECONDS
+      ? { maxSeconds: VEO_EXTEND_MAX_SECONDS, clipSeconds: VEO_DURATION_SECONDS, ffmpeg: ffmpegVersion || 'not_found' }
+      : 'off',
+    promptPreset: VEO_PROMPT_PRESET,
+    rulePacks: rulePacks.defaultPacks,
+    safetyRetry: { tiers: VEO_SAFETY_RETRY_TIERS, maxAttempts: VEO_SAFETY_MAX_ATTEMPTS },
+    credentials: credentialPool.snapshot(),
+    auth: { enabled: auth.enabled, users: auth.users().length },
+    webhooks: {
+      enabled: Boolean(VEO_WEBHOOK_SECRET),
+      url: VEO_WEBHOOK_URL ? redactUrl(VEO_WEBHOOK_URL) : 'not_set',
+      allowedHosts: VEO_WEBHOOK_ALLOWED_HOSTS
+    },
+    retention: retention
+      ? { outputDays: VEO_RETENTION_OUTPUT_DAYS || null, sweepMinutes: VEO_RETENTION_SWEEP_MINUTES || null }
+      : 'off',
+    config: describeConfig(loadedConfig),
+    configWarnings: loadedConfig.warnings
+  });
+});
+
+app.get('/metrics', requireAdmin, (_req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+app.get('/api/prompt/presets', (_req, res) => {
+  res.json({ defaultPreset: VEO_PROMPT_PRESET, presets: promptLibrary.list() });
+});
+
+// Builds the prompt exactly as a generation would (Gemini calls included) but
+// stops before Veo, returning each stage for the frontend inspect view.
+app.post('/api/prompt/preview', limitGenerations({ quota: false }), normalizePageImage, async (req, res) => {
+  const invalid = validateGenerationRequest(req.body);
+  if (invalid) {
+    return res.status(invalid.httpStatus).json({ error: invalid.error });
+  }
+
+  const { aspectRatio, resolution } = req.body;
+  try {
+    const trace = {};
+    const generation = await preparePrompt(req.body, {
+      trace,
+      slotRequest: { priority: resolvePriority(req.body), client: resolveClientId(req) }
+    });
+    const cached = VEO_VIDEO_CACHE ? Boolean(await videoCache.get(generation.cacheKey)) : false;
+    return res.json({
+      ...generation.promptInfo,
+      rulePacks: generation.rulePacks,
+      ...(req.pageImage ? { image: req.pageImage } : {}),
+      branch: trace.branch,
+      ...(trace.analysisUsed !== undefined ? { analysisUsed: trace.analysisUsed } : {}),
+      ...(trace.fallbackReason ? { fallbackReason: trace.fallbackReason } : {}),
+      userPrompt: trace.userPrompt,
+      analysis: trace.analysis || null,
+      promptBuilder: trace.promptBuilder || null,
+      prompt: generation.animationPrompt,
+      promptLength: generation.animationPrompt.length,
+      seed: generation.seed,
+      cacheKey: generation.cacheKey,
+      cached,
+      ...(generation.segments > 1 ? { extend: { segments: generation.segments, clipSeconds: VEO_DURATION_SECONDS } } : {}),
+      safetyLadder: { maxAttempts: VEO_SAFETY_MAX_ATTEMPTS, tiers: generation.safetyPrompts.slice(1) },
+      request: {
+        model: generation.modelId,
+        ...describeVeoRequest({ ...generation, aspectRatio, resolution })
+      }
+    });
+  } catch (error) {
+    log.error('❌ Prompt preview failed:', error.message);
+    return res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/rule-packs', (_req, res) => {
+  res.json({ defaultPacks: rulePacks.defaultPacks, packs: rulePacks.list() });
+});
+
+app.get('/api/usage', requireAdmin, (_req, res) => {
+  res.json(usageLedger.summary());
+});
+
+// Bucket usage of Vertex inputs and outputs, cleanup and pins (see
+// retention.js). Other providers keep nothing in a bucket.
+async function runRetentionCleanup({ dryRun = false } = {}) {
+  const result = await retention.cleanup({ dryRun });
+  if (!dryRun && (result.deleted.length || result.failed.length)) {
+    log.info(`🗑️ Cleanup deleted ${result.deleted.length} object(s), ${result.freedBytes} bytes${result.failed.length ? `; ${result.failed.length} failed` : ''}`);
+  }
+  return result;
+}
+
+function requireRetention(_req, res, next) {
+  if (retention) return next();
+  return res.status(409).json({ error: 'Retention applies to Vertex outputs only (VEO_PROVIDER=vertex with VERTEX_OUTPUT_GCS_URI).' });
+}
+
+app.get('/api/storage', requireAdmin, async (_req, res) => {
+  if (!retention) return res.json({ enabled: false, provider: VEO_PROVIDER });
+  try {
+    res.json({
+      enabled: true,
+      location: vertexBase,
+      outputRetentionDays: VEO_RETENTION_OUTPUT_DAYS || null,
+      sweepMinutes: VEO_RETENTION_SWEEP_MINUTES || null,
+      ...(await retention.usage())
+    });
+  } catch (error) {
+    res.status(502).json({ error: `Could not list ${vertexBase}: ${error?.message || error}` });
+  }
+});
+
+app.post('/api/storage/cleanup', requireAdmin, requireRetention, async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+  try {
+    res.json(await runRetentionCleanup({ dryRun }));
+  } catch (error) {
+    res.status(502).json({ error: `Cleanup failed: ${error?.message || error}` });
+  }
+});
+
+// Keeps (or with `"pinned": false` releases) the output of a job, or any
+// output URI, past VEO_RETENTION_OUTPUT_DAYS.
+app.post('/api/storage/pins', requireAdmin, requireRetention, async (req, res) => {
+  const { jobId, uri, pinned = true } = req.body || {};
+  let targets = [uri];
+  if (jobId !== undefined) {
+    const job = jobStore.get(jobId);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    const cached = job.result?.cacheKey ? await videoCache.get(job.result.cacheKey) : null;
+    targets = [job.operation?.name, job.result?.sourceUrl, job.result?.videoUrl, cached?.sourceUrl];
+  }
+  try {
+    for (const target of targets.filter(value => typeof value === 'string' && value)) {
+      const record = await retention.pin(target, pinned !== false);
+      if (record) {
+        log.info(`🗑️ Output ${record.output} ${record.pinned ? 'pinned' : 'unpinned'}`);
+        return res.json({ record });
+      }
+    }
+  } catch (error) {
+    return res.status(502).json({ error: `Pin failed: ${error?.message || error}` });
+  }
+  return res.status(404).json({ error: `No output under ${vertexBase}outputs/ for that ${jobId !== undefined ? 'job' : 'URI'}` });
+});
+
+// Recent webhook deliveries with every attempt, newest first. Users see the
+// ones their own generations sent; admins and open servers see all.
+app.get('/api/webhooks/deliveries', (req, res) => {
+  const { jobId, batchId } = req.query;
+  const limit = Math.min(200, Math.max(1, Number.parseInt(req.query.limit, 10) || 50));
+  const deliveries = webhooks.recent({
+    limit,
+    filter: delivery =>
+      (!req.user || req.user.admin || delivery.user === req.user.name) &&
+      (!jobId || delivery.jobId === jobId) &&
+      (!batchId || delivery.batchId === batchId)
+  });
+  res.json({ enabled: Boolean(VEO_WEBHOOK_SECRET), deliveries });
+});
+
+app.post('/api/auth/login', (req, res) => {
+  const waitMs = rateLimiter.take(`login:${req.ip}`, 10);
+  if (waitMs > 0) {
+    res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+    return res.status(429).json({ error: 'Too many sign-in attempts. Try again in a minute.', status: 'rate_limited' });
+  }
+  const { username, password } = req.body || {};
+  const session = auth.enabled ? auth.login(username, password) : null;
+  if (!session) {
+    log.warn(`🔐 Failed sign-in for "${String(username || '').slice(0, 64)}" from ${req.ip}`);
+    return res.status(401).json({ error: 'Wrong user name or password', status: 'unauthorized' });
+  }
+  log.info(`🔐 ${session.user.name} signed in`);
+  return res.json(session);
+});
+
+// Who the token belongs to and how much of today's quota is left. With auth
+// off this just says so.
+app.get('/api/auth/me', (req, res) => {
+  if (!req.user) {
+    return res.json({ authRequired: auth.enabled, user: null });
+  }
+  return res.json({
+    authRequired: true,
+    user: req.user,
+    usage: usageLedger.userUsage(req.user.name)
   });
 });
 
+usageLedger.load()
+  .catch(error => log.error('❌ Failed to load usage ledger:', error?.message || error))
+  .then(() => retention?.load())
+  .catch(error => log.error('❌ Failed to load retention records:', error?.message || error))
+  .then(restoreJobs)
+  .catch(error => {
+    log.error('❌ Failed to restore jobs:', error?.message || error);
+  });
+
+if (retention && VEO_RETENTION_SWEEP_MINUTES) {
+  setInterval(() => {
+    runRetentionCleanup().catch(error => log.warn(`🗑️ Scheduled cleanup failed: ${error?.message || error}`));
+  }, VEO_RETENTION_SWEEP_MINUTES * 60 * 1000).unref();
+}
+
 app.listen(PORT, () => {
-  console.log(`🚀 Backend running on http://localhost:${PORT}`);
-  console.log(`🎬 Target Veo model: ${VEO_MODEL}`);
-  console.log(`🔑 API key configured: ${!!GEMINI_API_KEY}`);
-  console.log(`🔑 API key: ${maskKey(GEMINI_API_KEY)}`);
-  console.log(`🧾 Project: ${GOOGLE_CLOUD_PROJECT || 'not_set'}`);
-  console.log(`🧭 Provider: ${VEO_PROVIDER}`);
-  console.log(`🗺️ Vertex location: ${VERTEX_LOCATION}`);
-  console.log(`🗄️ Vertex output: ${VERTEX_OUTPUT_GCS_URI ? 'set' : 'not_set'}`);
+  log.info(`🚀 Backend running on http://localhost:${PORT}`);
+  log.info(`🎬 Target Veo model: ${VEO_MODEL}`);
+  log.info(`🔑 API key configured: ${!!GEMINI_API_KEY}`);
+  log.info(`🔑 API key: ${maskSecret(GEMINI_API_KEY)}`);
+  log.info(`🧾 Project: ${GOOGLE_CLOUD_PROJECT || 'not_set'}`);
+  log.info(`🧭 Provider: ${VEO_PROVIDER}`);
+  if (auth.enabled) {
+    log.info(`🔐 Auth: ${auth.users().length} user(s), ${VEO_USER_RATE_PER_MINUTE || 'unlimited'}/min and ${VEO_USER_DAILY_GENERATIONS || 'unlimited'}/day by default`);
+    if (!VEO_AUTH_SECRET && Object.values(usersFile.users).some(user => user.password)) {
+      log.warn('⚠️ VEO_AUTH_SECRET is not set; sign-ins end when the backend restarts.');
+    }
+  } else {
+    log.warn(`⚠️ Auth: off. Anyone who can reach port ${PORT} can generate videos (add users with \`npm run veo:users\`).`);
+  }
+  log.info(`🌐 CORS origins: ${CORS_ORIGINS.join(', ')}`);
+  if (VEO_WEBHOOK_SECRET) {
+    const targets = [VEO_WEBHOOK_URL && redactUrl(VEO_WEBHOOK_URL), VEO_WEBHOOK_ALLOWED_HOSTS.length && `callbacks to ${VEO_WEBHOOK_ALLOWED_HOSTS.join(', ')}`].filter(Boolean);
+    log.info(`🪝 Webhooks: ${targets.join('; ') || 'on, but no URL and no allowed callback hosts'}`);
+  }
+  if (credentialPool.credentials.length > 1) {
+    log.info(`🔑 Veo credentials: ${credentialPool.credentials.map(credential => `${credential.id} (${credential.label})`).join(', ')}`);
+  }
+  log.info(`📝 Prompt preset: ${VEO_PROMPT_PRESET} (${promptLibrary.list().length} presets in ${VEO_PROMPTS_DIR})`);
+  log.info(VEO_SAFETY_MAX_ATTEMPTS > 1 && VEO_SAFETY_RETRY_TIERS.length
+    ? `🛡️ Safety retries: up to ${VEO_SAFETY_MAX_ATTEMPTS} attempts (${VEO_SAFETY_RETRY_TIERS.join(' → ')})`
+    : '🛡️ Safety retries: off');
+  log.info(`🧹 Rule packs: base${rulePacks.defaultPacks.map(name => ` + ${name}`).join('')} (${rulePacks.list().length} packs in ${VEO_RULE_PACKS_DIR})`);
+  if (VEO_PROVIDER === 'mock') {
+    log.info(`🧪 Mock mode: delay=${MOCK_DELAY_MS}ms, failureRate=${MOCK_FAILURE_RATE}, safetyFilterRate=${MOCK_SAFETY_FILTER_RATE}`);
+  }
+  log.info(`🗺️ Vertex location: ${VERTEX_LOCATION}`);
+  log.info(`🗄️ Vertex output: ${VERTEX_OUTPUT_GCS_URI ? 'set' : 'not_set'}`);
+  if (retention) {
+    log.info(`🗑️ Retention: inputs deleted after each operation, outputs after ${VEO_RETENTION_OUTPUT_DAYS ? `${VEO_RETENTION_OUTPUT_DAYS} day(s)` : 'never'}, cleanup ${VEO_RETENTION_SWEEP_MINUTES ? `every ${VEO_RETENTION_SWEEP_MINUTES} min` : 'on demand'}`);
+  }
+  log.info(`💾 Video storage: ${videoStorage.kind} (${videoStorage.location}), cache reuse ${VEO_VIDEO_CACHE ? 'on' : 'off'}`);
+  if (VEO_EXTEND_MAX_SECONDS) {
+    if (ffmpegVersion) {
+      log.info(`🎞️ Extend mode: up to ${VEO_EXTEND_MAX_SECONDS}s in ${VEO_DURATION_SECONDS}s clips (${ffmpegVersion})`);
+    } else {
+      log.warn(`⚠️ Extend mode is off: ffmpeg could not be run (VEO_FFMPEG_PATH=${VEO_FFMPEG_PATH})`);
+    }
+  }
+  log.info(`💰 Budget: daily=${VEO_BUDGET_DAILY_USD ?? 'none'}, monthly=${VEO_BUDGET_MONTHLY_USD ?? 'none'} (USD)`);
+  if (['GEMINI_API_BASE_URL', 'VERTEX_API_BASE_URL', 'GCS_API_BASE_URL'].some(name => loadedConfig.sources[name] === 'env')) {
+    log.info(`🔀 Upstream overrides: gemini=${GEMINI_API_BASE_URL}, vertex=${VERTEX_API_BASE_URL}, gcs=${GCS_API_BASE_URL}`);
+  }
 });
@@ -0,0 +1,192 @@
+// Highest first. A waiting request of a higher class is always served before
+// any of a lower one.
+export const PRIORITY_CLASSES = ['interactive', 'current', 'prefetch', 'batch'];
+
+const SOURCE_PRIORITIES = { prompt: 'interactive', prefetch: 'prefetch', auto: 'batch', batch: 'batch' };
+
+export function isPriorityClass(value) {
+  return PRIORITY_CLASSES.includes(value);
+}
+
+// An explicit `priority` wins; otherwise the reader's `source` decides, and
+// anything else is treated as a request for the page being looked at.
+export function resolvePriority({ priority, source } = {}) {
+  if (isPriorityClass(priority)) return priority;
+  return SOURCE_PRIORITIES[source] || 'current';
+}
+
+// Concurrency slots for upstream Veo calls (`maxConcurrent` < 1 = unlimited).
+// Waiters are ordered by priority class, then shared fairly between clients:
+// the client holding the fewest slots goes next, ties go to the client served
+// longest ago, and each client's own requests stay in arrival order.
+// `onPosition(position, waiting)` fires whenever a waiter's place changes.
+export function createSlotQueue({ maxConcurrent = 1 } = {}) {
+  // Waiters per priority class, each class holding one FIFO per client.
+  const waiting = new Map(PRIORITY_CLASSES.map(name => [name, new Map()]));
+  const clientSlots = new Map();
+  const clientServedAt = new Map();
+  let waitingCount = 0;
+  let inFlight = 0;
+  let sequence = 0;
+  let served = 0;
+
+  const unlimited = () => maxConcurrent < 1;
+
+  // Of the clients' queues in one class (`entries`, each `{ queue, next }`),
+  // the one whose next ticket goes first: fewest slots held, then served
+  // longest ago, then arrived first.
+  function pickQueue(entries, slots, servedAt) {
+    let best = null;
+    for (const entry of entries) {
+      if (entry.next >= entry.queue.length) continue;
+      if (!best) {
+        best = entry;
+        continue;
+      }
+      const ticket = entry.queue[entry.next];
+      const leader = best.queue[best.next];
+      const slotsDiff = (slots.get(ticket.client) || 0) - (slots.get(leader.client) || 0);
+      const servedDiff = (servedAt.get(ticket.client) ?? -1) - (servedAt.get(leader.client) ?? -1);
+      if (slotsDiff < 0 || (slotsDiff === 0 && (servedDiff < 0 || (servedDiff === 0 && ticket.seq < leader.seq)))) {
+        best = entry;
+      }
+    }
+    return best;
+  }
+
+  function takeNext() {
+    const queues = waiting.get(PRIORITY_CLASSES.find(name => waiting.get(name).size));
+    const { queue } = pickQueue([...queues.values()].map(queue => ({ queue, next: 0 })), clientSlots, clientServedAt);
+    const ticket = queue[0];
+    removeWaiting(ticket);
+    return ticket;
+  }
+
+  function removeWaiting(ticket) {
+    const queues = waiting.get(ticket.priority);
+    const queue = queues.get(ticket.client);
+    const index = queue ? queue.indexOf(ticket) : -1;
+    if (index === -1) return false;
+    queue.splice(index, 1);
+    if (!queue.length) queues.delete(ticket.client);
+    waitingCount -= 1;
+    return true;
+  }
+
+  // The order waiters would be served in if no slot were released meanwhile.
+  // Computed once per change to the queue, for the position updates.
+  function order() {
+    const slots = new Map(clientSlots);
+    const servedAt = new Map(clientServedAt);
+    const result = [];
+    let tick = served;
+    for (const name of PRIORITY_CLASSES) {
+      const entries = [...waiting.get(name).values()].map(queue => ({ queue, next: 0 }));
+      let entry;
+      while ((entry = pickQueue(entries, slots, servedAt))) {
+        const ticket = entry.queue[entry.next];
+        entry.next += 1;
+        result.push(ticket);
+        slots.set(ticket.client, (slots.get(ticket.client) || 0) + 1);
+        tick += 1;
+        servedAt.set(ticket.client, tick);
+      }
+    }
+    return result;
+  }
+
+  function notifyPositions() {
+    const ordered = order();
+    ordered.forEach((ticket, index) => {
+      if (ticket.position === index + 1) return;
+      ticket.position = index + 1;
+      ticket.onPosition?.(ticket.position, ordered.length);
+    });
+  }
+
+  function grant(ticket) {
+    inFlight += 1;
+    clientSlots.set(ticket.client, (clientSlots.get(ticket.client) || 0) + 1);
+    served += 1;
+    clientServedAt.set(ticket.client, served);
+    ticket.position = 0;
+    let released = false;
+    ticket.release = () => {
+      if (released) return;
+      released = true;
+      inFlight = Math.max(0, inFlight - 1);
+      const remaining = (clientSlots.get(ticket.client) || 1) - 1;
+      if (remaining > 0) clientSlots.set(ticket.client, remaining);
+      else clientSlots.delete(ticket.client);
+      dispatch();
+    };
+    ticket.resolve(ticket.release);
+  }
+
+  // Grants every free slot, then reports the new positions. Returns whether
+  // anything was granted.
+  function dispatch() {
+    let changed = false;
+    while (waitingCount && (unlimited() || inFlight < maxConcurrent)) {
+      grant(takeNext());
+      changed = true;
+    }
+    if (changed) notifyPositions();
+    return changed;
+  }
+
+  // Returns `{ ready, cancel, position }`. `ready` resolves with the slot's
+  // release function; `cancel` leaves the queue, or releases the slot if it
+  // was already granted.
+  function enqueue({ priority = 'current', client = 'anonymous', onPosition } = {}) {
+    let resolve;
+    const ready = new Promise(done => { resolve = done; });
+    const ticket = {
+      seq: sequence += 1,
+      priority: isPriorityClass(priority) ? priority : 'current',
+      client: String(client),
+      onPosition,
+      resolve,
+      position: null,
+      release: null
+    };
+    const queues = waiting.get(ticket.priority);
+    if (!queues.has(ticket.client)) queues.set(ticket.client, []);
+    queues.get(ticket.client).push(ticket);
+    waitingCount += 1;
+    if (!dispatch()) notifyPositions();
+    return {
+      ready,
+      get position() {
+        return ticket.position;
+      },
+      cancel: () => {
+        if (ticket.release) {
+          ticket.release();
+          return;
+        }
+        if (removeWaiting(ticket)) notifyPositions();
+      }
+    };
+  }
+
+  function snapshot() {
+    const byPriority = Object.fromEntries(PRIORITY_CLASSES.map(name => [name, 0]));
+    const clients = new Set(clientSlots.keys());
+    for (const [name, queues] of waiting) {
+      for (const [client, queue] of queues) {
+        byPriority[name] += queue.length;
+        clients.add(client);
+      }
+    }
+    return {
+      maxConcurrent: unlimited() ? null : maxConcurrent,
+      inFlight,
+      waiting: waitingCount,
+      byPriority,
+      clients: clients.size
+    };
+  }
+
+  return { enqueue, snapshot };
+}
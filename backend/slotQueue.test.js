@@ -0,0 +1,137 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSlotQueue, resolvePriority } from './slotQueue.js';
+
+// Enqueues `specs` behind one held slot and records the order they are served in.
+async function serveOrder(specs) {
+  const queue = createSlotQueue({ maxConcurrent: 1 });
+  const hold = await queue.enqueue({ client: 'holder' }).ready;
+  const served = [];
+  const tickets = specs.map(({ name, ...options }) => {
+    const ticket = queue.enqueue(options);
+    ticket.ready.then((release) => {
+      served.push(name);
+      setImmediate(release);
+    });
+    return ticket;
+  });
+  hold();
+  await Promise.all(tickets.map(ticket => ticket.ready));
+  await new Promise(resolve => setImmediate(resolve));
+  return served;
+}
+
+test('resolvePriority maps reader sources onto classes', () => {
+  assert.equal(resolvePriority({ source: 'prompt' }), 'interactive');
+  assert.equal(resolvePriority({ source: 'auto' }), 'batch');
+  assert.equal(resolvePriority({ source: 'prefetch' }), 'prefetch');
+  assert.equal(resolvePriority({}), 'current');
+  assert.equal(resolvePriority({ source: 'auto', priority: 'interactive' }), 'interactive');
+  assert.equal(resolvePriority({ priority: 'urgent', source: 'auto' }), 'batch');
+});
+
+test('slots are granted up to maxConcurrent and released once', async () => {
+  const queue = createSlotQueue({ maxConcurrent: 2 });
+  const first = await queue.enqueue().ready;
+  await queue.enqueue().ready;
+  const third = queue.enqueue();
+  assert.equal(third.position, 1);
+  assert.deepEqual(queue.snapshot(), {
+    maxConcurrent: 2,
+    inFlight: 2,
+    waiting: 1,
+    byPriority: { interactive: 0, current: 1, prefetch: 0, batch: 0 },
+    clients: 1
+  });
+  first();
+  first();
+  await third.ready;
+  assert.equal(queue.snapshot().inFlight, 2);
+  assert.equal(third.position, 0);
+
+  const unlimited = createSlotQueue({ maxConcurrent: 0 });
+  await Promise.all([unlimited.enqueue().ready, unlimited.enqueue().ready, unlimited.enqueue().ready]);
+  assert.equal(unlimited.snapshot().inFlight, 3);
+});
+
+test('higher classes jump the queue', async () => {
+  const served = await serveOrder([
+    { name: 'auto-1', priority: 'batch', client: 'a' },
+    { name: 'auto-2', priority: 'batch', client: 'a' },
+    { name: 'prefetch', priority: 'prefetch', client: 'a' },
+    { name: 'current', priority: 'current', client: 'a' },
+    { name: 'prompt', priority: 'interactive', client: 'a' }
+  ]);
+  assert.deepEqual(served, ['prompt', 'current', 'prefetch', 'auto-1', 'auto-2']);
+});
+
+test('clients share a class fairly, keeping their own order', async () => {
+  const served = await serveOrder([
+    { name: 'a1', priority: 'batch', client: 'a' },
+    { name: 'a2', priority: 'batch', client: 'a' },
+    { name: 'a3', priority: 'batch', client: 'a' },
+    { name: 'b1', priority: 'batch', client: 'b' },
+    { name: 'c1', priority: 'batch', client: 'c' },
+    { name: 'b2', priority: 'batch', client: 'b' }
+  ]);
+  assert.deepEqual(served, ['a1', 'b1', 'c1', 'a2', 'b2', 'a3']);
+});
+
+test('positions are reported as the queue moves and on cancel', async () => {
+  const queue = createSlotQueue({ maxConcurrent: 1 });
+  const release = await queue.enqueue({ client: 'a' }).ready;
+  const positions = { auto: [], prompt: [], other: [] };
+  const auto = queue.enqueue({ priority: 'batch', client: 'a', onPosition: (position) => positions.auto.push(position) });
+  const other = queue.enqueue({ priority: 'batch', client: 'b', onPosition: (position) => positions.other.push(position) });
+  const prompt = queue.enqueue({ priority: 'interactive', client: 'a', onPosition: (position) => positions.prompt.push(position) });
+  assert.deepEqual([prompt.position, other.position, auto.position], [1, 2, 3]);
+
+  prompt.cancel();
+  assert.deepEqual(positions, { auto: [1, 2, 3, 2], prompt: [1], other: [1, 2, 1] });
+  assert.equal(queue.snapshot().waiting, 2);
+
+  release();
+  assert.equal(await other.ready.then(() => 'granted'), 'granted');
+  assert.equal(auto.position, 1);
+  other.cancel();
+  await auto.ready;
+  assert.equal(queue.snapshot().waiting, 0);
+});
+
+test('a client waiting in two classes still shares the lower one fairly', async () => {
+  const queue = createSlotQueue({ maxConcurrent: 1 });
+  const hold = await queue.enqueue({ client: 'holder' }).ready;
+  const served = [];
+  const positions = {};
+  const enqueue = (name, priority, client) => {
+    positions[name] = [];
+    const ticket = queue.enqueue({ priority, client, onPosition: (position) => positions[name].push(position) });
+    ticket.ready.then((release) => {
+      served.push(name);
+      setImmediate(release);
+    });
+    return ticket;
+  };
+  const tickets = [
+    enqueue('a1', 'batch', 'a'),
+    enqueue('b1', 'batch', 'b'),
+    enqueue('a2', 'batch', 'a'),
+    enqueue('b2', 'batch', 'b'),
+    enqueue('prompt', 'interactive', 'a')
+  ];
+  assert.deepEqual(tickets.map(ticket => ticket.position), [3, 2, 5, 4, 1]);
+  assert.deepEqual(queue.snapshot().byPriority, { interactive: 1, current: 0, prefetch: 0, batch: 4 });
+
+  hold();
+  await Promise.all(tickets.map(ticket => ticket.ready));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(served, ['prompt', 'b1', 'a1', 'b2', 'a2']);
+  assert.deepEqual(positions, {
+    a1: [1, 3, 2, 1],
+    b1: [2, 1],
+    a2: [3, 5, 4, 3, 2, 1],
+    b2: [4, 3, 2, 1],
+    prompt: [1]
+  });
+  assert.equal(queue.snapshot().waiting, 0);
+});
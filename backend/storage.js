@@ -0,0 +1,382 @@
+import fs from 'node:fs/promises';
+import { createReadStream, createWriteStream } from 'node:fs';
+import { createHash, createHmac, randomBytes } from 'node:crypto';
+import { dirname, join, relative, resolve, sep } from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+export const STORAGE_KINDS = ['local', 'gcs', 's3'];
+
+const EMPTY_SHA256 = createHash('sha256').update('').digest('hex');
+
+// Every store has the same shape. Keys are relative, '/'-separated paths.
+//   put(key, source, { contentType }) -> { size }; `source` is a Buffer or a readable stream
+//   read(key, { start, end }) -> { stream, length } or null; `end` is inclusive
+//   stat(key) -> { size, etag, updatedAt, contentType } or null
+//   remove(key) (a missing key is fine), list(prefix) -> [{ key, uri, size, createdAt }]
+//   uriFor(key) / keyOf(uri) map keys to the store's own URIs and back (null if not ours)
+//   localPath(key) is the file behind a key, for the local store only
+export function isStorageKey(key) {
+  return typeof key === 'string' && key.length > 0 && key.length <= 1024 &&
+    key.split('/').every(part => part && part !== '.' && part !== '..' && !part.includes('\\') && !part.includes('\0'));
+}
+
+function checkKey(key) {
+  if (!isStorageKey(key)) throw new Error(`Invalid storage key: ${key}`);
+  return key;
+}
+
+// `gs://bucket/some/prefix` or `s3://…` -> { scheme, bucket, prefix: 'some/prefix/' }.
+export function parseBucketUri(uri) {
+  const match = /^(gs|s3):\/\/([^/]+)\/?(.*)$/.exec(uri || '');
+  if (!match) return null;
+  const prefix = match[3].replace(/^\/+/, '').replace(/\/+$/, '');
+  return { scheme: match[1], bucket: match[2], prefix: prefix ? `${prefix}/` : '' };
+}
+
+function createStorageError(message, status) {
+  const error = new Error(message);
+  error.storageStatus = status;
+  return error;
+}
+
+async function failedResponse(response, action) {
+  const text = await response.text().catch(() => '');
+  return createStorageError(`${action} error ${response.status}: ${text.substring(0, 200)}`, response.status);
+}
+
+async function toBuffer(source) {
+  if (Buffer.isBuffer(source)) return source;
+  const chunks = [];
+  for await (const chunk of source) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+function bucketUri(scheme, bucket, prefix) {
+  const keyOf = (uri) => {
+    const base = `${scheme}://${bucket}/${prefix}`;
+    if (typeof uri !== 'string' || !uri.startsWith(base)) return null;
+    const key = uri.slice(base.length);
+    return isStorageKey(key) ? key : null;
+  };
+  return { uriFor: (key) => `${scheme}://${bucket}/${prefix}${checkKey(key)}`, keyOf };
+}
+
+// Files under `dir`. Writes go to a temporary name first, so readers never
+// see half a file.
+export function createLocalStorage({ dir }) {
+  const root = resolve(dir);
+  const localPath = (key) => join(root, ...checkKey(key).split('/'));
+
+  async function put(key, source, _options = {}) {
+    const path = localPath(key);
+    await fs.mkdir(dirname(path), { recursive: true });
+    const tmpPath = `${path}.${randomBytes(4).toString('hex')}.tmp`;
+    try {
+      if (Buffer.isBuffer(source)) {
+        await fs.writeFile(tmpPath, source);
+      } else {
+        await pipeline(source, createWriteStream(tmpPath));
+      }
+      const { size } = await fs.stat(tmpPath);
+      await fs.rename(tmpPath, path);
+      return { size };
+    } catch (error) {
+      await fs.rm(tmpPath, { force: true });
+      throw error;
+    }
+  }
+
+  async function stat(key) {
+    try {
+      const info = await fs.stat(localPath(key));
+      if (!info.isFile()) return null;
+      return { size: info.size, etag: `${info.size.toString(16)}-${Math.floor(info.mtimeMs).toString(16)}`, updatedAt: info.mtimeMs, contentType: null };
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+      throw error;
+    }
+  }
+
+  async function read(key, { start, end } = {}) {
+    const info = await stat(key);
+    if (!info) return null;
+    const from = start ?? 0;
+    const to = end ?? info.size - 1;
+    return { stream: createReadStream(localPath(key), { start: from, end: to }), length: Math.max(0, to - from + 1) };
+  }
+
+  async function list(prefix = '') {
+    const base = join(root, ...prefix.split('/').slice(0, -1).filter(Boolean));
+    let entries;
+    try {
+      entries = await fs.readdir(base, { recursive: true, withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return [];
+      throw error;
+    }
+    const objects = [];
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.endsWith('.tmp')) continue;
+      const path = join(entry.parentPath ?? entry.path, entry.name);
+      const key = relative(root, path).split(sep).join('/');
+      if (!key.startsWith(prefix)) continue;
+      const info = await fs.stat(path).catch(() => null);
+      if (info) objects.push({ key, uri: pathToFileURL(path).href, size: info.size, createdAt: info.birthtimeMs || info.mtimeMs });
+    }
+    return objects.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  function keyOf(uri) {
+    if (typeof uri !== 'string' || !uri.startsWith('file:')) return null;
+    const key = relative(root, fileURLToPath(uri)).split(sep).join('/');
+    return isStorageKey(key) ? key : null;
+  }
+
+  return {
+    kind: 'local',
+    location: root,
+    put,
+    read,
+    stat,
+    remove: (key) => fs.rm(localPath(key), { force: true }),
+    list,
+    uriFor: (key) => pathToFileURL(localPath(key)).href,
+    keyOf,
+    localPath
+  };
+}
+
+// Objects under `gs://<bucket>/<prefix>` through the Cloud Storage JSON API.
+export function createGcsStorage({ bucket, prefix = '', baseUrl = 'https://storage.googleapis.com', getAccessToken, fetchImpl = fetch }) {
+  const objectUrl = (key) => `${baseUrl}/storage/v1/b/${bucket}/o/${encodeURIComponent(`${prefix}${checkKey(key)}`)}`;
+
+  async function authorized(url, { headers = {}, ...init } = {}) {
+    return fetchImpl(url, { ...init, headers: { ...headers, Authorization: `Bearer ${await getAccessToken()}` } });
+  }
+
+  async function put(key, source, { contentType = 'application/octet-stream' } = {}) {
+    const body = await toBuffer(source);
+    const name = encodeURIComponent(`${prefix}${checkKey(key)}`);
+    const response = await authorized(`${baseUrl}/upload/storage/v1/b/${bucket}/o?uploadType=media&name=${name}`, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body
+    });
+    if (!response.ok) throw await failedResponse(response, 'GCS upload');
+    await response.body?.cancel();
+    return { size: body.length };
+  }
+
+  async function read(key, { start, end } = {}) {
+    const ranged = start !== undefined || end !== undefined;
+    const response = await authorized(`${objectUrl(key)}?alt=media`, {
+      headers: ranged ? { Range: `bytes=${start ?? 0}-${end ?? ''}` } : {}
+    });
+    if (response.status === 404) {
+      await response.body?.cancel();
+      return null;
+    }
+    if (!response.ok || !response.body || (ranged && response.status !== 206)) throw await failedResponse(response, 'GCS download');
+    return { stream: Readable.fromWeb(response.body), length: Number(response.headers.get('content-length')) || null };
+  }
+
+  async function stat(key) {
+    const response = await authorized(objectUrl(key));
+    if (response.status === 404) {
+      await response.body?.cancel();
+      return null;
+    }
+    if (!response.ok) throw await failedResponse(response, 'GCS metadata');
+    const object = await response.json();
+    return {
+      size: Number(object.size) || 0,
+      etag: object.etag || object.md5Hash || null,
+      updatedAt: Date.parse(object.updated || object.timeCreated) || null,
+      contentType: object.contentType || null
+    };
+  }
+
+  async function remove(key) {
+    const response = await authorized(objectUrl(key), { method: 'DELETE' });
+    await response.body?.cancel();
+    if (!response.ok && response.status !== 404) throw createStorageError(`GCS delete error ${response.status}`, response.status);
+  }
+
+  async function list(keyPrefix = '') {
+    const objects = [];
+    let pageToken = null;
+    do {
+      const url = new URL(`${baseUrl}/storage/v1/b/${bucket}/o`);
+      url.searchParams.set('prefix', `${prefix}${keyPrefix}`);
+      url.searchParams.set('fields', 'items(name,size,timeCreated),nextPageToken');
+      if (pageToken) url.searchParams.set('pageToken', pageToken);
+      const response = await authorized(url);
+      if (!response.ok) throw await failedResponse(response, 'GCS list');
+      const page = await response.json();
+      for (const item of page.items || []) {
+        const key = item.name.slice(prefix.length);
+        objects.push({ key, uri: `gs://${bucket}/${item.name}`, size: Number(item.size) || 0, createdAt: Date.parse(item.timeCreated) || Date.now() });
+      }
+      pageToken = page.nextPageToken || null;
+    } while (pageToken);
+    return objects;
+  }
+
+  return { kind: 'gcs', location: `gs://${bucket}/${prefix}`, put, read, stat, remove, list, ...bucketUri('gs', bucket, prefix) };
+}
+
+// RFC 3986 encoding as SigV4 wants it ('/' kept in paths).
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKeyPath(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+function hmac(key, data) {
+  return createHmac('sha256', key).update(data).digest();
+}
+
+// AWS Signature Version 4 for one S3 request. Signs every header passed in
+// plus host, x-amz-date and x-amz-content-sha256, and returns the headers to send.
+export function signS3Request({ method, url, headers = {}, payloadHash = EMPTY_SHA256, region, accessKeyId, secretAccessKey, now = Date.now }) {
+  const target = new URL(url);
+  const amzDate = new Date(now()).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const day = amzDate.slice(0, 8);
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: target.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const names = Object.keys(signed).sort();
+  const query = [...target.searchParams.entries()]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a, x], [b, y]) => (a === b ? x.localeCompare(y) : a < b ? -1 : 1))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+  const canonicalRequest = [
+    method,
+    target.pathname,
+    query,
+    ...names.map(name => `${name}:${signed[name]}`),
+    '',
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+  const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+  };
+}
+
+function unescapeXml(text) {
+  return text.replace(/&(lt|gt|quot|apos|amp);/g, (_match, name) => ({ lt: '<', gt: '>', quot: '"', apos: '\'', amp: '&' })[name]);
+}
+
+function xmlValue(xml, tag) {
+  const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+  return match ? unescapeXml(match[1]) : null;
+}
+
+// Objects under `s3://<bucket>/<prefix>` on AWS S3 or a compatible store such
+// as MinIO. `pathStyle` puts the bucket in the path (MinIO's default) instead
+// of the host name.
+export function createS3Storage({
+  endpoint,
+  bucket,
+  prefix = '',
+  region = 'us-east-1',
+  accessKeyId,
+  secretAccessKey,
+  pathStyle = true,
+  fetchImpl = fetch,
+  now = Date.now
+}) {
+  const base = new URL(endpoint);
+  const bucketUrl = pathStyle
+    ? `${base.origin}${base.pathname.replace(/\/+$/, '')}/${bucket}`
+    : `${base.protocol}//${bucket}.${base.host}`;
+  const objectUrl = (key) => `${bucketUrl}/${encodeKeyPath(`${prefix}${checkKey(key)}`)}`;
+
+  async function send(method, url, { headers = {}, body } = {}) {
+    const payloadHash = body ? createHash('sha256').update(body).digest('hex') : EMPTY_SHA256;
+    return fetchImpl(url, {
+      method,
+      headers: signS3Request({ method, url, headers, payloadHash, region, accessKeyId, secretAccessKey, now }),
+      ...(body ? { body } : {})
+    });
+  }
+
+  async function put(key, source, { contentType = 'application/octet-stream' } = {}) {
+    const body = await toBuffer(source);
+    const response = await send('PUT', objectUrl(key), { headers: { 'content-type': contentType }, body });
+    if (!response.ok) throw await failedResponse(response, 'S3 upload');
+    await response.body?.cancel();
+    return { size: body.length };
+  }
+
+  async function read(key, { start, end } = {}) {
+    const ranged = start !== undefined || end !== undefined;
+    const response = await send('GET', objectUrl(key), { headers: ranged ? { range: `bytes=${start ?? 0}-${end ?? ''}` } : {} });
+    if (response.status === 404) {
+      await response.body?.cancel();
+      return null;
+    }
+    if (!response.ok || !response.body || (ranged && response.status !== 206)) throw await failedResponse(response, 'S3 download');
+    return { stream: Readable.fromWeb(response.body), length: Number(response.headers.get('content-length')) || null };
+  }
+
+  async function stat(key) {
+    const response = await send('HEAD', objectUrl(key));
+    await response.body?.cancel();
+    if (response.status === 404) return null;
+    if (!response.ok) throw createStorageError(`S3 metadata error ${response.status}`, response.status);
+    return {
+      size: Number(response.headers.get('content-length')) || 0,
+      etag: response.headers.get('etag')?.replace(/"/g, '') || null,
+      updatedAt: Date.parse(response.headers.get('last-modified')) || null,
+      contentType: response.headers.get('content-type')
+    };
+  }
+
+  async function remove(key) {
+    const response = await send('DELETE', objectUrl(key));
+    await response.body?.cancel();
+    if (!response.ok && response.status !== 404) throw createStorageError(`S3 delete error ${response.status}`, response.status);
+  }
+
+  async function list(keyPrefix = '') {
+    const objects = [];
+    let token = null;
+    do {
+      const url = new URL(`${bucketUrl}/`);
+      url.searchParams.set('list-type', '2');
+      url.searchParams.set('prefix', `${prefix}${keyPrefix}`);
+      if (token) url.searchParams.set('continuation-token', token);
+      const response = await send('GET', url.toString());
+      if (!response.ok) throw await failedResponse(response, 'S3 list');
+      const xml = await response.text();
+      for (const [, item] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        const name = xmlValue(item, 'Key');
+        objects.push({
+          key: name.slice(prefix.length),
+          uri: `s3://${bucket}/${name}`,
+          size: Number(xmlValue(item, 'Size')) || 0,
+          createdAt: Date.parse(xmlValue(item, 'LastModified')) || Date.now()
+        });
+      }
+      token = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+    } while (token);
+    return objects;
+  }
+
+  return { kind: 's3', location: `s3://${bucket}/${prefix}`, put, read, stat, remove, list, ...bucketUri('s3', bucket, prefix) };
+}
@@ -0,0 +1,263 @@
+import fs from 'node:fs/promises';
+import { randomBytes } from 'node:crypto';
+import { dirname } from 'node:path';
+
+// USD per second of generated video. The defaults follow the README price list
+// (per 8 second clip); mock generations are free unless VEO_PRICING_JSON says otherwise.
+export const DEFAULT_PRICING = {
+  default: { '720p': 0.0125, '1080p': 0.025, '4k': 0.05 },
+  mock: { '720p': 0, '1080p': 0, '4k': 0 }
+};
+
+// Pending reservations count against the budget so concurrent requests cannot
+// overshoot it. Canceled operations keep running upstream, so they are charged too.
+export const CHARGED_USAGE_STATUSES = ['pending', 'succeeded', 'canceled'];
+
+export const BUDGET_EXCEEDED_PREFIX = 'Budget exceeded';
+export const QUOTA_EXCEEDED_PREFIX = 'Daily generation limit reached';
+
+function roundUsd(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function dayOf(at) {
+  return new Date(at).toISOString().slice(0, 10);
+}
+
+function monthOf(at) {
+  return new Date(at).toISOString().slice(0, 7);
+}
+
+export function mergePricing(overrides = {}) {
+  const pricing = { ...DEFAULT_PRICING };
+  for (const [name, table] of Object.entries(overrides || {})) {
+    pricing[name] = { ...(pricing[name] || {}), ...table };
+  }
+  return pricing;
+}
+
+export function estimateCost(pricing, { provider, model, resolution, durationSeconds, videos = 1 }) {
+  const table = pricing[model] || pricing[provider] || pricing.default || {};
+  const perSecond = table[String(resolution || '720p').toLowerCase()] ?? table['720p'] ?? 0;
+  return roundUsd(perSecond * durationSeconds * videos);
+}
+
+// Append-only record of every paid generation (`<file>` is JSON lines), folded
+// into memory on load. Days and months are UTC.
+export function createUsageLedger({
+  file,
+  pricing = DEFAULT_PRICING,
+  dailyBudgetUsd = null,
+  monthlyBudgetUsd = null,
+  now = Date.now
+}) {
+  const entries = new Map();
+  // Reservations whose line is still being written: they count against the
+  // budget already, but only become entries once the write succeeded.
+  const reserving = new Map();
+  // Reserved by this process, as opposed to loaded from an earlier run.
+  const ownIds = new Set();
+  let writeChain = Promise.resolve();
+
+  function apply(event) {
+    if (event.type === 'reserve') {
+      entries.set(event.entry.id, event.entry);
+    } else if (event.type === 'update' && entries.has(event.id)) {
+      entries.set(event.id, { ...entries.get(event.id), ...event.patch });
+    }
+  }
+
+  // Writes the event, then applies it, so a failed write changes nothing.
+  function append(event) {
+    const line = `${JSON.stringify(event)}\n`;
+    const written = writeChain
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(dirname(file), { recursive: true });
+        await fs.appendFile(file, line);
+        apply(event);
+      });
+    writeChain = written;
+    return written;
+  }
+
+  async function load() {
+    let text = '';
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        apply(JSON.parse(line));
+      } catch {
+        console.warn(`⚠️ Skipping unreadable usage line: ${line.slice(0, 80)}`);
+      }
+    }
+  }
+
+  function totalsFor(matches) {
+    let spentUsd = 0;
+    let pendingUsd = 0;
+    let count = 0;
+    for (const entry of [...entries.values(), ...reserving.values()]) {
+      if (!matches(entry) || !CHARGED_USAGE_STATUSES.includes(entry.status)) continue;
+      count += 1;
+      if (entry.status === 'pending') pendingUsd += entry.costUsd;
+      else spentUsd += entry.costUsd;
+    }
+    return { spentUsd: roundUsd(spentUsd), pendingUsd: roundUsd(pendingUsd), count };
+  }
+
+  function committed(at) {
+    const day = totalsFor(entry => dayOf(entry.at) === dayOf(at));
+    const month = totalsFor(entry => monthOf(entry.at) === monthOf(at));
+    return {
+      day: roundUsd(day.spentUsd + day.pendingUsd),
+      month: roundUsd(month.spentUsd + month.pendingUsd)
+    };
+  }
+
+  // Returns a message when spending `costUsd` more would break a budget.
+  function checkBudget(costUsd = 0) {
+    const { day, month } = committed(now());
+    if (Number.isFinite(dailyBudgetUsd) && roundUsd(day + costUsd) > dailyBudgetUsd) {
+      return `${BUDGET_EXCEEDED_PREFIX}: daily limit $${dailyBudgetUsd} (already $${day} today, this video ~$${costUsd})`;
+    }
+    if (Number.isFinite(monthlyBudgetUsd) && roundUsd(month + costUsd) > monthlyBudgetUsd) {
+      return `${BUDGET_EXCEEDED_PREFIX}: monthly limit $${monthlyBudgetUsd} (already $${month} this month, this video ~$${costUsd})`;
+    }
+    return null;
+  }
+
+  // Generations charged to `user` today.
+  function userUsage(user) {
+    const today = dayOf(now());
+    const { spentUsd, pendingUsd, count } = totalsFor(entry => entry.user === user && dayOf(entry.at) === today);
+    return { date: today, count, costUsd: roundUsd(spentUsd + pendingUsd) };
+  }
+
+  // Returns a message when `user` has used up `dailyLimit` generations (< 1 = unlimited).
+  function checkQuota(user, dailyLimit) {
+    if (!user || !(dailyLimit >= 1)) return null;
+    const { count } = userUsage(user);
+    return count >= dailyLimit
+      ? `${QUOTA_EXCEEDED_PREFIX}: ${user} has used ${count} of ${dailyLimit} generations today`
+      : null;
+  }
+
+  // Checks the budget (and the user's daily quota) and records the cost in one
+  // step, so two requests can't both squeeze under the limit.
+  async function reserve(details) {
+    const costUsd = estimateCost(pricing, details);
+    const exceeded = checkBudget(costUsd) || checkQuota(details.user, details.userDailyLimit);
+    if (exceeded) {
+      throw new Error(exceeded);
+    }
+    const at = now();
+    const entry = {
+      id: `usage-${at}-${randomBytes(4).toString('hex')}`,
+      at,
+      status: 'pending',
+      provider: details.provider,
+      model: details.model,
+      resolution: String(details.resolution || '720p').toLowerCase(),
+      durationSeconds: details.durationSeconds,
+      videos: details.videos || 1,
+      costUsd,
+      ...(details.label ? { label: details.label } : {}),
+      ...(details.user ? { user: details.user } : {})
+    };
+    reserving.set(entry.id, entry);
+    try {
+      await append({ type: 'reserve', entry });
+    } finally {
+      reserving.delete(entry.id);
+    }
+    ownIds.add(entry.id);
+    return entry;
+  }
+
+  function findEntry(idOrOperation) {
+    if (entries.has(idOrOperation)) return entries.get(idOrOperation);
+    for (const entry of entries.values()) {
+      if (entry.operationName === idOrOperation) return entry;
+    }
+    return null;
+  }
+
+  async function update(idOrOperation, patch) {
+    const entry = findEntry(idOrOperation);
+    if (!entry) return null;
+    await append({ type: 'update', id: entry.id, patch });
+    return entries.get(entry.id);
+  }
+
+  // Only pending entries move; a settled entry never changes status again.
+  async function settle(idOrOperation, status) {
+    const entry = findEntry(idOrOperation);
+    if (!entry || entry.status !== 'pending') return entry;
+    return update(entry.id, { status, settledAt: now() });
+  }
+
+  // After a restart, nothing settles a reservation from the earlier run unless
+  // its operation is being resumed (`resumedOperations`). One that never got
+  // an operation was not billed upstream and fails; one that did may have
+  // been, and counts as canceled.
+  async function settleAbandoned(resumedOperations = []) {
+    const resumed = new Set(resumedOperations);
+    const abandoned = [...entries.values()].filter(entry => (
+      entry.status === 'pending' && !ownIds.has(entry.id) && !resumed.has(entry.operationName)
+    ));
+    for (const entry of abandoned) {
+      await settle(entry.id, entry.operationName ? 'canceled' : 'failed');
+    }
+    return abandoned;
+  }
+
+  function summary() {
+    const at = now();
+    const today = dayOf(at);
+    const month = monthOf(at);
+    const { day: dayCommitted, month: monthCommitted } = committed(at);
+
+    const days = new Map();
+    const models = new Map();
+    for (const entry of entries.values()) {
+      if (monthOf(entry.at) !== month || !CHARGED_USAGE_STATUSES.includes(entry.status)) continue;
+      const date = dayOf(entry.at);
+      const dayTotal = days.get(date) || { date, costUsd: 0, count: 0 };
+      dayTotal.costUsd = roundUsd(dayTotal.costUsd + entry.costUsd);
+      dayTotal.count += 1;
+      days.set(date, dayTotal);
+
+      const modelKey = `${entry.model}|${entry.resolution}`;
+      const modelTotal = models.get(modelKey) || { model: entry.model, resolution: entry.resolution, costUsd: 0, count: 0 };
+      modelTotal.costUsd = roundUsd(modelTotal.costUsd + entry.costUsd);
+      modelTotal.count += 1;
+      models.set(modelKey, modelTotal);
+    }
+
+    const remaining = (limit, used) => (Number.isFinite(limit) ? roundUsd(Math.max(0, limit - used)) : null);
+    return {
+      currency: 'USD',
+      today: { date: today, ...totalsFor(entry => dayOf(entry.at) === today) },
+      month: { month, ...totalsFor(entry => monthOf(entry.at) === month) },
+      budget: {
+        dailyUsd: Number.isFinite(dailyBudgetUsd) ? dailyBudgetUsd : null,
+        monthlyUsd: Number.isFinite(monthlyBudgetUsd) ? monthlyBudgetUsd : null,
+        dailyRemainingUsd: remaining(dailyBudgetUsd, dayCommitted),
+        monthlyRemainingUsd: remaining(monthlyBudgetUsd, monthCommitted),
+        exceeded: (Number.isFinite(dailyBudgetUsd) && dayCommitted >= dailyBudgetUsd) ||
+          (Number.isFinite(monthlyBudgetUsd) && monthCommitted >= monthlyBudgetUsd)
+      },
+      days: Array.from(days.values()).sort((a, b) => a.date.localeCompare(b.date)),
+      byModel: Array.from(models.values())
+    };
+  }
+
+  return { load, reserve, update, settle, settleAbandoned, checkBudget, checkQuota, userUsage, estimate: (details) => estimateCost(pricing, details), summary };
+}
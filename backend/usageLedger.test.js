@@ -0,0 +1,137 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createUsageLedger, estimateCost, mergePricing, DEFAULT_PRICING } from './usageLedger.js';
+
+const details = { provider: 'gemini', model: 'veo-3.1-generate-preview', resolution: '1080p', durationSeconds: 8 };
+
+async function makeLedger(options = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'veo-usage-'));
+  const file = path.join(dir, 'usage.jsonl');
+  let clock = Date.parse('2026-03-15T12:00:00Z');
+  const ledger = createUsageLedger({ file, now: () => clock, ...options });
+  return { file, ledger, setClock: (value) => { clock = Date.parse(value); } };
+}
+
+test('estimateCost prices by model, resolution, duration and count', () => {
+  assert.equal(estimateCost(DEFAULT_PRICING, details), 0.2);
+  assert.equal(estimateCost(DEFAULT_PRICING, { ...details, resolution: '4K', durationSeconds: 4 }), 0.2);
+  assert.equal(estimateCost(DEFAULT_PRICING, { ...details, videos: 2 }), 0.4);
+  assert.equal(estimateCost(DEFAULT_PRICING, { ...details, provider: 'mock' }), 0);
+
+  const pricing = mergePricing({ 'veo-3.1-fast-generate-preview': { '1080p': 0.01 } });
+  assert.equal(estimateCost(pricing, { ...details, model: 'veo-3.1-fast-generate-preview' }), 0.08);
+  assert.equal(estimateCost(pricing, details), 0.2);
+});
+
+test('failed generations are not charged, canceled ones are', async () => {
+  const { ledger } = await makeLedger();
+  const ok = await ledger.reserve(details);
+  const failed = await ledger.reserve(details);
+  const canceled = await ledger.reserve(details);
+  await ledger.update(canceled.id, { operationName: 'models/veo/operations/abc' });
+
+  await ledger.settle(ok.id, 'succeeded');
+  await ledger.settle(failed.id, 'failed');
+  await ledger.settle('models/veo/operations/abc', 'canceled');
+  await ledger.settle(ok.id, 'failed');
+
+  const summary = ledger.summary();
+  assert.equal(summary.today.spentUsd, 0.4);
+  assert.equal(summary.today.pendingUsd, 0);
+  assert.equal(summary.today.count, 2);
+  assert.deepEqual(summary.byModel, [{ model: details.model, resolution: '1080p', costUsd: 0.4, count: 2 }]);
+});
+
+test('daily and monthly totals roll over in UTC', async () => {
+  const { ledger, setClock } = await makeLedger();
+  await ledger.settle((await ledger.reserve(details)).id, 'succeeded');
+  setClock('2026-03-16T00:30:00Z');
+  await ledger.settle((await ledger.reserve(details)).id, 'succeeded');
+
+  const summary = ledger.summary();
+  assert.equal(summary.today.date, '2026-03-16');
+  assert.equal(summary.today.spentUsd, 0.2);
+  assert.equal(summary.month.spentUsd, 0.4);
+  assert.deepEqual(summary.days.map(day => day.date), ['2026-03-15', '2026-03-16']);
+
+  setClock('2026-04-01T00:00:00Z');
+  assert.equal(ledger.summary().month.spentUsd, 0);
+});
+
+test('the budget counts pending reservations and rejects overspending', async () => {
+  const { ledger } = await makeLedger({ dailyBudgetUsd: 0.5 });
+  await ledger.reserve(details);
+  await ledger.reserve(details);
+  assert.match(ledger.checkBudget(0.2), /^Budget exceeded: daily limit \$0\.5/);
+  await assert.rejects(ledger.reserve(details), /Budget exceeded/);
+  assert.equal(ledger.summary().budget.dailyRemainingUsd, 0.1);
+  assert.equal(ledger.summary().budget.exceeded, false);
+});
+
+test('monthly budget applies across days', async () => {
+  const { ledger, setClock } = await makeLedger({ monthlyBudgetUsd: 0.4 });
+  await ledger.settle((await ledger.reserve(details)).id, 'succeeded');
+  setClock('2026-03-20T12:00:00Z');
+  await ledger.settle((await ledger.reserve(details)).id, 'succeeded');
+  await assert.rejects(ledger.reserve(details), /monthly limit/);
+  assert.equal(ledger.summary().budget.exceeded, true);
+});
+
+test('daily user quotas count charged generations per user', async () => {
+  const { ledger, setClock } = await makeLedger();
+  const quota = { user: 'alice', userDailyLimit: 2 };
+  await ledger.reserve({ ...details, ...quota });
+  const failed = await ledger.reserve({ ...details, ...quota });
+  await ledger.settle(failed.id, 'failed');
+  await ledger.reserve({ ...details, ...quota });
+  await assert.rejects(ledger.reserve({ ...details, ...quota }), /^Error: Daily generation limit reached: alice has used 2 of 2/);
+  await ledger.reserve({ ...details, user: 'bob', userDailyLimit: 2 });
+  await ledger.reserve({ ...details, user: 'alice', userDailyLimit: 0 });
+  assert.deepEqual(ledger.userUsage('alice'), { date: '2026-03-15', count: 3, costUsd: 0.6 });
+
+  setClock('2026-03-16T00:00:00Z');
+  assert.equal(ledger.checkQuota('alice', 2), null);
+});
+
+test('the ledger survives a restart', async () => {
+  const { file, ledger } = await makeLedger();
+  const entry = await ledger.reserve(details);
+  await ledger.update(entry.id, { operationName: 'op-1' });
+  await ledger.settle('op-1', 'succeeded');
+
+  const reloaded = createUsageLedger({ file, now: () => Date.parse('2026-03-15T13:00:00Z') });
+  await reloaded.load();
+  assert.equal(reloaded.summary().today.spentUsd, 0.2);
+});
+
+test('reservations orphaned by a restart are settled, resumed ones are left', async () => {
+  const { file, ledger } = await makeLedger({ dailyBudgetUsd: 0.6 });
+  await ledger.reserve(details);
+  const started = await ledger.reserve(details);
+  await ledger.update(started.id, { operationName: 'op-lost' });
+  const resumed = await ledger.reserve({ ...details, resolution: '720p' });
+  await ledger.update(resumed.id, { operationName: 'op-resumed' });
+
+  const reloaded = createUsageLedger({ file, dailyBudgetUsd: 0.6, now: () => Date.parse('2026-03-15T13:00:00Z') });
+  await reloaded.load();
+  assert.match(reloaded.checkBudget(0.2), /Budget exceeded/);
+  const fresh = await reloaded.reserve({ ...details, resolution: '720p' });
+  const abandoned = await reloaded.settleAbandoned(['op-resumed']);
+  assert.deepEqual(abandoned.map(entry => entry.operationName ?? null), [null, 'op-lost']);
+  const { today } = reloaded.summary();
+  assert.equal(today.spentUsd, 0.2, 'the started operation counts as canceled');
+  assert.equal(today.pendingUsd, 0.2, 'the resumed and the new reservation stay pending');
+  assert.equal(reloaded.checkBudget(0.2), null);
+  assert.equal((await reloaded.settle(fresh.id, 'succeeded')).status, 'succeeded');
+});
+
+test('a reservation whose write fails is not kept', async () => {
+  const { file, ledger } = await makeLedger({ dailyBudgetUsd: 0.3 });
+  await fs.mkdir(file);
+  await assert.rejects(ledger.reserve(details));
+  assert.equal(ledger.summary().today.pendingUsd, 0);
+  assert.equal(ledger.checkBudget(0.2), null);
+});
@@ -0,0 +1,419 @@
+import express from 'express';
+import { createHash, randomBytes, randomUUID } from 'node:crypto';
+import { renderMockVideo } from './mockVideo.js';
+
+export const EMULATOR_SCENARIOS = [
+  'rate_limit',
+  'reference_images_unsupported',
+  'person_generation_unsupported',
+  'image_bytes_unsupported',
+  'rai_filtered',
+  'operation_error',
+  'timeout',
+  'analysis_error'
+];
+
+const DEFAULT_MODELS = [
+  { name: 'models/veo-3.1-generate-preview', supportedGenerationMethods: ['predictLongRunning'] },
+  { name: 'models/veo-3.1-fast-generate-preview', supportedGenerationMethods: ['predictLongRunning'] },
+  { name: 'models/gemini-3-flash-preview', supportedGenerationMethods: ['generateContent'] }
+];
+
+const ANALYSIS_TEXT = [
+  'Every figure in the panel breathes and sways with its own timing.',
+  'Hair and clothing ripple hard in a strong wind.',
+  'Dust and debris fly across the frame along long trails.',
+  'Clouds and speed lines sweep quickly through the background.'
+].join('\n');
+
+// Each scenario only fires for requests it applies to, e.g. the referenceImages
+// rejection needs a request that actually carries referenceImages.
+const PREDICT_SCENARIOS = {
+  rate_limit: {
+    matches: () => true,
+    status: 429,
+    error: { code: 429, message: 'Resource has been exhausted (e.g. check quota).', status: 'RESOURCE_EXHAUSTED' }
+  },
+  reference_images_unsupported: {
+    matches: (body) => Boolean(body?.parameters?.referenceImages?.length),
+    status: 400,
+    error: { code: 400, message: '`referenceImages` isn\'t supported by this model.', status: 'INVALID_ARGUMENT' }
+  },
+  person_generation_unsupported: {
+    matches: (body) => body?.parameters?.personGeneration !== undefined,
+    status: 400,
+    error: { code: 400, message: 'allow_adult for personGeneration is currently not supported.', status: 'INVALID_ARGUMENT' }
+  },
+  image_bytes_unsupported: {
+    matches: (body) => Boolean(body?.instances?.[0]?.image?.imageBytes),
+    status: 400,
+    error: { code: 400, message: '`imageBytes` isn\'t supported by this model.', status: 'INVALID_ARGUMENT' }
+  }
+};
+
+const OPERATION_SCENARIOS = ['rai_filtered', 'operation_error', 'timeout'];
+
+// "rate_limit:2,timeout" -> rate limit the next two calls, time out every operation.
+export function parseScenarios(spec) {
+  const entries = Array.isArray(spec)
+    ? spec
+    : String(spec || '').split(',').map(part => part.trim()).filter(Boolean);
+  return entries.map((entry) => {
+    const [type, countText] = typeof entry === 'string' ? entry.split(':') : [entry.type, entry.times];
+    if (!EMULATOR_SCENARIOS.includes(type)) {
+      throw new Error(`Unknown emulator scenario: ${type}`);
+    }
+    const times = countText === undefined || countText === '' ? null : parseInt(countText, 10);
+    if (times !== null && (!Number.isInteger(times) || times < 1)) {
+      throw new Error(`Invalid count for emulator scenario ${type}: ${countText}`);
+    }
+    return { type, remaining: times };
+  });
+}
+
+function sendError(res, status, error, headers = {}) {
+  res.set(headers).status(status).json({ error });
+}
+
+// Stand-in for the Gemini API, Vertex AI and Cloud Storage endpoints the
+// backend calls. Point GEMINI_API_BASE_URL, VERTEX_API_BASE_URL and
+// GCS_API_BASE_URL at it to exercise the retry and fallback paths offline.
+export function createVeoEmulator({
+  scenarios = [],
+  pollsUntilDone = 2,
+  retryAfterSeconds = 1,
+  apiKey,
+  models = DEFAULT_MODELS,
+  renderVideo = renderMockVideo
+} = {}) {
+  let activeScenarios = parseScenarios(scenarios);
+  const operations = new Map();
+  const files = new Map();
+  const objects = new Map();
+  const requests = [];
+
+  function takeScenario(candidates, applies = () => true) {
+    const scenario = activeScenarios.find(entry =>
+      candidates.includes(entry.type) && entry.remaining !== 0 && applies(entry.type));
+    if (!scenario) return null;
+    if (scenario.remaining !== null) scenario.remaining -= 1;
+    return scenario.type;
+  }
+
+  function takePredictScenario(body) {
+    return takeScenario(Object.keys(PREDICT_SCENARIOS), type => PREDICT_SCENARIOS[type].matches(body));
+  }
+
+  function record(req, scenario = null) {
+    requests.push({ method: req.method, path: req.path, scenario, at: Date.now() });
+  }
+
+  function baseUrl(req) {
+    return `${req.protocol}://${req.get('host')}`;
+  }
+
+  function requireApiKey(req, res, next) {
+    const key = req.query.key;
+    if (!key || (apiKey && key !== apiKey)) {
+      record(req);
+      return sendError(res, 400, {
+        code: 400,
+        message: 'API key not valid. Please pass a valid API key.',
+        status: 'INVALID_ARGUMENT'
+      });
+    }
+    next();
+  }
+
+  function requireBearer(req, res, next) {
+    if (!/^Bearer\s+\S+/.test(req.get('authorization') || '')) {
+      record(req);
+      return sendError(res, 401, {
+        code: 401,
+        message: 'Request is missing required authentication credential.',
+        status: 'UNAUTHENTICATED'
+      });
+    }
+    next();
+  }
+
+  function rejectPredict(res, scenario) {
+    const { status, error } = PREDICT_SCENARIOS[scenario];
+    const headers = scenario === 'rate_limit' ? { 'Retry-After': String(retryAfterSeconds) } : {};
+    sendError(res, status, error, headers);
+  }
+
+  async function readImageBytes(image) {
+    if (image?.imageBytes) return image.imageBytes;
+    const match = image?.gcsUri?.match(/^gs:\/\/([^/]+)\/(.+)$/);
+    const object = match ? objects.get(`${match[1]}/${match[2]}`) : null;
+    return object ? object.data.toString('base64') : null;
+  }
+
+  function describeObject(bucket, name, stored) {
+    return {
+      kind: 'storage#object',
+      bucket,
+      name,
+      size: String(stored.data.length),
+      contentType: stored.contentType,
+      etag: createHash('md5').update(stored.data).digest('base64'),
+      timeCreated: stored.createdAt.toISOString(),
+      updated: stored.createdAt.toISOString()
+    };
+  }
+
+  function startOperation(name, flavor, body, resolveOutput) {
+    const outcome = takeScenario(OPERATION_SCENARIOS) || 'succeeded';
+    const operation = { name, flavor, outcome, polls: 0, output: null, error: null };
+    if (outcome === 'succeeded') {
+      // Render up front so a failure shows up as an operation error, not a hung poll.
+      // One video per requested sample (numberOfVideos on Gemini, sampleCount on Vertex).
+      const parameters = body?.parameters || {};
+      const count = Math.max(1, Number(parameters.numberOfVideos ?? parameters.sampleCount) || 1);
+      readImageBytes(body?.instances?.[0]?.image || parameters.referenceImages?.[0]?.image)
+        .then(imageData => Promise.all(Array.from({ length: count }, (_, variant) => renderVideo({
+          imageData,
+          aspectRatio: parameters.aspectRatio,
+          durationSeconds: Number.isFinite(parameters.durationSeconds) ? parameters.durationSeconds : 4,
+          variant
+        }))))
+        .then((videos) => { operation.output = resolveOutput(videos); })
+        .catch((error) => { operation.error = error; });
+    }
+    operations.set(name, operation);
+    return { name };
+  }
+
+  function describeOperation(operation) {
+    operation.polls += 1;
+    const pending = operation.outcome === 'timeout' ||
+      operation.polls <= pollsUntilDone ||
+      (operation.outcome === 'succeeded' && !operation.output && !operation.error);
+    if (pending) {
+      return { name: operation.name, done: false };
+    }
+    if (operation.outcome === 'operation_error' || operation.error) {
+      return {
+        name: operation.name,
+        done: true,
+        error: { code: 13, message: operation.error?.message || 'Emulated internal error while generating video.' }
+      };
+    }
+    if (operation.outcome === 'rai_filtered') {
+      const filtered = {
+        raiMediaFilteredCount: 1,
+        raiMediaFilteredReasons: ['Emulated safety filter: the prompt could not be submitted.']
+      };
+      return {
+        name: operation.name,
+        done: true,
+        response: operation.flavor === 'vertex' ? filtered : { generateVideoResponse: filtered }
+      };
+    }
+    return { name: operation.name, done: true, response: operation.output };
+  }
+
+  const app = express();
+  // Uploads keep their raw bytes, whatever their content type.
+  app.use(/^(?!\/upload\/)/, express.json({ limit: '50mb' }));
+
+  app.get('/v1beta/models', requireApiKey, (req, res) => {
+    record(req);
+    res.json({ models });
+  });
+
+  app.post(/^\/v1beta\/models\/([^/:]+):generateContent$/, requireApiKey, (req, res) => {
+    const scenario = takeScenario(['analysis_error']);
+    record(req, scenario);
+    if (scenario) {
+      return sendError(res, 500, { code: 500, message: 'Emulated internal error.', status: 'INTERNAL' });
+    }
+    res.json({
+      candidates: [{ content: { role: 'model', parts: [{ text: ANALYSIS_TEXT }] }, finishReason: 'STOP' }]
+    });
+  });
+
+  app.post(/^\/v1beta\/models\/([^/:]+):predictLongRunning$/, requireApiKey, (req, res) => {
+    const model = req.params[0];
+    const scenario = takePredictScenario(req.body);
+    record(req, scenario);
+    if (scenario) return rejectPredict(res, scenario);
+
+    const host = baseUrl(req);
+    const name = `models/${model}/operations/${randomBytes(6).toString('hex')}`;
+    res.json(startOperation(name, 'gemini', req.body, (videos) => ({
+      '@type': 'type.googleapis.com/google.ai.generativelanguage.v1beta.PredictLongRunningResponse',
+      generateVideoResponse: {
+        generatedSamples: videos.map((video) => {
+          const fileId = randomBytes(8).toString('hex');
+          files.set(fileId, video);
+          return { video: { uri: `${host}/v1beta/files/${fileId}:download?alt=media` } };
+        })
+      }
+    })));
+  });
+
+  app.get('/v1beta/models/:model/operations/:id', requireApiKey, (req, res) => {
+    record(req);
+    const operation = operations.get(`models/${req.params.model}/operations/${req.params.id}`);
+    if (!operation) {
+      return sendError(res, 404, { code: 404, message: 'Operation not found.', status: 'NOT_FOUND' });
+    }
+    res.json(describeOperation(operation));
+  });
+
+  app.get(/^\/v1beta\/files\/([^/:]+):download$/, requireApiKey, (req, res) => {
+    record(req);
+    const video = files.get(req.params[0]);
+    if (!video) {
+      return sendError(res, 404, { code: 404, message: 'File not found.', status: 'NOT_FOUND' });
+    }
+    res.set('Content-Type', 'video/mp4').send(video);
+  });
+
+  app.post(
+    /^\/v1\/projects\/([^/]+)\/locations\/([^/]+)\/publishers\/google\/models\/([^/:]+):(predictLongRunning|fetchPredictOperation)$/,
+    requireBearer,
+    (req, res) => {
+      const { 0: project, 1: location, 2: model, 3: method } = req.params;
+      const modelPath = `projects/${project}/locations/${location}/publishers/google/models/${model}`;
+
+      if (method === 'fetchPredictOperation') {
+        record(req);
+        const operation = operations.get(req.body?.operationName);
+        if (!operation) {
+          return sendError(res, 404, { code: 404, message: 'Operation not found.', status: 'NOT_FOUND' });
+        }
+        return res.json(describeOperation(operation));
+      }
+
+      const scenario = takePredictScenario(req.body);
+      record(req, scenario);
+      if (scenario) return rejectPredict(res, scenario);
+
+      const storageUri = req.body?.parameters?.storageUri;
+      const name = `${modelPath}/operations/${randomUUID()}`;
+      res.json(startOperation(name, 'vertex', req.body, (videos) => {
+        const base = {
+          '@type': 'type.googleapis.com/cloud.ai.large_models.vision.GenerateVideoResponse',
+          raiMediaFilteredCount: 0
+        };
+        const match = storageUri?.match(/^gs:\/\/([^/]+)\/?(.*)$/);
+        if (!match) {
+          return { ...base, videos: videos.map(video => ({ bytesBase64Encoded: video.toString('base64'), mimeType: 'video/mp4' })) };
+        }
+        const prefix = match[2].replace(/\/+$/, '');
+        const dir = `${prefix ? `${prefix}/` : ''}${randomBytes(6).toString('hex')}`;
+        return {
+          ...base,
+          videos: videos.map((video, index) => {
+            const objectName = `${dir}/sample_${index}.mp4`;
+            objects.set(`${match[1]}/${objectName}`, { data: video, contentType: 'video/mp4', createdAt: new Date() });
+            return { gcsUri: `gs://${match[1]}/${objectName}`, mimeType: 'video/mp4' };
+          })
+        };
+      }));
+    }
+  );
+
+  app.post(
+    '/upload/storage/v1/b/:bucket/o',
+    requireBearer,
+    express.raw({ type: () => true, limit: '50mb' }),
+    (req, res) => {
+      record(req);
+      const name = req.query.name;
+      if (req.query.uploadType !== 'media' || !name) {
+        return sendError(res, 400, { code: 400, message: 'Only uploadType=media with a name is emulated.' });
+      }
+      const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const contentType = req.get('content-type') || 'application/octet-stream';
+      const stored = { data, contentType, createdAt: new Date() };
+      objects.set(`${req.params.bucket}/${name}`, stored);
+      res.json(describeObject(req.params.bucket, name, stored));
+    }
+  );
+
+  // Object listing by prefix, in name order, `maxResults` per page.
+  app.get('/storage/v1/b/:bucket/o', requireBearer, (req, res) => {
+    record(req);
+    const { bucket } = req.params;
+    const prefix = String(req.query.prefix || '');
+    const maxResults = Math.max(1, Number.parseInt(req.query.maxResults, 10) || 1000);
+    const names = [...objects.keys()]
+      .filter(key => key.startsWith(`${bucket}/${prefix}`))
+      .map(key => key.slice(bucket.length + 1))
+      .sort()
+      .filter(name => !req.query.pageToken || name > req.query.pageToken);
+    const page = names.slice(0, maxResults);
+    res.json({
+      kind: 'storage#objects',
+      items: page.map(name => describeObject(bucket, name, objects.get(`${bucket}/${name}`))),
+      ...(names.length > maxResults ? { nextPageToken: page[page.length - 1] } : {})
+    });
+  });
+
+  app.get('/storage/v1/b/:bucket/o/:object', requireBearer, (req, res) => {
+    record(req);
+    const { bucket, object } = req.params;
+    const stored = objects.get(`${bucket}/${object}`);
+    if (!stored) {
+      return sendError(res, 404, { code: 404, message: `No such object: ${bucket}/${object}` });
+    }
+    if (req.query.alt === 'media') {
+      res.set('Content-Type', stored.contentType);
+      const range = /^bytes=(\d*)-(\d*)$/.exec(req.get('range') || '');
+      if (!range || (!range[1] && !range[2])) return res.send(stored.data);
+      const size = stored.data.length;
+      const start = range[1] ? Number(range[1]) : Math.max(0, size - Number(range[2]));
+      const end = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+      if (start >= size || start > end) return res.status(416).set('Content-Range', `bytes */${size}`).end();
+      return res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`).send(stored.data.subarray(start, end + 1));
+    }
+    res.json(describeObject(bucket, object, stored));
+  });
+
+  app.delete('/storage/v1/b/:bucket/o/:object', requireBearer, (req, res) => {
+    record(req);
+    const { bucket, object } = req.params;
+    if (!objects.delete(`${bucket}/${object}`)) {
+      return sendError(res, 404, { code: 404, message: `No such object: ${bucket}/${object}` });
+    }
+    res.status(204).end();
+  });
+
+  // Control endpoints for tests and manual runs.
+  app.get('/_emulator/requests', (req, res) => {
+    res.json({ requests });
+  });
+
+  app.post('/_emulator/scenarios', (req, res) => {
+    try {
+      activeScenarios = parseScenarios(req.body?.scenarios);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.json({ scenarios: activeScenarios });
+  });
+
+  app.post('/_emulator/reset', (req, res) => {
+    activeScenarios = [];
+    operations.clear();
+    files.clear();
+    objects.clear();
+    requests.length = 0;
+    res.json({ ok: true });
+  });
+
+  app.use((req, res) => {
+    record(req);
+    sendError(res, 404, { code: 404, message: `Not emulated: ${req.method} ${req.path}`, status: 'NOT_FOUND' });
+  });
+
+  return {
+    app,
+    getRequests: () => requests.slice(),
+    setScenarios: (spec) => { activeScenarios = parseScenarios(spec); }
+  };
+}
@@ -0,0 +1,219 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createVeoEmulator, parseScenarios } from './veoEmulator.js';
+import { buildVeoRequestBody, extractVideoUrl, extractVideoUrls, getUnsupportedField, isUnsupportedImageError } from './veoUtils.js';
+
+const FAKE_VIDEO = Buffer.from('fake-mp4-bytes');
+const VERTEX_MODEL_PATH = '/v1/projects/demo/locations/us-central1/publishers/google/models/veo-3.1-generate-preview';
+const BEARER = { Authorization: 'Bearer emulator' };
+
+async function startEmulator(t, options = {}) {
+  const emulator = createVeoEmulator({ pollsUntilDone: 1, renderVideo: async () => FAKE_VIDEO, ...options });
+  const server = emulator.app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { emulator, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+function geminiBody(overrides = {}) {
+  return buildVeoRequestBody({
+    prompt: 'test',
+    imageData: Buffer.from('img').toString('base64'),
+    mimeType: 'image/png',
+    aspectRatio: '16:9',
+    ...overrides
+  });
+}
+
+async function predict(base, body) {
+  return fetch(`${base}/v1beta/models/veo-3.1-generate-preview:predictLongRunning?key=test`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+async function pollUntilDone(base, name) {
+  for (let i = 0; i < 5; i += 1) {
+    const operation = await (await fetch(`${base}/v1beta/${name}?key=test`)).json();
+    if (operation.done) return operation;
+  }
+  return null;
+}
+
+test('parseScenarios reads counts and rejects unknown names', () => {
+  assert.deepEqual(parseScenarios('rate_limit:2, timeout'), [
+    { type: 'rate_limit', remaining: 2 },
+    { type: 'timeout', remaining: null }
+  ]);
+  assert.throws(() => parseScenarios('nope'), /Unknown emulator scenario/);
+  assert.throws(() => parseScenarios('rate_limit:0'), /Invalid count/);
+});
+
+test('gemini operation completes and its file downloads', async (t) => {
+  const { base } = await startEmulator(t);
+  const models = await (await fetch(`${base}/v1beta/models?key=test`)).json();
+  assert.ok(models.models.some(model => model.name === 'models/veo-3.1-generate-preview'));
+
+  const { name } = await (await predict(base, geminiBody())).json();
+  assert.match(name, /^models\/veo-3\.1-generate-preview\/operations\//);
+
+  const pending = await (await fetch(`${base}/v1beta/${name}?key=test`)).json();
+  assert.equal(pending.done, false);
+  const operation = await pollUntilDone(base, name);
+  const uri = extractVideoUrl(operation.response);
+  assert.ok(uri.startsWith(`${base}/v1beta/files/`));
+
+  const download = await fetch(uri.replace('alt=media', 'alt=media&key=test'));
+  assert.equal(download.headers.get('content-type'), 'video/mp4');
+  assert.deepEqual(Buffer.from(await download.arrayBuffer()), FAKE_VIDEO);
+});
+
+test('numberOfVideos renders one file per variant', async (t) => {
+  const { base } = await startEmulator(t, { renderVideo: async ({ variant }) => Buffer.from(`video-${variant}`) });
+  const { name } = await (await predict(base, geminiBody({ numberOfVideos: 3 }))).json();
+  const uris = extractVideoUrls((await pollUntilDone(base, name)).response);
+  assert.equal(uris.length, 3);
+  const bodies = await Promise.all(uris.map(async uri => (await fetch(uri.replace('alt=media', 'alt=media&key=test'))).text()));
+  assert.deepEqual(bodies, ['video-0', 'video-1', 'video-2']);
+});
+
+test('gemini endpoints require an API key', async (t) => {
+  const { base } = await startEmulator(t, { apiKey: 'secret' });
+  assert.equal((await fetch(`${base}/v1beta/models`)).status, 400);
+  assert.equal((await fetch(`${base}/v1beta/models?key=wrong`)).status, 400);
+  assert.equal((await fetch(`${base}/v1beta/models?key=secret`)).status, 200);
+});
+
+test('rate_limit answers 429 with Retry-After for the scripted number of calls', async (t) => {
+  const { base, emulator } = await startEmulator(t, { scenarios: 'rate_limit:1', retryAfterSeconds: 7 });
+  const limited = await predict(base, geminiBody());
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('retry-after'), '7');
+  assert.equal((await limited.json()).error.status, 'RESOURCE_EXHAUSTED');
+
+  assert.equal((await predict(base, geminiBody())).status, 200);
+  assert.deepEqual(emulator.getRequests().map(entry => entry.scenario), ['rate_limit', null]);
+});
+
+test('unsupported field scenarios only reject requests that carry the field', async (t) => {
+  const { base } = await startEmulator(t, {
+    scenarios: 'reference_images_unsupported,person_generation_unsupported'
+  });
+
+  const reference = await predict(base, geminiBody({ imageMode: 'reference' }));
+  assert.equal(reference.status, 400);
+  assert.equal(getUnsupportedField((await reference.json()).error.message), 'referenceImages');
+
+  const person = await predict(base, geminiBody({ personGeneration: 'allow_adult' }));
+  assert.equal(person.status, 400);
+  assert.equal(getUnsupportedField((await person.json()).error.message), 'personGeneration');
+
+  assert.equal((await predict(base, geminiBody())).status, 200);
+});
+
+test('image_bytes_unsupported matches the backend image error check', async (t) => {
+  const { base } = await startEmulator(t, { scenarios: 'image_bytes_unsupported:1' });
+  const rejected = await predict(base, geminiBody());
+  assert.equal(rejected.status, 400);
+  assert.ok(isUnsupportedImageError((await rejected.json()).error.message));
+});
+
+test('operation scenarios produce filtered, failed and never-ending operations', async (t) => {
+  const { base } = await startEmulator(t, { scenarios: 'rai_filtered:1,operation_error:1,timeout:1' });
+
+  const filtered = await pollUntilDone(base, (await (await predict(base, geminiBody())).json()).name);
+  assert.equal(filtered.response.generateVideoResponse.raiMediaFilteredCount, 1);
+
+  const failed = await pollUntilDone(base, (await (await predict(base, geminiBody())).json()).name);
+  assert.equal(failed.error.code, 13);
+
+  const stuck = await pollUntilDone(base, (await (await predict(base, geminiBody())).json()).name);
+  assert.equal(stuck, null);
+});
+
+test('scenarios can be replaced at runtime', async (t) => {
+  const { base } = await startEmulator(t);
+  const update = await fetch(`${base}/_emulator/scenarios`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ scenarios: 'rate_limit:1' })
+  });
+  assert.equal(update.status, 200);
+  assert.equal((await predict(base, geminiBody())).status, 429);
+});
+
+test('vertex flow uploads to GCS, writes the output and downloads it', async (t) => {
+  let renderedImage = null;
+  const { base } = await startEmulator(t, {
+    renderVideo: async ({ imageData }) => {
+      renderedImage = imageData;
+      return FAKE_VIDEO;
+    }
+  });
+
+  assert.equal((await fetch(`${base}/upload/storage/v1/b/bucket/o?uploadType=media&name=in.png`, {
+    method: 'POST',
+    body: Buffer.from('img')
+  })).status, 401);
+
+  const upload = await fetch(`${base}/upload/storage/v1/b/bucket/o?uploadType=media&name=${encodeURIComponent('inputs/in.png')}`, {
+    method: 'POST',
+    headers: { ...BEARER, 'Content-Type': 'image/png' },
+    body: Buffer.from('img')
+  });
+  assert.equal((await upload.json()).size, '3');
+
+  const start = await fetch(`${base}${VERTEX_MODEL_PATH}:predictLongRunning`, {
+    method: 'POST',
+    headers: { ...BEARER, 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      instances: [{ prompt: 'test', image: { gcsUri: 'gs://bucket/inputs/in.png', mimeType: 'image/png' } }],
+      parameters: { storageUri: 'gs://bucket/outputs/run-1', sampleCount: 1 }
+    })
+  });
+  const { name } = await start.json();
+  assert.match(name, /^projects\/demo\/.*\/operations\//);
+
+  let operation;
+  for (let i = 0; i < 5 && !operation?.done; i += 1) {
+    operation = await (await fetch(`${base}${VERTEX_MODEL_PATH}:fetchPredictOperation`, {
+      method: 'POST',
+      headers: { ...BEARER, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ operationName: name })
+    })).json();
+  }
+  assert.equal(renderedImage, Buffer.from('img').toString('base64'));
+  const gcsUri = extractVideoUrl(operation.response);
+  assert.match(gcsUri, /^gs:\/\/bucket\/outputs\/run-1\/.+\/sample_0\.mp4$/);
+
+  const objectPath = gcsUri.replace('gs://bucket/', '');
+  const download = await fetch(`${base}/storage/v1/b/bucket/o/${encodeURIComponent(objectPath)}?alt=media`, {
+    headers: BEARER
+  });
+  assert.deepEqual(Buffer.from(await download.arrayBuffer()), FAKE_VIDEO);
+});
+
+test('GCS objects can be listed by prefix and deleted', async (t) => {
+  const { base } = await startEmulator(t);
+  for (const name of ['inputs/a.png', 'inputs/b.png', 'inputs/c.png', 'outputs/veo-1/sample_0.mp4']) {
+    await fetch(`${base}/upload/storage/v1/b/bucket/o?uploadType=media&name=${encodeURIComponent(name)}`, {
+      method: 'POST',
+      headers: BEARER,
+      body: Buffer.from('data')
+    });
+  }
+  const list = async (query) => (await fetch(`${base}/storage/v1/b/bucket/o?${query}`, { headers: BEARER })).json();
+
+  const first = await list('prefix=inputs/&maxResults=2');
+  assert.deepEqual(first.items.map(item => item.name), ['inputs/a.png', 'inputs/b.png']);
+  assert.equal(first.items[0].size, '4');
+  assert.ok(Date.parse(first.items[0].timeCreated));
+  const second = await list(`prefix=inputs/&maxResults=2&pageToken=${encodeURIComponent(first.nextPageToken)}`);
+  assert.deepEqual([second.items.map(item => item.name), second.nextPageToken], [['inputs/c.png'], undefined]);
+
+  const remove = (name) => fetch(`${base}/storage/v1/b/bucket/o/${encodeURIComponent(name)}`, { method: 'DELETE', headers: BEARER });
+  assert.equal((await remove('inputs/a.png')).status, 204);
+  assert.equal((await remove('inputs/a.png')).status, 404);
+  assert.deepEqual((await list('prefix=inputs/')).items.map(item => item.name), ['inputs/b.png', 'inputs/c.png']);
+});
@@ -1,3 +1,6 @@
+// Most Veo models return at most four videos per call.
+export const MAX_VIDEO_VARIANTS = 4;
+
 export function buildVeoRequestBody({
   prompt,
   imageData,
@@ -52,6 +55,29 @@ export function buildVeoRequestBody({
   };
 }
 
+// Every video URI of a finished operation, in order. Several when more than
+// one video (numberOfVideos / sampleCount) was requested.
+export function extractVideoUrls(result) {
+  if (!result) return [];
+  const lists = [
+    result.generatedVideos,
+    result.generateVideoResponse?.generatedSamples,
+    result.videos,
+    result.outputs,
+    result.predictions?.[0]?.videos,
+    result.predictions
+  ];
+  for (const list of lists) {
+    if (!Array.isArray(list)) continue;
+    const uris = list
+      .map(item => item?.video?.uri || item?.video?.gcsUri || item?.gcsUri || item?.uri)
+      .filter(uri => typeof uri === 'string' && uri);
+    if (uris.length) return uris;
+  }
+  const uri = extractVideoUrl(result);
+  return uri ? [uri] : [];
+}
+
 export function extractVideoUrl(result) {
   if (!result) return null;
   if (result.generatedVideos?.[0]?.video?.uri) return result.generatedVideos[0].video.uri;
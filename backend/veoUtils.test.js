@@ -3,6 +3,7 @@ import assert from 'node:assert/strict';
 import {
   buildVeoRequestBody,
   extractVideoUrl,
+  extractVideoUrls,
   isUnsupportedImageError,
   getUnsupportedField
 } from './veoUtils.js';
@@ -121,6 +122,19 @@ test('extractVideoUrl handles multiple response shapes', () => {
   assert.equal(extractVideoUrl(null), null);
 });
 
+test('extractVideoUrls returns every requested video in order', () => {
+  assert.deepEqual(
+    extractVideoUrls({ generateVideoResponse: { generatedSamples: [{ video: { uri: 'a' } }, { video: { uri: 'b' } }] } }),
+    ['a', 'b']
+  );
+  assert.deepEqual(
+    extractVideoUrls({ videos: [{ gcsUri: 'gs://x/0.mp4' }, { gcsUri: 'gs://x/1.mp4' }, { bytesBase64Encoded: '' }] }),
+    ['gs://x/0.mp4', 'gs://x/1.mp4']
+  );
+  assert.deepEqual(extractVideoUrls({ outputUri: 'gs://x/only.mp4' }), ['gs://x/only.mp4']);
+  assert.deepEqual(extractVideoUrls({ raiMediaFilteredCount: 1 }), []);
+});
+
 test('isUnsupportedImageError detects image payload errors', () => {
   assert.equal(
     isUnsupportedImageError("`imageBytes` isn't supported by this model."),
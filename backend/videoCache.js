@@ -0,0 +1,123 @@
+import { createHash } from 'node:crypto';
+import { createLocalStorage } from './storage.js';
+
+export const CACHE_URI_PREFIX = 'cache://videos/';
+
+const SHARED_HOOKS = ['onSlotAcquired', 'onOperationStarted'];
+
+// Everything that changes the generated clip goes into the key. The image is
+// hashed separately so the key input stays small. `promptInputs` is what the
+// prompt is built from, not the built prompt, which an LLM builder writes
+// differently every time. `requestOptions` are the server settings that shape
+// the upstream request (image mode, negative prompt, ...). A single video keeps
+// the key it had before variants existed.
+export function computeVideoCacheKey({ imageData, promptInputs, requestOptions, provider, model, resolution, aspectRatio, durationSeconds, seed, variants = 1, segments = 1 }) {
+  const imageHash = createHash('sha256').update(imageData || '').digest('hex');
+  return createHash('sha256')
+    .update(JSON.stringify([
+      provider, model, resolution, aspectRatio, durationSeconds, seed, imageHash, promptInputs, requestOptions,
+      ...(variants > 1 ? [variants] : []),
+      ...(segments > 1 ? [{ segments }] : [])
+    ]))
+    .digest('hex');
+}
+
+// Where the other videos of a multi-variant generation are kept. Variant 0
+// uses `cacheKey` itself.
+export function computeVariantCacheKey(cacheKey, index) {
+  return index ? createHash('sha256').update(`${cacheKey}:variant:${index}`).digest('hex') : cacheKey;
+}
+
+// Finished videos keyed by computeVideoCacheKey, plus the set of generations
+// still in flight so identical requests share one upstream call. Videos live
+// in `storage` under `prefix` (see storage.js), a local `dir` by default.
+export function createVideoCache({ dir, storage = createLocalStorage({ dir }), prefix = '', now = Date.now }) {
+  const inFlight = new Map();
+
+  const isKey = (key) => typeof key === 'string' && /^[a-f0-9]{64}$/.test(key);
+  const videoKey = (key) => `${prefix}${key}.mp4`;
+  const metaKey = (key) => `${prefix}${key}.json`;
+
+  async function get(key) {
+    if (!isKey(key)) return null;
+    try {
+      const meta = await storage.read(metaKey(key));
+      if (!meta || !await storage.stat(videoKey(key))) return null;
+      const chunks = [];
+      for await (const chunk of meta.stream) chunks.push(chunk);
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  // `source` is a Buffer or a readable stream of MP4 bytes. The metadata is
+  // written last, so a video only counts once it is complete.
+  async function put(key, source, meta = {}) {
+    if (!isKey(key)) throw new Error(`Invalid video cache key: ${key}`);
+    const { size } = await storage.put(videoKey(key), source, { contentType: 'video/mp4' });
+    const entry = { ...meta, key, uri: `${CACHE_URI_PREFIX}${key}.mp4`, size, createdAt: now() };
+    await storage.put(metaKey(key), Buffer.from(JSON.stringify(entry)), { contentType: 'application/json' });
+    return entry;
+  }
+
+  // The storage key of a cache URI, or null for anything else.
+  function resolveKey(uri) {
+    if (typeof uri !== 'string' || !uri.startsWith(CACHE_URI_PREFIX)) return null;
+    const fileName = uri.slice(CACHE_URI_PREFIX.length);
+    const key = fileName.replace(/\.mp4$/, '');
+    if (!isKey(key) || fileName !== `${key}.mp4`) return null;
+    return videoKey(key);
+  }
+
+  // The file behind a cache URI when the storage is local disk.
+  function resolveVideoPath(uri) {
+    const key = resolveKey(uri);
+    return key && storage.localPath ? storage.localPath(key) : null;
+  }
+
+  // Runs `work` once per key while it is in flight. `work` receives hooks that
+  // fan out to every attached participant; it only counts as canceled once all
+  // participants have canceled. Late joiners get the slot/operation hooks and
+  // the latest progress event replayed.
+  function share(key, participant, work) {
+    const existing = inFlight.get(key);
+    if (existing) {
+      existing.participants.add(participant);
+      return { promise: existing.replay(participant).then(() => existing.promise), shared: true };
+    }
+
+    const participants = new Set([participant]);
+    const history = new Map();
+    const active = () => Array.from(participants).filter(entry => !entry.isCanceled?.());
+
+    const hooks = { isCanceled: () => active().length === 0 };
+    for (const hook of SHARED_HOOKS) {
+      hooks[hook] = async (payload) => {
+        history.set(hook, payload);
+        await Promise.all(active().map(entry => entry[hook]?.(payload)));
+      };
+    }
+    hooks.onProgress = (event) => {
+      history.set('onProgress', event);
+      for (const entry of active()) entry.onProgress?.(event);
+    };
+
+    const group = {
+      participants,
+      async replay(entry) {
+        for (const hook of SHARED_HOOKS) {
+          if (history.has(hook)) await entry[hook]?.(history.get(hook));
+        }
+        if (history.has('onProgress')) entry.onProgress?.(history.get('onProgress'));
+      }
+    };
+    group.promise = Promise.resolve()
+      .then(() => work(hooks))
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, group);
+    return { promise: group.promise, shared: false };
+  }
+
+  return { get, put, resolveKey, resolveVideoPath, share, storage };
+}
@@ -0,0 +1,162 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { CACHE_URI_PREFIX, computeVariantCacheKey, computeVideoCacheKey, createVideoCache } from './videoCache.js';
+
+const baseKeyInput = {
+  imageData: 'aW1hZ2U=',
+  promptInputs: { userPrompt: 'rain', preset: 'high-impact-action', templateVersion: 1 },
+  requestOptions: { includeImage: true, imageMode: 'first_frame', personGeneration: 'allow_adult' },
+  provider: 'gemini',
+  model: 'veo-3.1-generate-preview',
+  resolution: '720p',
+  aspectRatio: '16:9',
+  durationSeconds: 4,
+  seed: 42
+};
+
+async function makeCache() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'veo-cache-'));
+  return createVideoCache({ dir });
+}
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+test('cache key is stable and covers every input', () => {
+  const key = computeVideoCacheKey(baseKeyInput);
+  assert.match(key, /^[a-f0-9]{64}$/);
+  assert.equal(computeVideoCacheKey({ ...baseKeyInput }), key);
+  for (const [field, value] of Object.entries({
+    imageData: 'b3RoZXI=',
+    promptInputs: { userPrompt: 'rain', preset: 'high-impact-action', templateVersion: 2 },
+    model: 'veo-3.1-fast-generate-preview',
+    resolution: '1080p',
+    aspectRatio: '9:16',
+    seed: 43,
+    variants: 3,
+    segments: 3
+  })) {
+    assert.notEqual(computeVideoCacheKey({ ...baseKeyInput, [field]: value }), key, field);
+  }
+  for (const [option, value] of Object.entries({
+    includeImage: false,
+    imageMode: 'reference',
+    personGeneration: 'dont_allow',
+    negativePrompt: 'static'
+  })) {
+    const requestOptions = { ...baseKeyInput.requestOptions, [option]: value };
+    assert.notEqual(computeVideoCacheKey({ ...baseKeyInput, requestOptions }), key, option);
+  }
+  assert.equal(computeVideoCacheKey({ ...baseKeyInput, variants: 1 }), key);
+  assert.equal(computeVideoCacheKey({ ...baseKeyInput, segments: 1 }), key);
+  assert.notEqual(computeVideoCacheKey({ ...baseKeyInput, segments: 3 }), computeVideoCacheKey({ ...baseKeyInput, variants: 3 }));
+  assert.equal(computeVariantCacheKey(key, 0), key);
+  assert.match(computeVariantCacheKey(key, 1), /^[a-f0-9]{64}$/);
+  assert.notEqual(computeVariantCacheKey(key, 1), computeVariantCacheKey(key, 2));
+});
+
+test('stored videos are returned with their metadata', async () => {
+  const cache = await makeCache();
+  const key = computeVideoCacheKey(baseKeyInput);
+  assert.equal(await cache.get(key), null);
+
+  const entry = await cache.put(key, Readable.from([Buffer.from('mp4-'), Buffer.from('bytes')]), { resolution: '720p' });
+  assert.equal(entry.uri, `${CACHE_URI_PREFIX}${key}.mp4`);
+  assert.equal(entry.size, 9);
+
+  const cached = await cache.get(key);
+  assert.equal(cached.resolution, '720p');
+  const file = await fs.readFile(cache.resolveVideoPath(cached.uri), 'utf8');
+  assert.equal(file, 'mp4-bytes');
+});
+
+test('resolveVideoPath rejects anything but cache URIs', async () => {
+  const cache = await makeCache();
+  assert.equal(cache.resolveVideoPath('mock://videos/abc.mp4'), null);
+  assert.equal(cache.resolveVideoPath(`${CACHE_URI_PREFIX}../secret.mp4`), null);
+  assert.equal(await cache.get('../secret'), null);
+});
+
+test('concurrent requests for the same key share one run', async () => {
+  const cache = await makeCache();
+  const gate = deferred();
+  let runs = 0;
+  const work = async () => {
+    runs += 1;
+    return gate.promise;
+  };
+
+  const first = cache.share('key', {}, work);
+  const second = cache.share('key', {}, work);
+  assert.equal(first.shared, false);
+  assert.equal(second.shared, true);
+
+  gate.resolve({ videoUrl: 'cache://videos/x.mp4' });
+  assert.deepEqual(await first.promise, await second.promise);
+  assert.equal(runs, 1);
+
+  const third = cache.share('key', {}, async () => 'fresh');
+  assert.equal(third.shared, false);
+  assert.equal(await third.promise, 'fresh');
+});
+
+test('shared hooks fan out and replay for late joiners', async () => {
+  const cache = await makeCache();
+  const gate = deferred();
+  const seen = { a: [], b: [] };
+  const participant = (name) => ({
+    onOperationStarted: async (operation) => seen[name].push(`op:${operation.name}`),
+    onProgress: (event) => seen[name].push(event.stage)
+  });
+
+  let hooks;
+  const first = cache.share('key', participant('a'), async (sharedHooks) => {
+    hooks = sharedHooks;
+    return gate.promise;
+  });
+  await new Promise(resolve => setImmediate(resolve));
+  await hooks.onOperationStarted({ name: 'op-1' });
+  hooks.onProgress({ stage: 'polling' });
+
+  const second = cache.share('key', participant('b'), async () => 'unused');
+  hooks.onProgress({ stage: 'polling' });
+  gate.resolve('done');
+  await Promise.all([first.promise, second.promise]);
+
+  assert.deepEqual(seen.a, ['op:op-1', 'polling', 'polling']);
+  assert.deepEqual(seen.b, ['op:op-1', 'polling', 'polling']);
+});
+
+test('shared work is only canceled once every participant cancels', async () => {
+  const cache = await makeCache();
+  const gate = deferred();
+  let canceledA = false;
+  let canceledB = false;
+  let hooks;
+  const first = cache.share('key', { isCanceled: () => canceledA }, async (sharedHooks) => {
+    hooks = sharedHooks;
+    return gate.promise;
+  });
+  const second = cache.share('key', { isCanceled: () => canceledB }, async () => 'unused');
+  await new Promise(resolve => setImmediate(resolve));
+
+  canceledA = true;
+  assert.equal(hooks.isCanceled(), false);
+  canceledB = true;
+  assert.equal(hooks.isCanceled(), true);
+
+  gate.reject(new Error('Request canceled by client'));
+  await assert.rejects(first.promise, /canceled/);
+  await assert.rejects(second.promise, /canceled/);
+});
@@ -0,0 +1,86 @@
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { promisify } from 'node:util';
+
+const execFileAsync = promisify(execFile);
+
+export function createFfmpegError(message, reason) {
+  const error = new Error(message);
+  error.ffmpeg = reason;
+  return error;
+}
+
+export function isFfmpegError(error) {
+  return typeof error?.ffmpeg === 'string';
+}
+
+// How many clips of `segmentSeconds` an extended page is made of: enough to
+// reach `totalSeconds`, but never more than fit in `maxSeconds`.
+export function planSegments({ totalSeconds, segmentSeconds, maxSeconds }) {
+  const wanted = Math.ceil(totalSeconds / segmentSeconds);
+  return Math.max(1, Math.min(wanted, Math.floor(maxSeconds / segmentSeconds)));
+}
+
+// The prompt for clip `segment` (0 is the page's own clip). Its input image is
+// the last frame of the clip before, so the shot has to pick up right there.
+export function buildContinuationPrompt(prompt, { segment, segments }) {
+  return [
+    `Continuation shot ${segment + 1} of ${segments}. The input image is the last frame of the previous shot: ` +
+      'start exactly on it and keep the same characters, framing, lighting, palette and art style, with no cut, fade or title card.',
+    segment === segments - 1
+      ? 'Let the motion settle naturally by the end of this shot.'
+      : 'Carry the motion forward without resolving it.',
+    prompt
+  ].join('\n\n');
+}
+
+// A concat demuxer list; single quotes in paths are closed, escaped and reopened.
+export function formatConcatList(files) {
+  return files.map(file => `file '${file.replace(/'/g, "'\\''")}'\n`).join('');
+}
+
+// The two ffmpeg jobs extend mode needs. `run` is execFile-like (promise of
+// `{ stdout, stderr }`) and is swapped out in tests.
+export function createFfmpeg({ path = 'ffmpeg', run = execFileAsync, timeoutMs = 120_000 } = {}) {
+  async function ffmpeg(args) {
+    try {
+      return await run(path, ['-hide_banner', '-v', 'error', '-y', ...args], { timeout: timeoutMs, maxBuffer: 4 * 1024 * 1024 });
+    } catch (error) {
+      if (error?.code === 'ENOENT') {
+        throw createFfmpegError(`ffmpeg not found at "${path}" (VEO_FFMPEG_PATH)`, 'missing');
+      }
+      const detail = String(error?.stderr || error?.message || error).trim().split('\n').pop();
+      throw createFfmpegError(`ffmpeg failed: ${detail}`, 'failed');
+    }
+  }
+
+  // First line of `ffmpeg -version`, or null when it cannot be run.
+  async function version() {
+    try {
+      const { stdout } = await run(path, ['-version'], { timeout: 10_000 });
+      return String(stdout).split('\n')[0].trim() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Writes the last frame of `input` to the PNG `output`. Seeking a second
+  // before the end and overwriting one image per frame leaves the final frame.
+  async function lastFrame(input, output) {
+    await ffmpeg(['-sseof', '-1', '-i', input, '-an', '-update', '1', output]);
+  }
+
+  // Joins clips with identical encoding settings without re-encoding.
+  async function concat(inputs, output) {
+    const list = join(dirname(output), `${Date.now()}-concat.txt`);
+    await fs.writeFile(list, formatConcatList(inputs));
+    try {
+      await ffmpeg(['-f', 'concat', '-safe', '0', '-i', list, '-c', 'copy', '-movflags', '+faststart', output]);
+    } finally {
+      await fs.rm(list, { force: true });
+    }
+  }
+
+  return { path, version, lastFrame, concat };
+}
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { buildContinuationPrompt, createFfmpeg, formatConcatList, isFfmpegError, planSegments } from './videoChain.js';
+import { encodeStillClip } from './mockVideo.js';
+
+const realFfmpeg = createFfmpeg();
+const ffmpegVersion = await realFfmpeg.version();
+
+test('planSegments reaches the total length within the limit', () => {
+  assert.equal(planSegments({ totalSeconds: 20, segmentSeconds: 8, maxSeconds: 32 }), 3);
+  assert.equal(planSegments({ totalSeconds: 24, segmentSeconds: 8, maxSeconds: 32 }), 3);
+  assert.equal(planSegments({ totalSeconds: 60, segmentSeconds: 8, maxSeconds: 30 }), 3);
+  assert.equal(planSegments({ totalSeconds: 4, segmentSeconds: 8, maxSeconds: 30 }), 1);
+});
+
+test('continuation prompts start on the previous frame and keep the page prompt', () => {
+  const middle = buildContinuationPrompt('Rain falls on the rooftop.', { segment: 1, segments: 3 });
+  assert.match(middle, /^Continuation shot 2 of 3\. The input image is the last frame/);
+  assert.match(middle, /without resolving it/);
+  assert.ok(middle.endsWith('Rain falls on the rooftop.'));
+  assert.match(buildContinuationPrompt('x', { segment: 2, segments: 3 }), /settle naturally/);
+});
+
+test('ffmpeg is called with the extract and concat arguments', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'veo-chain-'));
+  const calls = [];
+  const ffmpeg = createFfmpeg({
+    path: '/opt/ffmpeg',
+    run: async (file, args) => {
+      const list = args[args.indexOf('-i') + 1];
+      calls.push({ file, args, list: args.includes('concat') ? await fs.readFile(list, 'utf8') : null });
+      return { stdout: '', stderr: '' };
+    }
+  });
+
+  await ffmpeg.lastFrame('/tmp/a.mp4', '/tmp/a.png');
+  await ffmpeg.concat(['/tmp/a.mp4', "/tmp/it's.mp4"], path.join(dir, 'joined.mp4'));
+  assert.equal(calls[0].file, '/opt/ffmpeg');
+  assert.deepEqual(calls[0].args.slice(4), ['-sseof', '-1', '-i', '/tmp/a.mp4', '-an', '-update', '1', '/tmp/a.png']);
+  assert.deepEqual(calls[1].args.slice(-5), ['-c', 'copy', '-movflags', '+faststart', path.join(dir, 'joined.mp4')]);
+  assert.equal(calls[1].list, formatConcatList(['/tmp/a.mp4', "/tmp/it's.mp4"]));
+  assert.equal(calls[1].list, "file '/tmp/a.mp4'\nfile '/tmp/it'\\''s.mp4'\n");
+  assert.deepEqual(await fs.readdir(dir), [], 'the list file is removed');
+});
+
+test('ffmpeg failures are tagged', async () => {
+  const missing = createFfmpeg({ path: '/nope/ffmpeg', run: async () => { throw Object.assign(new Error('spawn ENOENT'), { code: 'ENOENT' }); } });
+  await assert.rejects(missing.lastFrame('a.mp4', 'a.png'), error => isFfmpegError(error) && error.ffmpeg === 'missing' && /VEO_FFMPEG_PATH/.test(error.message));
+  assert.equal(await missing.version(), null);
+
+  const broken = createFfmpeg({ run: async () => { throw Object.assign(new Error('exit 1'), { stderr: 'line one\na.mp4: Invalid data found\n' }); } });
+  await assert.rejects(broken.concat(['a.mp4'], path.join(os.tmpdir(), 'veo-chain-broken.mp4')), error => error.ffmpeg === 'failed' && error.message === 'ffmpeg failed: a.mp4: Invalid data found');
+});
+
+test('real ffmpeg joins clips and extracts the last frame', { skip: !ffmpegVersion && 'ffmpeg is not installed' }, async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'veo-chain-real-'));
+  const clip = (value) => encodeStillClip({ rgb: Buffer.alloc(64 * 64 * 3, value), width: 64, height: 64, durationSeconds: 1 });
+  await fs.writeFile(path.join(dir, 'a.mp4'), clip(40));
+  await fs.writeFile(path.join(dir, 'b.mp4'), clip(200));
+
+  await realFfmpeg.concat([path.join(dir, 'a.mp4'), path.join(dir, 'b.mp4')], path.join(dir, 'joined.mp4'));
+  await realFfmpeg.lastFrame(path.join(dir, 'joined.mp4'), path.join(dir, 'last.png'));
+  const png = await fs.readFile(path.join(dir, 'last.png'));
+  assert.equal(png.subarray(1, 4).toString(), 'PNG');
+  await fs.rm(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,147 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+export const WEBHOOK_EVENTS = ['generation.ready', 'generation.failed', 'generation.safety_blocked', 'batch.finished'];
+export const WEBHOOK_SIGNATURE_HEADER = 'X-Veo-Signature';
+
+// `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`. The timestamp is
+// signed too, so a receiver can refuse replayed deliveries.
+export function signWebhookPayload(secret, body, timestamp) {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// What a receiver runs on the raw request body: the signature must match and
+// be at most `toleranceSeconds` old.
+export function verifyWebhookSignature(secret, body, header, { toleranceSeconds = 300, now = Date.now } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=', 2)));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) return false;
+  if (Math.abs(now() / 1000 - timestamp) > toleranceSeconds) return false;
+  const expected = Buffer.from(signWebhookPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  return timingSafeEqual(expected, Buffer.from(parts.v1, 'hex'));
+}
+
+// Per-request callback URLs must be http(s) and point at a host on the
+// allowlist (`hooks.example.com` or `*.example.com`, optionally with a port),
+// so clients cannot make the backend POST into its own network.
+export function checkCallbackUrl(value, allowedHosts = []) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'callbackUrl must be an http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'callbackUrl must be an http(s) URL';
+  if (url.username || url.password) return 'callbackUrl must not contain credentials';
+  const host = url.host.toLowerCase();
+  const allowed = allowedHosts.some((pattern) => {
+    const entry = pattern.toLowerCase();
+    return entry.startsWith('*.') ? host.endsWith(entry.slice(1)) : host === entry;
+  });
+  return allowed ? null : `callbackUrl host ${host} is not in VEO_WEBHOOK_ALLOWED_HOSTS`;
+}
+
+// Webhook URLs often carry a token in the path (Discord, Slack), so the log
+// shows the origin and the short path segments only.
+export function redactUrl(value) {
+  try {
+    const url = new URL(value);
+    const path = url.pathname.split('/').map(segment => (segment.length > 16 ? `…${segment.slice(-4)}` : segment)).join('/');
+    return `${url.protocol}//${url.host}${path}${url.search ? '?…' : ''}`;
+  } catch {
+    return 'invalid';
+  }
+}
+
+function parseRetryAfterMs(response) {
+  const header = response.headers.get('retry-after');
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+// Timeouts, network errors, 408, 429 and 5xx are worth another try; any other
+// answer (including redirects, which are not followed) is final.
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// POSTs signed JSON events and retries with exponential backoff (honouring
+// Retry-After) up to `maxAttempts`. The last `historyLimit` deliveries, with
+// every attempt, stay in memory for the log endpoint.
+export function createWebhookDispatcher({
+  secret,
+  maxAttempts = 6,
+  baseDelayMs = 2000,
+  maxDelayMs = 5 * 60 * 1000,
+  timeoutMs = 10000,
+  historyLimit = 200,
+  fetchImpl = (...args) => fetch(...args),
+  sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+  now = Date.now
+} = {}) {
+  const deliveries = [];
+
+  async function attempt(url, record, body) {
+    const timestamp = Math.floor(now() / 1000);
+    const startedAt = now();
+    try {
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs),
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'manga-veo-webhooks',
+          'X-Veo-Event': record.event,
+          'X-Veo-Delivery': record.id,
+          [WEBHOOK_SIGNATURE_HEADER]: signWebhookPayload(secret, body, timestamp)
+        },
+        body
+      });
+      await response.body?.cancel?.();
+      record.attempts.push({ at: startedAt, status: response.status, durationMs: now() - startedAt });
+      if (response.ok) return { delivered: true };
+      return { retry: isRetryableStatus(response.status), retryAfterMs: parseRetryAfterMs(response) };
+    } catch (error) {
+      const message = error?.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : (error?.cause?.message || error?.message || String(error));
+      record.attempts.push({ at: startedAt, error: message, durationMs: now() - startedAt });
+      return { retry: true, retryAfterMs: null };
+    }
+  }
+
+  // Resolves with the finished delivery record; never rejects. `tags` (user,
+  // jobId, batchId) are kept on the record for filtering.
+  async function deliver(url, event, data, tags = {}) {
+    const id = `whd_${randomBytes(8).toString('hex')}`;
+    const body = JSON.stringify({ id, event, createdAt: new Date(now()).toISOString(), data });
+    const record = { id, event, url: redactUrl(url), ...tags, status: 'pending', createdAt: now(), attempts: [] };
+    deliveries.push(record);
+    if (deliveries.length > historyLimit) deliveries.splice(0, deliveries.length - historyLimit);
+
+    for (let attemptNumber = 1; attemptNumber <= maxAttempts; attemptNumber += 1) {
+      const outcome = await attempt(url, record, body);
+      if (outcome.delivered) {
+        Object.assign(record, { status: 'delivered', finishedAt: now() });
+        delete record.nextAttemptAt;
+        return record;
+      }
+      if (!outcome.retry || attemptNumber === maxAttempts) break;
+      const delayMs = Math.min(maxDelayMs, outcome.retryAfterMs ?? baseDelayMs * 2 ** (attemptNumber - 1));
+      record.nextAttemptAt = now() + delayMs;
+      await sleep(delayMs);
+    }
+    Object.assign(record, { status: 'failed', finishedAt: now() });
+    delete record.nextAttemptAt;
+    return record;
+  }
+
+  // Newest first. `filter` picks records by their tags.
+  function recent({ limit = 50, filter = () => true } = {}) {
+    return deliveries.filter(filter).slice(-limit).reverse();
+  }
+
+  return { deliver, recent };
+}
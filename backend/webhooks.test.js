@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkCallbackUrl,
+  createWebhookDispatcher,
+  redactUrl,
+  signWebhookPayload,
+  verifyWebhookSignature
+} from './webhooks.js';
+
+const SECRET = 'webhook-secret-0123456789';
+
+function createFakeFetch(responses) {
+  const calls = [];
+  const fetchImpl = async (url, options) => {
+    calls.push({ url, ...options });
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return new Response(null, { status: next.status, headers: next.headers || {} });
+  };
+  return { calls, fetchImpl };
+}
+
+test('signatures cover the timestamp and the body', () => {
+  const body = '{"event":"generation.ready"}';
+  const header = signWebhookPayload(SECRET, body, 1700000000);
+  assert.match(header, /^t=1700000000,v1=[0-9a-f]{64}$/);
+  const at = (seconds) => () => seconds * 1000;
+  assert.equal(verifyWebhookSignature(SECRET, body, header, { now: at(1700000100) }), true);
+  assert.equal(verifyWebhookSignature(SECRET, `${body} `, header, { now: at(1700000100) }), false);
+  assert.equal(verifyWebhookSignature('other-secret', body, header, { now: at(1700000100) }), false);
+  assert.equal(verifyWebhookSignature(SECRET, body, header, { now: at(1700000301) }), false);
+  assert.equal(verifyWebhookSignature(SECRET, body, header.replace('t=1700000000', 't=1700000001'), { now: at(1700000100) }), false);
+  assert.equal(verifyWebhookSignature(SECRET, body, 'garbage'), false);
+});
+
+test('callback URLs must be http(s) on an allowed host', () => {
+  const hosts = ['hooks.example.com', '*.pipeline.test', 'localhost:9000'];
+  assert.equal(checkCallbackUrl('https://hooks.example.com/veo', hosts), null);
+  assert.equal(checkCallbackUrl('http://a.b.pipeline.test/x', hosts), null);
+  assert.equal(checkCallbackUrl('http://localhost:9000/hook', hosts), null);
+  assert.match(checkCallbackUrl('http://localhost/hook', hosts), /host localhost is not in VEO_WEBHOOK_ALLOWED_HOSTS/);
+  assert.match(checkCallbackUrl('https://evil-pipeline.test/x', hosts), /not in VEO_WEBHOOK_ALLOWED_HOSTS/);
+  assert.match(checkCallbackUrl('ftp://hooks.example.com/', hosts), /http\(s\) URL/);
+  assert.match(checkCallbackUrl('not a url', hosts), /http\(s\) URL/);
+  assert.match(checkCallbackUrl('https://user:pw@hooks.example.com/', hosts), /credentials/);
+});
+
+test('redactUrl hides tokens in the path and query', () => {
+  assert.equal(
+    redactUrl('https://discord.com/api/webhooks/123/AbCdEfGhIjKlMnOpQrStUvWxYz?wait=true'),
+    'https://discord.com/api/webhooks/123/…WxYz?…'
+  );
+});
+
+test('deliveries are signed and retried with backoff until they succeed', async () => {
+  const { calls, fetchImpl } = createFakeFetch([new Error('socket hang up'), { status: 503 }, { status: 429, headers: { 'Retry-After': '7' } }, { status: 204 }]);
+  const delays = [];
+  const dispatcher = createWebhookDispatcher({ secret: SECRET, baseDelayMs: 1000, fetchImpl, sleep: async (ms) => { delays.push(ms); } });
+  const record = await dispatcher.deliver('https://hooks.example.com/veo', 'generation.ready', { job: { id: 'job-1' } }, { jobId: 'job-1' });
+
+  assert.equal(record.status, 'delivered');
+  assert.deepEqual(delays, [1000, 2000, 7000]);
+  assert.deepEqual(record.attempts.map(entry => entry.status ?? entry.error), ['socket hang up', 503, 429, 204]);
+  const [call] = calls;
+  assert.equal(call.method, 'POST');
+  assert.equal(call.redirect, 'manual');
+  assert.equal(call.headers['X-Veo-Event'], 'generation.ready');
+  assert.equal(call.headers['X-Veo-Delivery'], record.id);
+  assert.equal(verifyWebhookSignature(SECRET, call.body, call.headers['X-Veo-Signature']), true);
+  assert.deepEqual(JSON.parse(call.body).data, { job: { id: 'job-1' } });
+  assert.equal(calls[3].body, call.body, 'retries send the same payload');
+});
+
+test('client errors are final and the log keeps the newest deliveries', async () => {
+  const { calls, fetchImpl } = createFakeFetch([{ status: 404 }, { status: 500 }, { status: 500 }, { status: 200 }]);
+  const dispatcher = createWebhookDispatcher({ secret: SECRET, maxAttempts: 2, historyLimit: 2, fetchImpl, sleep: async () => {} });
+  assert.equal((await dispatcher.deliver('https://a.test/', 'generation.failed', {}, { user: 'alice' })).status, 'failed');
+  assert.equal(calls.length, 1);
+  const failed = await dispatcher.deliver('https://a.test/', 'generation.failed', {}, { user: 'bob' });
+  assert.deepEqual([failed.status, failed.attempts.length], ['failed', 2]);
+  await dispatcher.deliver('https://a.test/', 'batch.finished', {}, { user: 'alice' });
+
+  assert.deepEqual(dispatcher.recent().map(entry => [entry.event, entry.user]), [['batch.finished', 'alice'], ['generation.failed', 'bob']]);
+  assert.deepEqual(dispatcher.recent({ filter: entry => entry.user === 'alice' }).map(entry => entry.status), ['delivered']);
+});
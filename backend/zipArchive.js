@@ -0,0 +1,128 @@
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// Standard CRC-32 as used by ZIP; pass the previous value to continue a running checksum.
+export function crc32(buffer, previous = 0) {
+  let crc = ~previous;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// Resolves on 'drain', or on 'close' so a client that went away does not leave the writer hanging.
+function waitForDrain(output) {
+  return new Promise((resolve) => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+  });
+}
+
+const MAX_UINT32 = 0xffffffff;
+// Bit 3: sizes and CRC follow the data. Bit 11: names are UTF-8.
+const ENTRY_FLAGS = 0x0808;
+
+// Streams a ZIP archive to `output` one entry at a time, so a whole volume of
+// videos is never held in memory. Entries are stored, not deflated: MP4s do
+// not get smaller. No ZIP64, so archives stop at 4 GiB and 65535 entries.
+export function createZipWriter(output, { now = () => new Date() } = {}) {
+  const entries = [];
+  let offset = 0;
+
+  async function write(chunk) {
+    if (output.destroyed) throw new Error('ZIP output was closed');
+    offset += chunk.length;
+    if (!output.write(chunk)) await waitForDrain(output);
+  }
+
+  // `source` is a Buffer, a string or an (async) iterable of chunks such as a readable stream.
+  async function addFile(name, source, { modifiedAt = now() } = {}) {
+    if (entries.length >= 0xffff) throw new Error('ZIP archive has too many entries');
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const { time, date } = toDosDateTime(modifiedAt);
+    const entryOffset = offset;
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(ENTRY_FLAGS, 6);
+    header.writeUInt16LE(0, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    await write(header);
+    await write(nameBuffer);
+
+    let crc = 0;
+    let size = 0;
+    const chunks = Buffer.isBuffer(source) || typeof source === 'string' ? [source] : source;
+    for await (const chunk of chunks) {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      crc = crc32(buffer, crc);
+      size += buffer.length;
+      await write(buffer);
+    }
+    if (offset > MAX_UINT32) throw new Error('ZIP archive is larger than 4 GiB');
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(size, 8);
+    descriptor.writeUInt32LE(size, 12);
+    await write(descriptor);
+    entries.push({ nameBuffer, time, date, crc, size, offset: entryOffset });
+  }
+
+  // Writes the central directory. The caller ends `output`.
+  async function finish() {
+    const directoryOffset = offset;
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(ENTRY_FLAGS, 8);
+      header.writeUInt16LE(0, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.size, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await write(header);
+      await write(entry.nameBuffer);
+    }
+    const directorySize = offset - directoryOffset;
+    if (offset > MAX_UINT32) throw new Error('ZIP archive is larger than 4 GiB');
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await write(end);
+    return { entries: entries.length, bytes: offset };
+  }
+
+  return { addFile, finish };
+}
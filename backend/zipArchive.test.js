@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough, Readable } from 'node:stream';
+import { crc32, createZipWriter } from './zipArchive.js';
+
+async function collect(build) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', (chunk) => chunks.push(chunk));
+  const zip = createZipWriter(output, { now: () => new Date(2024, 4, 17, 10, 30, 12) });
+  await build(zip);
+  await zip.finish();
+  output.end();
+  return Buffer.concat(chunks);
+}
+
+// Reads the archive back through its central directory, like an unzip tool would.
+function readZip(archive) {
+  const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = archive.readUInt16LE(end + 10);
+  let cursor = archive.readUInt32LE(end + 16);
+  const files = {};
+  for (let i = 0; i < count; i += 1) {
+    assert.equal(archive.readUInt32LE(cursor), 0x02014b50);
+    const crc = archive.readUInt32LE(cursor + 16);
+    const size = archive.readUInt32LE(cursor + 24);
+    const nameLength = archive.readUInt16LE(cursor + 28);
+    const localOffset = archive.readUInt32LE(cursor + 42);
+    const name = archive.toString('utf8', cursor + 46, cursor + 46 + nameLength);
+    assert.equal(archive.readUInt32LE(localOffset), 0x04034b50);
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26);
+    const data = archive.subarray(dataStart, dataStart + size);
+    assert.equal(crc32(data), crc, `${name} checksum`);
+    assert.equal(archive.readUInt32LE(dataStart + size), 0x08074b50);
+    files[name] = data.toString();
+    cursor += 46 + nameLength;
+  }
+  return files;
+}
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.from('6789'), crc32(Buffer.from('12345'))), 0xcbf43926);
+});
+
+test('entries from buffers, strings and streams can be read back', async () => {
+  const archive = await collect(async (zip) => {
+    await zip.addFile('page-001.mp4', Buffer.from('first video'));
+    await zip.addFile('page-002.mp4', Readable.from([Buffer.from('second '), Buffer.from('video')]));
+    await zip.addFile('manifest.json', '{"pages":2}');
+  });
+  assert.deepEqual(readZip(archive), {
+    'page-001.mp4': 'first video',
+    'page-002.mp4': 'second video',
+    'manifest.json': '{"pages":2}'
+  });
+  const dosTime = archive.readUInt16LE(10);
+  assert.deepEqual([dosTime >> 11, (dosTime >> 5) & 0x3f, (dosTime & 0x1f) * 2], [10, 30, 12]);
+});
+
+test('an empty archive is still valid', async () => {
+  const archive = await collect(async () => {});
+  assert.equal(archive.length, 22);
+  assert.deepEqual(readZip(archive), {});
+});
+
+test('writing stops once the output is closed', async () => {
+  const output = new PassThrough({ highWaterMark: 16 });
+  const zip = createZipWriter(output);
+  const pending = zip.addFile('page-001.mp4', Buffer.alloc(1024));
+  output.destroy();
+  await assert.rejects(pending, /ZIP output was closed/);
+});
@@ -1,8 +1,31 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
 import PdfUploader from './components/PdfUploader.jsx';
 import MangaReader from './components/MangaReader.jsx';
+import LoginForm from './components/LoginForm.jsx';
 import { renderPdfToImages, computePdfHash } from './utils/pdfRenderer.js';
-import { checkModels } from './utils/api.js';
+import { AUTH_REQUIRED_EVENT, checkModels, clearAuthSession, getCurrentUser, getRulePacks } from './utils/api.js';
+
+const SERIES_PACK_STORAGE_KEY = 'manga-veo-series-pack';
+const VARIANTS_STORAGE_KEY = 'manga-veo-variants';
+// Matches the backend's limit (MAX_VIDEO_VARIANTS).
+const MAX_VARIANTS = 4;
+
+function readStoredSeriesPack() {
+  try {
+    return localStorage.getItem(SERIES_PACK_STORAGE_KEY) || '';
+  } catch {
+    return '';
+  }
+}
+
+function readStoredVariants() {
+  try {
+    const value = Number(localStorage.getItem(VARIANTS_STORAGE_KEY));
+    return Number.isInteger(value) && value >= 1 && value <= MAX_VARIANTS ? value : 1;
+  } catch {
+    return 1;
+  }
+}
 
 export default function App() {
   const [pages, setPages] = useState([]);
@@ -14,9 +37,28 @@ export default function App() {
   const [displayZoom, setDisplayZoom] = useState(85); // Display zoom percentage (50-150)
   const [showZoomControl, setShowZoomControl] = useState(false);
   const [theme, setTheme] = useState('dark');
+  // Series sanitization pack for the volume being read ('' = server default).
+  const [seriesPack, setSeriesPack] = useState(readStoredSeriesPack);
+  const [seriesPacks, setSeriesPacks] = useState([]);
+  // Videos generated per page; with more than one the reader picks which to keep.
+  const [variants, setVariants] = useState(readStoredVariants);
+  // `required` is whether the backend has auth enabled; `user` is null until signed in.
+  const [auth, setAuth] = useState({ checked: false, required: false, user: null });
+  const needsSignIn = auth.required && !auth.user;
+
+  useEffect(() => {
+    getCurrentUser()
+      .then(data => setAuth({ checked: true, required: data.authRequired, user: data.user }))
+      .catch(err => setAuth({ checked: true, required: err.status === 'unauthorized', user: null }));
+
+    const onAuthRequired = () => setAuth(prev => ({ ...prev, checked: true, required: true, user: null }));
+    window.addEventListener(AUTH_REQUIRED_EVENT, onAuthRequired);
+    return () => window.removeEventListener(AUTH_REQUIRED_EVENT, onAuthRequired);
+  }, []);
 
   useEffect(() => {
-    // Check model access on mount
+    if (!auth.checked || needsSignIn) return;
+    // Check model access once the backend lets us in
     checkModels()
       .then(data => {
         console.log('Model access check:', data);
@@ -26,8 +68,41 @@ export default function App() {
         }
       })
       .catch(err => console.error('Failed to check models:', err));
+
+    getRulePacks()
+      .then(data => setSeriesPacks(data.packs.filter(pack => pack.name !== 'base')))
+      .catch(err => console.error('Failed to load rule packs:', err));
+  }, [auth.checked, needsSignIn]);
+
+  const handleSignedIn = useCallback((user) => {
+    setAuth({ checked: true, required: true, user });
+  }, []);
+
+  const handleSignOut = useCallback(() => {
+    clearAuthSession();
+    setAuth(prev => ({ ...prev, user: null }));
+  }, []);
+
+  const handleSeriesPackChange = useCallback((name) => {
+    setSeriesPack(name);
+    try {
+      localStorage.setItem(SERIES_PACK_STORAGE_KEY, name);
+    } catch {
+      // Remembering the choice is best-effort.
+    }
+  }, []);
+
+  const handleVariantsChange = useCallback((count) => {
+    setVariants(count);
+    try {
+      localStorage.setItem(VARIANTS_STORAGE_KEY, String(count));
+    } catch {
+      // Remembering the choice is best-effort.
+    }
   }, []);
 
+  const rulePacks = useMemo(() => (seriesPack ? [seriesPack] : []), [seriesPack]);
+
   useEffect(() => {
     document.body.dataset.theme = theme;
   }, [theme]);
@@ -110,11 +185,23 @@ export default function App() {
       )}
       
       {pages.length === 0 && !loading ? (
-        <PdfUploader onPdfLoad={handlePdfLoad} />
+        <PdfUploader
+          onPdfLoad={handlePdfLoad}
+          seriesPacks={seriesPacks}
+          seriesPack={seriesPack}
+          onSeriesPackChange={handleSeriesPackChange}
+          variants={variants}
+          maxVariants={MAX_VARIANTS}
+          onVariantsChange={handleVariantsChange}
+          user={auth.user}
+          onSignOut={handleSignOut}
+        />
       ) : (
         <MangaReader
           pages={pages}
           pdfHash={pdfHash}
+          rulePacks={rulePacks}
+          variants={variants}
           displayZoom={displayZoom}
           showZoomControl={showZoomControl}
           onZoomChange={(value) => setDisplayZoom(value)}
@@ -124,6 +211,8 @@ export default function App() {
           onGoHome={handleGoHome}
         />
       )}
+
+      {needsSignIn && <LoginForm onSignedIn={handleSignedIn} />}
     </div>
   );
 }
@@ -0,0 +1,70 @@
+import React, { useState, useCallback } from 'react';
+import { signIn } from '../utils/api.js';
+
+// Shown over the reader whenever the backend asks for a sign-in. Accepts a
+// local account or an API token from `npm run veo:users -- token <name>`.
+export default function LoginForm({ onSignedIn }) {
+  const [useToken, setUseToken] = useState(false);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [token, setToken] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = useCallback(async (event) => {
+    event.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const user = await signIn(useToken ? { token: token.trim() } : { username: username.trim(), password });
+      onSignedIn?.(user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }, [useToken, token, username, password, onSignedIn]);
+
+  return (
+    <div className="login-overlay">
+      <form className="login-form" onSubmit={handleSubmit}>
+        <h2>Sign in</h2>
+        {useToken ? (
+          <input
+            type="password"
+            placeholder="API token"
+            autoComplete="off"
+            value={token}
+            onChange={(e) => setToken(e.target.value)}
+            autoFocus
+          />
+        ) : (
+          <>
+            <input
+              type="text"
+              placeholder="User name"
+              autoComplete="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoFocus
+            />
+            <input
+              type="password"
+              placeholder="Password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+          </>
+        )}
+        {error && <div className="login-error">{error}</div>}
+        <button type="submit" disabled={busy || (useToken ? !token.trim() : !username.trim() || !password)}>
+          {busy ? 'Signing in…' : 'Sign in'}
+        </button>
+        <button type="button" className="login-switch" onClick={() => { setUseToken(prev => !prev); setError(null); }}>
+          {useToken ? 'Use a user name and password' : 'Use an API token'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -1,14 +1,38 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
 import JSZip from 'jszip';
 import PageCard from './PageCard.jsx';
+import PromptInspector from './PromptInspector.jsx';
 import { useVideoCache } from '../hooks/useVideoCache.js';
-import { generateVideo } from '../utils/api.js';
+import { fetchVideoBlob, generateVideo, previewPrompt, selectVideoVariant } from '../utils/api.js';
+import { formatEta } from '../utils/format.js';
 
 const PREFETCH_ENABLED = false;
 
+// Maps backend progress events onto the Queue/Upload/Analyze/Prompt/Generate steps.
+const PROGRESS_EVENT_STEPS = {
+  queued: 0,
+  analyzing: 2,
+  prompt_built: 3,
+  // The Veo slot is requested after the prompt (and cache lookup), so it stays on the prompt step.
+  slot_queued: 3,
+  slot_acquired: 3,
+  // A safety-filter block sends the page back with a blander prompt.
+  safety_retry: 3,
+  // A rate-limited key or region hands the call to another one before it starts.
+  credential_retry: 3,
+  // Vertex uploads the page to its bucket after the prompt, right before the call.
+  uploading: 4,
+  uploaded: 4,
+  cache_hit: 4,
+  operation_started: 4,
+  polling: 4
+};
+
 export default function MangaReader({
   pages,
   pdfHash,
+  rulePacks,
+  variants = 1,
   displayZoom = 100,
   showZoomControl = false,
   onZoomChange,
@@ -26,15 +50,14 @@ export default function MangaReader({
   const [promptBusy, setPromptBusy] = useState(false);
   const [promptText, setPromptText] = useState('');
   const [promptOverlays, setPromptOverlays] = useState({});
-  const promptStageTimersRef = useRef([]);
-  const pageStageTimersRef = useRef(new Map());
-  const progressTimersRef = useRef(new Map());
+  const [inspection, setInspection] = useState(null);
   const [activeQuickAction, setActiveQuickAction] = useState(null);
   const [zipBusy, setZipBusy] = useState(false);
   const [autoMode, setAutoMode] = useState(false);
   const [autoDone, setAutoDone] = useState(false);
   const [autoSkipped, setAutoSkipped] = useState(false);
   const promptInputRef = useRef(null);
+  const inspectAbortRef = useRef(null);
   const currentIndexRef = useRef(0);
   const generatingRef = useRef(false);
   const abortRef = useRef(null);
@@ -44,6 +67,7 @@ export default function MangaReader({
   const generationCountersRef = useRef(new Map());
   const clearedCacheRef = useRef(false);
   const didAutoEnqueueRef = useRef(false);
+  const variantUrlsRef = useRef(new Map());
   const { setVideo, getAllVideos, clearCache } = useVideoCache();
 
   const makeCacheKey = useCallback((pageIndex) => {
@@ -78,6 +102,26 @@ export default function MangaReader({
     pageStatesRef.current = pageStates;
   }, [pageStates]);
 
+  // Variant videos are object URLs; a page's set is released once its state
+  // holds a different one (regenerated or reset), and all of them on unmount.
+  useEffect(() => {
+    const tracked = variantUrlsRef.current;
+    for (const [pageIndex, urls] of tracked) {
+      if (pageStates[pageIndex]?.variants !== urls) {
+        urls.forEach(url => URL.revokeObjectURL(url));
+        tracked.delete(pageIndex);
+      }
+    }
+    pageStates.forEach((state, pageIndex) => {
+      if (state.variants) tracked.set(pageIndex, state.variants);
+    });
+  }, [pageStates]);
+
+  useEffect(() => () => {
+    variantUrlsRef.current.forEach(urls => urls.forEach(url => URL.revokeObjectURL(url)));
+    variantUrlsRef.current.clear();
+  }, []);
+
   useEffect(() => {
     if (promptOpen) {
       requestAnimationFrame(() => {
@@ -86,6 +130,12 @@ export default function MangaReader({
     }
   }, [promptOpen]);
 
+  useEffect(() => {
+    if (promptOpen) return;
+    inspectAbortRef.current?.abort();
+    setInspection(null);
+  }, [promptOpen]);
+
   const currentPromptLocked = Boolean(promptOverlays[currentIndex]);
   const currentStatus = pageStates[currentIndex]?.status || 'idle';
   const isCurrentProcessing = currentStatus === 'generating' || currentStatus === 'queued';
@@ -115,55 +165,10 @@ export default function MangaReader({
     });
   }, []);
 
-  const clearPromptStageTimers = useCallback(() => {
-    promptStageTimersRef.current.forEach(timerId => clearTimeout(timerId));
-    promptStageTimersRef.current = [];
-  }, []);
-
-  const clearPageStageTimers = useCallback((pageIndex) => {
-    const timers = pageStageTimersRef.current.get(pageIndex);
-    if (timers) {
-      timers.forEach(timerId => clearTimeout(timerId));
-      pageStageTimersRef.current.delete(pageIndex);
-    }
-  }, []);
-
-  const clearPageProgressTimer = useCallback((pageIndex) => {
-    const timer = progressTimersRef.current.get(pageIndex);
-    if (timer) {
-      clearInterval(timer);
-      progressTimersRef.current.delete(pageIndex);
-    }
-  }, []);
-
-  const startPageProgress = useCallback((pageIndex) => {
-    clearPageProgressTimer(pageIndex);
-    const startedAt = Date.now();
-    const pollEstimateMs = 15 * 5000;
-    const startDelayMs = 2500;
-    updatePageState(pageIndex, { progress: 0 });
-    const id = setInterval(() => {
-      const elapsed = Math.max(0, Date.now() - startedAt - startDelayMs);
-      const progress = Math.min(elapsed / pollEstimateMs, 0.95);
-      updatePageState(pageIndex, { progress });
-    }, 1000);
-    progressTimersRef.current.set(pageIndex, id);
-  }, [clearPageProgressTimer, updatePageState]);
-
   const updatePageStage = useCallback((pageIndex, stage) => {
     updatePageState(pageIndex, { stage });
   }, [updatePageState]);
 
-  const schedulePageStages = useCallback((pageIndex) => {
-    clearPageStageTimers(pageIndex);
-    const timers = [
-      setTimeout(() => updatePageStage(pageIndex, 2), 900),
-      setTimeout(() => updatePageStage(pageIndex, 3), 1900),
-      setTimeout(() => updatePageStage(pageIndex, 4), 2900)
-    ];
-    pageStageTimersRef.current.set(pageIndex, timers);
-  }, [clearPageStageTimers, updatePageStage]);
-
   const updatePromptStage = useCallback((pageIndex, stage) => {
     setPromptOverlays((current) => {
       const existing = current[pageIndex];
@@ -185,14 +190,23 @@ export default function MangaReader({
     });
   }, []);
 
-  const schedulePromptStages = useCallback((pageIndex) => {
-    clearPromptStageTimers();
-    promptStageTimersRef.current.push(
-      setTimeout(() => updatePromptStage(pageIndex, 2), 1200),
-      setTimeout(() => updatePromptStage(pageIndex, 3), 2200),
-      setTimeout(() => updatePromptStage(pageIndex, 4), 3200)
-    );
-  }, [clearPromptStageTimers, updatePromptStage]);
+  const applyProgressEvent = useCallback((pageIndex, generationId, source, event) => {
+    if (generationCountersRef.current.get(pageIndex) !== generationId) return;
+    const step = PROGRESS_EVENT_STEPS[event.stage];
+    if (step === undefined) return;
+    const update = { stage: step, queuePosition: event.stage === 'slot_queued' ? event.position : null };
+    if (event.stage === 'polling') {
+      update.progress = event.progress ?? 0;
+      update.etaMs = event.etaMs ?? null;
+    } else if (event.stage === 'operation_started') {
+      update.progress = 0;
+      update.etaMs = null;
+    }
+    updatePageState(pageIndex, update);
+    if (source === 'prompt') {
+      updatePromptStage(pageIndex, step);
+    }
+  }, [updatePageState, updatePromptStage]);
 
   const stopAllGeneration = useCallback(() => {
     queueRef.current = [];
@@ -201,116 +215,134 @@ export default function MangaReader({
     }
     generatingRef.current = false;
     abortRef.current = null;
-    pageStageTimersRef.current.forEach((timers) => {
-      timers.forEach(timerId => clearTimeout(timerId));
-    });
-    pageStageTimersRef.current.clear();
-    progressTimersRef.current.forEach((timerId) => clearInterval(timerId));
-    progressTimersRef.current.clear();
-    clearPromptStageTimers();
     setPromptBusy(false);
     setPromptOpen(false);
     setPromptOverlays({});
     setPageStates(prev =>
       prev.map(state =>
         state.status === 'queued' || state.status === 'generating'
-          ? { ...state, status: 'idle', error: null, stage: 0, progress: 0 }
+          ? { ...state, status: 'idle', error: null, stage: 0, progress: 0, etaMs: null }
           : state
       )
     );
-  }, [clearPromptStageTimers]);
+  }, []);
 
   const generateForPage = useCallback(async (pageIndex, options = {}) => {
     const page = pages[pageIndex];
     const cacheKey = makeCacheKey(pageIndex);
-    const { userPrompt, source } = options;
+    const { userPrompt, source, force } = options;
+    // Auto mode reaching the page on screen should not wait behind other readers' batches.
+    const priority = source === 'auto' && pageIndex === currentIndexRef.current ? 'current' : undefined;
     const generationId = options.generationId ?? generationCountersRef.current.get(pageIndex) ?? 0;
     
-    // NEVER use cache - always generate fresh
-    updatePageState(pageIndex, { status: 'generating', error: null, stage: 1 });
+    // The backend reuses a cached video for an identical request unless `force` is set
+    updatePageState(pageIndex, { status: 'generating', error: null, stage: 0, progress: 0, etaMs: null, queuePosition: null });
     
     try {
       const controller = new AbortController();
       abortRef.current = { pageIndex, controller };
-      if (source === 'prompt') {
-        updatePromptStage(pageIndex, 1);
-      }
-      schedulePageStages(pageIndex);
-      startPageProgress(pageIndex);
       console.log('🎬 Requesting NEW video generation for page', pageIndex);
       const result = await generateVideo(page.imageBase64, page.mimeType, page.aspectRatio, {
         userPrompt,
         signal: controller.signal,
         pageIndex,
         pageNumber: pageIndex + 1,
-        source
+        source,
+        priority,
+        force,
+        rulePacks,
+        variants,
+        resumeKey: cacheKey,
+        onProgress: (event) => applyProgressEvent(pageIndex, generationId, source, event)
       });
       
       console.log('✅ Got result:', result);
       
       let videoUrl = result.downloadUrl || result.videoUrl;
+      // Every variant is downloaded up front so the picker can play them side by side.
+      let variantUrls = null;
       
-      if (result.videoData) {
+      if (result.variants?.length > 1) {
+        variantUrls = await Promise.all(result.variants.map(async variant =>
+          URL.createObjectURL(await fetchVideoBlob(variant.downloadUrl || variant.videoUrl, { signal: controller.signal }))
+        ));
+        videoUrl = variantUrls[result.selectedVariant ?? 0];
+      } else if (result.videoData) {
         const blob = new Blob(
           [Uint8Array.from(atob(result.videoData), c => c.charCodeAt(0))],
           { type: result.mimeType || 'video/mp4' }
         );
         videoUrl = URL.createObjectURL(blob);
+      } else if (videoUrl) {
+        videoUrl = URL.createObjectURL(await fetchVideoBlob(videoUrl, { signal: controller.signal }));
       }
       
       if (generationCountersRef.current.get(pageIndex) !== generationId) {
-        clearPageProgressTimer(pageIndex);
-        clearPageStageTimers(pageIndex);
-        if (source === 'prompt') {
-          clearPromptStageTimers();
-        }
+        variantUrls?.forEach(url => URL.revokeObjectURL(url));
         return false;
       }
       await setVideo(cacheKey, videoUrl);
-      clearPageProgressTimer(pageIndex);
-      updatePageState(pageIndex, { status: 'ready', videoUrl, stage: 5, progress: 1, generationId });
+      updatePageState(pageIndex, {
+        status: 'ready',
+        videoUrl,
+        variants: variantUrls,
+        selectedVariant: variantUrls ? result.selectedVariant ?? 0 : null,
+        jobId: result.id,
+        stage: 5,
+        progress: 1,
+        etaMs: null,
+        generationId
+      });
       if (abortRef.current?.pageIndex === pageIndex) {
         abortRef.current = null;
       }
-      clearPageStageTimers(pageIndex);
-      if (source === 'prompt') {
-        clearPromptStageTimers();
-      }
       return true;
     } catch (error) {
       if (generationCountersRef.current.get(pageIndex) !== generationId) {
-        clearPageProgressTimer(pageIndex);
-        clearPageStageTimers(pageIndex);
-        if (source === 'prompt') {
-          clearPromptStageTimers();
-        }
         return false;
       }
       if (error?.name === 'AbortError' || /aborted/i.test(error?.message || '')) {
-        clearPageProgressTimer(pageIndex);
-        updatePageState(pageIndex, { status: 'idle', error: null, stage: 0, progress: 0, generationId });
+        updatePageState(pageIndex, { status: 'idle', error: null, stage: 0, progress: 0, etaMs: null, generationId });
         if (abortRef.current?.pageIndex === pageIndex) {
           abortRef.current = null;
         }
-        clearPageStageTimers(pageIndex);
-        if (source === 'prompt') {
-          clearPromptStageTimers();
-        }
         return false;
       }
       console.error('❌ Generation failed:', error);
-      clearPageProgressTimer(pageIndex);
-      updatePageState(pageIndex, { status: 'failed', error: error.message, stage: -1, progress: 0, generationId });
+      if (error?.status === 'budget_exceeded' || error?.status === 'quota_exceeded') {
+        // Every queued page would be rejected the same way, so stop auto mode here.
+        queueRef.current = [];
+        setAutoMode(false);
+        setAutoSkipped(true);
+        setPageStates(prev =>
+          prev.map(state =>
+            state.status === 'queued'
+              ? { ...state, status: 'idle', error: null, stage: 0, progress: 0, etaMs: null }
+              : state
+          )
+        );
+      }
+      updatePageState(pageIndex, { status: 'failed', error: error.message, stage: -1, progress: 0, etaMs: null, generationId });
       if (abortRef.current?.pageIndex === pageIndex) {
         abortRef.current = null;
       }
-      clearPageStageTimers(pageIndex);
-      if (source === 'prompt') {
-        clearPromptStageTimers();
-      }
       return false;
     }
-  }, [pages, makeCacheKey, setVideo, updatePageState, updatePromptStage, clearPromptStageTimers, schedulePageStages, clearPageStageTimers, startPageProgress, clearPageProgressTimer]);
+  }, [pages, rulePacks, variants, makeCacheKey, setVideo, updatePageState, applyProgressEvent]);
+
+  // Makes another variant the page's animation, here and for the job on the backend.
+  const handleSelectVariant = useCallback(async (pageIndex, index) => {
+    const state = pageStatesRef.current[pageIndex];
+    const videoUrl = state?.variants?.[index];
+    if (!videoUrl || state.selectedVariant === index) return;
+    updatePageState(pageIndex, { videoUrl, selectedVariant: index });
+    await setVideo(makeCacheKey(pageIndex), videoUrl);
+    if (state.jobId) {
+      selectVideoVariant(state.jobId, index).catch(error => console.error('Failed to save variant choice:', error));
+    }
+  }, [makeCacheKey, setVideo, updatePageState]);
+
+  const prefetchPage = useCallback((pageIndex) => generateForPage(pageIndex, { source: 'prefetch' }), [generateForPage]);
 
   const buildZipName = useCallback(() => {
     const ts = new Date().toISOString().replace(/[:.]/g, '-');
@@ -378,21 +410,24 @@ export default function MangaReader({
     generatingRef.current = true;
     if (next.source === 'prompt') {
       setPromptBusy(true);
-      updatePromptStage(next.pageIndex, 1);
-      schedulePromptStages(next.pageIndex);
+      updatePromptStage(next.pageIndex, 0);
     }
-    generateForPage(next.pageIndex, { userPrompt: next.userPrompt, source: next.source, generationId: next.generationId }).finally(() => {
+    generateForPage(next.pageIndex, {
+      userPrompt: next.userPrompt,
+      source: next.source,
+      force: next.force,
+      generationId: next.generationId
+    }).finally(() => {
       generatingRef.current = false;
       if (next.source === 'prompt') {
         setPromptBusy(false);
         setPromptOpen(false);
         setPromptText('');
         clearPromptOverlayForPage(next.pageIndex);
-        clearPromptStageTimers();
       }
       pumpQueue();
     });
-  }, [generateForPage, clearPromptStageTimers, schedulePromptStages, updatePromptStage, clearPromptOverlayForPage]);
+  }, [generateForPage, updatePromptStage, clearPromptOverlayForPage]);
 
   const cancelGeneration = useCallback((pageIndex) => {
     queueRef.current = queueRef.current.filter(item => item.pageIndex !== pageIndex);
@@ -400,13 +435,10 @@ export default function MangaReader({
       abortRef.current.controller.abort();
       return;
     }
-    clearPageProgressTimer(pageIndex);
-    updatePageState(pageIndex, { status: 'idle', error: null, progress: 0 });
+    updatePageState(pageIndex, { status: 'idle', error: null, progress: 0, etaMs: null });
     updatePageStage(pageIndex, 0);
     clearPromptOverlayForPage(pageIndex);
-    clearPromptStageTimers();
-    clearPageStageTimers(pageIndex);
-  }, [updatePageState, clearPromptStageTimers, clearPromptOverlayForPage, clearPageStageTimers, updatePageStage, clearPageProgressTimer]);
+  }, [updatePageState, clearPromptOverlayForPage, updatePageStage]);
 
   const enqueuePage = useCallback((pageIndex, options = {}) => {
     if (pageIndex < 0 || pageIndex >= pages.length) return;
@@ -443,7 +475,7 @@ export default function MangaReader({
       generationId: nextGenerationId,
       ...(shouldOverride ? { videoUrl: null } : {})
     });
-    queueRef.current.push({ pageIndex, userPrompt, source, generationId: nextGenerationId });
+    queueRef.current.push({ pageIndex, userPrompt, source, force, generationId: nextGenerationId });
     pumpQueue();
   }, [pages.length, pumpQueue, updatePageState, cancelGeneration, autoSkipped, promptBusy, promptOpen, promptOverlays]);
 
@@ -466,6 +498,38 @@ export default function MangaReader({
     setPromptOverlayForPage(currentIndexRef.current, { text, stage: 0 });
   }, [enqueuePage, promptText, setPromptOverlayForPage, promptOverlays, stopAllGeneration]);
 
+  const handleInspect = useCallback(async () => {
+    const pageIndex = currentIndexRef.current;
+    const page = pages[pageIndex];
+    if (!page) return;
+    inspectAbortRef.current?.abort();
+    const controller = new AbortController();
+    inspectAbortRef.current = controller;
+    setInspection({ pageIndex, loading: true, preview: null, error: null });
+    try {
+      const preview = await previewPrompt(page.imageBase64, page.mimeType, page.aspectRatio, {
+        userPrompt: promptText.trim(),
+        signal: controller.signal,
+        pageIndex,
+        pageNumber: pageIndex + 1,
+        rulePacks
+      });
+      setInspection({ pageIndex, loading: false, preview, error: null });
+    } catch (error) {
+      if (error?.name === 'AbortError') return;
+      setInspection({ pageIndex, loading: false, preview: null, error: error.message || 'Prompt preview failed' });
+    } finally {
+      if (inspectAbortRef.current === controller) {
+        inspectAbortRef.current = null;
+      }
+    }
+  }, [pages, promptText, rulePacks]);
+
+  const closeInspection = useCallback(() => {
+    inspectAbortRef.current?.abort();
+    setInspection(null);
+  }, []);
+
   useEffect(() => {
     const onKeyDown = (event) => {
       const target = event.target;
@@ -561,6 +625,15 @@ export default function MangaReader({
     <div className={`manga-reader${promptOpen ? ' prompt-open' : ''}`}>
       {promptOpen && (
         <form className={`prompt-overlay${promptBusy ? ' busy' : ''}`} onSubmit={handlePromptSubmit}>
+          {inspection && (
+            <PromptInspector
+              pageNumber={inspection.pageIndex + 1}
+              preview={inspection.preview}
+              loading={inspection.loading}
+              error={inspection.error}
+              onClose={closeInspection}
+            />
+          )}
           <div className="prompt-shell">
             <input
               ref={promptInputRef}
@@ -569,7 +642,10 @@ export default function MangaReader({
               value={promptText}
               onChange={(e) => setPromptText(e.target.value)}
               onKeyDown={(e) => {
-                if (e.key === 'Escape' && !promptBusy) {
+                if (e.key === 'Escape' && inspection) {
+                  e.preventDefault();
+                  closeInspection();
+                } else if (e.key === 'Escape' && !promptBusy) {
                   e.preventDefault();
                   setPromptOpen(false);
                 }
@@ -582,6 +658,15 @@ export default function MangaReader({
               readOnly={currentPromptLocked}
               aria-busy={promptBusy || currentPromptLocked}
             />
+            <button
+              type="button"
+              className="prompt-inspect"
+              onClick={handleInspect}
+              disabled={inspection?.loading}
+              title="Preview the prompt Veo would receive for this page, without generating"
+            >
+              Inspect
+            </button>
           </div>
         </form>
       )}
@@ -612,12 +697,13 @@ export default function MangaReader({
             pageIndex={index}
             state={pageStates[index] || { status: 'idle', videoUrl: null, error: null }}
             showVideo={showVideos}
-            prefetchFn={PREFETCH_ENABLED && !autoSkipped ? generateForPage : null}
+            prefetchFn={PREFETCH_ENABLED && !autoSkipped ? prefetchPage : null}
             isCurrent={index === currentIndex}
             needsVideo={(pageStates[index]?.status || 'idle') !== 'ready'}
             onVisibilityChange={handleVisibilityChange}
             promptOverlay={promptOverlays[index] || null}
             onCancelPrompt={cancelGeneration}
+            onSelectVariant={handleSelectVariant}
           />
         ))}
       </div>
@@ -655,7 +741,10 @@ export default function MangaReader({
                     style={{ '--progress': `${Math.round(progressValue * 100)}%` }}
                   >
                     <span>Page {index + 1}</span>
-                    <span className={`auto-progress-stage stage-${stage}`}>{stageLabel}</span>
+                    <span className={`auto-progress-stage stage-${stage}`}>
+                      {stageLabel}
+                      {state.status === 'generating' && state.etaMs ? ` · ${formatEta(state.etaMs)}` : ''}
+                    </span>
                   </div>
                 );
               })}
@@ -1,6 +1,7 @@
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useEffect, useState } from 'react';
 import VideoOverlay from './VideoOverlay.jsx';
 import { useIntersectionObserver } from '../hooks/useIntersectionObserver.js';
+import { formatEta, formatOrdinal } from '../utils/format.js';
 
 export default function PageCard({
   page,
@@ -12,9 +13,11 @@ export default function PageCard({
   needsVideo,
   onVisibilityChange,
   promptOverlay,
-  onCancelPrompt
+  onCancelPrompt,
+  onSelectVariant
 }) {
   const containerRef = useRef(null);
+  const [pickerOpen, setPickerOpen] = useState(false);
   
   const { isIntersecting, isNearViewport, intersectionRatio } = useIntersectionObserver(containerRef, {
     threshold: 0.3,
@@ -35,6 +38,12 @@ export default function PageCard({
   }, [intersectionRatio, onVisibilityChange, pageIndex]);
 
   const isReady = state.status === 'ready';
+  const variantUrls = isReady && state.variants?.length > 1 ? state.variants : null;
+
+  useEffect(() => {
+    if (!variantUrls) setPickerOpen(false);
+  }, [variantUrls]);
+
   const shouldShowVideo = showVideo && isReady;
   const isPlaying = shouldShowVideo && isIntersecting;
   const showStatus = state.status === 'queued' || state.status === 'generating' || state.status === 'failed';
@@ -74,10 +83,44 @@ export default function PageCard({
           className={`page-border-overlay${hideImage ? ' hidden' : ''}`}
         />
 
+        {variantUrls && (
+          <button
+            type="button"
+            className="page-variant-toggle"
+            onClick={(event) => {
+              event.stopPropagation();
+              setPickerOpen(prev => !prev);
+            }}
+          >
+            {pickerOpen ? 'Close' : `Variant ${(state.selectedVariant ?? 0) + 1}/${variantUrls.length}`}
+          </button>
+        )}
+
+        {variantUrls && pickerOpen && (
+          <div className="page-variant-picker">
+            {variantUrls.map((url, index) => (
+              <button
+                type="button"
+                key={url}
+                className={`page-variant${index === state.selectedVariant ? ' selected' : ''}`}
+                onClick={(event) => {
+                  event.stopPropagation();
+                  onSelectVariant && onSelectVariant(pageIndex, index);
+                }}
+              >
+                <video src={url} muted loop autoPlay playsInline />
+                <span>{index === state.selectedVariant ? `✓ Variant ${index + 1}` : `Variant ${index + 1}`}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
         {showStatus && (
           <div className={`page-status ${state.status}`}>
             {state.status === 'queued' && 'Queued'}
-            {state.status === 'generating' && 'Generating…'}
+            {state.status === 'generating' && (state.queuePosition
+              ? `${formatOrdinal(state.queuePosition)} in line`
+              : state.etaMs ? `Generating… ${formatEta(state.etaMs)}` : 'Generating…')}
             {state.status === 'failed' && (state.error ? `Failed: ${state.error}` : 'Failed')}
           </div>
         )}
@@ -88,6 +131,11 @@ export default function PageCard({
             style={{ '--prompt-progress': `${promptProgress}%` }}
           >
             <div className="page-prompt-text">{promptOverlay.text}</div>
+            {state.status === 'generating' && state.queuePosition ? (
+              <div className="page-prompt-eta">{formatOrdinal(state.queuePosition)} in line</div>
+            ) : state.status === 'generating' && state.etaMs ? (
+              <div className="page-prompt-eta">{formatEta(state.etaMs)}</div>
+            ) : null}
             <div className="page-prompt-steps">
               <div className="page-prompt-line" />
               <div className={`page-prompt-step ${promptStage >= 0 ? 'done' : ''} ${promptStage === 0 ? 'active' : ''}`}>
@@ -1,6 +1,16 @@
 import React, { useState, useCallback, useRef } from 'react';
 
-export default function PdfUploader({ onPdfLoad }) {
+export default function PdfUploader({
+  onPdfLoad,
+  seriesPacks = [],
+  seriesPack = '',
+  onSeriesPackChange,
+  variants = 1,
+  maxVariants = 1,
+  onVariantsChange,
+  user,
+  onSignOut
+}) {
   const [dragging, setDragging] = useState(false);
   const inputRef = useRef(null);
 
@@ -53,6 +63,37 @@ export default function PdfUploader({ onPdfLoad }) {
           onChange={handleChange}
         />
       </div>
+      {seriesPacks.length > 0 && (
+        <label className="series-pack-picker">
+          Series rules
+          <select value={seriesPack} onChange={(e) => onSeriesPackChange?.(e.target.value)}>
+            <option value="">Server default</option>
+            {seriesPacks.map(pack => (
+              <option key={pack.name} value={pack.name} title={pack.description}>
+                {pack.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {maxVariants > 1 && (
+        <label className="variants-picker">
+          Videos per page
+          <select value={variants} onChange={(e) => onVariantsChange?.(Number(e.target.value))}>
+            {Array.from({ length: maxVariants }, (_, index) => index + 1).map(count => (
+              <option key={count} value={count}>
+                {count === 1 ? '1' : `${count} (pick one, billed ${count}×)`}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {user && (
+        <div className="signed-in-as">
+          Signed in as {user.name}
+          <button type="button" onClick={onSignOut}>Sign out</button>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,110 @@
+import React from 'react';
+
+const BRANCH_LABELS = {
+  minimal: 'Minimal template',
+  direction: 'Direction only (no image analysis)',
+  gemini3: 'Gemini 3 prompt builder',
+  'ultra-short': 'Ultra-short fallback'
+};
+
+function Stage({ label, value }) {
+  if (value === undefined || value === null || value === '') return null;
+  return (
+    <div className="inspector-stage">
+      <span className="inspector-stage-label">{label}</span>
+      <pre>{typeof value === 'string' ? value : JSON.stringify(value, null, 2)}</pre>
+    </div>
+  );
+}
+
+// Shows each step of one prompt build, as returned by POST /api/prompt/preview.
+export default function PromptInspector({ pageNumber, preview, loading, error, onClose }) {
+  const userPrompt = preview?.userPrompt;
+  const stepsFor = (trace) => trace && (trace.error
+    ? <Stage label="Error" value={trace.error} />
+    : (
+      <>
+        <Stage label="Raw response" value={trace.raw} />
+        <Stage label="Sanitized" value={trace.sanitized} />
+        <Stage label="Blocked lines removed" value={trace.stripped} />
+        <Stage label="Amplified" value={trace.amplified} />
+        <Stage label="Compacted" value={trace.compacted} />
+      </>
+    ));
+
+  return (
+    <div className="prompt-inspector" role="dialog" aria-label={`Prompt preview for page ${pageNumber}`}>
+      <div className="inspector-header">
+        <strong>Prompt preview · page {pageNumber}</strong>
+        <button type="button" className="inspector-close" onClick={onClose} aria-label="Close prompt preview">
+          ✕
+        </button>
+      </div>
+      {loading && <p className="inspector-status">Building prompt…</p>}
+      {error && <p className="inspector-status error">{error}</p>}
+      {preview && !loading && (
+        <div className="inspector-body">
+          <dl className="inspector-summary">
+            <dt>Preset</dt>
+            <dd>{preview.preset} v{preview.templateVersion}</dd>
+            <dt>Rule packs</dt>
+            <dd>{preview.rulePacks.join(', ')}</dd>
+            <dt>Branch</dt>
+            <dd>
+              {BRANCH_LABELS[preview.branch] || preview.branch}
+              {preview.branch === 'minimal' && !preview.analysisUsed ? ' (no analysis)' : ''}
+              {preview.fallbackReason ? ` (${preview.fallbackReason})` : ''}
+            </dd>
+            <dt>Seed</dt>
+            <dd>{preview.seed}</dd>
+            <dt>Cache</dt>
+            <dd>{preview.cached ? 'Hit, generating would reuse the cached video' : 'Miss'}</dd>
+          </dl>
+
+          {userPrompt?.raw && (
+            <details>
+              <summary>User prompt{userPrompt.transformative ? ' · transformative' : ''}</summary>
+              <Stage label="Raw" value={userPrompt.raw} />
+              <Stage label="Sanitized" value={userPrompt.sanitized} />
+              <Stage label="Blocked lines removed" value={userPrompt.stripped} />
+              {userPrompt.removedLines.length > 0 && (
+                <Stage label="Removed lines" value={userPrompt.removedLines.join('\n')} />
+              )}
+            </details>
+          )}
+          {preview.analysis && (
+            <details>
+              <summary>Gemini analysis · {preview.analysis.model}</summary>
+              <Stage label="Instruction" value={preview.analysis.instruction} />
+              {stepsFor(preview.analysis)}
+            </details>
+          )}
+          {preview.promptBuilder && (
+            <details>
+              <summary>Gemini prompt builder · {preview.promptBuilder.model}</summary>
+              <Stage label="Instruction" value={preview.promptBuilder.instruction} />
+              {stepsFor(preview.promptBuilder)}
+            </details>
+          )}
+          <details open>
+            <summary>Final prompt · {preview.promptLength} chars</summary>
+            <Stage label="Prompt" value={preview.prompt} />
+          </details>
+          {preview.safetyLadder?.tiers.length > 0 && preview.safetyLadder.maxAttempts > 1 && (
+            <details>
+              <summary>Safety fallbacks · up to {preview.safetyLadder.maxAttempts} attempts</summary>
+              {preview.safetyLadder.tiers.map(({ tier, prompt }) => (
+                <Stage key={tier} label={tier} value={prompt} />
+              ))}
+            </details>
+          )}
+          <details>
+            <summary>Request · {preview.request.provider} · {preview.request.model}</summary>
+            <Stage label="Endpoint" value={preview.request.endpoint} />
+            <Stage label="Body" value={preview.request.body} />
+          </details>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,53 +1,368 @@
 const API_BASE = import.meta.env.PROD ? '/api' : 'http://localhost:3001/api';
 
-export async function generateVideo(imageBase64, mimeType, aspectRatio, options = {}) {
-  const { model = 'default', resolution = '1080p', userPrompt, signal, pageIndex, pageNumber, source } = options;
-  
-  try {
-    const response = await fetch(`${API_BASE}/veo`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      ...(signal ? { signal } : {}),
-      body: JSON.stringify({
-        imageBase64,
-        mimeType,
-        aspectRatio,
-        model,
-        resolution,
-        ...(userPrompt ? { userPrompt } : {}),
-        ...(pageIndex !== undefined ? { pageIndex } : {}),
-        ...(pageNumber !== undefined ? { pageNumber } : {}),
-        ...(source ? { source } : {})
-      })
-    });
-    
-    const text = await response.text();
-    let data;
-    
+const JOB_POLL_INTERVAL_MS = 2000;
+const JOB_STORAGE_KEY = 'manga-veo-jobs';
+const CLIENT_ID_KEY = 'manga-veo-client-id';
+const AUTH_STORAGE_KEY = 'manga-veo-auth';
+// Dispatched on window when the backend rejects the stored sign-in.
+export const AUTH_REQUIRED_EVENT = 'manga-veo-auth-required';
+const TERMINAL_JOB_STATUSES = ['ready', 'failed', 'rate_limited', 'budget_exceeded', 'quota_exceeded', 'canceled'];
+
+async function parseJsonResponse(response, fallbackMessage) {
+  const text = await response.text();
+  let data;
+
+  try {
+    data = JSON.parse(text);
+  } catch (parseError) {
+    console.error('Failed to parse response:', text);
+    throw new Error('Invalid response from server. Check server logs.');
+  }
+
+  if (response.status === 401) {
+    clearAuthSession();
+    window.dispatchEvent(new Event(AUTH_REQUIRED_EVENT));
+  }
+
+  if (!response.ok) {
+    const error = new Error(data.error || data.details || fallbackMessage);
+    if (data.status) error.status = data.status;
+    throw error;
+  }
+
+  return data;
+}
+
+// `{ token, user, expiresAt }` from POST /auth/login, or `{ token }` for a
+// pasted API token. Kept next to the reader's other settings.
+export function getAuthSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY) || 'null');
+    if (!session?.token || (session.expiresAt && session.expiresAt <= Date.now())) return null;
+    return session;
+  } catch {
+    return null;
+  }
+}
+
+function storeAuthSession(session) {
+  try {
+    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(session));
+  } catch {
+    // Without storage the sign-in only lasts until the next 401.
+  }
+}
+
+export function clearAuthSession() {
+  try {
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+  } catch {
+    // Nothing stored.
+  }
+}
+
+function authHeaders() {
+  const session = getAuthSession();
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
+}
+
+// EventSource cannot send headers, so the token rides in the query string.
+function withAccessToken(url) {
+  const session = getAuthSession();
+  if (!session) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(session.token)}`;
+}
+
+function abortError() {
+  return new DOMException('The operation was aborted.', 'AbortError');
+}
+
+// Resolves after `ms` (never when null), or earlier once `onWake` hands out
+// its callback and that is called.
+function waitFor(ms, signal, onWake) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = ms === null ? null : setTimeout(() => done(), ms);
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    };
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    onWake?.(done);
+  });
+}
+
+// Job IDs are remembered per page so a reload re-attaches to generations the
+// backend is still running instead of paying for them twice.
+function readStoredJobs() {
+  try {
+    return JSON.parse(localStorage.getItem(JOB_STORAGE_KEY) || '{}') || {};
+  } catch {
+    return {};
+  }
+}
+
+function writeStoredJob(key, value) {
+  const jobs = readStoredJobs();
+  if (value) {
+    jobs[key] = value;
+  } else {
+    delete jobs[key];
+  }
+  try {
+    localStorage.setItem(JOB_STORAGE_KEY, JSON.stringify(jobs));
+  } catch {
+    // Storage full or unavailable: resuming after reload is best-effort.
+  }
+}
+
+// The backend shares Veo slots fairly between clients; this id keeps every tab
+// of one browser in the same share.
+function getClientId() {
+  try {
+    let id = localStorage.getItem(CLIENT_ID_KEY);
+    if (!id) {
+      id = crypto.randomUUID();
+      localStorage.setItem(CLIENT_ID_KEY, id);
+    }
+    return id;
+  } catch {
+    return undefined;
+  }
+}
+
+function buildGenerationBody(imageBase64, mimeType, aspectRatio, options) {
+  const { model = 'default', resolution = '1080p', userPrompt, pageIndex, pageNumber, source, priority, force, rulePacks, variants } = options;
+  return {
+    imageBase64,
+    mimeType,
+    aspectRatio,
+    model,
+    resolution,
+    ...(userPrompt ? { userPrompt } : {}),
+    ...(pageIndex !== undefined ? { pageIndex } : {}),
+    ...(pageNumber !== undefined ? { pageNumber } : {}),
+    ...(source ? { source } : {}),
+    ...(priority ? { priority } : {}),
+    ...(force ? { force: true } : {}),
+    ...(rulePacks?.length ? { rulePacks } : {}),
+    ...(variants > 1 ? { variants } : {})
+  };
+}
+
+export async function createVideoJob(imageBase64, mimeType, aspectRatio, options = {}) {
+  const { signal } = options;
+  const clientId = getClientId();
+  const response = await fetch(`${API_BASE}/veo/jobs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders(), ...(clientId ? { 'X-Client-Id': clientId } : {}) },
+    ...(signal ? { signal } : {}),
+    body: JSON.stringify(buildGenerationBody(imageBase64, mimeType, aspectRatio, options))
+  });
+  return parseJsonResponse(response, 'Video generation failed');
+}
+
+// Same request as createVideoJob, but the backend stops after building the
+// prompt and returns every stage instead of calling Veo.
+export async function previewPrompt(imageBase64, mimeType, aspectRatio, options = {}) {
+  const { signal } = options;
+  const response = await fetch(`${API_BASE}/prompt/preview`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    ...(signal ? { signal } : {}),
+    body: JSON.stringify(buildGenerationBody(imageBase64, mimeType, aspectRatio, options))
+  });
+  return parseJsonResponse(response, 'Prompt preview failed');
+}
+
+export async function getVideoJob(jobId, { signal } = {}) {
+  const response = await fetch(`${API_BASE}/veo/jobs/${encodeURIComponent(jobId)}`, {
+    headers: authHeaders(),
+    ...(signal ? { signal } : {})
+  });
+  return parseJsonResponse(response, 'Failed to load job');
+}
+
+export async function cancelVideoJob(jobId) {
+  const response = await fetch(`${API_BASE}/veo/jobs/${encodeURIComponent(jobId)}`, { method: 'DELETE', headers: authHeaders() });
+  return parseJsonResponse(response, 'Failed to cancel job');
+}
+
+// Makes variant `index` of a finished multi-variant job the page's video.
+export async function selectVideoVariant(jobId, index) {
+  const response = await fetch(`${API_BASE}/veo/jobs/${encodeURIComponent(jobId)}/variant`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ index })
+  });
+  return parseJsonResponse(response, 'Failed to choose variant');
+}
+
+// Streams the backend's real progress events (slot, upload, analysis, prompt,
+// operation start, polls) for one job. Returns a function that closes the stream.
+// `onConnection(open)` reports the stream connecting and dropping; EventSource
+// reconnects by itself.
+export function subscribeToVideoJob(jobId, onEvent, { onConnection } = {}) {
+  const source = new EventSource(withAccessToken(`${API_BASE}/veo/jobs/${encodeURIComponent(jobId)}/events`));
+  source.addEventListener('open', () => onConnection?.(true));
+  source.addEventListener('error', () => onConnection?.(false));
+  source.addEventListener('progress', (message) => {
+    let event;
     try {
-      data = JSON.parse(text);
-    } catch (parseError) {
-      console.error('Failed to parse response:', text);
-      throw new Error('Invalid response from server. Check server logs.');
+      event = JSON.parse(message.data);
+    } catch {
+      return;
     }
-    
-    if (!response.ok) {
-      throw new Error(data.error || data.details || 'Video generation failed');
+    onEvent(event);
+    if (TERMINAL_JOB_STATUSES.includes(event.stage)) {
+      source.close();
+    }
+  });
+  return () => source.close();
+}
+
+// The event stream says when the job is done; the job itself is fetched then,
+// and polled only while the stream is down.
+async function waitForVideoJob(job, signal, onProgress) {
+  let current = job;
+  let streamOpen = false;
+  let fetchNow = false;
+  let wake = () => {};
+  const unsubscribe = subscribeToVideoJob(job.id, (event) => {
+    onProgress?.(event);
+    if (TERMINAL_JOB_STATUSES.includes(event.stage)) {
+      streamOpen = false;
+      fetchNow = true;
+      wake();
     }
-    
-    return data;
+  }, {
+    onConnection: (open) => {
+      streamOpen = open;
+      fetchNow = !open;
+      wake();
+    }
+  });
+  try {
+    while (!TERMINAL_JOB_STATUSES.includes(current.status)) {
+      if (!fetchNow) {
+        await waitFor(streamOpen ? null : JOB_POLL_INTERVAL_MS, signal, (resume) => { wake = resume; });
+      }
+      fetchNow = false;
+      if (!streamOpen) {
+        current = await getVideoJob(current.id, { signal });
+      }
+    }
+  } finally {
+    unsubscribe();
+  }
+  if (current.status !== 'ready') {
+    const error = new Error(current.error || current.details || `Video generation ${current.status}`);
+    error.status = current.status;
+    throw error;
+  }
+  return current;
+}
+
+export async function generateVideo(imageBase64, mimeType, aspectRatio, options = {}) {
+  const { userPrompt, signal, resumeKey, onProgress } = options;
+  const promptKey = userPrompt || '';
+  let job = null;
+
+  try {
+    const stored = resumeKey ? readStoredJobs()[resumeKey] : null;
+    if (stored && stored.userPrompt === promptKey) {
+      try {
+        const existing = await getVideoJob(stored.jobId, { signal });
+        if (['queued', 'running', 'ready'].includes(existing.status)) {
+          job = existing;
+        }
+      } catch (error) {
+        if (error?.name === 'AbortError') throw error;
+      }
+    }
+
+    if (!job) {
+      job = await createVideoJob(imageBase64, mimeType, aspectRatio, options);
+      if (resumeKey) {
+        writeStoredJob(resumeKey, { jobId: job.id, userPrompt: promptKey });
+      }
+    }
+
+    const result = await waitForVideoJob(job, signal, onProgress);
+    if (resumeKey) writeStoredJob(resumeKey, null);
+    return result;
   } catch (error) {
+    if (error?.name === 'AbortError' && job && !TERMINAL_JOB_STATUSES.includes(job.status)) {
+      cancelVideoJob(job.id).catch(() => {});
+    }
+    if (resumeKey && job) writeStoredJob(resumeKey, null);
     console.error('API call failed:', error);
     throw error;
   }
 }
 
+// Downloads a finished video with the stored sign-in, since <video> elements
+// cannot send an Authorization header.
+export async function fetchVideoBlob(url, { signal } = {}) {
+  const response = await fetch(url, {
+    headers: url.startsWith(API_BASE) || url.includes('/api/veo/download') ? authHeaders() : {},
+    ...(signal ? { signal } : {})
+  });
+  if (!response.ok) {
+    if (response.status === 401) {
+      clearAuthSession();
+      window.dispatchEvent(new Event(AUTH_REQUIRED_EVENT));
+    }
+    throw new Error(`Video download failed (${response.status})`);
+  }
+  return response.blob();
+}
+
+// Signs in with a user name and password, or checks a pasted API token, and
+// stores the result. Resolves with the user.
+export async function signIn({ username, password, token }) {
+  if (token) {
+    const response = await fetch(`${API_BASE}/auth/me`, { headers: { Authorization: `Bearer ${token}` } });
+    const data = await parseJsonResponse(response, 'Token rejected');
+    storeAuthSession({ token, user: data.user });
+    return data.user;
+  }
+  const response = await fetch(`${API_BASE}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  const session = await parseJsonResponse(response, 'Sign-in failed');
+  storeAuthSession(session);
+  return session.user;
+}
+
+// `{ authRequired, user, usage }`; rejects (and fires AUTH_REQUIRED_EVENT)
+// when the backend wants a sign-in that is missing or expired.
+export async function getCurrentUser() {
+  const response = await fetch(`${API_BASE}/auth/me`, { headers: authHeaders() });
+  return parseJsonResponse(response, 'Failed to check sign-in');
+}
+
 export async function checkHealth() {
-  const response = await fetch(`${API_BASE}/health`);
+  const response = await fetch(`${API_BASE}/health`, { headers: authHeaders() });
   return response.json();
 }
 
+export async function getRulePacks() {
+  const response = await fetch(`${API_BASE}/rule-packs`, { headers: authHeaders() });
+  return parseJsonResponse(response, 'Failed to load rule packs');
+}
+
 export async function checkModels() {
-  const response = await fetch(`${API_BASE}/models`);
+  const response = await fetch(`${API_BASE}/models`, { headers: authHeaders() });
   return response.json();
 }
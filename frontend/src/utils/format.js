@@ -0,0 +1,15 @@
+// 1 -> "1st", 2 -> "2nd", 11 -> "11th", 23 -> "23rd".
+export function formatOrdinal(n) {
+  const tens = n % 100;
+  const suffix = tens >= 11 && tens <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
+export function formatEta(ms) {
+  if (!Number.isFinite(ms) || ms <= 0) return '';
+  const totalSeconds = Math.max(1, Math.round(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  if (minutes === 0) return `~${seconds}s left`;
+  return `~${minutes}m ${String(seconds).padStart(2, '0')}s left`;
+}
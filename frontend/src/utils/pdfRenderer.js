@@ -41,6 +41,7 @@ export async function renderPdfToImages(arrayBuffer, options = {}) {
   return pages;
 }
 
+// The backend applies the same geometry (imageNormalizer.js) to pages sent by other clients.
 function processImage(canvas, { maxLongSide, minLongSide }) {
   const width = canvas.width;
   const height = canvas.height;